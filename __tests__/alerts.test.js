@@ -0,0 +1,124 @@
+// Alert rules: the entities a firing rule is about become the incident fingerprints and pick the notification routes.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const { getConfig } = require('../utils/config');
+const { invalidateMonitoringCache } = require('../utils/monitoring');
+const { ALERTS_FILE, affectedEntities, routeEntities, addRule, evaluateForJob } = require('../utils/alerts');
+
+const site = (id, siteName, extra = {}) => ({ id, controllerName: `Controller ${id}`, site: siteName.toLowerCase(), siteName, success: true, ...extra });
+const data = {
+  unifi: {
+    controllers: [
+      site('c1', 'Office', {
+        metrics: {
+          devicesList: [
+            { mac: 'AA:AA:AA:AA:AA:01', name: 'AP Lobby', state: 0 },
+            { mac: 'aa:aa:aa:aa:aa:02', name: 'AP Hall', state: 1 },
+          ],
+        },
+        alarms: [{ archived: false }],
+      }),
+      site('c1', 'Warehouse', { metrics: { devicesList: [{ mac: 'aa:aa:aa:aa:aa:03', model: 'U6-LR', state: 5 }] }, alarms: [{ archived: true }] }),
+      site('c2', 'Branch', { success: false }),
+    ],
+  },
+};
+const rule = (metric, scope = '') => ({ metric, scope });
+
+test('offline devices are keyed by MAC across the sites in scope', () => {
+  assert.deepStrictEqual(affectedEntities(rule('devices.offline'), data), [
+    { key: 'device:aa:aa:aa:aa:aa:01', label: 'AP Lobby (Controller c1 / Office)', controllerId: 'c1', site: 'office' },
+    { key: 'device:aa:aa:aa:aa:aa:03', label: 'U6-LR (Controller c1 / Warehouse)', controllerId: 'c1', site: 'warehouse' },
+  ]);
+  assert.deepStrictEqual(affectedEntities(rule('devices.offline', 'c2'), data), [{ key: 'scope:c2', label: 'Controller c2', controllerId: 'c2', site: 'branch' }]);
+});
+
+test('unreachable sites and sites with active alarms are keyed by controller and site', () => {
+  assert.deepStrictEqual(affectedEntities(rule('controllers.offline'), data), [{ key: 'site:c2/branch', label: 'Controller c2 / Branch', controllerId: 'c2', site: 'branch' }]);
+  assert.deepStrictEqual(affectedEntities(rule('alarms.active', 'c1'), data), [{ key: 'site:c1/office', label: 'Controller c1 / Office', controllerId: 'c1', site: 'office' }]);
+});
+
+test('aggregate metrics are about the rule scope as a whole', () => {
+  assert.deepStrictEqual(affectedEntities(rule('clients.total', 'c1'), data), [{ key: 'scope:c1', label: 'Controller c1', controllerId: 'c1', site: null }]);
+  assert.deepStrictEqual(affectedEntities(rule('clients.total'), data), [{ key: 'scope:all', label: 'all UniFi controllers', controllerId: null, site: null }]);
+  assert.deepStrictEqual(affectedEntities(rule('prometheus:up'), data), [{ key: 'prometheus:up', label: 'Prometheus', controllerId: null, site: null }]);
+});
+
+test.describe('notification routes', () => {
+  let saved;
+  test.before(() => {
+    saved = getConfig().notifications;
+    getConfig().notifications = {
+      channels: [
+        { id: 'oncall', kind: 'webhook', type: 'generic', url: 'http://127.0.0.1:9/oncall', isDefault: true },
+        { id: 'office', kind: 'webhook', type: 'generic', url: 'http://127.0.0.1:9/office' },
+        { id: 'warehouse', kind: 'webhook', type: 'generic', url: 'http://127.0.0.1:9/warehouse' },
+      ],
+      routes: [
+        { id: 'r1', controllerId: 'c1', site: 'office', channels: ['office'] },
+        { id: 'r2', site: 'warehouse', channels: ['warehouse'], alsoDefault: true },
+      ],
+    };
+  });
+  test.after(() => {
+    getConfig().notifications = saved;
+  });
+  const defaults = { webhook: false, email: false };
+  const routed = (entities) => routeEntities(rule('devices.offline'), entities, defaults)
+    .map((g) => ({ channels: g.channels, keys: g.entities.map((e) => e.key) }));
+
+  test('each affected device goes to the routes of its site', () => {
+    assert.deepStrictEqual(routed(affectedEntities(rule('devices.offline'), data)), [
+      { channels: ['office'], keys: ['device:aa:aa:aa:aa:aa:01'] },
+      { channels: ['warehouse', 'oncall'], keys: ['device:aa:aa:aa:aa:aa:03'] },
+    ]);
+  });
+
+  test('entities at the same routes share one notification; unrouted ones go to the defaults', () => {
+    assert.deepStrictEqual(routed(affectedEntities(rule('controllers.offline'), data)), [{ channels: ['oncall'], keys: ['site:c2/branch'] }]);
+    assert.deepStrictEqual(routed(affectedEntities(rule('alarms.active'), data)), [{ channels: ['office'], keys: ['site:c1/office'] }]);
+    assert.deepStrictEqual(routed([]), [{ channels: ['oncall'], keys: [undefined] }]);
+  });
+});
+
+test.describe('scheduled checks with an unreachable controller', () => {
+  let savedConfig;
+  let savedRules;
+  test.before(async () => {
+    savedConfig = { monitoring: getConfig().monitoring, alerts: getConfig().alerts };
+    savedRules = fs.existsSync(ALERTS_FILE) ? fs.readFileSync(ALERTS_FILE) : null;
+    const port = await new Promise((resolve) => {
+      const server = net.createServer().listen(0, '127.0.0.1', () => {
+        const { port: free } = server.address();
+        server.close(() => resolve(free));
+      });
+    });
+    getConfig().monitoring = {
+      unifi: { controllers: [{ id: 'c1', name: 'Office', enabled: true, baseUrl: `http://127.0.0.1:${port}`, apiKey: 'test-key', site: 'default' }] },
+    };
+    invalidateMonitoringCache();
+  });
+  test.after(() => {
+    Object.assign(getConfig(), savedConfig);
+    invalidateMonitoringCache();
+    if (savedRules) fs.writeFileSync(ALERTS_FILE, savedRules);
+    else fs.rmSync(ALERTS_FILE, { force: true });
+  });
+
+  test('the built-in checks report the controller, not zero devices', async () => {
+    const issues = await evaluateForJob([]);
+    assert.deepStrictEqual(issues.map(({ rule: r, status }) => [r.id, status.value, status.entities.map((e) => e.key)]), [
+      ['builtin:controllers.offline', 1, ['site:c1/default']],
+    ]);
+  });
+
+  test('watched rules are evaluated on the data even when the alert engine and the rule are disabled', async () => {
+    getConfig().alerts = { enabled: false };
+    const watched = addRule({ name: 'Office down', metric: 'controllers.offline', scope: 'c1', operator: '>', threshold: 0, enabled: false });
+    const issues = await evaluateForJob([watched.id]);
+    assert.deepStrictEqual(issues.map(({ rule: r, status, notifiedByAlerts }) => [r.name, status.value, notifiedByAlerts]), [['Office down', 1, false]]);
+  });
+});
@@ -0,0 +1,18 @@
+// Backup archives: uploads are decoded in memory, so their unpacked size is bounded.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { MAX_ARCHIVE_BYTES, parseBackup } = require('../utils/backup');
+
+test('an archive that unpacks beyond the limit is refused', () => {
+  const bomb = zlib.gzipSync(Buffer.alloc(MAX_ARCHIVE_BYTES + 1, ' '));
+  assert.ok(bomb.length < 1024 * 1024);
+  assert.throws(() => parseBackup(bomb), /larger than 100 MB unpacked/);
+});
+
+test('a gzipped archive within the limit is decoded and checked', () => {
+  const archive = { format: 'networkbot-backup', formatVersion: 1, files: {} };
+  assert.deepStrictEqual(parseBackup(zlib.gzipSync(JSON.stringify(archive))), archive);
+  assert.throws(() => parseBackup(zlib.gzipSync('{}')), /Not a NetworkBot backup/);
+});
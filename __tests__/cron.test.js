@@ -0,0 +1,56 @@
+// Cron times on the wall clock of a time zone, across daylight-saving changes (Europe/Berlin, 2026:
+// clocks go forward on 29 March at 01:00Z, back on 25 October at 01:00Z).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { nextCronTime } = require('../utils/cron');
+
+const TZ = 'Europe/Berlin';
+
+/** The next `count` run times after `from`, each computed from the previous one */
+function runs(expression, from, count) {
+  const times = [];
+  let after = new Date(from);
+  for (let i = 0; i < count; i++) {
+    after = nextCronTime(expression, after, TZ);
+    times.push(after.toISOString());
+  }
+  return times;
+}
+
+test('every 20 minutes runs through the repeated hour when clocks go back', () => {
+  assert.deepStrictEqual(runs('*/20 * * * *', '2026-10-25T00:00:00Z', 7), [
+    '2026-10-25T00:20:00.000Z',
+    '2026-10-25T00:40:00.000Z',
+    '2026-10-25T01:00:00.000Z',
+    '2026-10-25T01:20:00.000Z',
+    '2026-10-25T01:40:00.000Z',
+    '2026-10-25T02:00:00.000Z',
+    '2026-10-25T02:20:00.000Z',
+  ]);
+});
+
+test('a fixed time in the repeated hour runs once, at its first occurrence', () => {
+  assert.deepStrictEqual(runs('30 2 * * *', '2026-10-24T12:00:00Z', 2), [
+    '2026-10-25T00:30:00.000Z',
+    '2026-10-26T01:30:00.000Z',
+  ]);
+});
+
+test('a time skipped when clocks go forward runs once the clocks have jumped', () => {
+  assert.deepStrictEqual(runs('30 2 * * *', '2026-03-28T12:00:00Z', 2), [
+    '2026-03-29T01:30:00.000Z',
+    '2026-03-30T00:30:00.000Z',
+  ]);
+  assert.deepStrictEqual(runs('*/20 * * * *', '2026-03-29T00:20:00Z', 4), [
+    '2026-03-29T00:40:00.000Z',
+    '2026-03-29T01:00:00.000Z',
+    '2026-03-29T01:20:00.000Z',
+    '2026-03-29T01:40:00.000Z',
+  ]);
+});
+
+test('wall clock times stay put across both changes', () => {
+  assert.deepStrictEqual(runs('0 8 * * 1-5', '2026-10-23T12:00:00Z', 1), ['2026-10-26T07:00:00.000Z']);
+  assert.deepStrictEqual(runs('0 8 * * 1-5', '2026-03-27T12:00:00Z', 1), ['2026-03-30T06:00:00.000Z']);
+});
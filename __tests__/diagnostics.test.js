@@ -0,0 +1,22 @@
+// Diagnostics: hosts come from chat messages and the model's tool calls, and end up as command arguments.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeHost, runPing, runTraceroute } = require('../utils/diagnostics');
+
+test('hostnames and IP addresses are accepted', () => {
+  assert.strictEqual(sanitizeHost(' ap-lobby.example.com '), 'ap-lobby.example.com');
+  assert.strictEqual(sanitizeHost('192.168.1.1'), '192.168.1.1');
+  assert.strictEqual(sanitizeHost('fe80::1'), 'fe80::1');
+});
+
+test('shell metacharacters and option-like hosts are rejected', () => {
+  ['8.8.8.8; rm -rf /', '$(id)', 'a b', '-f', '--help', '-oProxyCommand=x', '', 'x'.repeat(254)].forEach((host) => {
+    assert.strictEqual(sanitizeHost(host), null, host);
+  });
+});
+
+test('ping and traceroute refuse option-like hosts without running anything', async () => {
+  assert.deepStrictEqual(await runPing('-f'), { success: false, output: '', error: 'Invalid or missing host' });
+  assert.deepStrictEqual(await runTraceroute('--help'), { success: false, output: '', error: 'Invalid or missing host' });
+});
@@ -0,0 +1,61 @@
+// State-change events: consecutive monitoring snapshots are diffed into device, controller and alarm events.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { getConfig } = require('../utils/config');
+const { getMonitoringData, invalidateMonitoringCache } = require('../utils/monitoring');
+const { buildBaseline, diffBaselines } = require('../utils/events');
+
+const devices = [
+  { mac: 'AA:AA:AA:AA:AA:01', name: 'AP Lobby', state: 1 },
+  { mac: 'AA:AA:AA:AA:AA:02', name: 'Switch Core', state: 1 },
+];
+const site = (extra = {}) => ({ id: 'c1', name: 'Office', controllerName: 'Office', site: 'default', siteName: 'default', ...extra });
+const reachable = (list) => site({
+  success: true,
+  metrics: { devices: { total: list.length, online: list.filter((d) => d.state === 1).length }, devicesList: list, clients: { total: 0 }, clientsList: [] },
+  alarms: [],
+});
+const snapshot = (controller) => ({ unifi: { controllers: [controller] } });
+const diff = (before, after) => diffBaselines(buildBaseline(snapshot(before)), buildBaseline(snapshot(after)));
+
+/** A localhost port nothing listens on. */
+function closedPort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+test('a device going offline and coming back is reported', () => {
+  const down = [devices[0], { ...devices[1], state: 0 }];
+  assert.deepStrictEqual(diff(reachable(devices), reachable(down)).map((e) => [e.type, e.entity.id]), [['device_offline', 'aa:aa:aa:aa:aa:02']]);
+  assert.deepStrictEqual(diff(reachable(down), reachable(devices)).map((e) => [e.type, e.entity.id]), [['device_online', 'aa:aa:aa:aa:aa:02']]);
+});
+
+test('an unreachable controller is one controller event, not its devices disappearing', () => {
+  const events = diff(reachable(devices), site({ success: false, error: 'Cannot connect to UniFi controller' }));
+  assert.deepStrictEqual(events.map((e) => [e.type, e.severity, e.detail]), [['controller_unreachable', 'critical', 'Cannot connect to UniFi controller']]);
+});
+
+test('an empty device list after a poll with devices is not every device disappearing', () => {
+  assert.deepStrictEqual(diff(reachable(devices), reachable([])), []);
+  assert.deepStrictEqual(diff(reachable(devices), reachable([devices[0]])).map((e) => [e.type, e.message]), [['device_offline', 'Switch Core disappeared from Office']]);
+});
+
+test('a controller that cannot be reached is reported as failed, not as a site without devices', async () => {
+  const port = await closedPort();
+  getConfig().monitoring = {
+    unifi: { controllers: [{ id: 'c1', name: 'Office', enabled: true, baseUrl: `http://127.0.0.1:${port}`, apiKey: 'test-key', site: 'default' }] },
+  };
+  invalidateMonitoringCache();
+  const before = buildBaseline(snapshot(reachable(devices)));
+  const data = await getMonitoringData();
+  const [controller] = data.unifi.controllers;
+  assert.strictEqual(controller.success, false);
+  assert.match(controller.error, /Cannot connect to UniFi controller/);
+  assert.deepStrictEqual(diffBaselines(before, buildBaseline(data)).map((e) => e.type), ['controller_unreachable']);
+});
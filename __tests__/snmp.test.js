@@ -0,0 +1,206 @@
+// SNMP polling against a local net-snmp agent: v2c and v3 sessions, the interface/storage/UPS walks and timeouts.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const snmp = require('net-snmp');
+const { SnmpMonitor, testSnmpConnection, withSavedSnmpSecrets } = require('../utils/monitoring');
+const { MASK } = require('../utils/secrets');
+
+const T = snmp.ObjectType;
+const READ_ONLY = snmp.MaxAccess['read-only'];
+const V3_USER = { name: 'monitor', authKey: 'authpass123', privKey: 'privpass123' };
+
+/** Bind a UDP socket on a free localhost port; the caller closes it. */
+function bindSocket() {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', reject);
+    socket.bind(0, '127.0.0.1', () => resolve(socket));
+  });
+}
+
+async function freePort() {
+  const socket = await bindSocket();
+  const { port } = socket.address();
+  await new Promise((resolve) => socket.close(resolve));
+  return port;
+}
+
+function startAgent(port) {
+  const agent = snmp.createAgent({ port, address: '127.0.0.1' }, () => {});
+  const authorizer = agent.getAuthorizer();
+  authorizer.addCommunity('public');
+  authorizer.addUser({
+    name: V3_USER.name,
+    level: snmp.SecurityLevel.authPriv,
+    authProtocol: snmp.AuthProtocols.sha,
+    authKey: V3_USER.authKey,
+    privProtocol: snmp.PrivProtocols.aes,
+    privKey: V3_USER.privKey,
+  });
+
+  const mib = agent.getMib();
+  const scalar = (name, oid, scalarType, value) => {
+    mib.registerProvider({ name, type: snmp.MibProviderType.Scalar, oid, scalarType, maxAccess: READ_ONLY });
+    mib.setScalarValue(name, value);
+  };
+  const table = (name, oid, columns, rows) => {
+    mib.registerProvider({
+      name,
+      type: snmp.MibProviderType.Table,
+      oid,
+      tableColumns: columns.map(([number, columnName, type]) => ({ number, name: columnName, type, maxAccess: READ_ONLY })),
+      tableIndex: [{ columnName: columns[0][1] }],
+    });
+    rows.forEach((row) => mib.addTableRow(name, row));
+  };
+
+  scalar('sysDescr', '1.3.6.1.2.1.1.1', T.OctetString, 'Test switch 24p');
+  scalar('sysObjectID', '1.3.6.1.2.1.1.2', T.OID, '1.3.6.1.4.1.9.1.1');
+  scalar('sysUpTime', '1.3.6.1.2.1.1.3', T.TimeTicks, 9000000);
+  scalar('sysContact', '1.3.6.1.2.1.1.4', T.OctetString, 'noc');
+  scalar('sysName', '1.3.6.1.2.1.1.5', T.OctetString, 'sw-core');
+  scalar('sysLocation', '1.3.6.1.2.1.1.6', T.OctetString, 'Rack 1');
+  scalar('upsBatteryStatus', '1.3.6.1.2.1.33.1.2.1', T.Integer, 2);
+  scalar('upsEstimatedChargeRemaining', '1.3.6.1.2.1.33.1.2.4', T.Integer, 97);
+  scalar('upsOutputSource', '1.3.6.1.2.1.33.1.4.1', T.Integer, 5);
+
+  table('ifTable', '1.3.6.1.2.1.2.2.1', [
+    [1, 'ifIndex', T.Integer], [2, 'ifDescr', T.OctetString], [3, 'ifType', T.Integer], [5, 'ifSpeed', T.Gauge],
+    [7, 'ifAdminStatus', T.Integer], [8, 'ifOperStatus', T.Integer], [10, 'ifInOctets', T.Counter],
+    [13, 'ifInDiscards', T.Counter], [14, 'ifInErrors', T.Counter], [16, 'ifOutOctets', T.Counter],
+    [19, 'ifOutDiscards', T.Counter], [20, 'ifOutErrors', T.Counter],
+  ], [
+    [1, 'Gi0/1', 6, 1000000000, 1, 1, 1000, 0, 5, 2000, 0, 0],
+    [2, 'Gi0/2', 6, 1000000000, 1, 2, 0, 0, 0, 0, 0, 0],
+  ]);
+  table('hrStorageTable', '1.3.6.1.2.1.25.2.3.1', [
+    [1, 'hrStorageIndex', T.Integer], [2, 'hrStorageType', T.OID], [3, 'hrStorageDescr', T.OctetString],
+    [4, 'hrStorageAllocationUnits', T.Integer], [5, 'hrStorageSize', T.Integer], [6, 'hrStorageUsed', T.Integer],
+  ], [
+    [1, '1.3.6.1.2.1.25.2.1.4', '/', 4096, 1000000, 850000],
+  ]);
+  table('upsOutputTable', '1.3.6.1.2.1.33.1.4.4.1', [
+    [1, 'upsOutputLineIndex', T.Integer], [5, 'upsOutputPercentLoad', T.Integer],
+  ], [
+    [1, 40],
+    [2, 55],
+  ]);
+  return agent;
+}
+
+let agent;
+let port;
+
+test.before(async () => {
+  port = await freePort();
+  agent = startAgent(port);
+});
+
+test.after(() => new Promise((resolve) => agent.close(() => resolve())));
+
+function assertPoll(data) {
+  assert.deepStrictEqual(data.system, {
+    descr: 'Test switch 24p',
+    objectId: '1.3.6.1.4.1.9.1.1',
+    uptimeSeconds: 90000,
+    contact: 'noc',
+    name: 'sw-core',
+    location: 'Rack 1',
+  });
+  assert.deepStrictEqual(data.interfaces.map((i) => [i.index, i.name, i.speedMbps, i.adminStatus, i.operStatus, i.inOctets, i.inErrors]), [
+    [1, 'Gi0/1', 1000, 'up', 'up', 1000, 5],
+    [2, 'Gi0/2', 1000, 'up', 'down', 0, 0],
+  ]);
+  assert.deepStrictEqual(data.storage, [
+    { index: 1, type: 'fixedDisk', descr: '/', sizeBytes: 4096000000, usedBytes: 3481600000, usedPercent: 85 },
+  ]);
+  assert.strictEqual(data.ups.batteryStatus, 'normal');
+  assert.strictEqual(data.ups.chargePercent, 97);
+  assert.strictEqual(data.ups.outputSource, 'battery');
+  assert.strictEqual(data.ups.outputLoadPercent, 55);
+  assert.strictEqual(data.ups.minutesRemaining, null);
+}
+
+test('v2c polls the system group and walks interfaces, storage and the UPS tables', async () => {
+  const mon = new SnmpMonitor({ id: 'snmp-v2c', host: '127.0.0.1', port, community: 'public' }, { timeoutMs: 2000, retries: 0 });
+  assertPoll(await mon.getAllData());
+});
+
+test('v3 authPriv returns the same data', async () => {
+  const mon = new SnmpMonitor({
+    id: 'snmp-v3',
+    host: '127.0.0.1',
+    port,
+    version: '3',
+    v3: { user: V3_USER.name, authProtocol: 'sha', authKey: V3_USER.authKey, privProtocol: 'aes', privKey: V3_USER.privKey },
+  }, { timeoutMs: 2000, retries: 0 });
+  assertPoll(await mon.getAllData());
+  const result = await mon.testConnection();
+  assert.strictEqual(result.success, true);
+  assert.match(result.message, /^Connected to sw-core \(SNMP v3\), up 1d 1h\. Test switch 24p$/);
+});
+
+test('a second poll reports interface rates and new errors against the first', async () => {
+  const mon = new SnmpMonitor({ id: 'snmp-rates', host: '127.0.0.1', port }, { timeoutMs: 2000, retries: 0 });
+  await mon.getAllData();
+  agent.getMib().setTableSingleCell('ifTable', 10, [1], 126000);
+  agent.getMib().setTableSingleCell('ifTable', 14, [1], 8);
+  const [first] = (await mon.getAllData()).interfaces;
+  assert.ok(first.inBps > 0, `inBps ${first.inBps}`);
+  assert.strictEqual(first.outBps, 0);
+  assert.strictEqual(first.newInErrors, 3);
+  assert.strictEqual(first.newOutErrors, 0);
+});
+
+test('only the configured MIBs are polled', async () => {
+  const mon = new SnmpMonitor({ host: '127.0.0.1', port, mibs: ['system'] }, { timeoutMs: 2000, retries: 0 });
+  const data = await mon.getAllData();
+  assert.strictEqual(data.system.name, 'sw-core');
+  assert.deepStrictEqual([data.interfaces, data.storage, data.ups], [[], [], null]);
+});
+
+test('an agent that never answers times out with a hint about the credentials', async () => {
+  const silent = await bindSocket();
+  const { port: silentPort } = silent.address();
+  try {
+    const v2c = new SnmpMonitor({ host: '127.0.0.1', port: silentPort }, { timeoutMs: 200, retries: 0 });
+    await assert.rejects(v2c.getAllData(), { message: `SNMP request to 127.0.0.1:${silentPort} timed out. Check host, port, community and firewall.` });
+    const v3 = new SnmpMonitor({ host: '127.0.0.1', port: silentPort, version: '3', v3: { user: 'monitor' } }, { timeoutMs: 200, retries: 0 });
+    assert.deepStrictEqual(await v3.testConnection(), {
+      success: false,
+      message: `SNMP request to 127.0.0.1:${silentPort} timed out. Check host, port, v3 credentials and firewall.`,
+    });
+  } finally {
+    await new Promise((resolve) => silent.close(resolve));
+  }
+});
+
+test('a wrong community is not answered and times out', async () => {
+  const mon = new SnmpMonitor({ host: '127.0.0.1', port, community: 'wrong' }, { timeoutMs: 200, retries: 0 });
+  const result = await mon.testConnection();
+  assert.strictEqual(result.success, false);
+  assert.match(result.message, /timed out/);
+});
+
+test('a connection test uses the saved community and keys for the saved host, port and version only', async () => {
+  const saved = { id: 'sw', host: '127.0.0.1', port, version: '2c', community: 'public', v3: { user: V3_USER.name, authKey: V3_USER.authKey } };
+  const form = { id: 'sw', host: '127.0.0.1', port: String(port), version: '2c', community: MASK, v3: { user: V3_USER.name, authKey: MASK } };
+
+  const restored = withSavedSnmpSecrets(form, saved);
+  assert.deepStrictEqual([restored.community, restored.v3.authKey, restored.v3.privKey], ['public', V3_USER.authKey, '']);
+  assert.strictEqual((await testSnmpConnection(restored)).success, true);
+
+  assert.strictEqual(withSavedSnmpSecrets({ ...form, host: '192.0.2.50' }, saved), null);
+  assert.strictEqual(withSavedSnmpSecrets({ ...form, port: 1161 }, saved), null);
+  assert.strictEqual(withSavedSnmpSecrets({ ...form, version: '3' }, saved), null);
+  assert.strictEqual(withSavedSnmpSecrets({ ...form, host: '192.0.2.50', community: '' }, saved), null);
+});
+
+test('secrets typed into the form may go to any host', () => {
+  const saved = { id: 'sw', host: '127.0.0.1', community: 'public' };
+  const form = { id: 'sw', host: '192.0.2.50', community: 'lab', v3: {} };
+  assert.deepStrictEqual(withSavedSnmpSecrets(form, saved), { ...form, v3: { authKey: '', privKey: '' } });
+  assert.deepStrictEqual(withSavedSnmpSecrets(form, undefined), form);
+});
@@ -0,0 +1,42 @@
+// Syslog receiver: hostnames come from unauthenticated packets and must not reach object prototypes.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getConfig } = require('../utils/config');
+const syslog = require('../utils/syslog');
+
+test.beforeEach(() => {
+  getConfig().syslog = { ...getConfig().syslog, enabled: true, allowedHosts: [] };
+  syslog.clearMessages();
+});
+
+test('hostnames such as __proto__ and constructor are ordinary hosts', () => {
+  syslog.ingest('<11>Oct 19 04:00:00 __proto__ app: link down', '192.0.2.10');
+  syslog.ingest('<12>Oct 19 04:00:01 constructor app: high CPU', '192.0.2.11');
+  syslog.ingest('<14>Oct 19 04:00:02 hasOwnProperty app: hello', '192.0.2.12');
+
+  assert.strictEqual({}.source, undefined);
+  assert.strictEqual({}.total, undefined);
+  assert.deepStrictEqual(syslog.getHosts().map((h) => h.host), ['hasOwnProperty', 'constructor', '__proto__']);
+  const proto = syslog.getHosts().find((h) => h.host === '__proto__');
+  assert.strictEqual(proto.total, 1);
+  assert.strictEqual(proto.errors, 1);
+
+  const context = syslog.getSyslogContext();
+  assert.match(context, /- __proto__: 1 message\(s\), 1 error\(s\)/);
+  assert.match(context, /- constructor: 1 message\(s\), 0 error\(s\), 1 warning\(s\)/);
+  assert.strictEqual(syslog.getSyslogStatus().hosts, 3);
+});
+
+test('the host table keeps the most recently seen hosts', () => {
+  for (let i = 0; i < 1005; i++) syslog.ingest(`<14>Oct 19 04:00:00 host-${i} app: up`, '192.0.2.10');
+  syslog.ingest('<14>Oct 19 04:00:00 host-10 app: up again', '192.0.2.10');
+
+  const hosts = syslog.getHosts();
+  assert.strictEqual(hosts.length, 1000);
+  assert.strictEqual(hosts[0].host, 'host-10');
+  assert.strictEqual(hosts[0].total, 2);
+  assert.ok(!hosts.some((h) => h.host === 'host-4'));
+  assert.ok(hosts.some((h) => h.host === 'host-5'));
+  assert.ok(hosts.some((h) => h.host === 'host-1004'));
+});
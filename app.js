@@ -5,12 +5,29 @@ const fs = require('fs');
 const express = require('express');
 const path = require('path');
 const basicAuth = require('express-basic-auth');
-const { aiQuery, streamQuery, getLLMConfig, initializeOpenAI, testOllamaConnection } = require('./utils/llm');
-const { getConfig, updateConfig, reloadConfig } = require('./utils/config');
-const { getMonitoringContext, getMonitoringData, lookupClientByIp, testUniFiConnection, testUniFiSiteManagerConnection, requestSiteManagerPath, invalidateMonitoringCache } = require('./utils/monitoring');
+const { aiQuery, aiQueryWithTools, streamQuery, getLLMConfig, initializeOpenAI, testOllamaConnection } = require('./utils/llm');
+const { getConfig, updateConfig, reloadConfig, rotateSecretKey, getConfigProblems, CONFIG_VERSION } = require('./utils/config');
+const { MASK, maskSecrets, restoreMaskedSecrets, isSavedAddress, getKeyInfo } = require('./utils/secrets');
+const { getMonitoringContext, getMonitoringData, lookupClientByIp, testUniFiConnection, testUniFiSiteManagerConnection, testPrometheusConnection, testSnmpConnection, withSavedSnmpSecrets, requestSiteManagerPath, invalidateMonitoringCache, getMonitoringFreshness, startMonitoringRefresher } = require('./utils/monitoring');
 const { sendTestEmail } = require('./utils/email');
 const { sendWebhook, testWebhook } = require('./utils/webhook');
 const scheduler = require('./utils/scheduler');
+const jobRuns = require('./utils/jobRuns');
+const incidents = require('./utils/incidents');
+const notifications = require('./utils/notifications');
+const history = require('./utils/history');
+const events = require('./utils/events');
+const alerts = require('./utils/alerts');
+const syslog = require('./utils/syslog');
+const { analyzeLogSnippet, formatLogSummary } = require('./utils/logAnalyzer');
+const { TOOL_DEFINITIONS, executeTool } = require('./utils/tools');
+const actions = require('./utils/actions');
+const conversations = require('./utils/conversations');
+const users = require('./utils/users');
+const apiTokens = require('./utils/apiTokens');
+const backup = require('./utils/backup');
+const audit = require('./utils/audit');
+const metrics = require('./utils/metrics');
 
 // Load configuration
 let config = getConfig();
@@ -32,10 +49,12 @@ Keep sections short. Use **bold** for important terms. Prefer bullets and tables
 
 const DEFAULT_INSTRUCTIONS = `You are a network and server monitoring AI assistant. Think like a network administrator.
 
-Use the monitoring data below to answer questions about clients, devices, sites, connectivity, status, VLANs, routes, port forwarding, intrusion/IPS events, logs (event log), and diagnostics.
+Use the monitoring data below to answer questions about clients, devices, sites, connectivity, status, VLANs, routes, port forwarding, intrusion/IPS events, logs (event log and syslog), server metrics (Prometheus), SNMP devices (interfaces, storage, UPS), and diagnostics.
 
 When the user asks for "logs" or "last N items in the logs": use the "UniFi logs" / event log section in the data below; "last 10" = first 10 entries (most recent first). If no entries are listed, say the logs are empty or no events were returned.
 
+When diagnostic tools are available (ping, traceroute, test_port, dns_lookup, lookup_client_by_ip), call them yourself whenever the question needs a live check (e.g. "does the NAS answer on 445?"): work out the host from the conversation and monitoring data, call the tool, then answer from its result. Do not claim you ran a check you did not call.
+
 When the user asks to ping a host or run traceroute, the data below may include "Ping result" or "Traceroute result". Use that output to summarize reachability, latency, and path, and to help diagnose connectivity issues. Results are from the server running this app.
 
 When the user asks to test a port (e.g. "10.0.0.1 port 80", "test port 443 on host"), the data below may include "Port test result". Use it to say whether the port is open or closed/unreachable.
@@ -67,9 +86,16 @@ const DEFAULT_CAPABILITIES = `When the user asks "what can you do?", "what comma
 - **Ping** a host: e.g. "ping 10.69.69.5" or "can you ping it?" (uses the host from our last message).
 - **Traceroute** to a host: e.g. "traceroute to 8.8.8.8" or "traceroute to it".
 - **Test a port**: e.g. "10.69.69.5 port 80", "test port 443 on example.com", or "test port 80 on it" (host from context).
+- Or just ask in your own words (e.g. "can you see if the NAS answers on 445?"): I pick and run the right check, and each one is shown in the chat.
 
 **Logs**
 - Show the last N items in the logs (event log and/or security/threat logs from UniFi).
+- Analyze a pasted log snippet: use **Paste logs** in the chat to get the error/warning patterns and an explanation.
+
+**UniFi actions (chat commands, confirmed before they run)**
+- \`/restart <device>\`, \`/locate <device>\`, \`/unlocate <device>\`, \`/powercycle <switch> <port>\`
+- \`/block <client>\`, \`/unblock <client>\`, \`/reconnect <client>\` (wireless only)
+- Targets are a name, IP or MAC; add \`@<controller or site>\` when it is ambiguous. I cannot run these myself: the user types the command and clicks Confirm.
 
 I only answer questions about these monitored networks and diagnostics; I don’t answer general-knowledge or off-topic questions.`;
 
@@ -127,6 +153,64 @@ function getMonitoringSystemPrompt(monitoringContext) {
   return [scope, '\n\n', instructions, '\n\n**What you can do (use when the user asks "what can you do?", "what commands can you do?", or similar):**\n', capabilities, monitoringBlock, '\n\n', formatting].join('');
 }
 
+/**
+ * System prompt with monitoring, history, syslog and alert context for a request.
+ * diagnostics: false leaves ping/traceroute/port/DNS/IP lookup to LLM tool calls.
+ */
+async function buildMonitoringPrompt(message, conversationHistory = [], diagnostics = true) {
+  let monitoringContext = '';
+  try {
+    monitoringContext = await getMonitoringContext(message, conversationHistory, { diagnostics });
+  } catch (error) {
+    console.log('[Monitoring] Could not fetch monitoring data:', error.message);
+  }
+  monitoringContext += history.getHistoryContext(message);
+  monitoringContext += syslog.getSyslogContext();
+  monitoringContext += alerts.getAlertsContext();
+  return getMonitoringSystemPrompt(monitoringContext);
+}
+
+function getToolCallingConfig() {
+  const t = getConfig().llm?.toolCalling || {};
+  return {
+    enabled: t.enabled !== false,
+    maxSteps: Math.min(10, Math.max(1, parseInt(t.maxSteps, 10) || 5)),
+  };
+}
+
+const VIEWER_PROMPT_NOTE = '\n\n**This user may not run diagnostics:** answer from the monitoring data only. Ping, traceroute, port tests, DNS and IP lookups are not available to them; if asked, say an operator or admin (or an API token with the diagnostics scope) can run them.';
+
+/**
+ * Answer a request using the monitoring data. With tool calling on, the model runs diagnostics itself
+ * (ping, traceroute, port test, DNS, IP lookup); models without tool support fall back to the
+ * diagnostics detected from the message. allowDiagnostics: false (viewers) answers from the data only.
+ * Returns { response, toolCalls }.
+ */
+async function answerWithMonitoring(message, conversationHistory = [], { onToolCall, allowDiagnostics = true, signal } = {}) {
+  if (!allowDiagnostics) {
+    const systemPrompt = (await buildMonitoringPrompt(message, conversationHistory, false)) + VIEWER_PROMPT_NOTE;
+    return { response: await aiQuery(message, systemPrompt, conversationHistory, { signal }), toolCalls: [] };
+  }
+  const toolCalling = getToolCallingConfig();
+  if (toolCalling.enabled) {
+    try {
+      const systemPrompt = await buildMonitoringPrompt(message, conversationHistory, false);
+      return await aiQueryWithTools(message, systemPrompt, conversationHistory, {
+        tools: TOOL_DEFINITIONS,
+        executeTool,
+        maxSteps: toolCalling.maxSteps,
+        onToolCall,
+        signal,
+      });
+    } catch (error) {
+      if (error.code !== 'TOOLS_UNSUPPORTED') throw error;
+      console.log(`[LLM] ${error.message}; using detected diagnostics instead`);
+    }
+  }
+  const systemPrompt = await buildMonitoringPrompt(message, conversationHistory, true);
+  return { response: await aiQuery(message, systemPrompt, conversationHistory, { signal }), toolCalls: [] };
+}
+
 function getDiagnosticsSystemPrompt() {
   const p = loadPersonality();
   const formatting = p.formatting.trim() || DEFAULT_FORMATTING;
@@ -151,83 +235,137 @@ function addDashboardLog(level, source, message, detail) {
   if (dashboardLog.length > MAX_DASHBOARD_LOG) dashboardLog.shift();
 }
 
+/** Audit-log an action by the caller (user or API token); fields as in utils/audit.js recordAudit */
+function auditRequest(req, action, fields = {}) {
+  audit.recordAudit({ actor: req.user?.username, source: req.user?.token ? 'api-token' : 'web', action, ...fields });
+}
+
+const requestTarget = (req) => `${req.method} ${req.originalUrl.split('?')[0]}`;
+
 // ==================== Web Interface ====================
 
 const webApp = express();
-webApp.use(express.json());
+webApp.use(express.json({ limit: '1mb' }));
 webApp.use(express.static(path.join(__dirname, 'public')));
 
-// Basic authentication middleware
-const getAuthConfig = () => {
-  const currentConfig = getConfig();
-  const username = currentConfig.web?.auth?.username || process.env.WEB_AUTH_USERNAME || 'admin';
-  const password = currentConfig.web?.auth?.password || process.env.WEB_AUTH_PASSWORD || 'admin';
-  
-  const users = {};
-  users[username] = password;
-  
-  return {
-    users: users,
-    challenge: true,
-    realm: 'NetworkBot Configuration',
-  };
-};
+// API tokens (utils/apiTokens.js): "Authorization: Bearer nbt_…" is checked against the token's scopes
+// instead of a role; requests without a bearer token go on to Basic Auth
+webApp.use('/api', (req, res, next) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) return next();
+  const token = apiTokens.verifyToken(match[1]);
+  if (!token) {
+    addDashboardLog('warning', 'auth', 'Rejected API token', 'Unknown, revoked or expired');
+    audit.recordAuthFailure({ actor: 'unknown', source: 'api-token', action: 'auth.token', target: requestTarget(req), detail: 'Unknown, revoked or expired token' });
+    return res.status(401).json({ error: 'Invalid, revoked or expired API token' });
+  }
+  req.user = { username: `token:${token.name}`, role: null, token };
+  const scope = apiTokens.scopeForRequest(req.method, req.originalUrl.split('?')[0]);
+  const denied = !scope ? 'API tokens cannot use this endpoint' : !apiTokens.hasScope(token.scopes, scope) ? `Token is missing the ${scope} scope` : null;
+  if (denied) {
+    auditRequest(req, 'auth.access', { target: requestTarget(req), result: 'denied', detail: denied });
+    return res.status(403).json({ error: denied });
+  }
+  next();
+});
 
-// Apply auth to API routes - use authorizer function for dynamic config
-webApp.use('/api', basicAuth({
+// Basic authentication middleware – accounts come from the user store (utils/users.js); while it is
+// empty, the single web.auth account (or WEB_AUTH_USERNAME/PASSWORD, default admin/admin) logs in as admin
+const basicAuthMiddleware = basicAuth({
   authorizer: (username, password) => {
-    const authConfig = getAuthConfig();
-    const validUser = Object.keys(authConfig.users)[0];
-    const validPassword = authConfig.users[validUser];
-    const ok = basicAuth.safeCompare(username, validUser) && basicAuth.safeCompare(password, validPassword);
+    const ok = users.verifyCredentials(username, password) !== null;
     if (!ok) {
       const safeUser = typeof username === 'string' ? username.slice(0, 50).replace(/[^\w@.\-]/g, '?') : '?';
       addDashboardLog('warning', 'auth', 'Failed authentication attempt', `User: ${safeUser}`);
+      audit.recordAuthFailure({ actor: safeUser, source: 'web', action: 'auth.login', detail: 'Wrong username or password' });
     }
     return ok;
   },
   challenge: true,
   realm: 'NetworkBot Configuration',
-}));
+});
+webApp.use('/api', (req, res, next) => (req.user?.token ? next() : basicAuthMiddleware(req, res, next)));
+
+// Sign-ins are audit-logged once per user per LOGIN_AUDIT_MS (Basic Auth sends credentials with every request)
+const LOGIN_AUDIT_MS = 30 * 60 * 1000;
+const lastLoginAudit = new Map(); // username → time of the last auth.login entry
+
+// Who is calling: req.user = { username, role } (token requests are already set up above)
+webApp.use('/api', (req, res, next) => {
+  if (req.user?.token) return next();
+  const role = users.getRole(req.auth?.user);
+  if (!role) {
+    audit.recordAuthFailure({ actor: String(req.auth?.user || '?').slice(0, 64), source: 'web', action: 'auth.login', detail: 'Unknown or disabled user' });
+    return res.status(401).json({ error: 'Unknown or disabled user' });
+  }
+  req.user = { username: users.findUser(req.auth.user)?.username || req.auth.user, role };
+  if (Date.now() - (lastLoginAudit.get(req.user.username) || 0) >= LOGIN_AUDIT_MS) {
+    lastLoginAudit.set(req.user.username, Date.now());
+    auditRequest(req, 'auth.login', { detail: `Role ${role}` });
+  }
+  next();
+});
+
+/** Route guard: viewer < operator < admin. API tokens were checked against their scopes instead. */
+const requireRole = (role) => (req, res, next) => {
+  if (req.user?.token || users.hasRole(req.user?.role, role)) return next();
+  auditRequest(req, 'auth.access', { target: requestTarget(req), result: 'denied', detail: `Requires ${role} role` });
+  res.status(403).json({ error: `Requires ${role} role` });
+};
+
+/** Whether the caller may use a feature inside a route: users by role, API tokens by scope */
+const canUse = (req, role, scope) => (req.user?.token ? apiTokens.hasScope(req.user.token.scopes, scope) : users.hasRole(req.user?.role, role));
+
+// GET /metrics - Prometheus exporter (utils/metrics.js). Scrapers send "Authorization: Bearer <token>" with
+// metrics.token or an API token with the monitoring:read scope; signed-in users can use Basic Auth.
+webApp.get('/metrics', (req, res, next) => {
+  if (!metrics.getMetricsConfig().enabled) return res.status(404).json({ error: 'Metrics are disabled' });
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return basicAuthMiddleware(req, res, () => (users.getRole(req.auth?.user)
+      ? next()
+      : res.status(401).json({ error: 'Unknown or disabled user' })));
+  }
+  if (metrics.checkScrapeToken(match[1])) return next();
+  const token = apiTokens.verifyToken(match[1]);
+  if (token && apiTokens.hasScope(token.scopes, 'monitoring:read')) return next();
+  const detail = token ? 'Token is missing the monitoring:read scope' : 'Unknown metrics token';
+  addDashboardLog('warning', 'auth', 'Rejected metrics scrape', detail);
+  audit.recordAudit({ actor: token ? `token:${token.name}` : 'unknown', source: 'api-token', action: token ? 'auth.access' : 'auth.token', target: requestTarget(req), result: token ? 'denied' : 'failure', detail });
+  res.status(token ? 403 : 401).json({ error: detail });
+}, async (req, res) => {
+  let monitoring = null;
+  try {
+    monitoring = await getMonitoringData();
+  } catch (error) {
+    console.error('[Metrics] Could not collect monitoring data:', error.message);
+  }
+  res.set('Content-Type', metrics.CONTENT_TYPE).send(metrics.renderMetrics({ monitoring, heartbeat: scheduler.getHeartbeat() }));
+});
 
 // API Routes
 
-// GET /api/config - Get current configuration
-webApp.get('/api/config', (req, res) => {
+// GET /api/config - Get current configuration (operators and admins: webhook and channel URLs carry their own secrets)
+webApp.get('/api/config', requireRole('operator'), (req, res) => {
   try {
-    const currentConfig = getConfig();
-    // Don't send sensitive data in response
-    const safeConfig = JSON.parse(JSON.stringify(currentConfig));
-    if (safeConfig.web?.auth?.password) {
-      safeConfig.web.auth.password = safeConfig.web.auth.password ? '***hidden***' : '';
-    }
-    if (safeConfig.llm?.openai?.apiKey) {
-      safeConfig.llm.openai.apiKey = safeConfig.llm.openai.apiKey ? '***hidden***' : '';
-    }
-    if (safeConfig.email?.smtp?.auth?.pass) {
-      safeConfig.email.smtp.auth.pass = '***hidden***';
-    }
-    res.json(safeConfig);
+    // Secrets (API keys, passwords, SNMP communities) never leave the server
+    res.json(maskSecrets(getConfig()));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // PUT /api/config - Update configuration
-webApp.put('/api/config', async (req, res) => {
+webApp.put('/api/config', requireRole('admin'), async (req, res) => {
   try {
     const updates = req.body;
-    // Preserve existing Site Manager API key when client sends empty (e.g. masked value not re-entered)
-    if (updates.monitoring?.siteManager && (updates.monitoring.siteManager.apiKey === '' || updates.monitoring.siteManager.apiKey === '***hidden***')) {
-      const existing = getConfig().monitoring?.siteManager?.apiKey;
-      if (existing && existing !== '***hidden***') updates.monitoring.siteManager.apiKey = existing;
-    }
-    // Preserve existing email SMTP password when client sends empty or masked
-    if (updates.email?.smtp?.auth && (updates.email.smtp.auth.pass === '' || updates.email.smtp.auth.pass === '***hidden***')) {
-      const existing = getConfig().email?.smtp?.auth?.pass;
-      if (existing && existing !== '***hidden***') updates.email.smtp.auth.pass = existing;
-    }
+    // The browser sends secrets back masked (or empty when not re-entered): keep the saved values
+    restoreMaskedSecrets(updates, getConfig());
+    const previousConfig = getConfig();
+    const previousSyslog = JSON.stringify(previousConfig.syslog || {});
     const updatedConfig = updateConfig(updates);
+    const changes = audit.diffConfig(previousConfig, updatedConfig);
+    auditRequest(req, 'config.update', { detail: `${changes.length} field(s) changed`, changes });
 
     // Reload config
     config = getConfig();
@@ -240,37 +378,52 @@ webApp.put('/api/config', async (req, res) => {
     // Invalidate monitoring cache when monitoring config changes
     if (updates.monitoring) {
       invalidateMonitoringCache();
+      startMonitoringRefresher();
     }
-    
-    // Don't send sensitive fields in response
-    const safeConfig = JSON.parse(JSON.stringify(updatedConfig));
-    if (safeConfig.web?.auth?.password) {
-      safeConfig.web.auth.password = '***hidden***';
-    }
-    if (safeConfig.llm?.openai?.apiKey) {
-      safeConfig.llm.openai.apiKey = safeConfig.llm.openai.apiKey ? '***hidden***' : '';
+
+    // Restart history sampling so a new interval or enabled flag takes effect
+    if (updates.history) {
+      history.startHistory({ addDashboardLog });
     }
-    if (safeConfig.monitoring?.unifi?.controllers) {
-      safeConfig.monitoring.unifi.controllers = safeConfig.monitoring.unifi.controllers.map(c => ({
-        ...c,
-        apiKey: c.apiKey ? '***hidden***' : '',
-      }));
+
+    // Restart change detection so a new poll interval or enabled flag takes effect
+    if (updates.events) {
+      events.startEvents({ addDashboardLog });
     }
-    if (safeConfig.monitoring?.siteManager?.apiKey) {
-      safeConfig.monitoring.siteManager = { ...safeConfig.monitoring.siteManager, apiKey: '***hidden***' };
+
+    // Restart the alert engine so a new evaluation interval or enabled flag takes effect
+    if (updates.alerts) {
+      alerts.startAlerts();
     }
-    if (safeConfig.email?.smtp?.auth?.pass) {
-      safeConfig.email.smtp.auth.pass = '***hidden***';
+
+    // Rebind the syslog listeners so a new port, transport or enabled flag takes effect
+    if (updates.syslog && JSON.stringify(updatedConfig.syslog || {}) !== previousSyslog) {
+      syslog.startSyslog({ addDashboardLog });
     }
 
-    res.json(safeConfig);
+    // Reschedule automatic backups so a new interval, directory or enabled flag takes effect
+    if (updates.backup) {
+      backup.startBackups({ addDashboardLog });
+    }
+    
+    res.json(maskSecrets(updatedConfig));
   } catch (error) {
+    if (error.code === 'CONFIG_INVALID') {
+      auditRequest(req, 'config.update', { result: 'failure', detail: `Invalid: ${error.errors.map((e) => e.path).join(', ')}` });
+      return res.status(400).json({ error: 'Invalid configuration', errors: error.errors });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
+// GET /api/config/validation - Schema problems in the saved configuration (e.g. after editing config.json by hand)
+webApp.get('/api/config/validation', (req, res) => {
+  const errors = getConfigProblems();
+  res.json({ configVersion: getConfig().configVersion, currentVersion: CONFIG_VERSION, valid: errors.length === 0, errors });
+});
+
 // POST /api/config/test-email - Send a test notification email using current config
-webApp.post('/api/config/test-email', async (req, res) => {
+webApp.post('/api/config/test-email', requireRole('admin'), async (req, res) => {
   try {
     const result = await sendTestEmail();
     res.json(result);
@@ -279,18 +432,60 @@ webApp.post('/api/config/test-email', async (req, res) => {
   }
 });
 
-// POST /api/config/test-webhook - Send a test webhook using current config
-webApp.post('/api/config/test-webhook', async (req, res) => {
+/**
+ * A webhook target from a test form with the secrets left '' or masked filled in by restore (from saved, the saved
+ * webhook or channel). Saved secrets only go to the saved type and url: null when the form would need them elsewhere.
+ */
+function withSavedSecrets(form, saved, restore) {
+  const restored = restore(JSON.parse(JSON.stringify(form)));
+  if (saved && form.type === saved.type && isSavedAddress(form.url, saved.url)) return restored;
+  return JSON.stringify(restored) === JSON.stringify(form) ? form : null;
+}
+
+const SECRETS_FOR_SAVED_ADDRESS = 'Enter the secrets again to test a different URL or type';
+
+// POST /api/config/test-webhook - Send a test webhook using current config, or the form values in the body
+// ({ type, url, telegram, gotify, pushover, pagerduty, opsgenie }; secrets left '' or masked use the saved ones
+// while type and url are the saved ones)
+webApp.post('/api/config/test-webhook', requireRole('admin'), async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === 'object' && req.body.type ? req.body : null;
+    if (!body) return res.json(await testWebhook());
+    const target = withSavedSecrets(body, getConfig().webhook, (form) => restoreMaskedSecrets({ webhook: form }, getConfig()).webhook);
+    if (!target) return res.status(400).json({ success: false, error: SECRETS_FOR_SAVED_ADDRESS });
+    res.json(await testWebhook(target));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/config/test-channel - Send a test message to a notification channel as entered
+// (body: { id, kind, type, url, credentials, to, name }; secrets left '' or masked use the saved channel's
+// while type and url are the saved ones)
+webApp.post('/api/config/test-channel', requireRole('admin'), async (req, res) => {
   try {
-    const result = await testWebhook();
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const saved = (getConfig().notifications?.channels || []).find((c) => body.id && c.id === body.id);
+    const channel = withSavedSecrets(body, saved, (form) => restoreMaskedSecrets({ notifications: { channels: [form] } }, getConfig()).notifications.channels[0]);
+    if (!channel) return res.status(400).json({ success: false, error: SECRETS_FOR_SAVED_ADDRESS });
+    const result = await notifications.testChannel(channel);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// GET /api/notifications/channels - Notification channels for pickers (no URLs or recipients)
+webApp.get('/api/notifications/channels', (req, res) => {
+  try {
+    res.json(notifications.listChannels());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/config/test - Test current configuration
-webApp.post('/api/config/test', async (req, res) => {
+webApp.post('/api/config/test', requireRole('admin'), async (req, res) => {
   try {
     const llmConfig = getLLMConfig();
     
@@ -314,7 +509,7 @@ webApp.post('/api/config/test', async (req, res) => {
 });
 
 // POST /api/config/test-ollama - Test Ollama connection with custom params
-webApp.post('/api/config/test-ollama', async (req, res) => {
+webApp.post('/api/config/test-ollama', requireRole('admin'), async (req, res) => {
   try {
     const { baseUrl, model } = req.body;
     if (!baseUrl || !model) {
@@ -329,33 +524,354 @@ webApp.post('/api/config/test-ollama', async (req, res) => {
 });
 
 // POST /api/config/reload - Reload configuration from file
-webApp.post('/api/config/reload', (req, res) => {
+webApp.post('/api/config/reload', requireRole('admin'), (req, res) => {
   try {
+    const previousConfig = getConfig();
     const reloadedConfig = reloadConfig();
     initializeOpenAI(); // Reinitialize OpenAI client
     invalidateMonitoringCache(); // Clear stale monitoring cache
+    auditRequest(req, 'config.reload', { changes: audit.diffConfig(previousConfig, reloadedConfig) });
     
-    const safeConfig = JSON.parse(JSON.stringify(reloadedConfig));
-    if (safeConfig.web?.auth?.password) {
-      safeConfig.web.auth.password = '***hidden***';
-    }
-    
-    res.json(safeConfig);
+    res.json(maskSecrets(reloadedConfig));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/config/secret-key - Where the encryption key for config secrets comes from (never the key)
+webApp.get('/api/config/secret-key', requireRole('admin'), (req, res) => {
+  const info = getKeyInfo();
+  res.json(info ? { source: info.source, file: info.file, id: info.id } : { source: null });
+});
+
+// POST /api/config/rotate-secret-key - Re-encrypt config secrets with a new key. Body: { newKey? }
+// With NETWORKBOT_SECRET_KEY the new key is returned once and must replace the variable before the next restart.
+webApp.post('/api/config/rotate-secret-key', requireRole('admin'), (req, res) => {
+  try {
+    const result = rotateSecretKey({ newKey: req.body?.newKey });
+    config = getConfig();
+    addDashboardLog('info', 'config', 'Secret key rotated', `${result.previousId} → ${result.id} (${result.count} secret(s)), by ${req.user.username}`);
+    auditRequest(req, 'config.rotate_secret_key', { target: result.id, detail: `${result.previousId} → ${result.id}, ${result.count} secret(s)` });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    auditRequest(req, 'config.rotate_secret_key', { result: 'failure', detail: error.message });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== Backup API ====================
+
+// POST /api/backup - Download an archive of config, personality, schedules and all stores.
+// Body: { secrets: 'exclude'|'encrypt', passphrase } – excluded secrets are emptied in the archive.
+webApp.post('/api/backup', requireRole('admin'), (req, res) => {
+  try {
+    const result = backup.createBackup({ secrets: req.body?.secrets || 'exclude', passphrase: req.body?.passphrase });
+    addDashboardLog('info', 'backup', 'Backup downloaded', `Secrets ${result.summary.secrets}, by ${req.user.username}`);
+    auditRequest(req, 'backup.download', { target: result.fileName, detail: `Secrets ${result.summary.secrets}` });
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    res.type('application/gzip').send(result.buffer);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/backups - Scheduled backup settings and the archives in the backup directory
+webApp.get('/api/backups', requireRole('admin'), (req, res) => {
+  try {
+    const { passphrase, ...cfg } = backup.getBackupConfig();
+    res.json({ ...cfg, passphraseSet: !!passphrase, items: backup.listBackups() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/monitoring/data - Get current monitoring data
+// POST /api/backups/run - Write a backup to the backup directory now (configured secrets mode)
+webApp.post('/api/backups/run', requireRole('admin'), (req, res) => {
+  try {
+    const result = backup.runBackup(addDashboardLog);
+    auditRequest(req, 'backup.run', { target: result.name });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    auditRequest(req, 'backup.run', { result: 'failure', detail: error.message });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/backups/:name - Download an archive from the backup directory
+webApp.get('/api/backups/:name', requireRole('admin'), (req, res) => {
+  const file = backup.getBackupPath(req.params.name);
+  if (!file) return res.status(404).json({ error: 'Backup not found' });
+  res.download(file, req.params.name);
+});
+
+// POST /api/restore?dryRun=1&only=config.json,schedules.json - Import an archive (request body is the file).
+// The passphrase for encrypted secrets goes in the X-Backup-Passphrase header. dryRun returns the preview only;
+// otherwise a pre-restore copy is written to the backup directory first.
+webApp.post('/api/restore', requireRole('admin'), express.raw({ type: () => true, limit: backup.MAX_ARCHIVE_BYTES }), (req, res) => {
+  let archive;
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.from(JSON.stringify(req.body || ''));
+    archive = backup.parseBackup(body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+  const options = {
+    dryRun,
+    passphrase: req.get('X-Backup-Passphrase') || '',
+    only: req.query.only ? String(req.query.only).split(',').map((s) => s.trim()).filter(Boolean) : null,
+    username: req.user.username,
+  };
+  try {
+    const previousConfig = getConfig();
+    const result = backup.restoreBackup(archive, options);
+    if (!dryRun) {
+      restartAfterRestore();
+      addDashboardLog('warning', 'backup', 'Backup restored', `${result.restored.join(', ')} from ${result.backup.createdAt}, by ${req.user.username}`);
+      auditRequest(req, 'backup.restore', {
+        target: result.restored.join(', '),
+        detail: `Backup from ${result.backup.createdAt}; previous state in ${result.safetyBackup}`,
+        changes: result.restored.includes('config.json') ? audit.diffConfig(previousConfig, getConfig()) : undefined,
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    if (!dryRun) auditRequest(req, 'backup.restore', { result: 'failure', detail: error.message });
+    if (error.code === 'BACKUP_INVALID') return res.status(400).json({ error: error.message, ...error.preview });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/** After a restore: pick up the new config and restart everything that reads it */
+function restartAfterRestore() {
+  config = getConfig();
+  initializeOpenAI();
+  invalidateMonitoringCache();
+  startMonitoringRefresher();
+  history.startHistory({ addDashboardLog });
+  events.startEvents({ addDashboardLog });
+  alerts.startAlerts();
+  syslog.startSyslog({ addDashboardLog });
+  backup.startBackups({ addDashboardLog });
+}
+
+// GET /api/monitoring/data - Get current monitoring data (cached per source; freshness shows each resource's age)
 webApp.get('/api/monitoring/data', async (req, res) => {
   try {
     const data = await getMonitoringData();
-    res.json(data);
+    res.json({ ...data, freshness: getMonitoringFreshness() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== History API ====================
+
+// GET /api/history?from=&to=&resolution=auto|raw|hourly|daily&step=15m&series=&controller=&site=
+// Time-series of device/client/controller counts per controller/site and in total
+webApp.get('/api/history', (req, res) => {
+  try {
+    const result = history.queryHistory({
+      from: req.query.from,
+      to: req.query.to,
+      resolution: req.query.resolution,
+      step: req.query.step,
+      series: req.query.series,
+      controllerId: req.query.controller,
+      site: req.query.site,
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/history/at?time=2024-05-01T09:00:00Z – Stored snapshot closest to a point in time
+webApp.get('/api/history/at', (req, res) => {
+  try {
+    if (!req.query.time) return res.status(400).json({ error: 'Missing query parameter: time' });
+    const sample = history.getSampleAt(req.query.time);
+    if (!sample) return res.status(404).json({ error: 'No history recorded yet' });
+    res.json(sample);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/history/series – Known series with first/last sample time
+webApp.get('/api/history/series', (req, res) => {
+  try {
+    res.json(history.listSeries());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/history/stats – Retention settings and stored sample counts
+webApp.get('/api/history/stats', (req, res) => {
+  try {
+    res.json(history.getHistoryStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== Events API ====================
+
+// GET /api/events?type=device_offline,new_alarm&severity=&controller=&site=&since=&until=&q=&limit=&offset=
+// State changes detected between monitoring snapshots (newest first)
+webApp.get('/api/events', (req, res) => {
+  try {
+    res.json(events.listEvents({
+      type: req.query.type,
+      severity: req.query.severity,
+      controller: req.query.controller,
+      site: req.query.site,
+      since: req.query.since,
+      until: req.query.until,
+      q: req.query.q,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/events/types – Known event types with default severity
+webApp.get('/api/events/types', (req, res) => {
+  res.json(events.EVENT_TYPES);
+});
+
+// DELETE /api/events – Clear the event feed
+webApp.delete('/api/events', requireRole('operator'), (req, res) => {
+  try {
+    events.clearEvents();
+    auditRequest(req, 'events.clear');
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== Syslog API ====================
+
+// GET /api/syslog?host=&level=error,warning&severity=&app=&since=&until=&q=&limit=&offset=
+// Messages received by the built-in syslog receiver (newest first)
+webApp.get('/api/syslog', (req, res) => {
+  try {
+    res.json(syslog.listMessages({
+      host: req.query.host,
+      level: req.query.level,
+      severity: req.query.severity,
+      app: req.query.app,
+      since: req.query.since,
+      until: req.query.until,
+      q: req.query.q,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/syslog/hosts – Hosts that sent syslog, with message/error/warning counts
+webApp.get('/api/syslog/hosts', (req, res) => {
+  res.json({ status: syslog.getSyslogStatus(), hosts: syslog.getHosts() });
+});
+
+// DELETE /api/syslog – Clear the syslog buffer
+webApp.delete('/api/syslog', requireRole('operator'), (req, res) => {
+  syslog.clearMessages();
+  auditRequest(req, 'syslog.clear');
+  res.json({ success: true });
+});
+
+// ==================== Alerts API ====================
+
+// GET /api/alerts/rules – All alert rules with their current state
+webApp.get('/api/alerts/rules', (req, res) => {
+  try {
+    res.json(alerts.getRules());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/alerts/rules/:id – One rule with its current state
+webApp.get('/api/alerts/rules/:id', (req, res) => {
+  const rule = alerts.getRule(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+  res.json(rule);
+});
+
+// POST /api/alerts/rules – Create a rule
+webApp.post('/api/alerts/rules', requireRole('operator'), (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = alerts.validateRule(body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const rule = alerts.addRule(body);
+    auditRequest(req, 'alert_rule.create', { target: rule.name || rule.id });
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/alerts/rules/:id – Update a rule (resets its state)
+webApp.put('/api/alerts/rules/:id', requireRole('operator'), (req, res) => {
+  try {
+    const existing = alerts.getRule(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Rule not found' });
+    const merged = { ...existing, ...(req.body || {}) };
+    const invalid = alerts.validateRule(merged);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const rule = alerts.updateRule(req.params.id, req.body || {});
+    auditRequest(req, 'alert_rule.update', { target: rule?.name || req.params.id, detail: Object.keys(req.body || {}).join(', ') });
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/alerts/rules/:id – Delete a rule
+webApp.delete('/api/alerts/rules/:id', requireRole('operator'), (req, res) => {
+  try {
+    const existing = alerts.getRule(req.params.id);
+    const deleted = alerts.deleteRule(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Rule not found' });
+    auditRequest(req, 'alert_rule.delete', { target: existing?.name || req.params.id });
+    res.status(204).send();
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// POST /api/alerts/test – Evaluate a (possibly unsaved) rule against current monitoring data
+webApp.post('/api/alerts/test', requireRole('operator'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = alerts.validateRule(body);
+    if (invalid) return res.status(400).json({ success: false, error: invalid });
+    const data = await getMonitoringData();
+    res.json({ success: true, ...alerts.testRule(body, data) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/alerts/active – Currently firing alerts
+webApp.get('/api/alerts/active', (req, res) => {
+  res.json(alerts.getFiringAlerts().map(({ rule, status }) => ({ ...rule, status })));
+});
+
+// GET /api/alerts/metrics – Metrics, scopes and operators available for rules
+webApp.get('/api/alerts/metrics', (req, res) => {
+  res.json(alerts.getAvailableMetrics());
+});
+
 // GET /api/monitoring/cloud - Get all cloud (Site Manager) data currently fetched
 webApp.get('/api/monitoring/cloud', async (req, res) => {
   try {
@@ -370,7 +886,7 @@ webApp.get('/api/monitoring/cloud', async (req, res) => {
 });
 
 // POST /api/monitoring/cloud-request - Request an arbitrary cloud API path (e.g. { "path": "/api/list-alerts" })
-webApp.post('/api/monitoring/cloud-request', async (req, res) => {
+webApp.post('/api/monitoring/cloud-request', requireRole('operator'), async (req, res) => {
   try {
     const apiPath = req.body?.path;
     const result = await requestSiteManagerPath(apiPath);
@@ -384,13 +900,22 @@ webApp.post('/api/monitoring/cloud-request', async (req, res) => {
 });
 
 // POST /api/monitoring/test-unifi - Test UniFi Network connection
-webApp.post('/api/monitoring/test-unifi', async (req, res) => {
+webApp.post('/api/monitoring/test-unifi', requireRole('admin'), async (req, res) => {
   try {
-    const { baseUrl, apiKey, site, verifySSL } = req.body;
+    const { id, baseUrl, site, allSites, verifySSL } = req.body;
+    let { apiKey } = req.body;
+    // Fall back to the saved key when the form still shows the masked value, for the saved URL only
+    if (!apiKey || apiKey === MASK) {
+      const saved = (getConfig().monitoring?.unifi?.controllers || []).find((c) => id && c.id === id);
+      if (saved?.apiKey && !isSavedAddress(baseUrl, saved.baseUrl)) {
+        return res.status(400).json({ success: false, message: 'Enter the API key again to test a different URL' });
+      }
+      apiKey = saved?.apiKey;
+    }
     if (!baseUrl || !apiKey) {
       return res.status(400).json({ success: false, message: 'baseUrl and apiKey are required' });
     }
-    const config = { baseUrl, apiKey, site: site || 'default', verifySSL: verifySSL !== false };
+    const config = { baseUrl, apiKey, site: site || 'default', allSites: allSites === true, verifySSL: verifySSL !== false };
     const result = await testUniFiConnection(config);
     res.json(result);
   } catch (error) {
@@ -399,9 +924,17 @@ webApp.post('/api/monitoring/test-unifi', async (req, res) => {
 });
 
 // POST /api/monitoring/test-site-manager - Test UniFi Site Manager connection
-webApp.post('/api/monitoring/test-site-manager', async (req, res) => {
+webApp.post('/api/monitoring/test-site-manager', requireRole('admin'), async (req, res) => {
   try {
-    const { apiKey, baseUrl, verifySSL } = req.body;
+    const { baseUrl, verifySSL } = req.body;
+    let { apiKey } = req.body;
+    if (!apiKey || apiKey === MASK) {
+      const saved = getConfig().monitoring?.siteManager || {};
+      if (saved.apiKey && !isSavedAddress(baseUrl || 'https://api.ui.com', saved.baseUrl || 'https://api.ui.com')) {
+        return res.status(400).json({ success: false, message: 'Enter the API key again to test a different URL' });
+      }
+      apiKey = saved.apiKey;
+    }
     if (!apiKey) {
       return res.status(400).json({ success: false, message: 'apiKey is required' });
     }
@@ -417,45 +950,472 @@ webApp.post('/api/monitoring/test-site-manager', async (req, res) => {
   }
 });
 
+// POST /api/monitoring/test-prometheus - Test Prometheus connection
+webApp.post('/api/monitoring/test-prometheus', requireRole('admin'), async (req, res) => {
+  try {
+    const { baseUrl, username, password, verifySSL } = req.body;
+    if (!baseUrl) {
+      return res.status(400).json({ success: false, message: 'baseUrl is required' });
+    }
+    // Fall back to the saved password when the form still shows the masked value, for the saved URL only
+    let authPassword = password;
+    if (username && (!password || password === MASK)) {
+      const saved = getConfig().monitoring?.prometheus || {};
+      if (saved.basicAuth?.password && !isSavedAddress(baseUrl, saved.baseUrl)) {
+        return res.status(400).json({ success: false, message: 'Enter the password again to test a different URL' });
+      }
+      authPassword = saved.basicAuth?.password || '';
+    }
+    const config = {
+      baseUrl,
+      basicAuth: username ? { username, password: authPassword } : null,
+      verifySSL: verifySSL !== false,
+    };
+    const result = await testPrometheusConnection(config);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// POST /api/monitoring/test-snmp - Test an SNMP target (v2c community or v3 user)
+webApp.post('/api/monitoring/test-snmp', requireRole('admin'), async (req, res) => {
+  try {
+    const target = { ...(req.body || {}) };
+    if (!target.host) {
+      return res.status(400).json({ success: false, message: 'host is required' });
+    }
+    // Fall back to the saved secrets when the form still shows the masked values, for the saved host only
+    const saved = (getConfig().monitoring?.snmp?.targets || []).find((t) => t.id && t.id === target.id);
+    const restored = withSavedSnmpSecrets(target, saved);
+    if (!restored) {
+      return res.status(400).json({ success: false, message: 'Enter the community/keys again to test a different host' });
+    }
+    const result = await testSnmpConnection(restored);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // GET /api/lookup/ip?q=192.168.1.50 - Look up where an IP is connected (UniFi)
-webApp.get('/api/lookup/ip', async (req, res) => {
+webApp.get('/api/lookup/ip', requireRole('operator'), async (req, res) => {
   try {
     const ip = (req.query.q || req.query.ip || '').trim();
     if (!ip) return res.status(400).json({ success: false, error: 'Missing query parameter: q or ip' });
     const result = await lookupClientByIp(ip);
+    auditRequest(req, 'diagnostics.lookup_ip', { target: ip, result: result.success === false ? 'failure' : 'success' });
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// ==================== Incidents API ====================
+
+// GET /api/incidents?status=active&source=&sourceId=&severity=&q=&limit=&offset= – Incidents, newest first
+webApp.get('/api/incidents', (req, res) => {
+  try {
+    res.json(incidents.listIncidents(req.query));
+  } catch (error) {
+    res.status(error.code === 'INCIDENT_INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// GET /api/incidents/:id – One incident with its history
+webApp.get('/api/incidents/:id', (req, res) => {
+  const incident = incidents.getIncident(req.params.id);
+  if (!incident) return res.status(404).json({ error: 'Incident not found' });
+  res.json(incident);
+});
+
+const INCIDENT_ERROR_STATUS = { INCIDENT_NOT_FOUND: 404, INCIDENT_FINISHED: 409, INCIDENT_INVALID: 400 };
+
+// POST /api/incidents/:id/acknowledge | snooze (body: { minutes }, 0 ends it) | close
+webApp.post('/api/incidents/:id/:op(acknowledge|snooze|close)', requireRole('operator'), (req, res) => {
+  try {
+    const by = req.user?.username;
+    const { id, op } = req.params;
+    const incident = op === 'acknowledge'
+      ? incidents.acknowledge(id, by)
+      : (op === 'snooze' ? incidents.snooze(id, req.body?.minutes, by) : incidents.close(id, by));
+    auditRequest(req, `incident.${op}`, { target: incident.title, detail: op === 'snooze' ? `until ${incident.snoozedUntil || '(ended)'}` : undefined });
+    res.json(incident);
+  } catch (error) {
+    res.status(INCIDENT_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+  }
+});
+
+// ==================== UniFi Actions API ====================
+
+// GET /api/unifi/actions – Available write actions
+webApp.get('/api/unifi/actions', (req, res) => {
+  res.json(actions.ACTION_TYPES);
+});
+
+// POST /api/unifi/actions – Prepare an action; nothing is sent to the controller until it is confirmed
+// Body: { action, target (MAC, IP or name), port? (power_cycle_port), scope? (controller or site) }
+webApp.post('/api/unifi/actions', requireRole('operator'), async (req, res) => {
+  try {
+    const { action, target, port, scope } = req.body || {};
+    const prepared = await actions.prepareAction({ action, target, port, scope }, { actor: req.user.username, source: 'api' });
+    auditRequest(req, 'unifi_action.prepare', { target: prepared.summary });
+    res.status(201).json({ success: true, pendingAction: prepared });
+  } catch (error) {
+    auditRequest(req, 'unifi_action.prepare', { target: `${action || '?'} ${target || ''}`.trim(), result: 'failure', detail: error.message });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/unifi/actions/:token/confirm – Run a prepared action (single use)
+webApp.post('/api/unifi/actions/:token/confirm', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await actions.confirmAction(req.params.token, { actor: req.user.username });
+    const ok = result.status === 'success';
+    if (ok) {
+      addDashboardLog('info', 'actions', result.summary, `By ${result.actor || 'unknown'}`);
+    } else {
+      addDashboardLog('error', 'actions', `Failed: ${result.summary}`, result.error);
+    }
+    auditRequest(req, 'unifi_action.confirm', { target: result.summary, result: ok ? 'success' : 'failure', detail: result.error });
+    const message = ok ? `✅ Done: ${result.summary}` : `⚠️ ${result.summary} failed: ${result.error}`;
+    if (result.conversationId) conversations.appendMessages(result.conversationId, { role: 'bot', message });
+    res.status(ok ? 200 : 502).json({ success: ok, result, message, error: result.error });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/unifi/actions/:token – Cancel a prepared action
+webApp.delete('/api/unifi/actions/:token', requireRole('operator'), (req, res) => {
+  const cancelled = actions.cancelAction(req.params.token);
+  if (!cancelled) return res.status(404).json({ success: false, error: 'Action not found or already expired' });
+  auditRequest(req, 'unifi_action.cancel', { target: cancelled.summary });
+  const message = `Cancelled: ${cancelled.summary}`;
+  if (cancelled.conversationId) conversations.appendMessages(cancelled.conversationId, { role: 'bot', message });
+  res.json({ success: true, message });
+});
+
+// GET /api/unifi/actions/audit?action=&actor=&status=&controller=&limit=&offset= – Confirmed actions (newest first)
+webApp.get('/api/unifi/actions/audit', requireRole('operator'), (req, res) => {
+  res.json(actions.listAudit({
+    action: req.query.action,
+    actor: req.query.actor,
+    status: req.query.status,
+    controller: req.query.controller,
+    limit: req.query.limit,
+    offset: req.query.offset,
+  }));
+});
+
+// ==================== Audit log ====================
+
+// GET /api/audit?actor=&source=&action=schedule.,config.update&result=&target=&since=&until=&q=&limit=&offset=
+// Activity log, newest first (action entries ending in "." match a prefix)
+webApp.get('/api/audit', requireRole('admin'), (req, res) => {
+  try {
+    res.json(audit.listAudit({
+      actor: req.query.actor,
+      source: req.query.source,
+      action: req.query.action,
+      result: req.query.result,
+      target: req.query.target,
+      since: req.query.since,
+      until: req.query.until,
+      q: req.query.q,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/audit/facets – Actors, sources, actions and results seen in the audit log (for filters)
+webApp.get('/api/audit/facets', requireRole('admin'), (req, res) => {
+  res.json(audit.getAuditFacets());
+});
+
+// ==================== Users API ====================
+
+// GET /api/me – The signed-in user and role (or the API token and its scopes)
+webApp.get('/api/me', (req, res) => {
+  res.json({
+    username: req.user.username,
+    role: req.user.role,
+    scopes: req.user.token ? req.user.token.scopes : undefined,
+    usersConfigured: users.hasUsers(),
+  });
+});
+
+// GET /api/users – Accounts (no password hashes) and the available roles
+webApp.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json({ users: users.listUsers(), roles: users.ROLES });
+});
+
+// POST /api/users – Create an account. Body: { username, password, role, disabled? }
+webApp.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    const { username, password, role, disabled } = req.body || {};
+    const user = users.createUser({ username, password, role, disabled });
+    addDashboardLog('info', 'auth', `User ${user.username} created`, `Role ${user.role}, by ${req.user.username}`);
+    auditRequest(req, 'user.create', { target: user.username, detail: `Role ${user.role}${user.disabled ? ', disabled' : ''}` });
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/users/:id – Change role, password or disabled. Body: { role?, password?, disabled? }
+webApp.put('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const { role, password, disabled } = req.body || {};
+    const user = users.updateUser(req.params.id, {
+      role,
+      password: password === '' || password === '***hidden***' ? undefined : password,
+      disabled,
+    });
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    addDashboardLog('info', 'auth', `User ${user.username} updated`, `By ${req.user.username}`);
+    auditRequest(req, 'user.update', {
+      target: user.username,
+      detail: [role !== undefined && `role ${user.role}`, password && password !== '***hidden***' && 'password changed', disabled !== undefined && (user.disabled ? 'disabled' : 'enabled')].filter(Boolean).join(', '),
+    });
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/users/:id
+webApp.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const user = users.getUser(req.params.id);
+    if (!user || !users.deleteUser(req.params.id)) return res.status(404).json({ success: false, error: 'User not found' });
+    addDashboardLog('info', 'auth', `User ${user.username} deleted`, `By ${req.user.username}`);
+    auditRequest(req, 'user.delete', { target: user.username });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== API tokens ====================
+
+// GET /api/tokens – API tokens (never the token values) and the available scopes
+webApp.get('/api/tokens', requireRole('admin'), (req, res) => {
+  res.json({ tokens: apiTokens.listTokens(), scopes: apiTokens.SCOPES });
+});
+
+// POST /api/tokens – Create a token. Body: { name, scopes, expiresInDays? }. The token is only returned here.
+webApp.post('/api/tokens', requireRole('admin'), (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    const { token, apiToken } = apiTokens.createToken({ name, scopes, expiresInDays }, { createdBy: req.user.username });
+    addDashboardLog('info', 'auth', `API token ${apiToken.name} created`, `Scopes ${apiToken.scopes.join(', ')}, by ${req.user.username}`);
+    auditRequest(req, 'token.create', { target: apiToken.name, detail: `Scopes ${apiToken.scopes.join(', ')}, expires ${apiToken.expiresAt}` });
+    res.status(201).json({ success: true, token, apiToken });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/tokens/:id – Revoke a token
+webApp.delete('/api/tokens/:id', requireRole('admin'), (req, res) => {
+  const revoked = apiTokens.revokeToken(req.params.id);
+  if (!revoked) return res.status(404).json({ success: false, error: 'Token not found' });
+  addDashboardLog('info', 'auth', `API token ${revoked.name} revoked`, `By ${req.user.username}`);
+  auditRequest(req, 'token.revoke', { target: revoked.name });
+  res.json({ success: true, apiToken: revoked });
+});
+
+// ==================== Conversations API ====================
+
+// Conversations stored before owners were recorded belong to the admins
+const isAdmin = (req) => !req.user.token && req.user.role === 'admin';
+const ownsConversation = (req, c) => (c.owner ? c.owner === req.user.username : isAdmin(req));
+
+/** The conversation if the caller owns it (or, with adminToo, is an admin); null otherwise, as if it did not exist */
+function findConversation(req, id, { adminToo = false } = {}) {
+  const conversation = conversations.getConversation(id);
+  return conversation && (ownsConversation(req, conversation) || (adminToo && isAdmin(req))) ? conversation : null;
+}
+
+// GET /api/conversations?q=&limit=&offset= – The caller's chat conversations, most recent first (without messages)
+webApp.get('/api/conversations', (req, res) => {
+  res.json(conversations.listConversations({
+    owner: req.user.username,
+    includeUnowned: isAdmin(req),
+    q: req.query.q,
+    limit: req.query.limit,
+    offset: req.query.offset,
+  }));
+});
+
+// POST /api/conversations – Start a conversation. Body: { title?, messages? } (messages imports an existing thread)
+webApp.post('/api/conversations', (req, res) => {
+  const { title, messages } = req.body || {};
+  res.status(201).json(conversations.createConversation({ owner: req.user.username, title, messages }));
+});
+
+// GET /api/conversations/:id – One of the caller's conversations with its messages
+webApp.get('/api/conversations/:id', (req, res) => {
+  const conversation = findConversation(req, req.params.id);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  res.json(conversation);
+});
+
+// PUT /api/conversations/:id – Rename (owner or admin). Body: { title }
+webApp.put('/api/conversations/:id', (req, res) => {
+  if (!findConversation(req, req.params.id, { adminToo: true })) return res.status(404).json({ error: 'Conversation not found' });
+  try {
+    const conversation = conversations.renameConversation(req.params.id, req.body?.title);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    res.json(conversation);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// DELETE /api/conversations/:id – Owner or admin
+webApp.delete('/api/conversations/:id', (req, res) => {
+  if (!findConversation(req, req.params.id, { adminToo: true }) || !conversations.deleteConversation(req.params.id)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  auditRequest(req, 'conversation.delete', { target: req.params.id });
+  res.json({ success: true });
+});
+
+/**
+ * History for a chat request. conversationId → the caller's stored thread; a history array (older clients) is
+ * used as-is and not stored; neither → a new conversation of the caller, created when the first answer is saved.
+ * Returns null when conversationId is unknown or someone else's.
+ */
+function resolveConversation(req, body) {
+  const askedAt = new Date().toISOString();
+  const owner = req.user.username;
+  if (body.conversationId) {
+    if (!findConversation(req, body.conversationId)) return null;
+    return { conversationId: body.conversationId, history: conversations.getConversationHistory(body.conversationId), persist: true, owner, askedAt };
+  }
+  if (Array.isArray(body.history)) return { conversationId: null, history: body.history, persist: false, owner, askedAt };
+  return { conversationId: null, history: [], persist: true, owner, askedAt };
+}
+
+/** Store a question and its answer; returns the conversation id (null for history-only requests). */
+function saveExchange(conv, userMessage, botMessage, toolCalls) {
+  if (!conv.persist) return null;
+  if (!conv.conversationId) conv.conversationId = conversations.createConversation({ owner: conv.owner }).id;
+  // Schedules are created by the browser from the tag; the stored thread keeps only the text
+  const text = String(botMessage || '').replace(/\[NETWORKBOT_SCHEDULE\][\s\S]*?\[\/NETWORKBOT_SCHEDULE\]/g, '').trim() || 'Schedule added.';
+  conversations.appendMessages(conv.conversationId, [
+    { role: 'user', message: userMessage, timestamp: conv.askedAt },
+    { role: 'bot', message: text, toolCalls },
+  ]);
+  return conv.conversationId;
+}
+
+/** Audit-log a chat request and the diagnostics the model ran for it */
+function auditChat(req, conversationId, message, toolCalls = [], error) {
+  auditRequest(req, 'chat.request', {
+    target: conversationId || undefined,
+    result: error ? 'failure' : 'success',
+    detail: error ? `${message.slice(0, 200)} – ${error}` : message.slice(0, 200),
+  });
+  (toolCalls || []).forEach((call) => {
+    const args = call.arguments || {};
+    auditRequest(req, `diagnostics.${call.name}`, {
+      target: [args.host || args.ip, args.port].filter(Boolean).join(':') || undefined,
+      result: call.ok ? 'success' : 'failure',
+      detail: call.summary,
+    });
+  });
+}
+
 // Allow the chat route to run a long time so "thinking" / processing models don't time out (10 min)
 const CHAT_ROUTE_TIMEOUT_MS = 10 * 60 * 1000;
 
 // POST /api/chat - Chat with the AI bot (optionally stream when debugShowThoughtStream is on)
+// Body: { message, conversationId? } (or { message, history } without server-side storage)
 webApp.post('/api/chat', async (req, res) => {
   req.setTimeout(CHAT_ROUTE_TIMEOUT_MS);
   res.setTimeout(CHAT_ROUTE_TIMEOUT_MS);
   try {
-    const { message, history } = req.body;
+    const { message } = req.body;
     
     if (!message || typeof message !== 'string' || message.trim().length === 0) {
       return res.status(400).json({ error: 'Message is required' });
     }
+    const conv = resolveConversation(req, req.body);
+    if (!conv) return res.status(404).json({ error: 'Conversation not found' });
     
-    const conversationHistory = Array.isArray(history) ? history : [];
-    // Get monitoring context (includes ping/traceroute when asked; "ping it" uses host from recent conversation)
-    let monitoringContext = '';
-    try {
-      monitoringContext = await getMonitoringContext(message.trim(), conversationHistory);
-    } catch (error) {
-      console.log('[Monitoring] Could not fetch monitoring data:', error.message);
+    // Action commands (/restart, /block, …) are prepared here and confirmed in the UI; the AI is not involved
+    const command = actions.parseActionCommand(message);
+    if (command) {
+      let response;
+      let pendingAction;
+      if (!canUse(req, 'operator', 'actions')) {
+        response = req.user.token
+          ? '⚠️ UniFi actions need a token with the actions scope.'
+          : '⚠️ UniFi actions require the operator or admin role.';
+      } else {
+        try {
+          if (conv.persist && !conv.conversationId) conv.conversationId = conversations.createConversation({ owner: conv.owner }).id;
+          pendingAction = await actions.prepareAction(command, { actor: req.user.username, source: 'chat', conversationId: conv.conversationId });
+          auditRequest(req, 'unifi_action.prepare', { target: pendingAction.summary, detail: 'From chat' });
+          response = `**${pendingAction.summary}**\n\nNothing has been sent yet: confirm below to run it on the controller.`;
+        } catch (error) {
+          auditRequest(req, 'unifi_action.prepare', { target: message.trim().slice(0, 100), result: 'failure', detail: error.message });
+          response = `⚠️ ${error.message}\n\nAction commands:\n${actions.getActionCommandHelp()}`;
+        }
+      }
+      return res.json({
+        success: true,
+        response,
+        pendingAction,
+        conversationId: saveExchange(conv, message.trim(), response),
+        timestamp: new Date().toISOString(),
+      });
     }
-    
-    const systemPrompt = getMonitoringSystemPrompt(monitoringContext);
+
+    const conversationHistory = conv.history;
     const debugStream = getConfig().llm?.debugShowThoughtStream === true;
+    const allowDiagnostics = canUse(req, 'operator', 'diagnostics');
+
+    if (debugStream && getToolCallingConfig().enabled && allowDiagnostics) {
+      // Tool calls are streamed as they run; the answer follows once the model is done calling tools
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders?.();
+      try {
+        const { response, toolCalls } = await answerWithMonitoring(message.trim(), conversationHistory, {
+          allowDiagnostics,
+          onToolCall: (toolCall) => {
+            res.write(`data: ${JSON.stringify({ toolCall })}\n\n`);
+            if (typeof res.flush === 'function') res.flush();
+          },
+        });
+        const conversationId = saveExchange(conv, message.trim(), response, toolCalls);
+        auditChat(req, conversationId, message.trim(), toolCalls);
+        res.write(`data: ${JSON.stringify({ chunk: response })}\n\n`);
+        res.write(`data: ${JSON.stringify({ done: true, response, toolCalls, conversationId, timestamp: new Date().toISOString() })}\n\n`);
+      } catch (streamErr) {
+        console.error('[Chat API Stream Error]:', streamErr.message);
+        addDashboardLog('error', 'chat', streamErr.message);
+        auditChat(req, conv.conversationId, message.trim(), [], streamErr.message);
+        res.write(`data: ${JSON.stringify({ error: streamErr.message })}\n\n`);
+      }
+      res.end();
+      return;
+    }
 
     if (debugStream) {
+      // Get monitoring context (includes ping/traceroute when asked; "ping it" uses host from recent conversation)
+      const systemPrompt = allowDiagnostics
+        ? await buildMonitoringPrompt(message.trim(), conversationHistory, true)
+        : (await buildMonitoringPrompt(message.trim(), conversationHistory, false)) + VIEWER_PROMPT_NOTE;
       // Stream response as Server-Sent Events so the client can show the thought stream
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
@@ -469,26 +1429,34 @@ webApp.post('/api/chat', async (req, res) => {
           res.write(`data: ${JSON.stringify({ chunk })}\n\n`);
           if (typeof res.flush === 'function') res.flush();
         }
-        res.write(`data: ${JSON.stringify({ done: true, response: fullText, timestamp: new Date().toISOString() })}\n\n`);
+        const conversationId = saveExchange(conv, message.trim(), fullText);
+        auditChat(req, conversationId, message.trim());
+        res.write(`data: ${JSON.stringify({ done: true, response: fullText, conversationId, timestamp: new Date().toISOString() })}\n\n`);
       } catch (streamErr) {
         console.error('[Chat API Stream Error]:', streamErr.message);
         addDashboardLog('error', 'chat', streamErr.message);
+        auditChat(req, conv.conversationId, message.trim(), [], streamErr.message);
         res.write(`data: ${JSON.stringify({ error: streamErr.message })}\n\n`);
       }
       res.end();
       return;
     }
 
-    const response = await aiQuery(message.trim(), systemPrompt, conversationHistory);
+    const { response, toolCalls } = await answerWithMonitoring(message.trim(), conversationHistory, { allowDiagnostics });
+    const conversationId = saveExchange(conv, message.trim(), response, toolCalls);
+    auditChat(req, conversationId, message.trim(), toolCalls);
     
     res.json({ 
       success: true, 
       response: response,
+      toolCalls,
+      conversationId,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('[Chat API Error]:', error.message);
     addDashboardLog('error', 'chat', error.message);
+    if (typeof req.body?.message === 'string') auditChat(req, req.body.conversationId, req.body.message.trim(), [], error.message);
     res.status(500).json({ 
       success: false, 
       error: error.message || 'An error occurred while processing your message'
@@ -496,6 +1464,65 @@ webApp.post('/api/chat', async (req, res) => {
   }
 });
 
+const MAX_LOG_SNIPPET_CHARS = 200000;
+const MAX_LOG_PROMPT_CHARS = 24000;
+
+// POST /api/analyze-logs - Extract error/warning patterns from a pasted log snippet and have the AI explain them
+// Body: { logs, question?, conversationId? (or history?) }. Returns { summary, patterns, response, conversationId }
+// (patterns are returned even when the AI fails).
+webApp.post('/api/analyze-logs', async (req, res) => {
+  req.setTimeout(CHAT_ROUTE_TIMEOUT_MS);
+  res.setTimeout(CHAT_ROUTE_TIMEOUT_MS);
+  const { logs, question } = req.body || {};
+  if (!logs || typeof logs !== 'string' || logs.trim().length === 0) {
+    return res.status(400).json({ error: 'logs is required' });
+  }
+  if (logs.length > MAX_LOG_SNIPPET_CHARS) {
+    return res.status(400).json({ error: `Log snippet too large (max ${MAX_LOG_SNIPPET_CHARS} characters)` });
+  }
+  const conv = resolveConversation(req, req.body || {});
+  if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+
+  const analysis = await analyzeLogSnippet(logs);
+  // Long snippets: keep the start and the (usually more relevant) end for the AI
+  const truncated = logs.length > MAX_LOG_PROMPT_CHARS;
+  const snippet = truncated
+    ? `${logs.slice(0, MAX_LOG_PROMPT_CHARS / 4)}\n[… ${logs.length - MAX_LOG_PROMPT_CHARS} characters omitted …]\n${logs.slice(-(MAX_LOG_PROMPT_CHARS * 3) / 4)}`
+    : logs;
+  const ask = typeof question === 'string' && question.trim()
+    ? question.trim()
+    : 'Analyze this log snippet: what went wrong, the likely cause, and what to check next.';
+  const prompt = `${ask}\n\nPattern summary (extracted automatically):\n${formatLogSummary(analysis)}\n\nLog snippet${truncated ? ' (truncated)' : ''}:\n\`\`\`\n${snippet}\n\`\`\``;
+
+  try {
+    const response = await aiQuery(prompt, getDiagnosticsSystemPrompt(), conv.history);
+    const lineCount = logs.split('\n').length;
+    const userText = `📋 Pasted logs (${lineCount} line${lineCount === 1 ? '' : 's'})${question?.trim() ? `: ${question.trim()}` : ''}`;
+    const conversationId = saveExchange(conv, userText, `\`\`\`\n${formatLogSummary(analysis)}\n\`\`\`\n\n${response}`);
+    auditRequest(req, 'chat.analyze_logs', { target: conversationId || undefined, detail: userText.slice(0, 200) });
+    res.json({
+      success: true,
+      summary: analysis.summary,
+      patterns: analysis.patterns,
+      truncated,
+      response,
+      conversationId,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('[Analyze Logs Error]:', error.message);
+    addDashboardLog('error', 'chat', 'Log analysis failed', error.message);
+    auditRequest(req, 'chat.analyze_logs', { result: 'failure', detail: error.message });
+    res.status(500).json({
+      success: false,
+      summary: analysis.summary,
+      patterns: analysis.patterns,
+      truncated,
+      error: error.message || 'An error occurred while analyzing the logs',
+    });
+  }
+});
+
 // ==================== Scheduler API ====================
 
 // GET /api/scheduler/heartbeat – Scheduler heartbeat (confirm it's running)
@@ -507,17 +1534,17 @@ webApp.get('/api/scheduler/heartbeat', (req, res) => {
   }
 });
 
-// GET /api/schedules – List all scheduled jobs
+// GET /api/schedules – List all scheduled jobs, each with its runState (running, queued or idle)
 webApp.get('/api/schedules', (req, res) => {
   try {
-    res.json(scheduler.getSchedules());
+    res.json(scheduler.getSchedules().map((job) => ({ ...job, ...scheduler.getRunState(job.id) })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // POST /api/schedules – Create a new scheduled job
-webApp.post('/api/schedules', (req, res) => {
+webApp.post('/api/schedules', requireRole('operator'), (req, res) => {
   try {
     const body = req.body || {};
     const job = scheduler.addJob({
@@ -526,35 +1553,63 @@ webApp.post('/api/schedules', (req, res) => {
       type: body.type || 'recurring',
       intervalMinutes: body.intervalMinutes,
       runAt: body.runAt,
+      cron: body.cron,
+      timezone: body.timezone,
+      activeWindows: body.activeWindows,
+      quietHours: body.quietHours,
+      overlap: body.overlap,
+      timeoutSeconds: body.timeoutSeconds,
+      retries: body.retries,
       notify: body.notify || 'never',
       notifyEmail: body.notifyEmail,
+      channels: body.channels,
+      minSeverity: body.minSeverity,
+      ruleIds: body.ruleIds,
       enabled: body.enabled !== false,
     });
+    auditRequest(req, 'schedule.create', { target: job.name || job.id, detail: job.request.slice(0, 200) });
     res.status(201).json(job);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'SCHEDULE_INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// POST /api/schedules/preview – Next run times of a job being added or edited (body: its timing fields; ?count=5)
+webApp.post('/api/schedules/preview', (req, res) => {
+  try {
+    res.json(scheduler.previewJob(req.body || {}, req.query.count));
+  } catch (error) {
+    res.status(error.code === 'SCHEDULE_INVALID' ? 400 : 500).json({ error: error.message });
   }
 });
 
 // PUT /api/schedules/:id – Update a job
-webApp.put('/api/schedules/:id', (req, res) => {
+webApp.put('/api/schedules/:id', requireRole('operator'), (req, res) => {
   try {
     const id = req.params.id;
     const existing = scheduler.getJob(id);
     if (!existing) return res.status(404).json({ error: 'Job not found' });
     const updated = scheduler.updateJob(id, req.body || {});
+    auditRequest(req, 'schedule.update', {
+      target: updated.name || id,
+      changes: Object.keys(req.body || {})
+        .filter((k) => JSON.stringify(existing[k]) !== JSON.stringify(updated[k]))
+        .map((k) => ({ path: k, from: existing[k] ?? null, to: updated[k] ?? null })),
+    });
     res.json(updated);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'SCHEDULE_INVALID' ? 400 : 500).json({ error: error.message });
   }
 });
 
 // DELETE /api/schedules/:id – Delete a job
-webApp.delete('/api/schedules/:id', (req, res) => {
+webApp.delete('/api/schedules/:id', requireRole('operator'), (req, res) => {
   try {
     const id = req.params.id;
+    const existing = scheduler.getJob(id);
     const deleted = scheduler.deleteJob(id);
     if (!deleted) return res.status(404).json({ error: 'Job not found' });
+    auditRequest(req, 'schedule.delete', { target: existing?.name || id });
     res.status(204).send();
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -562,17 +1617,50 @@ webApp.delete('/api/schedules/:id', (req, res) => {
 });
 
 // POST /api/schedules/:id/run – Run a job now
-webApp.post('/api/schedules/:id/run', async (req, res) => {
+webApp.post('/api/schedules/:id/run', requireRole('operator'), async (req, res) => {
   try {
     const id = req.params.id;
     const result = await scheduler.runJobNow(id, addDashboardLog);
-    if (!result.success) return res.status(404).json(result);
+    if (!result.success) return res.status(result.code === 'JOB_RUNNING' ? 409 : 404).json(result);
+    auditRequest(req, 'schedule.run', { target: scheduler.getJob(id)?.name || id, result: result.lastError ? 'failure' : 'success', detail: result.lastError });
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// GET /api/schedules/:id/runs?status=&since=&until=&limit=&offset= – Run history of a job, newest first
+webApp.get('/api/schedules/:id/runs', (req, res) => {
+  try {
+    if (!scheduler.getJob(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+    res.json(jobRuns.listRuns(req.params.id, {
+      status: req.query.status,
+      since: req.query.since,
+      until: req.query.until,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// GET /api/schedules/:id/runs/:runId – One run with the run before it and a line diff of their results
+webApp.get('/api/schedules/:id/runs/:runId', (req, res) => {
+  try {
+    const found = jobRuns.getRun(req.params.id, req.params.runId);
+    if (!found) return res.status(404).json({ error: 'Run not found' });
+    const { run, previous } = found;
+    res.json({
+      run,
+      previous: previous ? { id: previous.id, startedAt: previous.startedAt, status: previous.status } : null,
+      diff: previous ? jobRuns.diffResults(previous.result, run.result) : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/dashboard - System stats, monitoring summary, recent log
 webApp.get('/api/dashboard', async (req, res) => {
   try {
@@ -590,6 +1678,10 @@ webApp.get('/api/dashboard', async (req, res) => {
         siteManager: data.siteManager?.success
           ? { sites: data.siteManager.metrics?.sites, devices: data.siteManager.metrics?.devices, clients: data.siteManager.metrics?.clients }
           : null,
+        prometheus: data.prometheus?.success
+          ? { queries: data.prometheus.queries.length, failed: data.prometheus.queries.filter((q) => !q.success).length }
+          : null,
+        snmp: data.snmp ? data.snmp.summary : null,
         timestamp: data.timestamp,
       };
     } catch (err) {
@@ -606,6 +1698,9 @@ webApp.get('/api/dashboard', async (req, res) => {
       },
       monitoring: monitoringSummary,
       scheduler: { heartbeat: heartbeat.status, lastHeartbeatAt: heartbeat.lastHeartbeatAt },
+      alerts: alerts.getFiringAlerts().map(({ rule, status }) => ({ id: rule.id, name: rule.name, severity: rule.severity, description: status.description, firedAt: status.firedAt })),
+      events: events.getRecentEvents(15),
+      syslog: syslog.getSyslogStatus(),
       log: dashboardLog.slice(-50).reverse(),
       timestamp: new Date().toISOString(),
     });
@@ -632,22 +1727,49 @@ webApp.get('/', (req, res) => {
     webApp.listen(PORT, '0.0.0.0', async () => {
       console.log(`🌐 NetworkBot running at http://0.0.0.0:${PORT}`);
       addDashboardLog('info', 'server', 'NetworkBot started', `Port ${PORT}`);
-      const authConfig = getAuthConfig();
-      const username = Object.keys(authConfig.users)[0];
-      console.log(`🔐 Login: ${username} / ${authConfig.users[username] === 'admin' ? '(default password - change in config!)' : '***'}`);
+      if (users.hasUsers()) {
+        console.log(`🔐 Users: ${users.listUsers().filter((u) => !u.disabled).length} enabled`);
+      } else {
+        const username = getConfig().web?.auth?.username || process.env.WEB_AUTH_USERNAME || 'admin';
+        const password = getConfig().web?.auth?.password || process.env.WEB_AUTH_PASSWORD || 'admin';
+        console.log(`🔐 Login: ${username} / ${password === 'admin' ? '(default password - change in config!)' : '***'}`);
+      }
 
-      // Start in-process scheduler (heartbeat-based, no cron)
-      scheduler.startScheduler({
+      // Keep per-source monitoring caches warm (expired resources refresh in the background)
+      startMonitoringRefresher();
+
+      // Record monitoring history snapshots on a fixed interval
+      history.startHistory({ addDashboardLog });
+
+      // Detect state changes (device offline, new alarm, …) between monitoring snapshots
+      events.startEvents({ addDashboardLog });
+
+      // Receive syslog from gateways, switches and servers
+      syslog.startSyslog({ addDashboardLog });
+
+      // Evaluate alert rules on each monitoring snapshot; the AI only writes the explanation
+      alerts.startAlerts({
         addDashboardLog,
-        runRequest: async (message) => {
+        explain: async (prompt) => {
           let monitoringContext = '';
           try {
-            monitoringContext = await getMonitoringContext(message.trim(), []);
+            monitoringContext = await getMonitoringContext(prompt, []);
           } catch (err) {
-            console.log('[Scheduler] Monitoring context error:', err.message);
+            console.log('[Alerts] Monitoring context error:', err.message);
           }
-          const systemPrompt = getMonitoringSystemPrompt(monitoringContext);
-          return await aiQuery(message.trim(), systemPrompt, []);
+          return await aiQuery(prompt, getMonitoringSystemPrompt(monitoringContext), []);
+        },
+      });
+
+      // Write backup archives to backup.directory when enabled
+      backup.startBackups({ addDashboardLog });
+
+      // Start in-process scheduler (heartbeat-based, no cron)
+      scheduler.startScheduler({
+        addDashboardLog,
+        runRequest: async (message, { signal } = {}) => {
+          const { response } = await answerWithMonitoring(message.trim(), [], { signal });
+          return response;
         },
       });
     });
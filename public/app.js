@@ -1,9 +1,11 @@
 // Web interface JavaScript
 
 let currentConfig = null;
+let currentUser = null;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
+    loadCurrentUser();
     if (document.getElementById('configTab')) {
         loadConfig();
         setupEventListeners();
@@ -16,6 +18,18 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
+// Signed-in user and role; body[data-role] hides controls the role cannot use
+async function loadCurrentUser() {
+    try {
+        const res = await fetch('/api/me');
+        if (!res.ok) return;
+        currentUser = await res.json();
+        document.body.dataset.role = currentUser.role;
+    } catch (err) {
+        console.error('Error loading current user:', err);
+    }
+}
+
 // Setup event listeners
 function setupEventListeners() {
     const form = document.getElementById('configForm');
@@ -31,11 +45,40 @@ function setupEventListeners() {
     // Monitoring: UniFi Network, Site Manager
     document.getElementById('addUnifiControllerBtn')?.addEventListener('click', () => addUnifiController());
     document.getElementById('testSiteManagerBtn')?.addEventListener('click', testSiteManagerConnection);
+    document.getElementById('addPrometheusQueryBtn')?.addEventListener('click', () => addPrometheusQuery());
+    document.getElementById('testPrometheusBtn')?.addEventListener('click', testPrometheusConnection);
+    document.getElementById('prometheusQueriesList')?.addEventListener('click', (e) => {
+        if (e.target.classList.contains('prometheus-query-remove-btn')) {
+            e.target.closest('.prometheus-query-item').remove();
+        }
+    });
+    document.getElementById('addSnmpTargetBtn')?.addEventListener('click', () => addSnmpTarget());
+    const snmpList = document.getElementById('snmpTargetsList');
+    snmpList?.addEventListener('click', (e) => {
+        if (e.target.classList.contains('snmp-target-remove-btn')) {
+            e.target.closest('.snmp-target-item').remove();
+        } else if (e.target.classList.contains('snmp-test-btn')) {
+            testSnmpTarget(e.target.closest('.snmp-target-item'));
+        }
+    });
+    snmpList?.addEventListener('change', (e) => {
+        if (e.target.classList.contains('snmp-version')) toggleSnmpVersionFields(e.target.closest('.snmp-target-item'));
+    });
     document.getElementById('testEmailBtn')?.addEventListener('click', testEmailConnection);
     document.getElementById('testWebhookBtn')?.addEventListener('click', testWebhookConnection);
+    document.getElementById('webhookType')?.addEventListener('change', (e) => {
+        toggleWebhookTypeFields(document.getElementById('webhookServiceFields'), document.getElementById('webhookUrl'), e.target.value);
+    });
+    setupNotificationChannels();
     setupUnifiControllers();
+    setupAlertRules();
+    setupUsers();
+    setupApiTokens();
+    setupBackup();
+    document.getElementById('metricsTokenGenerateBtn')?.addEventListener('click', generateMetricsToken);
 
     document.getElementById('dashboardRefreshBtn')?.addEventListener('click', () => loadDashboard());
+    setupIncidents();
 
     // Config tabs
     setupConfigTabs();
@@ -50,7 +93,10 @@ function setupConfigTabs() {
         'ai': 'configTabAi',
         'monitoring': 'configTabMonitoring',
         'server': 'configTabServer',
-        'email': 'configTabEmail'
+        'email': 'configTabEmail',
+        'alerts': 'configTabAlerts',
+        'users': 'configTabUsers',
+        'backup': 'configTabBackup'
     };
 
     tabButtons.forEach(button => {
@@ -83,6 +129,10 @@ async function loadConfig() {
                 window.location.href = '/login';
                 return;
             }
+            if (response.status === 403) {
+                showStatus('The configuration is only shown to operators and admins', 'info');
+                return;
+            }
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         
@@ -90,6 +140,7 @@ async function loadConfig() {
         populateForm(currentConfig);
         updateStatusInfo(currentConfig);
         showStatus('Configuration loaded successfully', 'success');
+        loadConfigProblems();
     } catch (error) {
         console.error('Error loading config:', error);
         showStatus(`Error loading configuration: ${error.message}`, 'error');
@@ -117,6 +168,8 @@ function populateForm(config) {
     // Debug: show thought stream
     const debugStreamEl = document.getElementById('debugShowThoughtStream');
     if (debugStreamEl) debugStreamEl.checked = config.llm?.debugShowThoughtStream === true;
+    const toolCallingEl = document.getElementById('toolCallingEnabled');
+    if (toolCallingEl) toolCallingEl.checked = config.llm?.toolCalling?.enabled !== false;
 
     // UniFi Network controllers
     if (config.monitoring?.unifi?.controllers) {
@@ -126,6 +179,8 @@ function populateForm(config) {
             config.monitoring.unifi.controllers.forEach((c) => addUnifiController(c));
         }
     }
+    const unifiActionsEl = document.getElementById('unifiActionsEnabled');
+    if (unifiActionsEl) unifiActionsEl.checked = config.monitoring?.unifi?.actions?.enabled !== false;
 
     // UniFi Site Manager (apiKey may be hidden in API response)
     if (config.monitoring?.siteManager) {
@@ -138,12 +193,46 @@ function populateForm(config) {
         if (baseUrlEl) baseUrlEl.value = sm.baseUrl || 'https://api.ui.com';
     }
 
+    // Prometheus (basic auth password may be hidden in API response)
+    if (config.monitoring?.prometheus) {
+        const prom = config.monitoring.prometheus;
+        document.getElementById('prometheusEnabled').checked = prom.enabled === true;
+        document.getElementById('prometheusBaseUrl').value = prom.baseUrl || '';
+        document.getElementById('prometheusUsername').value = prom.basicAuth?.username || '';
+        document.getElementById('prometheusPassword').value = (prom.basicAuth?.password && prom.basicAuth.password !== '***hidden***') ? prom.basicAuth.password : '';
+        document.getElementById('prometheusVerifySSL').checked = prom.verifySSL !== false;
+        const list = document.getElementById('prometheusQueriesList');
+        if (list) {
+            list.innerHTML = '';
+            (prom.queries || []).forEach((q) => addPrometheusQuery(q));
+        }
+    }
+
+    // SNMP targets (community / v3 keys are hidden in API response; empty keeps the saved value)
+    if (config.monitoring?.snmp) {
+        const snmpCfg = config.monitoring.snmp;
+        document.getElementById('snmpEnabled').checked = snmpCfg.enabled === true;
+        document.getElementById('snmpTimeoutMs').value = snmpCfg.timeoutMs || 5000;
+        const list = document.getElementById('snmpTargetsList');
+        if (list) {
+            list.innerHTML = '';
+            (snmpCfg.targets || []).forEach((t) => addSnmpTarget(t));
+        }
+    }
+
     // Server settings
     if (config.server) {
         document.getElementById('port').value = config.server.port || 3000;
         document.getElementById('logLevel').value = config.server.logLevel || 'INFO';
     }
 
+    // Prometheus exporter (the token is hidden in the API response; empty keeps the saved value)
+    if (config.metrics) {
+        document.getElementById('metricsEnabled').checked = config.metrics.enabled !== false;
+        document.getElementById('metricsToken').value = '';
+        document.getElementById('metricsToken').type = 'password';
+    }
+
     // Webhook
     if (config.webhook) {
         const webhookEnabledEl = document.getElementById('webhookEnabled');
@@ -152,6 +241,8 @@ function populateForm(config) {
         if (webhookEnabledEl) webhookEnabledEl.checked = config.webhook.enabled === true;
         if (webhookUrlEl) webhookUrlEl.value = config.webhook.url || '';
         if (webhookTypeEl) webhookTypeEl.value = config.webhook.type || 'slack';
+        setWebhookServiceFields(document.getElementById('webhookServiceFields'), config.webhook);
+        toggleWebhookTypeFields(document.getElementById('webhookServiceFields'), webhookUrlEl, config.webhook.type || 'slack');
     }
 
     // Email / Notifications
@@ -173,6 +264,141 @@ function populateForm(config) {
         if (emailFromEl) emailFromEl.value = config.email.from || '';
         if (emailToEl) emailToEl.value = config.email.to || '';
     }
+
+    // Notification channels and routes
+    const channelsList = document.getElementById('notificationChannelsList');
+    const routesList = document.getElementById('notificationRoutesList');
+    if (channelsList && routesList) {
+        channelsList.innerHTML = '';
+        routesList.innerHTML = '';
+        (config.notifications?.channels || []).forEach((c) => addNotificationChannel(c));
+        (config.notifications?.routes || []).forEach((r) => addNotificationRoute(r));
+    }
+
+    // Syslog receiver
+    if (config.syslog) {
+        document.getElementById('syslogEnabled').checked = config.syslog.enabled === true;
+        document.getElementById('syslogPort').value = config.syslog.port || 5514;
+        document.getElementById('syslogUdp').checked = config.syslog.udp !== false;
+        document.getElementById('syslogTcp').checked = config.syslog.tcp !== false;
+        document.getElementById('syslogAllowedHosts').value = (config.syslog.allowedHosts || []).join(', ');
+    }
+
+    // Alert engine settings (rules themselves are loaded from /api/alerts/rules)
+    if (config.alerts) {
+        document.getElementById('alertsEnabled').checked = config.alerts.enabled !== false;
+        document.getElementById('alertsEvaluateSeconds').value = config.alerts.evaluateSeconds || 60;
+        document.getElementById('alertsNotifyWebhook').checked = config.alerts.notifyWebhook !== false;
+        document.getElementById('alertsNotifyEmail').checked = config.alerts.notifyEmail === true;
+    }
+
+    // Automatic backups
+    if (config.backup) {
+        document.getElementById('backupEnabled').checked = config.backup.enabled === true;
+        document.getElementById('backupDirectory').value = config.backup.directory || './backups';
+        document.getElementById('backupIntervalHours').value = config.backup.intervalHours || 24;
+        document.getElementById('backupRetention').value = config.backup.retention || 7;
+        document.getElementById('backupSecrets').value = config.backup.secrets || 'exclude';
+        document.getElementById('backupPassphrase').value = '';
+    }
+    loadAlertRules();
+    loadUsers();
+    loadApiTokens();
+    loadBackups();
+}
+
+// ==================== Config validation errors ====================
+
+// Schema paths (utils/configSchema.js) → form fields
+const CONFIG_FIELD_IDS = {
+    'llm.provider': 'llmProvider',
+    'llm.openai.apiKey': 'openaiApiKey',
+    'llm.openai.model': 'openaiModel',
+    'llm.ollama.baseUrl': 'ollamaBaseUrl',
+    'llm.ollama.model': 'ollamaModel',
+    'monitoring.siteManager.apiKey': 'siteManagerApiKey',
+    'monitoring.siteManager.baseUrl': 'siteManagerBaseUrl',
+    'monitoring.prometheus.baseUrl': 'prometheusBaseUrl',
+    'monitoring.snmp.timeoutMs': 'snmpTimeoutMs',
+    'server.port': 'port',
+    'server.logLevel': 'logLevel',
+    'webhook.url': 'webhookUrl',
+    'webhook.type': 'webhookType',
+    'webhook.telegram.botToken': 'webhookTelegramBotToken',
+    'webhook.telegram.chatId': 'webhookTelegramChatId',
+    'webhook.gotify.appToken': 'webhookGotifyAppToken',
+    'webhook.pushover.appToken': 'webhookPushoverAppToken',
+    'webhook.pushover.userKey': 'webhookPushoverUserKey',
+    'webhook.pagerduty.routingKey': 'webhookPagerdutyRoutingKey',
+    'webhook.opsgenie.apiKey': 'webhookOpsgenieApiKey',
+    'email.smtp.host': 'smtpHost',
+    'email.smtp.port': 'smtpPort',
+    'email.smtp.auth.user': 'smtpUser',
+    'email.smtp.auth.pass': 'smtpPass',
+    'email.from': 'emailFrom',
+    'email.to': 'emailTo',
+    'syslog.port': 'syslogPort',
+    'syslog.allowedHosts': 'syslogAllowedHosts',
+    'alerts.evaluateSeconds': 'alertsEvaluateSeconds',
+    'backup.directory': 'backupDirectory',
+    'backup.intervalHours': 'backupIntervalHours',
+    'backup.retention': 'backupRetention',
+    'backup.passphrase': 'backupPassphrase',
+    'metrics.token': 'metricsToken',
+};
+
+// List items: path prefix → [item selector, field class prefix]
+const CONFIG_LIST_FIELDS = {
+    'monitoring.unifi.controllers': ['.unifi-controller-item', 'controller-'],
+    'monitoring.snmp.targets': ['.snmp-target-item', 'snmp-'],
+    'monitoring.prometheus.queries': ['.prometheus-query-item', 'prometheus-query-'],
+    'notifications.channels': ['.notif-channel-item', 'notif-channel-'],
+    'notifications.routes': ['.notif-route-item', 'notif-route-'],
+};
+
+function findConfigField(path) {
+    if (CONFIG_FIELD_IDS[path]) return document.getElementById(CONFIG_FIELD_IDS[path]);
+    const m = /^(.+)\[(\d+)\]\.([\w.]+)$/.exec(path);
+    if (!m || !CONFIG_LIST_FIELDS[m[1]]) return null;
+    const [itemSelector, prefix] = CONFIG_LIST_FIELDS[m[1]];
+    const item = document.querySelectorAll(itemSelector)[parseInt(m[2], 10)];
+    return item?.querySelector(`.${prefix}${m[3].replace('.', '-')}`) || null;
+}
+
+/** Show field-level errors from the server next to the fields (and all of them in a list above Save) */
+function showConfigErrors(errors, heading) {
+    document.querySelectorAll('.field-invalid').forEach((el) => el.classList.remove('field-invalid'));
+    document.querySelectorAll('.field-error').forEach((el) => el.remove());
+    const box = document.getElementById('configErrors');
+    if (!box) return;
+    if (!errors || errors.length === 0) {
+        box.style.display = 'none';
+        box.innerHTML = '';
+        return;
+    }
+    errors.forEach((e) => {
+        const field = findConfigField(e.path);
+        if (!field) return;
+        field.classList.add('field-invalid');
+        const msg = document.createElement('span');
+        msg.className = 'field-error';
+        msg.textContent = e.message;
+        field.insertAdjacentElement('afterend', msg);
+    });
+    box.innerHTML = `${escapeHtml(heading)}<ul>${errors.map((e) => `<li><code>${escapeHtml(e.path)}</code> ${escapeHtml(e.message)}</li>`).join('')}</ul>`;
+    box.style.display = '';
+}
+
+// Problems in the saved config.json (e.g. edited by hand)
+async function loadConfigProblems() {
+    try {
+        const res = await fetch('/api/config/validation');
+        if (!res.ok) return;
+        const result = await res.json();
+        showConfigErrors(result.errors, 'The saved configuration has problems:');
+    } catch (err) {
+        console.error('Error checking configuration:', err);
+    }
 }
 
 // Toggle provider-specific sections
@@ -207,23 +433,40 @@ async function handleSubmit(e) {
                 model: formData.get('ollamaModel') || 'llama2',
             },
             debugShowThoughtStream: document.getElementById('debugShowThoughtStream')?.checked === true,
+            toolCalling: {
+                ...(currentConfig?.llm?.toolCalling || {}),
+                enabled: document.getElementById('toolCallingEnabled')?.checked !== false,
+            },
         },
         monitoring: {
-            unifi: { controllers: getUnifiControllersFromForm() },
+            unifi: {
+                controllers: getUnifiControllersFromForm(),
+                actions: {
+                    ...(currentConfig?.monitoring?.unifi?.actions || {}),
+                    enabled: document.getElementById('unifiActionsEnabled')?.checked !== false,
+                },
+            },
             siteManager: {
                 enabled: document.getElementById('siteManagerEnabled')?.checked === true,
                 apiKey: document.getElementById('siteManagerApiKey')?.value?.trim() || '',
                 baseUrl: document.getElementById('siteManagerBaseUrl')?.value?.trim() || 'https://api.ui.com',
             },
+            prometheus: getPrometheusFromForm(),
+            snmp: getSnmpFromForm(),
         },
         server: {
             port: parseInt(formData.get('port')) || 3000,
             logLevel: formData.get('logLevel') || 'INFO',
         },
+        metrics: {
+            enabled: document.getElementById('metricsEnabled')?.checked !== false,
+            token: (document.getElementById('metricsToken')?.value || '').trim(),
+        },
         webhook: {
             enabled: document.getElementById('webhookEnabled')?.checked === true,
             url: (document.getElementById('webhookUrl')?.value || '').trim(),
             type: document.getElementById('webhookType')?.value || 'slack',
+            ...getWebhookServiceFields(document.getElementById('webhookServiceFields')),
         },
         email: {
             enabled: document.getElementById('emailEnabled')?.checked === true,
@@ -239,6 +482,32 @@ async function handleSubmit(e) {
             from: (document.getElementById('emailFrom')?.value || '').trim(),
             to: (document.getElementById('emailTo')?.value || '').trim(),
         },
+        notifications: {
+            channels: getNotificationChannelsFromForm(),
+            routes: getNotificationRoutesFromForm(),
+        },
+        syslog: {
+            ...(currentConfig?.syslog || {}),
+            enabled: document.getElementById('syslogEnabled')?.checked === true,
+            port: parseInt(document.getElementById('syslogPort')?.value, 10) || 5514,
+            udp: document.getElementById('syslogUdp')?.checked !== false,
+            tcp: document.getElementById('syslogTcp')?.checked !== false,
+            allowedHosts: (document.getElementById('syslogAllowedHosts')?.value || '').split(',').map((h) => h.trim()).filter(Boolean),
+        },
+        alerts: {
+            enabled: document.getElementById('alertsEnabled')?.checked !== false,
+            evaluateSeconds: parseInt(document.getElementById('alertsEvaluateSeconds')?.value, 10) || 60,
+            notifyWebhook: document.getElementById('alertsNotifyWebhook')?.checked !== false,
+            notifyEmail: document.getElementById('alertsNotifyEmail')?.checked === true,
+        },
+        backup: {
+            enabled: document.getElementById('backupEnabled')?.checked === true,
+            directory: (document.getElementById('backupDirectory')?.value || '').trim() || './backups',
+            intervalHours: parseInt(document.getElementById('backupIntervalHours')?.value, 10) || 24,
+            retention: parseInt(document.getElementById('backupRetention')?.value, 10) || 7,
+            secrets: document.getElementById('backupSecrets')?.value || 'exclude',
+            passphrase: document.getElementById('backupPassphrase')?.value || '',
+        },
     };
 
     try {
@@ -254,9 +523,14 @@ async function handleSubmit(e) {
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.message || `HTTP ${response.status}`);
+            if (Array.isArray(error.errors)) {
+                showConfigErrors(error.errors, 'Not saved – fix these settings:');
+                throw new Error(`${error.errors.length} invalid setting(s)`);
+            }
+            throw new Error(error.error || error.message || `HTTP ${response.status}`);
         }
 
+        showConfigErrors([]);
         const savedConfig = await response.json();
         currentConfig = savedConfig;
         updateStatusInfo(savedConfig);
@@ -303,6 +577,9 @@ function setupUnifiControllers() {
                 testUnifiController(e.target.closest('.unifi-controller-item'));
             }
         });
+        controllersList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('controller-allSites')) toggleControllerSiteField(e.target.closest('.unifi-controller-item'));
+        });
     }
 }
 
@@ -324,13 +601,21 @@ function addUnifiController(controllerData = null, index = null) {
         controllerItem.querySelector('.controller-baseUrl').value = controllerData.baseUrl || '';
         controllerItem.querySelector('.controller-apiKey').value = controllerData.apiKey || '';
         controllerItem.querySelector('.controller-site').value = controllerData.site || 'default';
+        controllerItem.querySelector('.controller-allSites').checked = controllerData.allSites === true;
         controllerItem.querySelector('.controller-verifySSL').checked = controllerData.verifySSL !== false;
         controllerItem.querySelector('.controller-title').textContent = controllerData.name || 'UniFi Controller';
     }
+    toggleControllerSiteField(controllerItem);
     
     controllersList.appendChild(clone);
 }
 
+// "All sites" replaces the single site field
+function toggleControllerSiteField(controllerItem) {
+    const allSites = controllerItem.querySelector('.controller-allSites').checked;
+    controllerItem.querySelector('.controller-site').disabled = allSites;
+}
+
 function getUnifiControllersFromForm() {
     const controllers = [];
     const controllerItems = document.querySelectorAll('.unifi-controller-item');
@@ -342,6 +627,7 @@ function getUnifiControllersFromForm() {
         const baseUrl = item.querySelector('.controller-baseUrl').value.trim();
         const apiKey = item.querySelector('.controller-apiKey').value.trim();
         const site = item.querySelector('.controller-site').value.trim() || 'default';
+        const allSites = item.querySelector('.controller-allSites').checked;
         const verifySSL = item.querySelector('.controller-verifySSL').checked;
         
         // Only include controllers with required fields
@@ -353,6 +639,7 @@ function getUnifiControllersFromForm() {
                 baseUrl: baseUrl,
                 apiKey: apiKey,
                 site: site,
+                allSites: allSites,
                 verifySSL: verifySSL,
             });
         }
@@ -361,11 +648,195 @@ function getUnifiControllersFromForm() {
     return controllers;
 }
 
+function addPrometheusQuery(queryData = null) {
+    const template = document.getElementById('prometheusQueryTemplate');
+    const list = document.getElementById('prometheusQueriesList');
+    if (!template || !list) return;
+    const clone = template.content.cloneNode(true);
+    const item = clone.querySelector('.prometheus-query-item');
+    if (queryData) {
+        item.querySelector('.prometheus-query-name').value = queryData.name || '';
+        item.querySelector('.prometheus-query-type').value = queryData.type === 'range' ? 'range' : 'instant';
+        item.querySelector('.prometheus-query-query').value = queryData.query || '';
+        item.querySelector('.prometheus-query-rangeMinutes').value = queryData.rangeMinutes || 60;
+        item.querySelector('.prometheus-query-step').value = queryData.step || '60s';
+        item.querySelector('.controller-title').textContent = queryData.name || 'Query';
+    }
+    list.appendChild(clone);
+}
+
+function getPrometheusFromForm() {
+    const username = (document.getElementById('prometheusUsername')?.value || '').trim();
+    const queries = [];
+    document.querySelectorAll('.prometheus-query-item').forEach((item) => {
+        const query = item.querySelector('.prometheus-query-query').value.trim();
+        if (!query) return;
+        queries.push({
+            name: item.querySelector('.prometheus-query-name').value.trim() || query.slice(0, 40),
+            type: item.querySelector('.prometheus-query-type').value,
+            query,
+            rangeMinutes: parseInt(item.querySelector('.prometheus-query-rangeMinutes').value, 10) || 60,
+            step: item.querySelector('.prometheus-query-step').value.trim() || '60s',
+        });
+    });
+    return {
+        enabled: document.getElementById('prometheusEnabled')?.checked === true,
+        baseUrl: (document.getElementById('prometheusBaseUrl')?.value || '').trim(),
+        basicAuth: username
+            ? { username, password: (document.getElementById('prometheusPassword')?.value || '').trim() }
+            : null,
+        verifySSL: document.getElementById('prometheusVerifySSL')?.checked !== false,
+        queries,
+    };
+}
+
+// SNMP targets
+let snmpTargetCounter = 0;
+
+function addSnmpTarget(targetData = null) {
+    const template = document.getElementById('snmpTargetTemplate');
+    const list = document.getElementById('snmpTargetsList');
+    if (!template || !list) return;
+    const clone = template.content.cloneNode(true);
+    const item = clone.querySelector('.snmp-target-item');
+    item.setAttribute('data-target-id', targetData?.id || `snmp-${Date.now()}-${snmpTargetCounter++}`);
+    if (targetData) {
+        const hidden = (v) => (v && v !== '***hidden***' ? v : '');
+        item.querySelector('.snmp-enabled').checked = targetData.enabled !== false;
+        item.querySelector('.snmp-name').value = targetData.name || '';
+        item.querySelector('.snmp-host').value = targetData.host || '';
+        item.querySelector('.snmp-port').value = targetData.port || 161;
+        item.querySelector('.snmp-version').value = String(targetData.version) === '3' ? '3' : '2c';
+        item.querySelector('.snmp-community').value = hidden(targetData.community);
+        if (targetData.community === '***hidden***') item.querySelector('.snmp-community').placeholder = '(saved)';
+        const v3 = targetData.v3 || {};
+        item.querySelector('.snmp-v3-user').value = v3.user || '';
+        item.querySelector('.snmp-v3-authProtocol').value = v3.authProtocol || 'sha';
+        item.querySelector('.snmp-v3-authKey').value = hidden(v3.authKey);
+        if (v3.authKey === '***hidden***') item.querySelector('.snmp-v3-authKey').placeholder = '(saved)';
+        item.querySelector('.snmp-v3-privProtocol').value = v3.privProtocol || 'aes';
+        item.querySelector('.snmp-v3-privKey').value = hidden(v3.privKey);
+        if (v3.privKey === '***hidden***') item.querySelector('.snmp-v3-privKey').placeholder = '(saved)';
+        if (Array.isArray(targetData.mibs)) {
+            item.querySelectorAll('.snmp-mib').forEach((cb) => { cb.checked = targetData.mibs.includes(cb.value); });
+        }
+        item.querySelector('.controller-title').textContent = targetData.name || targetData.host || 'SNMP target';
+    }
+    toggleSnmpVersionFields(item);
+    list.appendChild(clone);
+}
+
+function toggleSnmpVersionFields(item) {
+    const isV3 = item.querySelector('.snmp-version').value === '3';
+    item.querySelector('.snmp-v2c-fields').style.display = isV3 ? 'none' : '';
+    item.querySelector('.snmp-v3-fields').style.display = isV3 ? '' : 'none';
+}
+
+function getSnmpTargetFromItem(item) {
+    return {
+        id: item.getAttribute('data-target-id'),
+        name: item.querySelector('.snmp-name').value.trim(),
+        enabled: item.querySelector('.snmp-enabled').checked,
+        host: item.querySelector('.snmp-host').value.trim(),
+        port: parseInt(item.querySelector('.snmp-port').value, 10) || 161,
+        version: item.querySelector('.snmp-version').value,
+        community: item.querySelector('.snmp-community').value.trim(),
+        v3: {
+            user: item.querySelector('.snmp-v3-user').value.trim(),
+            authProtocol: item.querySelector('.snmp-v3-authProtocol').value,
+            authKey: item.querySelector('.snmp-v3-authKey').value,
+            privProtocol: item.querySelector('.snmp-v3-privProtocol').value,
+            privKey: item.querySelector('.snmp-v3-privKey').value,
+        },
+        mibs: ['system'].concat([...item.querySelectorAll('.snmp-mib:checked')].map((cb) => cb.value)),
+    };
+}
+
+function getSnmpFromForm() {
+    const targets = [];
+    document.querySelectorAll('.snmp-target-item').forEach((item) => {
+        const target = getSnmpTargetFromItem(item);
+        if (target.host) targets.push(target);
+    });
+    return {
+        enabled: document.getElementById('snmpEnabled')?.checked === true,
+        timeoutMs: parseInt(document.getElementById('snmpTimeoutMs')?.value, 10) || 5000,
+        retries: currentConfig?.monitoring?.snmp?.retries ?? 1,
+        targets,
+    };
+}
+
+async function testSnmpTarget(item) {
+    const target = getSnmpTargetFromItem(item);
+    const testBtn = item.querySelector('.snmp-test-btn');
+    const resultEl = item.querySelector('.snmp-test-result');
+    if (!target.host) {
+        setTestResult(resultEl, 'Enter a host', false);
+        return;
+    }
+    testBtn.disabled = true;
+    setTestResult(resultEl, 'Testing…', null);
+    try {
+        const res = await fetch('/api/monitoring/test-snmp', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...target, timeoutMs: parseInt(document.getElementById('snmpTimeoutMs')?.value, 10) || 5000 }),
+        });
+        const result = await res.json();
+        const msg = result.message || (result.success ? 'OK' : 'Failed');
+        setTestResult(resultEl, (result.success ? '✓ ' : '✗ ') + msg, result.success === true);
+        showStatus(`${result.success ? '✅' : '❌'} SNMP ${target.name || target.host}: ${msg}`, result.success ? 'success' : 'error');
+    } catch (err) {
+        setTestResult(resultEl, '✗ ' + err.message, false);
+    } finally {
+        testBtn.disabled = false;
+    }
+}
+
+async function testPrometheusConnection() {
+    const baseUrl = document.getElementById('prometheusBaseUrl')?.value?.trim();
+    const username = document.getElementById('prometheusUsername')?.value?.trim() || '';
+    const password = document.getElementById('prometheusPassword')?.value || '';
+    const verifySSL = document.getElementById('prometheusVerifySSL')?.checked !== false;
+    const resultEl = document.getElementById('prometheusTestResult');
+    if (!baseUrl) {
+        showStatus('Enter Prometheus base URL', 'error');
+        setTestResult(resultEl, 'Enter base URL', false);
+        return;
+    }
+    const btn = document.getElementById('testPrometheusBtn');
+    btn.disabled = true;
+    showStatus('Testing Prometheus...', 'info');
+    setTestResult(resultEl, 'Testing…', null);
+    try {
+        const res = await fetch('/api/monitoring/test-prometheus', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ baseUrl, username, password, verifySSL }),
+        });
+        const result = await res.json();
+        const msg = result.message || (result.success ? 'OK' : 'Failed');
+        if (result.success) {
+            showStatus(`✅ Prometheus: ${msg}`, 'success');
+            setTestResult(resultEl, '✓ ' + msg, true);
+        } else {
+            showStatus(`❌ Prometheus: ${msg}`, 'error');
+            setTestResult(resultEl, '✗ ' + msg, false);
+        }
+    } catch (err) {
+        showStatus(`Error: ${err.message}`, 'error');
+        setTestResult(resultEl, '✗ ' + err.message, false);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 async function testSiteManagerConnection() {
     const apiKey = document.getElementById('siteManagerApiKey')?.value?.trim();
     const baseUrl = document.getElementById('siteManagerBaseUrl')?.value?.trim() || 'https://api.ui.com';
     const resultEl = document.getElementById('siteManagerTestResult');
-    if (!apiKey) {
+    // An empty field tests the saved key
+    if (!apiKey && !currentConfig?.monitoring?.siteManager?.apiKey) {
         showStatus('Enter Site Manager API key', 'error');
         setTestResult(resultEl, 'Enter API key', false);
         return;
@@ -402,6 +873,7 @@ async function testUnifiController(controllerItem) {
     const baseUrl = controllerItem.querySelector('.controller-baseUrl').value.trim();
     const apiKey = controllerItem.querySelector('.controller-apiKey').value.trim();
     const site = controllerItem.querySelector('.controller-site').value.trim() || 'default';
+    const allSites = controllerItem.querySelector('.controller-allSites').checked;
     const verifySSL = controllerItem.querySelector('.controller-verifySSL').checked;
     const testBtn = controllerItem.querySelector('.controller-test-btn');
     const resultEl = controllerItem.querySelector('.controller-test-result');
@@ -423,7 +895,8 @@ async function testUnifiController(controllerItem) {
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ baseUrl, apiKey, site, verifySSL }),
+            // id lets the server use the saved key while the field shows the masked value
+            body: JSON.stringify({ id: controllerItem.getAttribute('data-controller-id'), baseUrl, apiKey, site, allSites, verifySSL }),
         });
 
         const result = await response.json();
@@ -500,7 +973,57 @@ async function testEmailConnection() {
     }
 }
 
-// Send test webhook notification
+// Webhook URL field per service type: [label, placeholder]; services with a public API only need it to override that
+const WEBHOOK_URL_FIELDS = {
+    slack: ['Webhook URL', 'https://hooks.slack.com/services/...'],
+    discord: ['Webhook URL', 'https://discord.com/api/webhooks/...'],
+    teams: ['Webhook URL', 'https://....webhook.office.com/...'],
+    ntfy: ['Topic URL', 'https://ntfy.sh/my-topic'],
+    mattermost: ['Webhook URL', 'https://mattermost.example.com/hooks/...'],
+    googlechat: ['Webhook URL', 'https://chat.googleapis.com/v1/spaces/.../messages?key=...'],
+    gotify: ['Server URL', 'https://gotify.example.com'],
+    telegram: ['API URL (optional)', 'https://api.telegram.org'],
+    pushover: ['API URL (optional)', 'https://api.pushover.net'],
+    pagerduty: ['API URL (optional)', 'https://events.pagerduty.com'],
+    opsgenie: ['API URL (optional)', 'https://api.opsgenie.com (EU: https://api.eu.opsgenie.com)'],
+    generic: ['Webhook URL', 'https://example.com/hook'],
+};
+
+/** Show the credential fields of the selected service type (container holds [data-webhook-types] groups) */
+function toggleWebhookTypeFields(container, urlInput, type) {
+    if (!container) return;
+    container.querySelectorAll('[data-webhook-types]').forEach((el) => {
+        el.style.display = el.getAttribute('data-webhook-types').split(' ').includes(type) ? '' : 'none';
+    });
+    const [label, placeholder] = WEBHOOK_URL_FIELDS[type] || WEBHOOK_URL_FIELDS.generic;
+    if (urlInput) {
+        urlInput.placeholder = placeholder;
+        const labelEl = urlInput.closest('.form-group')?.querySelector('label');
+        if (labelEl) labelEl.textContent = label;
+    }
+}
+
+/** Fill the [data-webhook-field] inputs (e.g. "telegram.botToken") from a webhook target; saved secrets stay empty */
+function setWebhookServiceFields(container, target) {
+    container?.querySelectorAll('[data-webhook-field]').forEach((input) => {
+        const [service, key] = input.getAttribute('data-webhook-field').split('.');
+        const value = target?.[service]?.[key] || '';
+        input.value = value === '***hidden***' ? '' : value;
+        if (input.type === 'password') input.placeholder = value === '***hidden***' ? '(saved)' : '';
+    });
+}
+
+/** The [data-webhook-field] inputs as { telegram: { botToken, chatId }, gotify: { appToken }, … } */
+function getWebhookServiceFields(container) {
+    const fields = {};
+    container?.querySelectorAll('[data-webhook-field]').forEach((input) => {
+        const [service, key] = input.getAttribute('data-webhook-field').split('.');
+        fields[service] = { ...fields[service], [key]: input.value.trim() };
+    });
+    return fields;
+}
+
+// Send test webhook notification with the values in the form (saved secrets are used for empty fields)
 async function testWebhookConnection() {
     const resultEl = document.getElementById('webhookTestResult');
     const btn = document.getElementById('testWebhookBtn');
@@ -508,7 +1031,15 @@ async function testWebhookConnection() {
     showStatus('Sending test webhook…', 'info');
     setTestResult(resultEl, 'Sending…', null);
     try {
-        const res = await fetch('/api/config/test-webhook', { method: 'POST' });
+        const res = await fetch('/api/config/test-webhook', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                type: document.getElementById('webhookType')?.value || 'slack',
+                url: (document.getElementById('webhookUrl')?.value || '').trim(),
+                ...getWebhookServiceFields(document.getElementById('webhookServiceFields')),
+            }),
+        });
         const result = await res.json();
         const msg = result.error || (result.success ? 'Delivered' : 'Failed');
         if (result.success) {
@@ -526,6 +1057,180 @@ async function testWebhookConnection() {
     }
 }
 
+// Notification channels and routes (Config → Email)
+let notificationRouteCounter = 0;
+
+function setupNotificationChannels() {
+    document.getElementById('addNotificationChannelBtn')?.addEventListener('click', () => {
+        addNotificationChannel();
+        refreshRouteChannelOptions();
+    });
+    document.getElementById('addNotificationRouteBtn')?.addEventListener('click', () => addNotificationRoute());
+    const channelsList = document.getElementById('notificationChannelsList');
+    channelsList?.addEventListener('click', (e) => {
+        if (e.target.classList.contains('notif-channel-remove-btn')) {
+            e.target.closest('.notif-channel-item').remove();
+            refreshRouteChannelOptions();
+        } else if (e.target.classList.contains('notif-channel-test-btn')) {
+            testNotificationChannel(e.target.closest('.notif-channel-item'));
+        }
+    });
+    channelsList?.addEventListener('change', (e) => {
+        const item = e.target.closest('.notif-channel-item');
+        if (e.target.classList.contains('notif-channel-kind') || e.target.classList.contains('notif-channel-type')) {
+            toggleNotificationChannelFields(item);
+        }
+        if (e.target.classList.contains('notif-channel-id') || e.target.classList.contains('notif-channel-name')) {
+            item.querySelector('.controller-title').textContent = item.querySelector('.notif-channel-name').value.trim() || item.querySelector('.notif-channel-id').value.trim() || 'Channel';
+            refreshRouteChannelOptions();
+        }
+    });
+    document.getElementById('notificationRoutesList')?.addEventListener('click', (e) => {
+        if (e.target.classList.contains('notif-route-remove-btn')) e.target.closest('.notif-route-item').remove();
+    });
+}
+
+function addNotificationChannel(channel = null) {
+    const template = document.getElementById('notificationChannelTemplate');
+    const list = document.getElementById('notificationChannelsList');
+    if (!template || !list) return;
+    const clone = template.content.cloneNode(true);
+    const item = clone.querySelector('.notif-channel-item');
+    if (channel) {
+        item.querySelector('.notif-channel-enabled').checked = channel.enabled !== false;
+        item.querySelector('.notif-channel-isDefault').checked = channel.isDefault === true;
+        item.querySelector('.notif-channel-id').value = channel.id || '';
+        item.querySelector('.notif-channel-name').value = channel.name || '';
+        item.querySelector('.notif-channel-kind').value = channel.kind === 'email' ? 'email' : 'webhook';
+        item.querySelector('.notif-channel-minSeverity').value = channel.minSeverity || 'info';
+        item.querySelector('.notif-channel-url').value = channel.url || '';
+        item.querySelector('.notif-channel-type').value = channel.type || 'slack';
+        item.querySelector('.notif-channel-to').value = channel.to || '';
+        setWebhookServiceFields(item.querySelector('.notif-channel-service-fields'), channel);
+        item.querySelector('.controller-title').textContent = channel.name || channel.id || 'Channel';
+    }
+    toggleNotificationChannelFields(item);
+    list.appendChild(clone);
+}
+
+function toggleNotificationChannelFields(item) {
+    const isEmail = item.querySelector('.notif-channel-kind').value === 'email';
+    item.querySelector('.notif-channel-webhook-fields').style.display = isEmail ? 'none' : '';
+    item.querySelector('.notif-channel-service-fields').style.display = isEmail ? 'none' : '';
+    item.querySelector('.notif-channel-email-fields').style.display = isEmail ? '' : 'none';
+    toggleWebhookTypeFields(item.querySelector('.notif-channel-service-fields'), item.querySelector('.notif-channel-url'), item.querySelector('.notif-channel-type').value);
+}
+
+function getNotificationChannelFromItem(item) {
+    const kind = item.querySelector('.notif-channel-kind').value;
+    return {
+        id: item.querySelector('.notif-channel-id').value.trim(),
+        name: item.querySelector('.notif-channel-name').value.trim(),
+        kind,
+        enabled: item.querySelector('.notif-channel-enabled').checked,
+        isDefault: item.querySelector('.notif-channel-isDefault').checked,
+        minSeverity: item.querySelector('.notif-channel-minSeverity').value,
+        ...(kind === 'email'
+            ? { to: item.querySelector('.notif-channel-to').value.trim() }
+            : {
+                url: item.querySelector('.notif-channel-url').value.trim(),
+                type: item.querySelector('.notif-channel-type').value,
+                ...getWebhookServiceFields(item.querySelector('.notif-channel-service-fields')),
+            }),
+    };
+}
+
+function getNotificationChannelsFromForm() {
+    return [...document.querySelectorAll('.notif-channel-item')]
+        .map(getNotificationChannelFromItem)
+        .filter((c) => c.id || c.url || c.to);
+}
+
+/** Built-in channels plus the ones in the form: [{ id, name }] */
+function getFormChannelOptions() {
+    return [{ id: 'webhook', name: 'Webhook' }, { id: 'email', name: 'Email' }].concat(
+        getNotificationChannelsFromForm().filter((c) => c.id).map((c) => ({ id: c.id, name: c.name || c.id })),
+    );
+}
+
+function renderRouteChannelOptions(item, selected) {
+    const options = getFormChannelOptions();
+    selected.filter((id) => !options.some((o) => o.id === id)).forEach((id) => options.push({ id, name: `${id} (missing)` }));
+    item.querySelector('.notif-route-channels').innerHTML = options.map((o) =>
+        `<label><input type="checkbox" value="${escapeHtml(o.id)}"${selected.includes(o.id) ? ' checked' : ''}> ${escapeHtml(o.name)}</label>`
+    ).join('');
+}
+
+/** Re-list the channels in every route after channels were added, renamed or removed */
+function refreshRouteChannelOptions() {
+    document.querySelectorAll('.notif-route-item').forEach((item) => {
+        renderRouteChannelOptions(item, [...item.querySelectorAll('.notif-route-channels input:checked')].map((cb) => cb.value));
+    });
+}
+
+function addNotificationRoute(route = null) {
+    const template = document.getElementById('notificationRouteTemplate');
+    const list = document.getElementById('notificationRoutesList');
+    if (!template || !list) return;
+    const clone = template.content.cloneNode(true);
+    const item = clone.querySelector('.notif-route-item');
+    item.setAttribute('data-route-id', route?.id || `route-${Date.now()}-${notificationRouteCounter++}`);
+    const controllers = (currentConfig?.monitoring?.unifi?.controllers || []).map((c) => ({ id: c.id, label: c.name || c.url || c.id }));
+    if (route?.controllerId && !controllers.some((c) => c.id === route.controllerId)) controllers.push({ id: route.controllerId, label: route.controllerId });
+    const select = item.querySelector('.notif-route-controllerId');
+    select.innerHTML = '<option value="">Any controller</option>' +
+        controllers.map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.label)}</option>`).join('');
+    if (route) {
+        item.querySelector('.notif-route-enabled').checked = route.enabled !== false;
+        item.querySelector('.notif-route-alsoDefault').checked = route.alsoDefault === true;
+        item.querySelector('.notif-route-name').value = route.name || '';
+        item.querySelector('.notif-route-site').value = route.site || '';
+        select.value = route.controllerId || '';
+        item.querySelector('.controller-title').textContent = route.name || 'Route';
+    }
+    renderRouteChannelOptions(item, route?.channels || []);
+    list.appendChild(clone);
+}
+
+function getNotificationRoutesFromForm() {
+    return [...document.querySelectorAll('.notif-route-item')].map((item) => ({
+        id: item.getAttribute('data-route-id'),
+        name: item.querySelector('.notif-route-name').value.trim(),
+        enabled: item.querySelector('.notif-route-enabled').checked,
+        controllerId: item.querySelector('.notif-route-controllerId').value,
+        site: item.querySelector('.notif-route-site').value.trim(),
+        channels: [...item.querySelectorAll('.notif-route-channels input:checked')].map((cb) => cb.value),
+        alsoDefault: item.querySelector('.notif-route-alsoDefault').checked,
+    }));
+}
+
+async function testNotificationChannel(item) {
+    const channel = getNotificationChannelFromItem(item);
+    const testBtn = item.querySelector('.notif-channel-test-btn');
+    const resultEl = item.querySelector('.notif-channel-test-result');
+    if (channel.kind === 'email' && !channel.to) {
+        setTestResult(resultEl, 'Enter recipients', false);
+        return;
+    }
+    testBtn.disabled = true;
+    setTestResult(resultEl, 'Sending…', null);
+    try {
+        const res = await fetch('/api/config/test-channel', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(channel),
+        });
+        const result = await res.json();
+        const msg = result.error || (result.success ? 'Delivered' : 'Failed');
+        setTestResult(resultEl, (result.success ? '✓ ' : '✗ ') + msg, result.success === true);
+        showStatus(`${result.success ? '✅' : '❌'} Channel ${channel.name || channel.id || channel.kind}: ${msg}`, result.success ? 'success' : 'error');
+    } catch (err) {
+        setTestResult(resultEl, '✗ ' + err.message, false);
+    } finally {
+        testBtn.disabled = false;
+    }
+}
+
 // Update status information display
 function updateStatusInfo(config) {
     document.getElementById('currentProvider').textContent = config.llm?.provider?.toUpperCase() || 'Unknown';
@@ -561,15 +1266,18 @@ function setTestResult(el, message, success) {
     }
 }
 
-// Dashboard: fetch and render system stats, monitoring summary, recent log
+// Dashboard: fetch and render system stats, monitoring summary, recent events and log
 async function loadDashboard() {
     const systemEl = document.getElementById('dashboardSystem');
     const monitoringEl = document.getElementById('dashboardMonitoring');
+    const eventsEl = document.getElementById('dashboardEvents');
     const logEl = document.getElementById('dashboardLog');
     if (!systemEl || !monitoringEl || !logEl) return;
     systemEl.innerHTML = '<span class="dashboard-loading">Loading…</span>';
     monitoringEl.innerHTML = '<span class="dashboard-loading">Loading…</span>';
+    if (eventsEl) eventsEl.innerHTML = '<span class="dashboard-loading">Loading…</span>';
     logEl.innerHTML = '<span class="dashboard-loading">Loading…</span>';
+    loadIncidents();
     try {
         const res = await fetch('/api/dashboard');
         if (!res.ok) throw new Error(res.statusText);
@@ -604,9 +1312,43 @@ async function loadDashboard() {
             const sm = data.monitoring.siteManager;
             monHtml += `<div class="dashboard-stat"><span class="dashboard-stat-label">Site Manager</span><span class="dashboard-stat-value">${sm.sites?.total ?? 0} site(s), ${sm.devices?.online ?? 0}/${sm.devices?.total ?? 0} devices, ${sm.clients?.total ?? 0} clients</span></div>`;
         }
-        if (!monHtml) monHtml = '<span class="dashboard-muted">No monitoring data (configure UniFi Network or Site Manager in Config)</span>';
+        if (data.monitoring?.prometheus) {
+            const prom = data.monitoring.prometheus;
+            const promClass = prom.failed > 0 ? 'dashboard-stat-value-warn' : '';
+            monHtml += `<div class="dashboard-stat"><span class="dashboard-stat-label">Prometheus</span><span class="dashboard-stat-value ${promClass}">${prom.queries - prom.failed}/${prom.queries} queries OK</span></div>`;
+        }
+        if (data.monitoring?.snmp) {
+            const sn = data.monitoring.snmp;
+            const snClass = sn.reachable < sn.total ? 'dashboard-stat-value-warn' : '';
+            monHtml += `<div class="dashboard-stat"><span class="dashboard-stat-label">SNMP</span><span class="dashboard-stat-value ${snClass}">${sn.reachable}/${sn.total} targets reachable</span></div>`;
+        }
+        if (data.syslog?.enabled) {
+            const sl = data.syslog;
+            const slClass = sl.error ? 'dashboard-stat-value-warn' : '';
+            const slText = sl.error ? escapeHtml(sl.error) : `${sl.messages} message(s) from ${sl.hosts} host(s)`;
+            monHtml += `<div class="dashboard-stat"><span class="dashboard-stat-label">Syslog</span><span class="dashboard-stat-value ${slClass}">${slText}</span></div>`;
+        }
+        const firing = data.alerts || [];
+        if (firing.length > 0) {
+            monHtml += firing.map(a => `<div class="dashboard-stat"><span class="dashboard-stat-label">Alert (${escapeHtml(a.severity)})</span><span class="dashboard-stat-value dashboard-stat-value-warn">${escapeHtml(a.name)}</span></div>`).join('');
+        }
+        if (!monHtml) monHtml = '<span class="dashboard-muted">No monitoring data (configure UniFi Network, Site Manager, Prometheus or SNMP in Config)</span>';
         monitoringEl.innerHTML = monHtml;
 
+        if (eventsEl) {
+            const events = data.events || [];
+            if (events.length === 0) {
+                eventsEl.innerHTML = '<span class="dashboard-muted">No state changes detected yet</span>';
+            } else {
+                eventsEl.innerHTML = events.map(ev => {
+                    const levelClass = ev.severity === 'critical' ? 'dashboard-log-error' : ev.severity === 'warning' ? 'dashboard-log-warning' : 'dashboard-log-info';
+                    const time = ev.time ? new Date(ev.time).toLocaleString() : '';
+                    const detail = ev.detail ? ` <span class="dashboard-log-detail">${escapeHtml(ev.detail)}</span>` : '';
+                    return `<div class="dashboard-log-entry ${levelClass}"><span class="dashboard-log-time">${escapeHtml(time)}</span> [${escapeHtml(ev.type)}] ${escapeHtml(ev.message)}${detail}</div>`;
+                }).join('');
+            }
+        }
+
         const log = data.log || [];
         if (log.length === 0) {
             logEl.innerHTML = '<span class="dashboard-muted">No recent entries</span>';
@@ -621,6 +1363,7 @@ async function loadDashboard() {
     } catch (err) {
         systemEl.innerHTML = `<span class="dashboard-error">${escapeHtml(err.message)}</span>`;
         monitoringEl.innerHTML = '';
+        if (eventsEl) eventsEl.innerHTML = '';
         logEl.innerHTML = `<span class="dashboard-error">${escapeHtml(err.message)}</span>`;
     }
 }
@@ -632,67 +1375,788 @@ function escapeHtml(s) {
     return div.innerHTML;
 }
 
-// ==================== Schedules tab ====================
+// ==================== Incidents (Dashboard) ====================
+
+const INCIDENT_STATUS_LABELS = { open: 'open', acknowledged: 'acknowledged', resolved: 'resolved', closed: 'closed' };
+
+function setupIncidents() {
+    document.getElementById('incidentsStatus')?.addEventListener('change', loadIncidents);
+    document.getElementById('incidentsList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.incident-item');
+        if (!item) return;
+        const id = item.getAttribute('data-incident-id');
+        if (e.target.classList.contains('incident-ack-btn')) updateIncident(id, 'acknowledge');
+        else if (e.target.classList.contains('incident-close-btn')) updateIncident(id, 'close');
+        else if (e.target.classList.contains('incident-snooze-btn')) {
+            const snoozed = e.target.dataset.snoozed === 'true';
+            updateIncident(id, 'snooze', { minutes: snoozed ? 0 : parseInt(item.querySelector('.incident-snooze-minutes').value, 10) });
+        }
+    });
+}
 
-function setupSchedulesEvents() {
-    const scheduleType = document.getElementById('scheduleType');
-    const intervalGroup = document.getElementById('scheduleIntervalGroup');
-    const runAtGroup = document.getElementById('scheduleRunAtGroup');
-    if (scheduleType) {
-        scheduleType.addEventListener('change', () => {
-            const isRecurring = scheduleType.value === 'recurring';
-            intervalGroup.style.display = isRecurring ? 'block' : 'none';
-            runAtGroup.style.display = isRecurring ? 'none' : 'block';
+async function loadIncidents() {
+    const listEl = document.getElementById('incidentsList');
+    const template = document.getElementById('incidentItemTemplate');
+    if (!listEl || !template) return;
+    const status = document.getElementById('incidentsStatus')?.value || '';
+    try {
+        const res = await fetch(`/api/incidents?limit=50&status=${encodeURIComponent(status)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load incidents');
+        if (data.incidents.length === 0) {
+            listEl.innerHTML = `<p class="dashboard-muted">${status === 'active' ? 'No open incidents' : 'No incidents'}</p>`;
+            return;
+        }
+        listEl.innerHTML = '';
+        data.incidents.forEach((incident) => {
+            const clone = template.content.cloneNode(true);
+            const item = clone.querySelector('.incident-item');
+            const active = incident.status === 'open' || incident.status === 'acknowledged';
+            const snoozed = active && incident.snoozedUntil && new Date(incident.snoozedUntil) > new Date();
+            item.setAttribute('data-incident-id', incident.id);
+            item.classList.toggle('incident-critical', active && incident.severity === 'critical');
+            item.querySelector('.schedule-item-name').textContent = incident.title;
+            const badges = [incident.severity, INCIDENT_STATUS_LABELS[incident.status] || incident.status];
+            if (incident.occurrences > 1) badges.push(`seen ${incident.occurrences}×`);
+            if (snoozed) badges.push(`snoozed until ${new Date(incident.snoozedUntil).toLocaleString()}`);
+            item.querySelector('.schedule-item-badges').textContent = badges.join(' · ');
+            const meta = [
+                `${incident.source === 'alert' ? 'Alert rule' : 'Scheduled check'}: ${incident.sourceName}`,
+                `Opened ${new Date(incident.openedAt).toLocaleString()}`,
+                `last seen ${new Date(incident.lastSeenAt).toLocaleString()}`,
+            ];
+            if (incident.acknowledgedAt) meta.push(`acknowledged by ${incident.acknowledgedBy || '—'}`);
+            if (incident.resolvedAt) meta.push(`resolved ${new Date(incident.resolvedAt).toLocaleString()}`);
+            if (incident.closedAt) meta.push(`closed ${new Date(incident.closedAt).toLocaleString()}${incident.closedBy ? ` by ${incident.closedBy}` : ''}`);
+            item.querySelector('.schedule-item-meta').textContent = meta.join(' · ');
+            item.querySelector('.schedule-item-request').textContent = incident.description || '';
+            const actions = item.querySelector('.schedule-item-actions');
+            if (!active) {
+                actions.remove();
+            } else {
+                item.querySelector('.incident-ack-btn').style.display = incident.status === 'open' ? '' : 'none';
+                item.querySelector('.incident-snooze-minutes').style.display = snoozed ? 'none' : '';
+                const snoozeBtn = item.querySelector('.incident-snooze-btn');
+                snoozeBtn.textContent = snoozed ? 'Unsnooze' : 'Snooze';
+                snoozeBtn.dataset.snoozed = snoozed ? 'true' : 'false';
+            }
+            listEl.appendChild(clone);
         });
+    } catch (err) {
+        listEl.innerHTML = '<p class="dashboard-error">' + escapeHtml(err.message) + '</p>';
     }
+}
 
-    document.getElementById('scheduleForm')?.addEventListener('submit', handleScheduleSubmit);
-    document.getElementById('scheduleCancelBtn')?.addEventListener('click', clearScheduleForm);
-    document.getElementById('schedulesRefreshBtn')?.addEventListener('click', () => loadSchedules());
-
-    const listEl = document.getElementById('schedulesList');
-    if (listEl) {
-        listEl.addEventListener('click', (e) => {
-            const item = e.target.closest('.schedule-item');
-            if (!item) return;
-            const id = item.getAttribute('data-job-id');
-            if (e.target.classList.contains('schedule-run-btn')) runScheduleNow(id);
-            else if (e.target.classList.contains('schedule-edit-btn')) editSchedule(id);
-            else if (e.target.classList.contains('schedule-delete-btn')) deleteSchedule(id);
+async function updateIncident(id, op, body = {}) {
+    try {
+        const res = await fetch(`/api/incidents/${encodeURIComponent(id)}/${op}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
         });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Request failed');
+        const done = { acknowledge: 'acknowledged', close: 'closed', snooze: data.snoozedUntil ? 'snoozed' : 'unsnoozed' }[op];
+        showStatus(`Incident ${done}`, 'success');
+    } catch (err) {
+        showStatus(`Error: ${err.message}`, 'error');
     }
+    loadIncidents();
 }
 
-async function loadSchedules() {
-    const listEl = document.getElementById('schedulesList');
-    const heartbeatEl = document.getElementById('schedulerHeartbeat');
+// ==================== Alert rules (Config → Alerts) ====================
+
+function setupAlertRules() {
+    document.getElementById('alertRuleCondition')?.addEventListener('change', toggleAlertConditionFields);
+    document.getElementById('alertRuleSaveBtn')?.addEventListener('click', saveAlertRule);
+    document.getElementById('alertRuleTestBtn')?.addEventListener('click', testAlertRule);
+    document.getElementById('alertRuleCancelBtn')?.addEventListener('click', clearAlertRuleForm);
+    document.getElementById('alertRulesList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.alert-rule-item');
+        if (!item) return;
+        const id = item.getAttribute('data-rule-id');
+        if (e.target.classList.contains('alert-rule-edit-btn')) editAlertRule(id);
+        else if (e.target.classList.contains('alert-rule-delete-btn')) deleteAlertRule(id);
+    });
+}
+
+function toggleAlertConditionFields() {
+    const isThreshold = document.getElementById('alertRuleCondition').value === 'threshold';
+    document.getElementById('alertRuleThresholdGroup').style.display = isThreshold ? '' : 'none';
+    document.getElementById('alertRulePercentGroup').style.display = isThreshold ? 'none' : '';
+}
+
+async function loadAlertRules() {
+    const listEl = document.getElementById('alertRulesList');
     if (!listEl) return;
     try {
-        const [jobsRes, heartbeatRes] = await Promise.all([
-            fetch('/api/schedules'),
-            fetch('/api/scheduler/heartbeat'),
+        const [rulesRes, metricsRes] = await Promise.all([
+            fetch('/api/alerts/rules'),
+            fetch('/api/alerts/metrics'),
         ]);
-        if (!jobsRes.ok) throw new Error('Failed to load schedules');
-        const jobs = await jobsRes.json();
-        renderScheduleList(jobs);
-
-        if (heartbeatEl && heartbeatRes.ok) {
-            const hb = await heartbeatRes.json();
-            heartbeatEl.textContent = hb.status === 'ok' ? '● Scheduler active' : (hb.status === 'stale' ? '○ Scheduler stale' : '—');
-            heartbeatEl.className = 'scheduler-heartbeat ' + (hb.status === 'ok' ? 'heartbeat-ok' : 'heartbeat-stale');
-        }
+        if (!rulesRes.ok || !metricsRes.ok) throw new Error('Failed to load alert rules');
+        const rules = await rulesRes.json();
+        const available = await metricsRes.json();
+
+        const fillSelect = (el, options) => {
+            const current = el.value;
+            el.innerHTML = options.map((o) => `<option value="${escapeHtml(o.id)}">${escapeHtml(o.label)}</option>`).join('');
+            if (options.some((o) => o.id === current)) el.value = current;
+        };
+        fillSelect(document.getElementById('alertRuleMetric'), available.metrics || []);
+        fillSelect(document.getElementById('alertRuleScope'), available.scopes || []);
+        renderAlertRuleList(rules, available);
     } catch (err) {
         listEl.innerHTML = '<p class="dashboard-error">' + escapeHtml(err.message) + '</p>';
-        if (heartbeatEl) heartbeatEl.textContent = '—';
     }
 }
 
-function renderScheduleList(jobs) {
-    const listEl = document.getElementById('schedulesList');
-    const template = document.getElementById('scheduleItemTemplate');
+function describeAlertRule(rule) {
+    if (rule.condition === 'drop_percent') return `${rule.metric} drops ${rule.percent}% within ${rule.windowMinutes}m`;
+    if (rule.condition === 'rise_percent') return `${rule.metric} rises ${rule.percent}% within ${rule.windowMinutes}m`;
+    return `${rule.metric} ${rule.operator} ${rule.threshold}`;
+}
+
+function renderAlertRuleList(rules, available) {
+    const listEl = document.getElementById('alertRulesList');
+    const template = document.getElementById('alertRuleItemTemplate');
     if (!listEl || !template) return;
-    if (!jobs || jobs.length === 0) {
-        listEl.innerHTML = '<p class="dashboard-muted">No scheduled jobs. Add one using the form.</p>';
+    if (!rules || rules.length === 0) {
+        listEl.innerHTML = '<p class="dashboard-muted">No alert rules. Add one using the form below.</p>';
+        return;
+    }
+    const scopeLabels = Object.fromEntries((available?.scopes || []).map((sc) => [sc.id, sc.label]));
+    listEl.innerHTML = '';
+    rules.forEach((rule) => {
+        const clone = template.content.cloneNode(true);
+        const item = clone.querySelector('.alert-rule-item');
+        item.setAttribute('data-rule-id', rule.id);
+        item.querySelector('.schedule-item-name').textContent = rule.name || rule.id;
+        const st = rule.status || {};
+        const badges = [rule.severity];
+        if (st.state === 'firing') badges.push('🔴 firing');
+        else if (st.state === 'pending') badges.push('pending');
+        else if (st.state === 'ok') badges.push('ok');
+        if (st.noData) badges.push('no data');
+        if (!rule.enabled) badges.push('paused');
+        item.querySelector('.schedule-item-badges').textContent = badges.join(' · ');
+        const scope = rule.metric.startsWith('prometheus:') ? 'Prometheus' : (scopeLabels[rule.scope || ''] || rule.scope || 'All UniFi controllers');
+        item.querySelector('.schedule-item-meta').textContent = `${describeAlertRule(rule)} · ${scope}` +
+            (rule.forMinutes ? ` · for ${rule.forMinutes}m` : '') +
+            (st.lastEvaluatedAt ? ` · checked ${new Date(st.lastEvaluatedAt).toLocaleString()}` : '');
+        item.querySelector('.schedule-item-request').textContent = st.description || '—';
+        listEl.appendChild(clone);
+    });
+}
+
+function clearAlertRuleForm() {
+    document.getElementById('alertRuleId').value = '';
+    document.getElementById('alertRuleFormTitle').textContent = 'Add rule';
+    document.getElementById('alertRuleSaveBtn').textContent = 'Add rule';
+    document.getElementById('alertRuleName').value = '';
+    document.getElementById('alertRuleSeverity').value = 'warning';
+    document.getElementById('alertRuleMetric').selectedIndex = 0;
+    document.getElementById('alertRuleScope').selectedIndex = 0;
+    document.getElementById('alertRuleCondition').value = 'threshold';
+    document.getElementById('alertRuleAggregate').value = 'max';
+    document.getElementById('alertRuleOperator').value = '>';
+    document.getElementById('alertRuleThreshold').value = '0';
+    document.getElementById('alertRulePercent').value = '50';
+    document.getElementById('alertRuleWindowMinutes').value = '10';
+    document.getElementById('alertRuleForMinutes').value = '0';
+    document.getElementById('alertRuleNotify').checked = true;
+    document.getElementById('alertRuleNotifyResolved').checked = true;
+    document.getElementById('alertRuleExplain').checked = true;
+    document.getElementById('alertRuleEnabled').checked = true;
+    toggleAlertConditionFields();
+}
+
+function getAlertRuleFromForm() {
+    return {
+        name: document.getElementById('alertRuleName').value.trim(),
+        severity: document.getElementById('alertRuleSeverity').value,
+        metric: document.getElementById('alertRuleMetric').value,
+        scope: document.getElementById('alertRuleScope').value,
+        condition: document.getElementById('alertRuleCondition').value,
+        aggregate: document.getElementById('alertRuleAggregate').value,
+        operator: document.getElementById('alertRuleOperator').value,
+        threshold: parseFloat(document.getElementById('alertRuleThreshold').value),
+        percent: parseFloat(document.getElementById('alertRulePercent').value),
+        windowMinutes: parseInt(document.getElementById('alertRuleWindowMinutes').value, 10),
+        forMinutes: parseInt(document.getElementById('alertRuleForMinutes').value, 10) || 0,
+        notify: document.getElementById('alertRuleNotify').checked,
+        notifyResolved: document.getElementById('alertRuleNotifyResolved').checked,
+        explain: document.getElementById('alertRuleExplain').checked,
+        enabled: document.getElementById('alertRuleEnabled').checked,
+    };
+}
+
+async function editAlertRule(id) {
+    try {
+        const res = await fetch(`/api/alerts/rules/${encodeURIComponent(id)}`);
+        if (!res.ok) throw new Error('Rule not found');
+        const rule = await res.json();
+        document.getElementById('alertRuleId').value = rule.id;
+        document.getElementById('alertRuleFormTitle').textContent = 'Edit rule';
+        document.getElementById('alertRuleSaveBtn').textContent = 'Save rule';
+        document.getElementById('alertRuleName').value = rule.name || '';
+        document.getElementById('alertRuleSeverity').value = rule.severity || 'warning';
+        const metricEl = document.getElementById('alertRuleMetric');
+        if (![...metricEl.options].some((o) => o.value === rule.metric)) {
+            metricEl.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(rule.metric)}">${escapeHtml(rule.metric)}</option>`);
+        }
+        metricEl.value = rule.metric;
+        document.getElementById('alertRuleScope').value = rule.scope || '';
+        document.getElementById('alertRuleCondition').value = rule.condition || 'threshold';
+        document.getElementById('alertRuleAggregate').value = rule.aggregate || 'max';
+        document.getElementById('alertRuleOperator').value = rule.operator || '>';
+        document.getElementById('alertRuleThreshold').value = rule.threshold ?? 0;
+        document.getElementById('alertRulePercent').value = rule.percent ?? 50;
+        document.getElementById('alertRuleWindowMinutes').value = rule.windowMinutes ?? 10;
+        document.getElementById('alertRuleForMinutes').value = rule.forMinutes ?? 0;
+        document.getElementById('alertRuleNotify').checked = rule.notify !== false;
+        document.getElementById('alertRuleNotifyResolved').checked = rule.notifyResolved !== false;
+        document.getElementById('alertRuleExplain').checked = rule.explain !== false;
+        document.getElementById('alertRuleEnabled').checked = rule.enabled !== false;
+        toggleAlertConditionFields();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+async function saveAlertRule() {
+    const id = document.getElementById('alertRuleId').value.trim();
+    const payload = getAlertRuleFromForm();
+    try {
+        const res = await fetch(id ? `/api/alerts/rules/${encodeURIComponent(id)}` : '/api/alerts/rules', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+        if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+        showStatus(id ? 'Alert rule updated' : 'Alert rule added', 'success');
+        clearAlertRuleForm();
+        loadAlertRules();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+async function testAlertRule() {
+    const btn = document.getElementById('alertRuleTestBtn');
+    const resultEl = document.getElementById('alertRuleTestResult');
+    btn.disabled = true;
+    setTestResult(resultEl, 'Testing…', null);
+    try {
+        const payload = { ...getAlertRuleFromForm(), id: document.getElementById('alertRuleId').value.trim() || undefined };
+        const res = await fetch('/api/alerts/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+        const result = await res.json();
+        if (!result.success) throw new Error(result.error || 'Test failed');
+        setTestResult(resultEl, `${result.matched ? 'Would fire' : 'Would not fire'}: ${result.description}`, !result.matched);
+    } catch (err) {
+        setTestResult(resultEl, '✗ ' + err.message, false);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function deleteAlertRule(id) {
+    if (!confirm('Delete this alert rule?')) return;
+    try {
+        const res = await fetch(`/api/alerts/rules/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error('Delete failed');
+        showStatus('Alert rule deleted', 'success');
+        loadAlertRules();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+// ==================== Users (Config → Users) ====================
+
+function setupUsers() {
+    document.getElementById('userSaveBtn')?.addEventListener('click', saveUser);
+    document.getElementById('userCancelBtn')?.addEventListener('click', clearUserForm);
+    document.getElementById('usersList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.user-item');
+        if (!item) return;
+        const id = item.getAttribute('data-user-id');
+        if (e.target.classList.contains('user-edit-btn')) editUser(id);
+        else if (e.target.classList.contains('user-delete-btn')) deleteUser(id);
+    });
+}
+
+let usersCache = [];
+
+async function loadUsers() {
+    const listEl = document.getElementById('usersList');
+    if (!listEl) return;
+    try {
+        const res = await fetch('/api/users');
+        if (res.status === 403) {
+            listEl.innerHTML = '<p class="dashboard-muted">Only admins can manage users.</p>';
+            return;
+        }
+        if (!res.ok) throw new Error('Failed to load users');
+        const data = await res.json();
+        usersCache = data.users || [];
+        renderUserList(usersCache);
+    } catch (err) {
+        listEl.innerHTML = '<p class="dashboard-error">' + escapeHtml(err.message) + '</p>';
+    }
+}
+
+function renderUserList(list) {
+    const listEl = document.getElementById('usersList');
+    const template = document.getElementById('userItemTemplate');
+    if (!listEl || !template) return;
+    if (!list || list.length === 0) {
+        const name = currentUser?.username || 'the configured login';
+        listEl.innerHTML = `<p class="dashboard-muted">No users yet: everyone signs in as ${escapeHtml(name)} (admin). Add a user below; ${escapeHtml(name)} is kept as an admin.</p>`;
+        return;
+    }
+    listEl.innerHTML = '';
+    list.forEach((user) => {
+        const clone = template.content.cloneNode(true);
+        const item = clone.querySelector('.user-item');
+        item.setAttribute('data-user-id', user.id);
+        item.querySelector('.schedule-item-name').textContent = user.username;
+        const badges = [user.role];
+        if (user.disabled) badges.push('disabled');
+        if (currentUser && user.username === currentUser.username) badges.push('you');
+        item.querySelector('.schedule-item-badges').textContent = badges.join(' · ');
+        item.querySelector('.schedule-item-meta').textContent = `Created ${new Date(user.createdAt).toLocaleString()}` +
+            (user.updatedAt && user.updatedAt !== user.createdAt ? ` · updated ${new Date(user.updatedAt).toLocaleString()}` : '');
+        listEl.appendChild(clone);
+    });
+}
+
+function clearUserForm() {
+    document.getElementById('userId').value = '';
+    document.getElementById('userFormTitle').textContent = 'Add user';
+    document.getElementById('userSaveBtn').textContent = 'Add user';
+    document.getElementById('userUsername').value = '';
+    document.getElementById('userUsername').disabled = false;
+    document.getElementById('userRole').value = 'viewer';
+    document.getElementById('userPassword').value = '';
+    document.getElementById('userDisabled').checked = false;
+}
+
+function editUser(id) {
+    const user = usersCache.find((u) => u.id === id);
+    if (!user) return;
+    document.getElementById('userId').value = user.id;
+    document.getElementById('userFormTitle').textContent = `Edit ${user.username}`;
+    document.getElementById('userSaveBtn').textContent = 'Save user';
+    document.getElementById('userUsername').value = user.username;
+    document.getElementById('userUsername').disabled = true;
+    document.getElementById('userRole').value = user.role;
+    document.getElementById('userPassword').value = '';
+    document.getElementById('userDisabled').checked = user.disabled === true;
+}
+
+async function saveUser() {
+    const id = document.getElementById('userId').value.trim();
+    const password = document.getElementById('userPassword').value;
+    const payload = {
+        role: document.getElementById('userRole').value,
+        disabled: document.getElementById('userDisabled').checked,
+    };
+    if (id) {
+        if (password) payload.password = password;
+    } else {
+        payload.username = document.getElementById('userUsername').value.trim();
+        payload.password = password;
+    }
+    try {
+        const res = await fetch(id ? `/api/users/${encodeURIComponent(id)}` : '/api/users', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+        if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+        showStatus(id ? 'User updated' : 'User added', 'success');
+        clearUserForm();
+        loadUsers();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+async function deleteUser(id) {
+    const user = usersCache.find((u) => u.id === id);
+    if (!confirm(`Delete user ${user ? user.username : id}?`)) return;
+    try {
+        const res = await fetch(`/api/users/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Delete failed');
+        showStatus('User deleted', 'success');
+        loadUsers();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+// ==================== API tokens (Config → Users) ====================
+
+function setupApiTokens() {
+    document.getElementById('apiTokenCreateBtn')?.addEventListener('click', createApiToken);
+    document.getElementById('apiTokensList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.api-token-item');
+        if (item && e.target.classList.contains('api-token-revoke-btn')) revokeApiToken(item.getAttribute('data-token-id'));
+    });
+}
+
+async function loadApiTokens() {
+    const listEl = document.getElementById('apiTokensList');
+    if (!listEl) return;
+    try {
+        const res = await fetch('/api/tokens');
+        if (res.status === 403) {
+            listEl.innerHTML = '<p class="dashboard-muted">Only admins can manage API tokens.</p>';
+            return;
+        }
+        if (!res.ok) throw new Error('Failed to load API tokens');
+        const data = await res.json();
+        const scopesEl = document.getElementById('apiTokenScopes');
+        if (scopesEl && !scopesEl.children.length) {
+            scopesEl.innerHTML = Object.entries(data.scopes || {}).map(([id, label]) =>
+                `<label><input type="checkbox" class="api-token-scope" value="${escapeHtml(id)}"> <code>${escapeHtml(id)}</code> – ${escapeHtml(label)}</label>`
+            ).join('');
+        }
+        renderApiTokenList(data.tokens || []);
+    } catch (err) {
+        listEl.innerHTML = '<p class="dashboard-error">' + escapeHtml(err.message) + '</p>';
+    }
+}
+
+function renderApiTokenList(tokens) {
+    const listEl = document.getElementById('apiTokensList');
+    const template = document.getElementById('apiTokenItemTemplate');
+    if (!listEl || !template) return;
+    if (tokens.length === 0) {
+        listEl.innerHTML = '<p class="dashboard-muted">No API tokens. Create one using the form below.</p>';
+        return;
+    }
+    listEl.innerHTML = '';
+    tokens.forEach((t) => {
+        const clone = template.content.cloneNode(true);
+        const item = clone.querySelector('.api-token-item');
+        item.setAttribute('data-token-id', t.id);
+        item.querySelector('.schedule-item-name').textContent = t.name;
+        item.querySelector('.schedule-item-badges').textContent = [t.status, t.hint].join(' · ');
+        if (t.status !== 'active') item.querySelector('.api-token-revoke-btn').remove();
+        item.querySelector('.schedule-item-meta').textContent =
+            `Created ${new Date(t.createdAt).toLocaleString()}${t.createdBy ? ` by ${t.createdBy}` : ''}` +
+            ` · ${t.status === 'revoked' ? `revoked ${new Date(t.revokedAt).toLocaleString()}` : `expires ${new Date(t.expiresAt).toLocaleString()}`}` +
+            ` · ${t.lastUsedAt ? `last used ${new Date(t.lastUsedAt).toLocaleString()}` : 'never used'}`;
+        item.querySelector('.schedule-item-request').textContent = t.scopes.join(', ');
+        listEl.appendChild(clone);
+    });
+}
+
+async function createApiToken() {
+    const payload = {
+        name: document.getElementById('apiTokenName').value.trim(),
+        expiresInDays: parseInt(document.getElementById('apiTokenExpiresInDays').value, 10),
+        scopes: [...document.querySelectorAll('.api-token-scope:checked')].map((el) => el.value),
+    };
+    try {
+        const res = await fetch('/api/tokens', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        document.getElementById('apiTokenValue').value = data.token;
+        document.getElementById('apiTokenCreated').style.display = '';
+        document.getElementById('apiTokenName').value = '';
+        document.querySelectorAll('.api-token-scope').forEach((el) => { el.checked = false; });
+        showStatus(`API token ${data.apiToken.name} created`, 'success');
+        loadApiTokens();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+async function revokeApiToken(id) {
+    if (!confirm('Revoke this API token? Clients using it will get 401 from now on.')) return;
+    try {
+        const res = await fetch(`/api/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!res.ok) throw new Error((await res.json()).error || 'Revoke failed');
+        showStatus('API token revoked', 'success');
+        loadApiTokens();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+// ==================== Backup & restore (Config → Backup) ====================
+
+let restoreUpload = null; // { file, passphrase } previewed and waiting for confirmation
+
+/** Fill in a random scrape token and show it so it can be copied into the Prometheus config */
+function generateMetricsToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    const input = document.getElementById('metricsToken');
+    input.value = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    input.type = 'text';
+    showStatus('Token generated – copy it now, then save the configuration', 'info');
+}
+
+function setupBackup() {
+    document.getElementById('backupDownloadBtn')?.addEventListener('click', downloadBackup);
+    document.getElementById('backupRunBtn')?.addEventListener('click', runBackupNow);
+    document.getElementById('restorePreviewBtn')?.addEventListener('click', previewRestore);
+    document.getElementById('restoreConfirmBtn')?.addEventListener('click', confirmRestore);
+    document.getElementById('restoreCancelBtn')?.addEventListener('click', clearRestorePreview);
+    document.getElementById('backupsList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.backup-item');
+        if (item && e.target.classList.contains('backup-download-btn')) {
+            saveDownload(`/api/backups/${encodeURIComponent(item.getAttribute('data-name'))}`, { method: 'GET' }, item.getAttribute('data-name'))
+                .catch((err) => showStatus('Error: ' + err.message, 'error'));
+        }
+    });
+}
+
+/** Fetch a file and hand it to the browser as a download */
+async function saveDownload(url, options, fallbackName) {
+    const res = await fetch(url, options);
+    if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+    const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || fallbackName;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    return name;
+}
+
+async function downloadBackup() {
+    const secrets = document.getElementById('backupDownloadSecrets').value;
+    try {
+        showStatus('Creating backup...', 'info');
+        const name = await saveDownload('/api/backup', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ secrets, passphrase: document.getElementById('backupDownloadPassphrase').value }),
+        }, 'networkbot-backup.json.gz');
+        showStatus(`Downloaded ${name}`, 'success');
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+async function loadBackups() {
+    const listEl = document.getElementById('backupsList');
+    if (!listEl) return;
+    try {
+        const res = await fetch('/api/backups');
+        if (res.status === 403) {
+            listEl.innerHTML = '<p class="dashboard-muted">Only admins can manage backups.</p>';
+            return;
+        }
+        if (!res.ok) throw new Error('Failed to load backups');
+        const data = await res.json();
+        if (!data.items || data.items.length === 0) {
+            listEl.innerHTML = `<p class="dashboard-muted">No backups in ${escapeHtml(data.directory)} yet.</p>`;
+            return;
+        }
+        listEl.innerHTML = data.items.map((b) => `
+            <div class="schedule-item backup-item" data-name="${escapeHtml(b.name)}">
+                <div class="schedule-item-header">
+                    <span class="schedule-item-name">${escapeHtml(b.name)}</span>
+                    <span class="schedule-item-badges">${b.kind === 'pre-restore' ? 'pre-restore · ' : ''}${Math.max(1, Math.round(b.size / 1024))} KB</span>
+                    <div class="schedule-item-actions">
+                        <button type="button" class="backup-download-btn" title="Download">Download</button>
+                    </div>
+                </div>
+                <div class="schedule-item-meta">${escapeHtml(new Date(b.createdAt).toLocaleString())}</div>
+            </div>`).join('');
+    } catch (err) {
+        listEl.innerHTML = '<p class="dashboard-error">' + escapeHtml(err.message) + '</p>';
+    }
+}
+
+async function runBackupNow() {
+    try {
+        const res = await fetch('/api/backups/run', { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        showStatus(`Backup written: ${data.name}`, 'success');
+        loadBackups();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+async function postRestore(query) {
+    const res = await fetch(`/api/restore?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Backup-Passphrase': restoreUpload.passphrase },
+        body: restoreUpload.file,
+    });
+    const data = await res.json();
+    if (!res.ok && !data.entries) throw new Error(data.error || res.statusText);
+    return data;
+}
+
+async function previewRestore() {
+    const file = document.getElementById('restoreFile').files[0];
+    if (!file) {
+        showStatus('Choose a backup file first', 'error');
+        return;
+    }
+    restoreUpload = { file, passphrase: document.getElementById('restorePassphrase').value };
+    try {
+        const data = await postRestore('dryRun=1');
+        const b = data.backup;
+        document.getElementById('restorePreviewSummary').innerHTML =
+            `Backup from ${escapeHtml(new Date(b.createdAt).toLocaleString())} · config version ${escapeHtml(String(b.configVersion))} · secrets ${escapeHtml(b.secrets)}` +
+            (data.warnings || []).map((w) => `<br>⚠️ ${escapeHtml(w)}`).join('');
+        document.getElementById('restorePreviewEntries').innerHTML = data.entries.map((e) => {
+            const counts = e.backupCount !== undefined ? ` – ${e.backupCount} in backup, ${e.currentCount ?? '?'} now` : '';
+            const errors = e.errors.map((x) => `<div class="dashboard-error">${escapeHtml(x.path || e.name)}: ${escapeHtml(x.message)}</div>`).join('');
+            return `<div class="schedule-item"><label>
+                <input type="checkbox" class="restore-entry" value="${escapeHtml(e.name)}" ${e.restore && e.errors.length === 0 ? 'checked' : ''} ${e.inBackup ? '' : 'disabled'}>
+                ${escapeHtml(e.label)} <code>${escapeHtml(e.name)}</code>${e.inBackup ? escapeHtml(counts) : ' – not in backup'}</label>${errors}</div>`;
+        }).join('');
+        document.getElementById('restorePreview').style.display = '';
+        showStatus(data.valid ? 'Backup checked – choose what to restore' : 'Some entries do not validate and are unselected', data.valid ? 'info' : 'error');
+    } catch (err) {
+        clearRestorePreview();
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+async function confirmRestore() {
+    const only = [...document.querySelectorAll('.restore-entry:checked')].map((el) => el.value);
+    if (!restoreUpload || only.length === 0) {
+        showStatus('Select at least one entry to restore', 'error');
+        return;
+    }
+    if (!confirm(`Replace ${only.join(', ')} with the backup? The current state is saved as a pre-restore backup first.`)) return;
+    try {
+        const data = await postRestore(`only=${encodeURIComponent(only.join(','))}`);
+        if (data.error) throw new Error(data.error);
+        clearRestorePreview();
+        showStatus(`Restored ${data.restored.join(', ')} (previous state saved as ${data.safetyBackup})`, 'success');
+        loadConfig();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+function clearRestorePreview() {
+    restoreUpload = null;
+    document.getElementById('restorePreview').style.display = 'none';
+    document.getElementById('restorePreviewEntries').innerHTML = '';
+    document.getElementById('restoreFile').value = '';
+}
+
+// ==================== Schedules tab ====================
+
+function setupSchedulesEvents() {
+    const scheduleType = document.getElementById('scheduleType');
+    if (scheduleType) {
+        scheduleType.addEventListener('change', () => showScheduleTypeFields(scheduleType.value));
+    }
+    const tzList = document.getElementById('scheduleTimezoneList');
+    if (tzList && Intl.supportedValuesOf) {
+        tzList.innerHTML = Intl.supportedValuesOf('timeZone').map((tz) => `<option value="${escapeHtml(tz)}">`).join('');
+    }
+    document.getElementById('scheduleTimezone').value = browserTimeZone();
+    document.getElementById('addScheduleWindowBtn')?.addEventListener('click', () => {
+        addScheduleWindow(document.getElementById('scheduleWindowsList'));
+        scheduleSchedulePreview();
+    });
+    document.getElementById('scheduleWindowsList')?.addEventListener('click', (e) => {
+        if (!e.target.classList.contains('schedule-window-remove-btn')) return;
+        e.target.closest('.schedule-window').remove();
+        scheduleSchedulePreview();
+    });
+    document.getElementById('scheduleQuietEnabled')?.addEventListener('change', (e) => setQuietHours(e.target.checked ? readQuietHours() || { start: '22:00', end: '06:00' } : null));
+    // Timing fields refresh the next-runs preview
+    document.getElementById('scheduleForm')?.addEventListener('input', (e) => {
+        if (!['scheduleName', 'scheduleRequest', 'scheduleNotifyEmail'].includes(e.target.id)) scheduleSchedulePreview();
+    });
+    document.getElementById('scheduleForm')?.addEventListener('change', scheduleSchedulePreview);
+    loadScheduleChannels();
+    loadScheduleRules();
+    updateSchedulePreview();
+
+    document.getElementById('scheduleForm')?.addEventListener('submit', handleScheduleSubmit);
+    document.getElementById('scheduleCancelBtn')?.addEventListener('click', clearScheduleForm);
+    document.getElementById('schedulesRefreshBtn')?.addEventListener('click', () => loadSchedules());
+
+    const listEl = document.getElementById('schedulesList');
+    if (listEl) {
+        listEl.addEventListener('click', (e) => {
+            const item = e.target.closest('.schedule-item');
+            if (!item) return;
+            const id = item.getAttribute('data-job-id');
+            if (e.target.classList.contains('schedule-history-btn')) openScheduleRuns(id, item.querySelector('.schedule-item-name').textContent);
+            else if (e.target.classList.contains('schedule-run-btn')) runScheduleNow(id);
+            else if (e.target.classList.contains('schedule-edit-btn')) editSchedule(id);
+            else if (e.target.classList.contains('schedule-delete-btn')) deleteSchedule(id);
+        });
+    }
+
+    document.getElementById('scheduleRunsCloseBtn')?.addEventListener('click', closeScheduleRuns);
+    document.getElementById('scheduleRunsStatus')?.addEventListener('change', () => loadScheduleRuns(0));
+    document.getElementById('scheduleRunsNewerBtn')?.addEventListener('click', () => loadScheduleRuns(scheduleRuns.offset - SCHEDULE_RUNS_PAGE));
+    document.getElementById('scheduleRunsOlderBtn')?.addEventListener('click', () => loadScheduleRuns(scheduleRuns.offset + SCHEDULE_RUNS_PAGE));
+    document.getElementById('scheduleRunsList')?.addEventListener('click', (e) => {
+        const li = e.target.closest('li[data-run-id]');
+        if (li) showScheduleRun(li.getAttribute('data-run-id'));
+    });
+    document.querySelectorAll('.schedule-run-tabs button').forEach((btn) => {
+        btn.addEventListener('click', () => {
+            scheduleRuns.view = btn.getAttribute('data-view');
+            renderScheduleRunOutput();
+        });
+    });
+}
+
+async function loadSchedules() {
+    const listEl = document.getElementById('schedulesList');
+    const heartbeatEl = document.getElementById('schedulerHeartbeat');
+    if (!listEl) return;
+    try {
+        const [jobsRes, heartbeatRes] = await Promise.all([
+            fetch('/api/schedules'),
+            fetch('/api/scheduler/heartbeat'),
+        ]);
+        if (!jobsRes.ok) throw new Error('Failed to load schedules');
+        const jobs = await jobsRes.json();
+        renderScheduleList(jobs);
+        loadScheduleChannels();
+        loadScheduleRules();
+
+        if (heartbeatEl && heartbeatRes.ok) {
+            const hb = await heartbeatRes.json();
+            heartbeatEl.textContent = (hb.status === 'ok' ? '● Scheduler active' : (hb.status === 'stale' ? '○ Scheduler stale' : '—')) +
+                (hb.running ? ` · ${hb.running} running` : '') + (hb.queued ? ` · ${hb.queued} queued` : '');
+            heartbeatEl.className = 'scheduler-heartbeat ' + (hb.status === 'ok' ? 'heartbeat-ok' : 'heartbeat-stale');
+        }
+    } catch (err) {
+        listEl.innerHTML = '<p class="dashboard-error">' + escapeHtml(err.message) + '</p>';
+        if (heartbeatEl) heartbeatEl.textContent = '—';
+    }
+}
+
+function renderScheduleList(jobs) {
+    const listEl = document.getElementById('schedulesList');
+    const template = document.getElementById('scheduleItemTemplate');
+    if (!listEl || !template) return;
+    if (!jobs || jobs.length === 0) {
+        listEl.innerHTML = '<p class="dashboard-muted">No scheduled jobs. Add one using the form.</p>';
         return;
     }
     listEl.innerHTML = '';
@@ -703,17 +2167,90 @@ function renderScheduleList(jobs) {
         item.querySelector('.schedule-item-name').textContent = job.name || job.request?.slice(0, 40) || job.id;
         const badges = [];
         if (job.type === 'recurring') badges.push(`every ${job.intervalMinutes}m`);
+        else if (job.type === 'cron') badges.push(`cron ${job.cron}`);
         else if (job.runAt) badges.push('once @ ' + new Date(job.runAt).toLocaleString());
-        if (job.notify !== 'never') badges.push(job.notify === 'on_issues' ? 'email on issues' : 'email always');
+        if (job.timezone && job.timezone !== browserTimeZone() && job.type !== 'once') badges.push(job.timezone);
+        if (job.activeWindows?.length) badges.push(job.activeWindows.map(describeScheduleWindow).join(', '));
+        if (job.quietHours) badges.push(`quiet ${describeScheduleWindow(job.quietHours)}`);
+        if (job.notify !== 'never') {
+            badges.push((job.notify === 'on_issues' ? 'notify on issues' : 'notify always') +
+                (job.channels?.length ? ` → ${job.channels.join(', ')}` : '') +
+                (job.minSeverity && job.minSeverity !== 'info' ? ` (${job.minSeverity}+)` : ''));
+        }
+        if (job.overlap === 'queue') badges.push('queues overlaps');
         if (!job.enabled) badges.push('paused');
+        if (job.runState === 'running') badges.push(job.attempt > 1 ? `running (try ${job.attempt})` : 'running');
+        else if (job.runState === 'queued') badges.push('queued');
         item.querySelector('.schedule-item-badges').textContent = badges.join(' · ');
-        item.querySelector('.schedule-item-meta').innerHTML = (job.lastRunAt ? 'Last: ' + new Date(job.lastRunAt).toLocaleString() : 'Never run') +
-            (job.nextRunAt ? ' · Next: ' + new Date(job.nextRunAt).toLocaleString() : '');
+        const meta = [job.lastRunAt ? 'Last: ' + new Date(job.lastRunAt).toLocaleString() : 'Never run'];
+        if (job.lastRunAt && job.lastAttempts > 1) meta.push(`${job.lastAttempts} tries`);
+        if (job.lastRunAt) meta.push(job.lastError ? 'failed' : 'ok');
+        if (job.skippedRuns) meta.push(`${job.skippedRuns} skipped (last ${new Date(job.lastSkippedAt).toLocaleString()})`);
+        if (job.nextRunAt) meta.push('Next: ' + new Date(job.nextRunAt).toLocaleString());
+        item.querySelector('.schedule-item-meta').textContent = meta.join(' · ');
         item.querySelector('.schedule-item-request').textContent = job.request || '—';
         listEl.appendChild(clone);
     });
 }
 
+// Channels a scheduled check can notify (GET /api/notifications/channels)
+let scheduleChannelOptions = [];
+
+async function loadScheduleChannels() {
+    try {
+        const res = await fetch('/api/notifications/channels');
+        if (!res.ok) return;
+        scheduleChannelOptions = await res.json();
+        setScheduleChannels(getScheduleChannels());
+    } catch (err) {
+        console.error('Error loading notification channels:', err);
+    }
+}
+
+function getScheduleChannels() {
+    return [...document.querySelectorAll('#scheduleChannels input:checked')].map((cb) => cb.value);
+}
+
+function setScheduleChannels(selected) {
+    const el = document.getElementById('scheduleChannels');
+    if (!el) return;
+    const options = scheduleChannelOptions.map((c) => ({ id: c.id, label: c.name + (c.configured ? '' : ' (not configured)') }));
+    selected.filter((id) => !options.some((o) => o.id === id)).forEach((id) => options.push({ id, label: `${id} (missing)` }));
+    el.innerHTML = options.map((o) =>
+        `<label><input type="checkbox" value="${escapeHtml(o.id)}"${selected.includes(o.id) ? ' checked' : ''}> ${escapeHtml(o.label)}</label>`
+    ).join('');
+}
+
+// Alert rules a scheduled check can watch (GET /api/alerts/rules)
+let scheduleRuleOptions = [];
+
+async function loadScheduleRules() {
+    try {
+        const res = await fetch('/api/alerts/rules');
+        if (!res.ok) return;
+        scheduleRuleOptions = await res.json();
+        setScheduleRules(getScheduleRules());
+    } catch (err) {
+        console.error('Error loading alert rules:', err);
+    }
+}
+
+function getScheduleRules() {
+    return [...document.querySelectorAll('#scheduleRules input:checked')].map((cb) => cb.value);
+}
+
+function setScheduleRules(selected) {
+    const el = document.getElementById('scheduleRules');
+    if (!el) return;
+    const options = scheduleRuleOptions.map((r) => ({ id: r.id, label: r.name + (r.notify ? ' (notifies itself)' : '') }));
+    selected.filter((id) => !options.some((o) => o.id === id)).forEach((id) => options.push({ id, label: `${id} (missing)` }));
+    el.innerHTML = options.length
+        ? options.map((o) =>
+            `<label><input type="checkbox" value="${escapeHtml(o.id)}"${selected.includes(o.id) ? ' checked' : ''}> ${escapeHtml(o.label)}</label>`
+        ).join('')
+        : '<span class="form-hint">No alert rules yet.</span>';
+}
+
 function clearScheduleForm() {
     document.getElementById('scheduleJobId').value = '';
     document.getElementById('scheduleFormTitle').textContent = 'Add scheduled check';
@@ -722,12 +2259,22 @@ function clearScheduleForm() {
     document.getElementById('scheduleRequest').value = '';
     document.getElementById('scheduleType').value = 'recurring';
     document.getElementById('scheduleIntervalMinutes').value = '5';
+    document.getElementById('scheduleCron').value = '';
     document.getElementById('scheduleRunAt').value = '';
+    document.getElementById('scheduleTimezone').value = browserTimeZone();
+    document.getElementById('scheduleWindowsList').innerHTML = '';
+    setQuietHours(null);
+    document.getElementById('scheduleOverlap').value = 'skip';
+    document.getElementById('scheduleTimeoutSeconds').value = '';
+    document.getElementById('scheduleRetries').value = '';
     document.getElementById('scheduleNotify').value = 'never';
+    setScheduleChannels([]);
+    setScheduleRules([]);
+    document.getElementById('scheduleMinSeverity').value = 'info';
     document.getElementById('scheduleNotifyEmail').value = '';
     document.getElementById('scheduleEnabled').checked = true;
-    document.getElementById('scheduleIntervalGroup').style.display = 'block';
-    document.getElementById('scheduleRunAtGroup').style.display = 'none';
+    showScheduleTypeFields('recurring');
+    updateSchedulePreview();
 }
 
 function openEditForm(job) {
@@ -738,13 +2285,120 @@ function openEditForm(job) {
     document.getElementById('scheduleRequest').value = job.request || '';
     document.getElementById('scheduleType').value = job.type || 'recurring';
     document.getElementById('scheduleIntervalMinutes').value = job.intervalMinutes || 5;
+    document.getElementById('scheduleCron').value = job.cron || '';
     document.getElementById('scheduleRunAt').value = job.runAt ? new Date(job.runAt).toISOString().slice(0, 16) : '';
+    document.getElementById('scheduleTimezone').value = job.timezone || browserTimeZone();
+    const windowsList = document.getElementById('scheduleWindowsList');
+    windowsList.innerHTML = '';
+    (job.activeWindows || []).forEach((w) => addScheduleWindow(windowsList, w));
+    setQuietHours(job.quietHours || null);
+    document.getElementById('scheduleOverlap').value = job.overlap || 'skip';
+    document.getElementById('scheduleTimeoutSeconds').value = job.timeoutSeconds ?? '';
+    document.getElementById('scheduleRetries').value = job.retries ?? '';
     document.getElementById('scheduleNotify').value = job.notify || 'never';
+    setScheduleChannels(job.channels || []);
+    setScheduleRules(job.ruleIds || []);
+    document.getElementById('scheduleMinSeverity').value = job.minSeverity || 'info';
     document.getElementById('scheduleNotifyEmail').value = job.notifyEmail || '';
     document.getElementById('scheduleEnabled').checked = job.enabled !== false;
-    const isRecurring = (job.type || 'recurring') === 'recurring';
-    document.getElementById('scheduleIntervalGroup').style.display = isRecurring ? 'block' : 'none';
-    document.getElementById('scheduleRunAtGroup').style.display = isRecurring ? 'none' : 'block';
+    showScheduleTypeFields(job.type || 'recurring');
+    updateSchedulePreview();
+}
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+function showScheduleTypeFields(type) {
+    document.getElementById('scheduleIntervalGroup').style.display = type === 'recurring' ? 'block' : 'none';
+    document.getElementById('scheduleCronGroup').style.display = type === 'cron' ? 'block' : 'none';
+    document.getElementById('scheduleRunAtGroup').style.display = type === 'once' ? 'block' : 'none';
+    document.getElementById('scheduleWindowsGroup').style.display = type === 'once' ? 'none' : 'block';
+}
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function describeScheduleWindow(w) {
+    const days = w.days?.length ? w.days.map((d) => WEEKDAY_LABELS[d]).join('/') + ' ' : '';
+    return `${days}${w.start}–${w.end}`;
+}
+
+/** Add a window row ({ start, end, days }) to a list; returns the row */
+function addScheduleWindow(listEl, win = {}) {
+    const row = document.getElementById('scheduleWindowTemplate').content.firstElementChild.cloneNode(true);
+    row.querySelector('.schedule-window-start').value = win.start || '08:00';
+    row.querySelector('.schedule-window-end').value = win.end || '18:00';
+    row.querySelectorAll('.schedule-window-days input').forEach((cb) => {
+        cb.checked = (win.days || []).includes(Number(cb.value));
+    });
+    listEl.appendChild(row);
+    return row;
+}
+
+function readScheduleWindow(row) {
+    return {
+        start: row.querySelector('.schedule-window-start').value,
+        end: row.querySelector('.schedule-window-end').value,
+        days: [...row.querySelectorAll('.schedule-window-days input:checked')].map((cb) => Number(cb.value)),
+    };
+}
+
+function readQuietHours() {
+    const row = document.querySelector('#scheduleQuietHours .schedule-window');
+    return document.getElementById('scheduleQuietEnabled').checked && row ? readScheduleWindow(row) : null;
+}
+
+function setQuietHours(win) {
+    const box = document.getElementById('scheduleQuietHours');
+    box.innerHTML = '';
+    document.getElementById('scheduleQuietEnabled').checked = !!win;
+    box.style.display = win ? 'flex' : 'none';
+    if (win) addScheduleWindow(box, win).querySelector('.schedule-window-remove-btn').remove();
+}
+
+/** Timing fields of the schedule form, as sent to the API */
+function getScheduleTiming() {
+    const runAt = document.getElementById('scheduleRunAt').value;
+    return {
+        type: document.getElementById('scheduleType').value,
+        intervalMinutes: parseInt(document.getElementById('scheduleIntervalMinutes').value, 10) || 5,
+        cron: document.getElementById('scheduleCron').value.trim(),
+        runAt: runAt ? new Date(runAt).toISOString() : null,
+        timezone: document.getElementById('scheduleTimezone').value.trim() || browserTimeZone(),
+        activeWindows: [...document.querySelectorAll('#scheduleWindowsList .schedule-window')].map(readScheduleWindow),
+        quietHours: readQuietHours(),
+    };
+}
+
+let schedulePreviewTimer = null;
+
+function scheduleSchedulePreview() {
+    clearTimeout(schedulePreviewTimer);
+    schedulePreviewTimer = setTimeout(updateSchedulePreview, 400);
+}
+
+/** Show the next run times of the job in the form (in its time zone) */
+async function updateSchedulePreview() {
+    const listEl = document.getElementById('schedulePreview');
+    if (!listEl) return;
+    const timing = getScheduleTiming();
+    if (timing.type === 'cron' && !timing.cron) {
+        listEl.innerHTML = '<li>Enter a cron expression</li>';
+        return;
+    }
+    try {
+        const res = await fetch('/api/schedules/preview?count=5', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(timing),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        const format = (iso) => new Date(iso).toLocaleString(undefined, { timeZone: data.timezone, weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        listEl.innerHTML = data.nextRuns.length
+            ? data.nextRuns.map((iso) => `<li>${escapeHtml(format(iso))} <span class="dashboard-muted">(${escapeHtml(data.timezone)})</span></li>`).join('')
+            : '<li>No upcoming runs</li>';
+    } catch (err) {
+        listEl.innerHTML = `<li class="dashboard-error">${escapeHtml(err.message)}</li>`;
+    }
 }
 
 function editSchedule(id) {
@@ -757,16 +2411,22 @@ function editSchedule(id) {
         .catch(() => showStatus('Failed to load job', 'error'));
 }
 
+const optionalNumber = (value) => (String(value).trim() === '' ? null : Number(value));
+
 async function handleScheduleSubmit(e) {
     e.preventDefault();
     const id = document.getElementById('scheduleJobId').value.trim();
     const payload = {
         name: document.getElementById('scheduleName').value.trim(),
         request: document.getElementById('scheduleRequest').value.trim(),
-        type: document.getElementById('scheduleType').value,
-        intervalMinutes: parseInt(document.getElementById('scheduleIntervalMinutes').value, 10) || 5,
-        runAt: document.getElementById('scheduleRunAt').value ? new Date(document.getElementById('scheduleRunAt').value).toISOString() : null,
+        ...getScheduleTiming(),
+        overlap: document.getElementById('scheduleOverlap').value,
+        timeoutSeconds: optionalNumber(document.getElementById('scheduleTimeoutSeconds').value),
+        retries: optionalNumber(document.getElementById('scheduleRetries').value),
         notify: document.getElementById('scheduleNotify').value,
+        channels: getScheduleChannels(),
+        minSeverity: document.getElementById('scheduleMinSeverity').value,
+        ruleIds: getScheduleRules(),
         notifyEmail: document.getElementById('scheduleNotifyEmail').value.trim(),
         enabled: document.getElementById('scheduleEnabled').checked,
     };
@@ -805,12 +2465,131 @@ async function deleteSchedule(id) {
         const res = await fetch(`/api/schedules/${id}`, { method: 'DELETE' });
         if (!res.ok) throw new Error('Delete failed');
         showStatus('Schedule deleted', 'success');
+        if (scheduleRuns.jobId === id) closeScheduleRuns();
         loadSchedules();
     } catch (err) {
         showStatus('Error: ' + err.message, 'error');
     }
 }
 
+// ---- Run history drawer ----
+
+const SCHEDULE_RUNS_PAGE = 25;
+let scheduleRuns = { jobId: null, offset: 0, total: 0, detail: null, view: 'result' };
+
+function openScheduleRuns(jobId, name) {
+    scheduleRuns = { jobId, offset: 0, total: 0, detail: null, view: 'result' };
+    document.getElementById('scheduleRunsTitle').textContent = `Run history – ${name}`;
+    document.getElementById('scheduleRunsStatus').value = '';
+    document.getElementById('scheduleRunDetail').hidden = true;
+    document.getElementById('scheduleRunsDrawer').hidden = false;
+    loadScheduleRuns(0);
+}
+
+function closeScheduleRuns() {
+    document.getElementById('scheduleRunsDrawer').hidden = true;
+    scheduleRuns.jobId = null;
+}
+
+const RUN_STATUS_LABELS = { success: 'ok', failure: 'FAILED', skipped: 'skipped' };
+const formatRunDuration = (ms) => (ms >= 60000 ? `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s` : `${(ms / 1000).toFixed(1)}s`);
+
+async function loadScheduleRuns(offset) {
+    const { jobId } = scheduleRuns;
+    const listEl = document.getElementById('scheduleRunsList');
+    const summaryEl = document.getElementById('scheduleRunsSummary');
+    if (!jobId || !listEl) return;
+    const status = document.getElementById('scheduleRunsStatus').value;
+    const params = new URLSearchParams({ limit: SCHEDULE_RUNS_PAGE, offset: Math.max(0, offset) });
+    if (status) params.set('status', status);
+    try {
+        const res = await fetch(`/api/schedules/${encodeURIComponent(jobId)}/runs?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load run history');
+        scheduleRuns.offset = data.offset;
+        scheduleRuns.total = data.total;
+        summaryEl.textContent = data.total === 0
+            ? 'No runs recorded yet.'
+            : `${data.offset + 1}–${data.offset + data.runs.length} of ${data.total} runs · ${data.failures} failed`;
+        listEl.innerHTML = data.runs.map((run) => {
+            const issues = run.issues ? (run.issues.length ? `${run.issues.length} issue(s)` : 'no issues') : '';
+            const sent = run.notifications.filter((n) => n.status === 'sent').map((n) => n.name || n.channel);
+            const parts = [
+                new Date(run.startedAt).toLocaleString(),
+                RUN_STATUS_LABELS[run.status] || run.status,
+                run.status === 'skipped' ? '' : formatRunDuration(run.durationMs),
+                run.attempts > 1 ? `${run.attempts} tries` : '',
+                run.trigger === 'manual' ? 'run now' : '',
+                issues,
+                sent.length ? `notified: ${sent.join(', ')}` : '',
+            ].filter(Boolean);
+            const selected = scheduleRuns.detail?.run.id === run.id ? ' selected' : '';
+            return `<li data-run-id="${escapeHtml(run.id)}" class="run-${run.status}${selected}">${escapeHtml(parts.join(' · '))}</li>`;
+        }).join('');
+        document.getElementById('scheduleRunsNewerBtn').disabled = data.offset === 0;
+        document.getElementById('scheduleRunsOlderBtn').disabled = data.offset + data.runs.length >= data.total;
+    } catch (err) {
+        summaryEl.textContent = '';
+        listEl.innerHTML = '<li class="dashboard-error">' + escapeHtml(err.message) + '</li>';
+    }
+}
+
+/** "1 opened, 2 repeated (not sent again)" for a run's incidents */
+function describeRunIncidents(list) {
+    const count = (action) => list.filter((i) => i.action === action).length;
+    return [
+        count('opened') ? `${count('opened')} opened` : '',
+        count('repeated') ? `${count('repeated')} repeated (not sent again)` : '',
+        count('resolved') ? `${count('resolved')} resolved` : '',
+    ].filter(Boolean).join(', ');
+}
+
+async function showScheduleRun(runId) {
+    try {
+        const res = await fetch(`/api/schedules/${encodeURIComponent(scheduleRuns.jobId)}/runs/${encodeURIComponent(runId)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load run');
+        scheduleRuns.detail = data;
+        document.querySelectorAll('#scheduleRunsList li').forEach((li) => li.classList.toggle('selected', li.getAttribute('data-run-id') === runId));
+
+        const { run } = data;
+        const notes = run.notifications.map((n) => `${n.name || n.channel}${n.to ? ` (${n.to})` : ''}: ${n.status.replace('_', ' ')}${n.error ? ` – ${n.error}` : ''}`);
+        const issues = run.issues?.map((i) => `[${i.severity}] ${i.rule}: ${i.description}`) || [];
+        document.getElementById('scheduleRunDetailMeta').innerHTML = [
+            `Started ${escapeHtml(new Date(run.startedAt).toLocaleString())} · ${escapeHtml(formatRunDuration(run.durationMs))} · ${run.trigger === 'manual' ? 'run now' : 'scheduled'}` +
+                (run.attempts > 1 ? ` · ${run.attempts} tries` : ''),
+            run.issues ? `Issues: ${issues.length ? escapeHtml(issues.join('; ')) : 'none'}` : '',
+            `Notifications: ${notes.length ? escapeHtml(notes.join('; ')) : 'none'}`,
+            run.incidents?.length ? `Incidents: ${escapeHtml(describeRunIncidents(run.incidents))}` : '',
+        ].filter(Boolean).join('<br>');
+        document.getElementById('scheduleRunDetail').hidden = false;
+        renderScheduleRunOutput();
+    } catch (err) {
+        showStatus('Error: ' + err.message, 'error');
+    }
+}
+
+function renderScheduleRunOutput() {
+    const out = document.getElementById('scheduleRunOutput');
+    const { detail, view } = scheduleRuns;
+    if (!out || !detail) return;
+    document.querySelectorAll('.schedule-run-tabs button').forEach((btn) => btn.classList.toggle('active', btn.getAttribute('data-view') === view));
+    if (view === 'diff') {
+        if (!detail.diff) {
+            out.textContent = 'No earlier run to compare with.';
+        } else if (detail.diff.every((d) => d.type === 'same')) {
+            out.textContent = 'Same result as the previous run.';
+        } else {
+            out.innerHTML = detail.diff.map((d) => (d.type === 'same'
+                ? escapeHtml(`  ${d.text}`) + '\n'
+                : `<span class="diff-${d.type}">${escapeHtml(`${d.type === 'added' ? '+' : '-'} ${d.text}`)}</span>`)).join('');
+        }
+        return;
+    }
+    if (detail.run.status === 'skipped') out.textContent = `Skipped: ${detail.run.error}`;
+    else out.textContent = detail.run.status === 'failure' ? `Error: ${detail.run.error}` : (detail.run.result || 'No response.');
+}
+
 async function runScheduleNow(id) {
     const btn = document.querySelector(`.schedule-item[data-job-id="${id}"] .schedule-run-btn`);
     if (btn) {
@@ -823,6 +2602,7 @@ async function runScheduleNow(id) {
         if (result.success) {
             showStatus('Job ran successfully', 'success');
             loadSchedules();
+            if (scheduleRuns.jobId === id) loadScheduleRuns(0);
         } else {
             showStatus(result.error || 'Run failed', 'error');
         }
@@ -888,7 +2668,10 @@ async function loadDeviceBoard() {
         const controllers = data.unifi?.controllers || [];
         for (const ctrl of controllers) {
             html += `<div class="devices-controller-section">`;
-            html += `<h3 class="devices-controller-name">${escapeHtml(ctrl.name || 'UniFi Controller')}</h3>`;
+            const siteLabel = ctrl.siteName && (ctrl.name !== ctrl.controllerName || ctrl.site !== 'default')
+                ? ` <span class="dashboard-muted">· site ${escapeHtml(ctrl.siteName)}</span>`
+                : '';
+            html += `<h3 class="devices-controller-name">${escapeHtml(ctrl.controllerName || ctrl.name || 'UniFi Controller')}${siteLabel}</h3>`;
             if (!ctrl.success) {
                 html += `<p class="dashboard-error">Error: ${escapeHtml(ctrl.error || 'Unknown error')}</p>`;
             } else {
@@ -1,13 +1,16 @@
 // Chat functionality for web interface
 
-let chatHistory = [];
+let currentConversationId = null;
+let logsMode = false;
+const CONVERSATION_ID_KEY = 'networkbot_conversation_id';
+const LEGACY_HISTORY_KEY = 'networkbot_chat_history';
 
 // Initialize chat on page load
 document.addEventListener('DOMContentLoaded', () => {
     setupChat();
     setupTabs();
     setupQuickActions();
-    loadChatHistory();
+    initConversations();
     // Load dashboard data on init (Dashboard is the default tab)
     if (typeof loadDashboard === 'function') {
         loadDashboard();
@@ -81,12 +84,26 @@ function setupChat() {
 
     if (clearChatBtn) {
         clearChatBtn.addEventListener('click', () => {
-            clearChatHistory();
+            startNewConversation();
         });
     }
+    setupConversationList();
+
+    document.getElementById('pasteLogsBtn')?.addEventListener('click', () => setLogsMode(!logsMode));
+    // Ctrl/Cmd+Enter in the log textarea sends (plain Enter adds a line)
+    document.getElementById('chatLogsInput')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            chatForm.dispatchEvent(new Event('submit'));
+        }
+    });
 
     chatForm.addEventListener('submit', async (e) => {
         e.preventDefault();
+        if (logsMode) {
+            await submitLogAnalysis();
+            return;
+        }
         const message = chatInput.value.trim();
         
         if (!message) return;
@@ -100,14 +117,13 @@ function setupChat() {
         const loadingId = addLoadingMessage();
 
         try {
-            // Send recent conversation history so the AI can remember context (cleared when chat is cleared)
-            const recentHistory = chatHistory.slice(-20);
+            // The server keeps the conversation; it creates one when there is no current conversation yet
             const response = await fetch('/api/chat', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ message, history: recentHistory }),
+                body: JSON.stringify({ message, conversationId: currentConversationId || undefined }),
             });
 
             // Remove loading indicator
@@ -130,6 +146,7 @@ function setupChat() {
                 const messageDiv = addMessageStreamingPlaceholder();
                 const contentDiv = messageDiv.querySelector('.chat-message-content');
                 let fullText = '';
+                let conversationId = null;
                 const reader = response.body.getReader();
                 const decoder = new TextDecoder();
                 let buffer = '';
@@ -149,12 +166,16 @@ function setupChat() {
                                 appendStreamingContent(contentDiv, fullText, true);
                                 break;
                             }
+                            if (data.toolCall) {
+                                messageDiv.before(addToolCallMessage(data.toolCall));
+                            }
                             if (data.chunk) {
                                 fullText += data.chunk;
                                 appendStreamingContent(contentDiv, fullText);
                             }
                             if (data.done && data.response != null) {
                                 fullText = data.response;
+                                conversationId = data.conversationId;
                             }
                         } catch (_) {}
                     }
@@ -165,28 +186,18 @@ function setupChat() {
                 if (scheduleCreated && typeof showStatus === 'function') {
                     showStatus(`Schedule added: ${scheduleName}. View in Schedules tab.`, 'success');
                 }
-                chatHistory.push({ role: 'user', message: message, timestamp: new Date().toISOString() });
-                chatHistory.push({ role: 'bot', message: cleanText, timestamp: new Date().toISOString() });
-                saveChatHistory();
+                if (conversationId) setCurrentConversation(conversationId);
             } else {
                 const data = await response.json();
                 if (data.success) {
                     const { cleanText, scheduleCreated, scheduleName } = await parseAndCreateScheduleFromResponse(data.response);
-                    addMessage('bot', cleanText);
+                    (data.toolCalls || []).forEach(addToolCallMessage);
+                    const botDiv = addMessage('bot', cleanText);
+                    if (data.pendingAction) addActionConfirmButtons(botDiv, data.pendingAction);
                     if (scheduleCreated && typeof showStatus === 'function') {
                         showStatus(`Schedule added: ${scheduleName}. View in Schedules tab.`, 'success');
                     }
-                    chatHistory.push({
-                        role: 'user',
-                        message: message,
-                        timestamp: new Date().toISOString()
-                    });
-                    chatHistory.push({
-                        role: 'bot',
-                        message: cleanText,
-                        timestamp: data.timestamp
-                    });
-                    saveChatHistory();
+                    if (data.conversationId) setCurrentConversation(data.conversationId);
                 } else {
                     throw new Error(data.error || 'Unknown error');
                 }
@@ -210,6 +221,83 @@ function setupChat() {
     });
 }
 
+// Toggle "Paste logs" mode: a textarea for the snippet, the chat input becomes an optional question
+function setLogsMode(on) {
+    logsMode = on;
+    const logsInput = document.getElementById('chatLogsInput');
+    const chatInput = document.getElementById('chatInput');
+    const btn = document.getElementById('pasteLogsBtn');
+    logsInput.style.display = on ? 'block' : 'none';
+    chatInput.required = !on;
+    chatInput.placeholder = on ? '> Question about these logs (optional)...' : '> Ask about status, logs, or diagnostics...';
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-pressed', on ? 'true' : 'false');
+    (on ? logsInput : chatInput).focus();
+}
+
+// Markdown summary of the patterns returned by /api/analyze-logs
+function formatLogPatterns(summary, patterns) {
+    if (!summary || !patterns) return '';
+    let md = '**Pattern summary**\n\n| Lines | Errors | Warnings | Unique IPs |\n|---|---|---|---|\n';
+    md += `| ${summary.totalLines} | ${summary.errorCount} | ${summary.warningCount} | ${summary.uniqueIPs} |\n`;
+    const list = (title, items) => {
+        if (!items.length) return '';
+        return `\n**${title}**\n` + items.map((i) => `- line ${i.line}: \`${String(i.content).slice(0, 200).replace(/`/g, "'")}\``).join('\n') + '\n';
+    };
+    md += list('First errors', patterns.errors);
+    md += list('First warnings', patterns.warnings);
+    if (patterns.ipAddresses.length) md += `\n**IPs:** ${patterns.ipAddresses.join(', ')}\n`;
+    return md;
+}
+
+// Send the pasted snippet (and optional question) to /api/analyze-logs and show patterns + AI explanation
+async function submitLogAnalysis() {
+    const logsInput = document.getElementById('chatLogsInput');
+    const chatInput = document.getElementById('chatInput');
+    const chatSendBtn = document.getElementById('chatSendBtn');
+    const logs = logsInput.value;
+    const question = chatInput.value.trim();
+    if (!logs.trim()) {
+        logsInput.focus();
+        return;
+    }
+    const lineCount = logs.split('\n').length;
+    const userText = `📋 Pasted logs (${lineCount} line${lineCount === 1 ? '' : 's'})${question ? `: ${question}` : ''}`;
+    addMessage('user', userText);
+    chatSendBtn.disabled = true;
+    const loadingId = addLoadingMessage();
+
+    try {
+        const response = await fetch('/api/analyze-logs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ logs, question, conversationId: currentConversationId || undefined }),
+        });
+        removeLoadingMessage(loadingId);
+        if (response.status === 401) {
+            window.location.reload();
+            return;
+        }
+        const data = await response.json().catch(() => ({}));
+        const patternsMd = formatLogPatterns(data.summary, data.patterns);
+        if (!response.ok || !data.success) {
+            if (patternsMd) addMessage('bot', patternsMd);
+            throw new Error(data.error || 'Failed to analyze logs');
+        }
+        const botText = `${patternsMd}${data.truncated ? '\n_Long snippet: the AI saw the start and end only._\n' : ''}\n---\n\n${data.response}`;
+        addMessage('bot', botText);
+        if (data.conversationId) setCurrentConversation(data.conversationId);
+        logsInput.value = '';
+        chatInput.value = '';
+    } catch (error) {
+        removeLoadingMessage(loadingId);
+        addMessage('bot', `⚠️ Error: ${error.message}`, true);
+        console.error('Log analysis error:', error);
+    } finally {
+        chatSendBtn.disabled = false;
+    }
+}
+
 // Parse [NETWORKBOT_SCHEDULE]...[/NETWORKBOT_SCHEDULE] from AI response; create schedule via API; return { cleanText, scheduleCreated, scheduleName }.
 async function parseAndCreateScheduleFromResponse(responseText) {
     if (!responseText || typeof responseText !== 'string') return { cleanText: responseText || '', scheduleCreated: false };
@@ -230,9 +318,16 @@ async function parseAndCreateScheduleFromResponse(responseText) {
         name: payload.name || name,
         request: payload.request || '',
         type: payload.type || 'recurring',
-        intervalMinutes: payload.type === 'once' ? undefined : (payload.intervalMinutes || 5),
+        intervalMinutes: payload.type === 'recurring' || !payload.type ? (payload.intervalMinutes || 5) : undefined,
         runAt: payload.type === 'once' ? payload.runAt : undefined,
+        cron: payload.type === 'cron' ? payload.cron : undefined,
+        timezone: payload.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        activeWindows: Array.isArray(payload.activeWindows) ? payload.activeWindows : undefined,
+        quietHours: payload.quietHours || undefined,
+        overlap: payload.overlap || undefined,
         notify: payload.notify || 'never',
+        channels: Array.isArray(payload.channels) ? payload.channels : undefined,
+        minSeverity: payload.minSeverity || undefined,
         notifyEmail: payload.notifyEmail || '',
         enabled: payload.enabled !== false,
     };
@@ -310,6 +405,73 @@ function addMessage(role, content, isError = false) {
     return messageDiv;
 }
 
+// Add a compact transcript line for a diagnostic the AI ran, e.g. "test_port(host: nas, port: 445) → open · 0.1s"
+function addToolCallMessage(call) {
+    const messagesContainer = document.getElementById('chatMessages');
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `chat-message tool${call.ok === false ? ' failed' : ''}`;
+
+    const avatar = document.createElement('div');
+    avatar.className = 'chat-message-avatar';
+    avatar.textContent = '🔧';
+
+    const args = Object.entries(call.arguments || {}).map(([k, v]) => `${k}: ${v}`).join(', ');
+    const duration = call.durationMs != null ? ` · ${(call.durationMs / 1000).toFixed(1)}s` : '';
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'chat-message-content';
+    contentDiv.textContent = `${call.name}(${args}) → ${call.summary || (call.ok ? 'done' : 'failed')}${duration}`;
+
+    messageDiv.appendChild(avatar);
+    messageDiv.appendChild(contentDiv);
+    messagesContainer.appendChild(messageDiv);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    return messageDiv;
+}
+
+// Confirm/Cancel buttons under a prepared UniFi action (/restart, /block, …); nothing is sent until Confirm
+function addActionConfirmButtons(messageDiv, pendingAction) {
+    const contentDiv = messageDiv.querySelector('.chat-message-content');
+    const row = document.createElement('div');
+    row.className = 'chat-action-confirm';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.type = 'button';
+    confirmBtn.className = 'btn-primary';
+    confirmBtn.textContent = `Confirm: ${pendingAction.label}`;
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn-secondary';
+    cancelBtn.textContent = 'Cancel';
+    row.appendChild(confirmBtn);
+    row.appendChild(cancelBtn);
+    contentDiv.insertBefore(row, contentDiv.querySelector('.chat-message-time'));
+
+    // The server adds the outcome to the conversation; here it is only shown
+    const finish = (text, isError = false) => {
+        row.remove();
+        addMessage('bot', text, isError);
+    };
+    const token = encodeURIComponent(pendingAction.token);
+    confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        cancelBtn.disabled = true;
+        try {
+            const res = await fetch(`/api/unifi/actions/${token}/confirm`, { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!data.success) throw new Error(data.error || res.statusText);
+            finish(data.message);
+        } catch (error) {
+            finish(`⚠️ ${pendingAction.summary} failed: ${error.message}`, true);
+        }
+    });
+    cancelBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        cancelBtn.disabled = true;
+        const res = await fetch(`/api/unifi/actions/${token}`, { method: 'DELETE' }).catch(() => null);
+        const data = res ? await res.json().catch(() => ({})) : {};
+        finish(data.message || `Cancelled: ${pendingAction.summary}`);
+    });
+}
+
 // Add a bot message placeholder for streaming (thought stream); returns the message div
 function addMessageStreamingPlaceholder() {
     const messagesContainer = document.getElementById('chatMessages');
@@ -387,37 +549,139 @@ function removeLoadingMessage(id) {
     }
 }
 
-// Save chat history to localStorage
-function saveChatHistory() {
+// Start with the conversation used last (kept across refreshes); a thread from the old browser-only history is imported once
+async function initConversations() {
     try {
-        // Keep only last 50 messages
-        const recentHistory = chatHistory.slice(-50);
-        localStorage.setItem('networkbot_chat_history', JSON.stringify(recentHistory));
+        const legacy = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY) || 'null');
+        if (Array.isArray(legacy) && legacy.length > 0) {
+            const res = await fetch('/api/conversations', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ messages: legacy }),
+            });
+            if (res.ok) {
+                localStorage.setItem(CONVERSATION_ID_KEY, (await res.json()).id);
+                localStorage.removeItem(LEGACY_HISTORY_KEY);
+            }
+        }
     } catch (error) {
-        console.error('Error saving chat history:', error);
+        console.error('Error importing local chat history:', error);
     }
+    const savedId = localStorage.getItem(CONVERSATION_ID_KEY);
+    if (savedId) await loadConversation(savedId);
+    await loadConversationList();
 }
 
-// Load chat history from localStorage
-function loadChatHistory() {
+// Remember the active conversation and refresh the sidebar (titles and order change as messages are added)
+function setCurrentConversation(id) {
+    currentConversationId = id;
+    if (id) localStorage.setItem(CONVERSATION_ID_KEY, id);
+    else localStorage.removeItem(CONVERSATION_ID_KEY);
+    loadConversationList();
+}
+
+// Show a stored conversation in the chat
+async function loadConversation(id) {
+    const messagesContainer = document.getElementById('chatMessages');
     try {
-        const saved = localStorage.getItem('networkbot_chat_history');
-        if (saved) {
-            chatHistory = JSON.parse(saved);
-            // Display history
-            chatHistory.forEach(item => {
-                addMessage(item.role, item.message);
+        const res = await fetch(`/api/conversations/${encodeURIComponent(id)}`);
+        if (res.status === 404) {
+            setCurrentConversation(null);
+            return;
+        }
+        if (!res.ok) throw new Error(res.statusText);
+        const conversation = await res.json();
+        messagesContainer.innerHTML = '';
+        conversation.messages.forEach((item) => {
+            (item.toolCalls || []).forEach(addToolCallMessage);
+            addMessage(item.role, item.message);
+        });
+        document.getElementById('chatTitle').textContent = conversation.title;
+        currentConversationId = conversation.id;
+        localStorage.setItem(CONVERSATION_ID_KEY, conversation.id);
+        highlightActiveConversation();
+    } catch (error) {
+        console.error('Error loading conversation:', error);
+    }
+}
+
+// Start a new conversation (past ones stay in the sidebar)
+function startNewConversation() {
+    setCurrentConversation(null);
+    document.getElementById('chatMessages').innerHTML = '';
+    document.getElementById('chatTitle').textContent = 'Chat';
+}
+
+// Sidebar: open, rename and delete conversations
+function setupConversationList() {
+    document.getElementById('conversationList')?.addEventListener('click', async (e) => {
+        const item = e.target.closest('.conversation-item');
+        if (!item) return;
+        const id = item.getAttribute('data-id');
+        if (e.target.classList.contains('conversation-rename-btn')) {
+            const title = window.prompt('Rename conversation', item.querySelector('.conversation-item-title').textContent);
+            if (!title || !title.trim()) return;
+            await fetch(`/api/conversations/${encodeURIComponent(id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title: title.trim() }),
             });
+            if (id === currentConversationId) document.getElementById('chatTitle').textContent = title.trim();
+            loadConversationList();
+        } else if (e.target.classList.contains('conversation-delete-btn')) {
+            if (!window.confirm('Delete this conversation?')) return;
+            await fetch(`/api/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (id === currentConversationId) startNewConversation();
+            else loadConversationList();
+        } else if (id !== currentConversationId) {
+            loadConversation(id);
         }
+    });
+}
+
+async function loadConversationList() {
+    const listEl = document.getElementById('conversationList');
+    if (!listEl) return;
+    try {
+        const res = await fetch('/api/conversations?limit=100');
+        if (!res.ok) throw new Error(res.statusText);
+        const data = await res.json();
+        listEl.innerHTML = '';
+        if (data.conversations.length === 0) {
+            listEl.innerHTML = '<li class="conversation-empty">No conversations yet.</li>';
+            return;
+        }
+        data.conversations.forEach((c) => {
+            const li = document.createElement('li');
+            li.className = 'conversation-item';
+            li.setAttribute('data-id', c.id);
+            li.title = c.preview || c.title;
+            const text = document.createElement('div');
+            text.className = 'conversation-item-text';
+            const title = document.createElement('div');
+            title.className = 'conversation-item-title';
+            title.textContent = c.title;
+            const time = document.createElement('div');
+            time.className = 'conversation-item-time';
+            time.textContent = new Date(c.updatedAt).toLocaleString();
+            text.appendChild(title);
+            text.appendChild(time);
+            li.appendChild(text);
+            li.insertAdjacentHTML('beforeend',
+                '<button type="button" class="conversation-rename-btn" title="Rename" aria-label="Rename">✎</button>' +
+                '<button type="button" class="conversation-delete-btn" title="Delete" aria-label="Delete">×</button>');
+            listEl.appendChild(li);
+        });
+        const active = data.conversations.find((c) => c.id === currentConversationId);
+        if (active) document.getElementById('chatTitle').textContent = active.title;
+        highlightActiveConversation();
     } catch (error) {
-        console.error('Error loading chat history:', error);
+        console.error('Error loading conversations:', error);
     }
 }
 
-// Clear chat history
-function clearChatHistory() {
-    chatHistory = [];
-    localStorage.removeItem('networkbot_chat_history');
-    const messagesContainer = document.getElementById('chatMessages');
-    messagesContainer.innerHTML = '';
+function highlightActiveConversation() {
+    document.querySelectorAll('.conversation-item').forEach((li) => {
+        li.classList.toggle('active', li.getAttribute('data-id') === currentConversationId);
+    });
 }
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// Re-encrypt the secrets in config.json with a new key.
+//   npm run rotate-secret-key                       # random new key (key file) – safe while NetworkBot runs
+//   NETWORKBOT_NEW_SECRET_KEY=… npm run rotate-secret-key   # use this key instead
+// With NETWORKBOT_SECRET_KEY: stop NetworkBot, rotate, put the printed key in NETWORKBOT_SECRET_KEY, start it again.
+
+require('dotenv').config();
+const { rotateSecretKey } = require('../utils/config');
+
+try {
+  const argIndex = process.argv.indexOf('--new-key');
+  const newKey = argIndex !== -1 ? process.argv[argIndex + 1] : process.env.NETWORKBOT_NEW_SECRET_KEY;
+  const result = rotateSecretKey({ newKey });
+  console.log(`🔑 Re-encrypted ${result.count} secret(s): key ${result.previousId} → ${result.id}`);
+  if (result.source === 'file') {
+    console.log(`   Key file updated: ${result.file}`);
+  } else {
+    console.log('   Set NETWORKBOT_SECRET_KEY to the new key before starting NetworkBot again:');
+    console.log(`   ${result.newKey}`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
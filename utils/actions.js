@@ -0,0 +1,310 @@
+// utils/actions.js – Write actions on UniFi Network controllers: restart or locate a device, power-cycle a
+// PoE port, block/unblock a client and force a client to reconnect (cmd/devmgr and cmd/stamgr).
+// Every action is prepared first (target resolved, nothing sent) and only runs once confirmed;
+// each confirmed attempt is recorded in the audit trail in actions.json.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getMonitoringData, getUniFiMonitor } = require('./monitoring');
+
+const ACTIONS_FILE = path.join(__dirname, '..', 'actions.json');
+
+const ACTION_TYPES = {
+  restart_device: { label: 'Restart device', target: 'device', command: 'restart' },
+  locate_device: { label: 'Locate device (blink LED)', target: 'device', command: 'locate' },
+  unlocate_device: { label: 'Stop locating device', target: 'device', command: 'unlocate' },
+  power_cycle_port: { label: 'Power-cycle PoE port', target: 'device', port: true, command: 'powercycle' },
+  block_client: { label: 'Block client', target: 'client', command: 'block' },
+  unblock_client: { label: 'Unblock client', target: 'client', command: 'unblock' },
+  reconnect_client: { label: 'Reconnect client', target: 'client', command: 'reconnect' },
+};
+
+const MAC_RE = /^([0-9a-f]{2}[:-]){5}[0-9a-f]{2}$/i;
+
+let state = { audit: [], meta: { version: 1 } };
+let loaded = false;
+const pending = new Map(); // token → prepared action
+
+function getActionsConfig() {
+  const a = getConfig().monitoring?.unifi?.actions || {};
+  return {
+    enabled: a.enabled !== false,
+    confirmTimeoutSeconds: Math.min(900, Math.max(30, parseInt(a.confirmTimeoutSeconds, 10) || 120)),
+    maxAudit: Math.max(100, parseInt(a.maxAudit, 10) || 1000),
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(ACTIONS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(ACTIONS_FILE, 'utf8'));
+      state.audit = Array.isArray(data.audit) ? data.audit : [];
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Actions] Error loading audit trail:', err.message);
+    state.audit = [];
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(ACTIONS_FILE, JSON.stringify({ audit: state.audit, meta: state.meta }), 'utf8');
+  } catch (err) {
+    console.error('[Actions] Error saving audit trail:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+const normalizeMac = (mac) => String(mac || '').trim().toLowerCase().replace(/-/g, ':');
+const deviceName = (d) => d.name || d.hostname || d.model || d.mac;
+const clientName = (c) => c.hostname || c.name || c.mac;
+const clientIp = (c) => c.ip || c.fixed_ip || c.network?.ip || '';
+
+/**
+ * Find the device or client an action targets in the current monitoring data.
+ * target is a MAC, IP or (exact, case-insensitive) name; scope optionally narrows to a controller
+ * (id or name) or site (name or description). A MAC that is not in the data (e.g. a blocked client
+ * that is offline) is accepted when the scope leaves exactly one controller site.
+ */
+async function resolveTarget(kind, target, scope) {
+  const wanted = String(target || '').trim();
+  if (!wanted) throw new Error(`Missing ${kind}: give a MAC, IP or name`);
+  const data = await getMonitoringData();
+  const s = scope ? String(scope).trim().toLowerCase() : '';
+  const sites = (data.unifi?.controllers || []).filter((c) => c.success && (!s
+    || [c.id, c.name, c.controllerName, c.site, c.siteName].some((v) => v && String(v).toLowerCase() === s)));
+  if (sites.length === 0) {
+    throw new Error(s ? `No reachable UniFi controller or site matches "${scope}"` : 'No reachable UniFi Network controller');
+  }
+
+  const mac = MAC_RE.test(wanted) ? normalizeMac(wanted) : null;
+  const lower = wanted.toLowerCase();
+  const matches = [];
+  sites.forEach((site) => {
+    const list = kind === 'device' ? site.metrics?.devicesList || [] : site.metrics?.clientsList || [];
+    list.forEach((item) => {
+      const name = kind === 'device' ? deviceName(item) : clientName(item);
+      const hit = mac
+        ? normalizeMac(item.mac) === mac
+        : (kind === 'device' ? item.ip === wanted : clientIp(item) === wanted) || String(name || '').toLowerCase() === lower;
+      if (hit) matches.push({ site, item, name });
+    });
+  });
+
+  if (matches.length > 1) {
+    const where = matches.slice(0, 5).map((m) => `${m.name} (${m.item.mac}) on ${m.site.name}`).join('; ');
+    throw new Error(`"${wanted}" matches ${matches.length} ${kind}s: ${where}. Use the MAC or add the controller/site.`);
+  }
+  if (matches.length === 1) {
+    const { site, item, name } = matches[0];
+    return { site, mac: normalizeMac(item.mac), name, item };
+  }
+  if (mac && sites.length === 1) return { site: sites[0], mac, name: mac, item: null };
+  if (mac) throw new Error(`${mac} is not in the monitoring data; add the controller/site so the command goes to the right place`);
+  throw new Error(`No ${kind} named or addressed "${wanted}" found${s ? ` on ${scope}` : ''}`);
+}
+
+/**
+ * Resolve and stage an action without sending anything to the controller.
+ * @param {Object} input - { action, target, port?, scope? }
+ * @param {Object} context - { actor, source: 'api'|'chat', conversationId? }
+ * @returns {Promise<Object>} { token, action, label, summary, controller, site, target, port, expiresAt }
+ */
+async function prepareAction(input = {}, context = {}) {
+  const cfg = getActionsConfig();
+  if (!cfg.enabled) throw new Error('UniFi write actions are disabled (Configuration → Monitoring → UniFi Network)');
+  const type = ACTION_TYPES[input.action];
+  if (!type) throw new Error(`Unknown action: ${input.action}. Use one of: ${Object.keys(ACTION_TYPES).join(', ')}`);
+
+  let port;
+  if (type.port) {
+    port = parseInt(input.port, 10);
+    if (!Number.isInteger(port) || port < 1 || port > 128) throw new Error('A switch port number (1-128) is required');
+  }
+
+  const resolved = await resolveTarget(type.target, input.target, input.scope);
+  if (type.port && resolved.item) {
+    const portEntry = (resolved.item.port_table || []).find((p) => Number(p.port_idx) === port);
+    if (Array.isArray(resolved.item.port_table) && !portEntry) throw new Error(`${resolved.name} has no port ${port}`);
+    if (portEntry && portEntry.port_poe === false) throw new Error(`Port ${port} on ${resolved.name} does not supply PoE`);
+  }
+  if (input.action === 'reconnect_client' && resolved.item?.is_wired === true) {
+    throw new Error(`${resolved.name} is wired; only wireless clients can be forced to reconnect`);
+  }
+
+  const site = resolved.site;
+  const token = crypto.randomBytes(16).toString('hex');
+  const where = site.name !== site.controllerName || (site.site || 'default') === 'default'
+    ? site.name
+    : `${site.name} (site: ${site.siteName || site.site})`;
+  const prepared = {
+    token,
+    action: input.action,
+    label: type.label,
+    summary: `${type.label}: ${resolved.name}${resolved.name !== resolved.mac ? ` (${resolved.mac})` : ''}${type.port ? ` port ${port}` : ''} on ${where}`,
+    controller: { id: site.id, name: site.controllerName || site.name },
+    site: site.site || 'default',
+    target: { kind: type.target, mac: resolved.mac, name: resolved.name },
+    port,
+    actor: context.actor || null,
+    source: context.source || 'api',
+    conversationId: context.conversationId || undefined,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + cfg.confirmTimeoutSeconds * 1000).toISOString(),
+  };
+  pruneExpired();
+  pending.set(token, prepared);
+  const { actor, ...publicView } = prepared;
+  return publicView;
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const [token, p] of pending) {
+    if (new Date(p.expiresAt).getTime() <= now) pending.delete(token);
+  }
+}
+
+function runCommand(mon, p) {
+  const mac = p.target.mac;
+  switch (p.action) {
+    case 'restart_device': return mon.restartDevice(mac);
+    case 'locate_device': return mon.locateDevice(mac, true);
+    case 'unlocate_device': return mon.locateDevice(mac, false);
+    case 'power_cycle_port': return mon.powerCyclePort(mac, p.port);
+    case 'block_client': return mon.blockClient(mac);
+    case 'unblock_client': return mon.unblockClient(mac);
+    case 'reconnect_client': return mon.reconnectClient(mac);
+    default: throw new Error(`Unknown action: ${p.action}`);
+  }
+}
+
+function appendAudit(entry) {
+  ensureLoaded();
+  state.audit.push(entry);
+  const { maxAudit } = getActionsConfig();
+  if (state.audit.length > maxAudit) state.audit = state.audit.slice(-maxAudit);
+  saveState();
+}
+
+/**
+ * Run a prepared action. The token is single-use; the outcome (success or failure) is audited.
+ * @returns {Promise<Object>} the audit entry ({ status: 'success'|'failed', error? })
+ */
+async function confirmAction(token, context = {}) {
+  pruneExpired();
+  const p = pending.get(token);
+  if (!p) throw new Error('Action not found or confirmation expired; prepare it again');
+  pending.delete(token);
+
+  const controllerCfg = (getConfig().monitoring?.unifi?.controllers || []).find((c) => c.enabled && c.id === p.controller.id);
+  const started = Date.now();
+  const entry = {
+    id: `act_${started}_${Math.random().toString(36).slice(2, 9)}`,
+    time: new Date(started).toISOString(),
+    action: p.action,
+    label: p.label,
+    summary: p.summary,
+    controllerId: p.controller.id,
+    controllerName: p.controller.name,
+    site: p.site,
+    target: p.target,
+    port: p.port,
+    actor: context.actor || p.actor || null,
+    source: p.source,
+    conversationId: p.conversationId,
+    status: 'success',
+  };
+  try {
+    if (!controllerCfg) throw new Error('Controller is no longer configured or enabled');
+    await runCommand(getUniFiMonitor({ ...controllerCfg, site: p.site }), p);
+  } catch (err) {
+    entry.status = 'failed';
+    entry.error = err.message;
+  }
+  entry.durationMs = Date.now() - started;
+  appendAudit(entry);
+  return entry;
+}
+
+/** Drop a prepared action without running it. Returns the dropped action, or null if unknown or expired. */
+function cancelAction(token) {
+  pruneExpired();
+  const p = pending.get(token) || null;
+  pending.delete(token);
+  return p;
+}
+
+/**
+ * Query the audit trail (newest first).
+ * @param {Object} options - { action, actor, status, controller, limit, offset }
+ */
+function listAudit(options = {}) {
+  ensureLoaded();
+  const limit = Math.min(500, Math.max(1, parseInt(options.limit, 10) || 100));
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+  const filtered = state.audit.filter((e) => {
+    if (options.action && e.action !== options.action) return false;
+    if (options.actor && e.actor !== options.actor) return false;
+    if (options.status && e.status !== options.status) return false;
+    if (options.controller && e.controllerId !== options.controller) return false;
+    return true;
+  }).reverse();
+  return { total: filtered.length, offset, limit, entries: filtered.slice(offset, offset + limit) };
+}
+
+const COMMANDS = Object.fromEntries(Object.entries(ACTION_TYPES).map(([action, t]) => [t.command, action]));
+
+/**
+ * Parse a chat command, e.g. "/restart ap-lobby", "/powercycle sw-core 12", "/block 10.0.0.50 @Branch".
+ * "@name" picks the controller or site. Returns { action, target, port, scope } or null if not a command.
+ */
+function parseActionCommand(text) {
+  const m = String(text || '').trim().match(/^\/(\w+)\s*(.*)$/s);
+  if (!m) return null;
+  const action = COMMANDS[m[1].toLowerCase()];
+  if (!action) return null;
+  let rest = m[2].trim();
+  let scope;
+  const scopeMatch = rest.match(/\s*@(?:"([^"]+)"|(\S+))\s*$/);
+  if (scopeMatch) {
+    scope = scopeMatch[1] || scopeMatch[2];
+    rest = rest.slice(0, scopeMatch.index).trim();
+  }
+  let port;
+  if (ACTION_TYPES[action].port) {
+    const portMatch = rest.match(/\s+(?:port\s+)?(\d+)$/i);
+    if (portMatch) {
+      port = parseInt(portMatch[1], 10);
+      rest = rest.slice(0, portMatch.index).trim();
+    }
+  }
+  return { action, target: rest.replace(/^"(.*)"$/, '$1'), port, scope };
+}
+
+/** Chat help text for the action commands */
+function getActionCommandHelp() {
+  return Object.values(ACTION_TYPES)
+    .map((t) => `- \`/${t.command} <${t.target === 'device' ? 'device' : 'client'}${t.port ? '> <port' : ''}> [@controller or site]\` – ${t.label}`)
+    .join('\n');
+}
+
+module.exports = {
+  ACTION_TYPES,
+  ACTIONS_FILE,
+  loadState,
+  prepareAction,
+  confirmAction,
+  cancelAction,
+  listAudit,
+  parseActionCommand,
+  getActionCommandHelp,
+};
@@ -0,0 +1,683 @@
+// utils/alerts.js – Deterministic alert rules evaluated directly on monitoring data.
+// Rules (e.g. "devices.offline > 0 on controller X", "clients.total drops 50% in 10 min") live in alerts.json;
+// the engine decides when an alert fires or resolves, the LLM only writes the explanation.
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { getMonitoringData, onMonitoringData } = require('./monitoring');
+const { notify, resolveChannels } = require('./notifications');
+const incidents = require('./incidents');
+
+const ALERTS_FILE = path.join(__dirname, '..', 'alerts.json');
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MAX_ENTITIES = 50;
+const MAX_LISTED_ENTITIES = 20;
+
+const METRICS = {
+  'devices.total': 'Devices (total)',
+  'devices.online': 'Devices online',
+  'devices.offline': 'Devices offline',
+  'clients.total': 'Clients (total)',
+  'clients.wireless': 'Wireless clients',
+  'clients.wired': 'Wired clients',
+  'alarms.active': 'Active alarms',
+  'controllers.offline': 'Unreachable controllers',
+  'sites.total': 'Sites (Site Manager)',
+};
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const CONDITIONS = ['threshold', 'drop_percent', 'rise_percent'];
+const AGGREGATES = ['max', 'min', 'sum', 'avg'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// What a scheduled check that watches no rules counts as issues: problems every network has
+const DEFAULT_JOB_CHECKS = [
+  { id: 'builtin:controllers.offline', name: 'Unreachable controllers', metric: 'controllers.offline', operator: '>', threshold: 0, severity: 'critical' },
+  { id: 'builtin:devices.offline', name: 'Devices offline', metric: 'devices.offline', operator: '>', threshold: 0, severity: 'warning' },
+];
+
+let state = {
+  rules: [],
+  status: {},
+  meta: { version: 1 },
+};
+let loaded = false;
+let evalTimer = null;
+let listenerRegistered = false;
+let addDashboardLog = () => {};
+let explainFn = null; // set by app: async (prompt) => explanation text
+const samples = {};   // ruleId -> [{ t, v }] for percent-change conditions (in memory)
+
+function getAlertsConfig() {
+  const a = getConfig().alerts || {};
+  return {
+    enabled: a.enabled !== false,
+    evaluateSeconds: Math.max(15, parseInt(a.evaluateSeconds, 10) || 60),
+    notifyWebhook: a.notifyWebhook !== false,
+    notifyEmail: a.notifyEmail === true,
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(ALERTS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8'));
+      state.rules = Array.isArray(data.rules) ? data.rules : [];
+      state.status = data.status && typeof data.status === 'object' ? data.status : {};
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Alerts] Error loading alert rules:', err.message);
+    state.rules = [];
+    state.status = {};
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(ALERTS_FILE, JSON.stringify({ rules: state.rules, status: state.status, meta: state.meta }, null, 2), 'utf8');
+  } catch (err) {
+    console.error('[Alerts] Error saving alert rules:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+function generateId() {
+  return `rule_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+/**
+ * Validate a rule; returns an error message or null.
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+  const metric = String(rule.metric || '');
+  if (!METRICS[metric] && !/^prometheus:.+/.test(metric)) {
+    return `Unknown metric "${metric}" (use one of ${Object.keys(METRICS).join(', ')} or prometheus:<query name>)`;
+  }
+  const condition = rule.condition || 'threshold';
+  if (!CONDITIONS.includes(condition)) return `Unknown condition "${condition}"`;
+  if (condition === 'threshold') {
+    if (!OPERATORS.includes(rule.operator || '>')) return `Unknown operator "${rule.operator}"`;
+    if (rule.threshold == null || rule.threshold === '' || isNaN(Number(rule.threshold))) return 'Threshold must be a number';
+  } else {
+    const pct = Number(rule.percent);
+    if (!(pct > 0)) return 'Percent must be greater than 0';
+    const win = Number(rule.windowMinutes);
+    if (!(win >= 1 && win <= MAX_WINDOW_MINUTES)) return `Window must be between 1 and ${MAX_WINDOW_MINUTES} minutes`;
+  }
+  if (rule.aggregate && !AGGREGATES.includes(rule.aggregate)) return `Unknown aggregate "${rule.aggregate}"`;
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) return `Unknown severity "${rule.severity}"`;
+  return null;
+}
+
+function normalizeRule(rule, existing = {}) {
+  const merged = { ...existing, ...rule };
+  const condition = merged.condition || 'threshold';
+  return {
+    id: existing.id || merged.id || generateId(),
+    name: String(merged.name || '').trim() || `${merged.metric} ${condition === 'threshold' ? `${merged.operator || '>'} ${merged.threshold}` : condition}`,
+    enabled: merged.enabled !== false,
+    metric: String(merged.metric),
+    scope: merged.scope ? String(merged.scope) : '',
+    condition,
+    operator: condition === 'threshold' ? (merged.operator || '>') : null,
+    threshold: condition === 'threshold' ? Number(merged.threshold) : null,
+    percent: condition === 'threshold' ? null : Number(merged.percent),
+    windowMinutes: condition === 'threshold' ? null : parseInt(merged.windowMinutes, 10),
+    forMinutes: Math.max(0, parseInt(merged.forMinutes, 10) || 0),
+    aggregate: merged.aggregate || 'max',
+    severity: merged.severity || 'warning',
+    notify: merged.notify !== false,
+    notifyResolved: merged.notifyResolved !== false,
+    explain: merged.explain !== false,
+    createdAt: existing.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+function getRules() {
+  ensureLoaded();
+  return state.rules.map((r) => ({ ...r, status: state.status[r.id] || { state: 'unknown' } }));
+}
+
+function getRule(id) {
+  ensureLoaded();
+  const rule = state.rules.find((r) => r.id === id);
+  return rule ? { ...rule, status: state.status[rule.id] || { state: 'unknown' } } : null;
+}
+
+function addRule(rule) {
+  ensureLoaded();
+  const newRule = normalizeRule(rule);
+  state.rules.push(newRule);
+  saveState();
+  return newRule;
+}
+
+function updateRule(id, updates) {
+  ensureLoaded();
+  const idx = state.rules.findIndex((r) => r.id === id);
+  if (idx === -1) return null;
+  const next = normalizeRule({ ...updates, id }, state.rules[idx]);
+  state.rules[idx] = next;
+  // Definition changed: start evaluating from scratch
+  delete state.status[id];
+  delete samples[id];
+  saveState();
+  return next;
+}
+
+function deleteRule(id) {
+  ensureLoaded();
+  const idx = state.rules.findIndex((r) => r.id === id);
+  if (idx === -1) return false;
+  state.rules.splice(idx, 1);
+  delete state.status[id];
+  delete samples[id];
+  saveState();
+  incidents.closeForSource('alert', id, 'Rule deleted');
+  return true;
+}
+
+function aggregateValues(values, aggregate) {
+  if (values.length === 0) return null;
+  switch (aggregate) {
+    case 'min': return Math.min(...values);
+    case 'sum': return values.reduce((s, v) => s + v, 0);
+    case 'avg': return values.reduce((s, v) => s + v, 0) / values.length;
+    default: return Math.max(...values);
+  }
+}
+
+/**
+ * Read a rule's metric from one getMonitoringData() result. Returns null when there is no data
+ * (source not configured, controller unreachable, Prometheus query failed).
+ */
+function extractValue(data, rule) {
+  const metric = rule.metric;
+  if (metric.startsWith('prometheus:')) {
+    const name = metric.slice('prometheus:'.length);
+    const q = (data?.prometheus?.queries || []).find((x) => x.name === name);
+    if (!q || !q.success) return null;
+    const values = (q.result || []).map((r) => {
+      const v = Array.isArray(r.value) ? r.value[1] : (Array.isArray(r.values) && r.values.length ? r.values[r.values.length - 1][1] : null);
+      return parseFloat(v);
+    }).filter((v) => !isNaN(v));
+    return aggregateValues(values, rule.aggregate);
+  }
+
+  if (rule.scope === 'siteManager') {
+    const sm = data?.siteManager;
+    if (!sm) return null;
+    if (metric === 'controllers.offline') return sm.success ? 0 : 1;
+    if (!sm.success) return null;
+    const m = sm.metrics || {};
+    const map = {
+      'devices.total': m.devices?.total,
+      'devices.online': m.devices?.online,
+      'devices.offline': m.devices?.offline,
+      'clients.total': m.clients?.total,
+      'sites.total': m.sites?.total,
+    };
+    return map[metric] ?? null;
+  }
+
+  const controllers = (data?.unifi?.controllers || []).filter((c) => !rule.scope || c.id === rule.scope);
+  if (controllers.length === 0) return null;
+  if (metric === 'controllers.offline') return controllers.filter((c) => !c.success).length;
+  const ok = controllers.filter((c) => c.success);
+  if (ok.length === 0) return null;
+  const sum = (fn) => ok.reduce((s, c) => s + (fn(c) || 0), 0);
+  switch (metric) {
+    case 'devices.total': return sum((c) => c.metrics?.devices?.total);
+    case 'devices.online': return sum((c) => c.metrics?.devices?.online);
+    case 'devices.offline': return sum((c) => c.metrics?.devices?.offline);
+    case 'clients.total': return sum((c) => c.metrics?.clients?.total);
+    case 'clients.wireless': return sum((c) => c.metrics?.clients?.wireless);
+    case 'clients.wired': return sum((c) => c.metrics?.clients?.wired);
+    case 'alarms.active': return sum((c) => (c.alarms || []).filter((a) => !a.archived).length);
+    default: return null;
+  }
+}
+
+function compare(value, operator, threshold) {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+    default: return false;
+  }
+}
+
+function scopeLabel(rule, data) {
+  if (rule.metric.startsWith('prometheus:')) return 'Prometheus';
+  if (rule.scope === 'siteManager') return 'UniFi Site Manager';
+  if (!rule.scope) return 'all UniFi controllers';
+  const c = (data?.unifi?.controllers || []).find((x) => x.id === rule.scope)
+    || (getConfig().monitoring?.unifi?.controllers || []).find((x) => x.id === rule.scope);
+  return c?.controllerName || c?.name || rule.scope;
+}
+
+/**
+ * What a rule is about when it fires, as [{ key, label, controllerId, site }] (keys go into incident fingerprints,
+ * controller and site pick the notification routes): the offline devices by MAC, the controller sites that are
+ * unreachable or have active alarms, otherwise the rule's scope as a whole (e.g. a client count summed over the
+ * sites of a controller; its site is known when the controller has only one).
+ */
+function affectedEntities(rule, data) {
+  if (rule.metric.startsWith('prometheus:') || rule.scope === 'siteManager') {
+    return [{ key: rule.metric.startsWith('prometheus:') ? rule.metric : 'scope:siteManager', label: scopeLabel(rule, data), controllerId: null, site: null }];
+  }
+  const sites = (data?.unifi?.controllers || []).filter((c) => !rule.scope || c.id === rule.scope);
+  const scope = [{
+    key: `scope:${rule.scope || 'all'}`,
+    label: scopeLabel(rule, data),
+    controllerId: rule.scope || null,
+    site: rule.scope && sites.length === 1 ? sites[0].site || null : null,
+  }];
+  const site = (c) => ({
+    key: `site:${c.id}/${c.site || 'default'}`,
+    label: [c.controllerName || c.name || c.id, c.siteName || c.site].filter(Boolean).join(' / '),
+    controllerId: c.id,
+    site: c.site || null,
+  });
+  let entities = [];
+  if (rule.metric === 'controllers.offline') {
+    entities = sites.filter((c) => !c.success).map(site);
+  } else if (rule.metric === 'alarms.active') {
+    entities = sites.filter((c) => c.success && (c.alarms || []).some((a) => !a.archived)).map(site);
+  } else if (rule.metric === 'devices.offline') {
+    entities = sites.filter((c) => c.success).flatMap((c) => (c.metrics?.devicesList || [])
+      .filter((d) => d.state !== 1)
+      .map((d) => {
+        const mac = String(d.mac ?? d.mac_address).toLowerCase();
+        return { ...site(c), key: `device:${mac}`, label: `${d.name || d.model || mac} (${site(c).label})` };
+      }));
+  }
+  return entities.length > 0 ? entities.slice(0, MAX_ENTITIES) : scope;
+}
+
+/**
+ * Split the entities of a transition by the channels notifications.routes send them to (matching each entity's
+ * controller and site). Returns [{ channels ([channel id]), entities }], one per distinct set of channels.
+ */
+function routeEntities(rule, entities, defaults) {
+  const groups = new Map();
+  (entities.length > 0 ? entities : [{ controllerId: rule.scope || null, site: null }]).forEach((entity) => {
+    const context = { controllerId: entity.controllerId ?? null, site: entity.site ?? null };
+    const channels = resolveChannels({ context, defaults }).map((c) => c.id);
+    const key = channels.join(',');
+    if (!groups.has(key)) groups.set(key, { channels, entities: [] });
+    groups.get(key).entities.push(entity);
+  });
+  return [...groups.values()].filter((g) => g.channels.length > 0);
+}
+
+const listEntities = (entities) => entities.slice(0, MAX_LISTED_ENTITIES).map((e) => e.label).join(', ')
+  + (entities.length > MAX_LISTED_ENTITIES ? ` and ${entities.length - MAX_LISTED_ENTITIES} more` : '');
+
+function metricLabel(metric) {
+  return METRICS[metric] || metric;
+}
+
+function formatValue(v) {
+  return Number.isInteger(v) ? String(v) : v.toFixed(2);
+}
+
+/**
+ * Check one rule against a value (and the recent values kept for percent-change conditions).
+ * Returns { matched, reference, description }.
+ */
+function checkCondition(rule, value, history, where) {
+  const label = `${metricLabel(rule.metric)} on ${where}`;
+  if (rule.condition === 'threshold') {
+    return {
+      matched: compare(value, rule.operator, rule.threshold),
+      reference: null,
+      description: `${label} is ${formatValue(value)} (rule: ${rule.operator} ${rule.threshold})`,
+    };
+  }
+  const windowStart = Date.now() - rule.windowMinutes * 60 * 1000;
+  const previous = history.filter((s) => s.t >= windowStart).map((s) => s.v);
+  if (previous.length === 0) {
+    return { matched: false, reference: null, description: `${label} is ${formatValue(value)} (collecting ${rule.windowMinutes}m baseline)` };
+  }
+  if (rule.condition === 'drop_percent') {
+    const ref = Math.max(...previous);
+    const change = ref > 0 ? ((ref - value) / ref) * 100 : 0;
+    return {
+      matched: ref > 0 && change >= rule.percent,
+      reference: ref,
+      description: `${label} is ${formatValue(value)}, down ${change.toFixed(0)}% from ${formatValue(ref)} in the last ${rule.windowMinutes}m (rule: drop ≥ ${rule.percent}%)`,
+    };
+  }
+  const ref = Math.min(...previous);
+  const change = ref > 0 ? ((value - ref) / ref) * 100 : 0;
+  return {
+    matched: ref > 0 && change >= rule.percent,
+    reference: ref,
+    description: `${label} is ${formatValue(value)}, up ${change.toFixed(0)}% from ${formatValue(ref)} in the last ${rule.windowMinutes}m (rule: rise ≥ ${rule.percent}%)`,
+  };
+}
+
+/**
+ * Evaluate a rule against a snapshot without changing any state (used by the "Test" button).
+ */
+function testRule(input, data) {
+  const rule = normalizeRule(input, input.id ? { id: input.id } : {});
+  const value = extractValue(data, rule);
+  if (value == null) return { value: null, matched: false, description: `No data for ${metricLabel(rule.metric)} on ${scopeLabel(rule, data)}` };
+  const result = checkCondition(rule, value, samples[rule.id] || [], scopeLabel(rule, data));
+  return { value, matched: result.matched, description: result.description };
+}
+
+/**
+ * Send the notification for a transition: { kind ('firing'|'resolved'), entities ([{ key, label }] that started
+ * firing), update (true when they were added to a rule that was already firing) }.
+ */
+async function notifyTransition(rule, status, { kind, entities = [], update = false }) {
+  const cfg = getAlertsConfig();
+  if (kind === 'firing' && !rule.notify) return;
+  if (kind === 'resolved' && !(rule.notify && rule.notifyResolved)) return;
+
+  if (kind === 'firing' && !update && rule.explain && explainFn) {
+    try {
+      const prompt = `The alert rule "${rule.name}" (severity: ${rule.severity}) just fired: ${status.description}.\n` +
+        'The rule engine has already decided this is an alert; do not re-assess whether there is a problem. ' +
+        'In a few sentences, explain what this likely means for the network using the monitoring data, and list the first things to check.';
+      status.explanation = (await explainFn(prompt) || '').trim().slice(0, 3000) || null;
+      saveState();
+    } catch (err) {
+      console.error('[Alerts] Explanation failed:', err.message);
+    }
+  }
+
+  const icon = kind === 'firing' ? (rule.severity === 'critical' ? '🔴' : '🟠') : '✅';
+  const title = `${icon} ${kind === 'firing' ? `Alert (${rule.severity})` : 'Resolved'}: ${rule.name}`;
+  // Entities at sites with their own routes are sent there, each channel getting the entities routed to it
+  for (const group of routeEntities(rule, entities, { webhook: cfg.notifyWebhook, email: cfg.notifyEmail })) {
+    let text = `${kind === 'firing' ? (update ? 'More affected' : 'Fired') : 'Resolved'} at ${new Date().toISOString()}\n\n${status.description}`;
+    if (kind === 'firing') text += `\n${update ? 'Newly affected' : 'Affected'}: ${listEntities(group.entities)}`;
+    if (kind === 'firing' && !update && status.explanation) text += `\n\n${status.explanation}`;
+
+    // Resolutions carry the rule's severity too, so they reach the channels that got the alert;
+    // the dedup key lets PagerDuty and Opsgenie close the alert they opened
+    const outcomes = await notify({
+      title,
+      text,
+      severity: rule.severity,
+      dedupKey: `alert:${rule.id}`,
+      action: kind === 'resolved' ? 'resolve' : 'trigger',
+      email: { subject: `NetworkBot – ${title.replace(/^\S+\s/, '')}`, text },
+      channels: group.channels,
+    });
+    outcomes.filter((o) => o.status === 'failed').forEach((o) => console.error(`[Alerts] Notification to ${o.name} failed:`, o.error));
+  }
+}
+
+/**
+ * Keep the rule's incidents, one per affected entity ("alert:<rule id>|<entity key>"), in step with a transition
+ * (see notifyTransition; cleared lists the entities no longer affected while the rule keeps firing).
+ * Returns whether to notify: not when every entity already had an open incident, nor for snoozed ones.
+ */
+function trackIncident(rule, status, { kind, entities = [], cleared = [] }) {
+  if (!incidents.getIncidentsConfig().enabled) return kind !== 'changed';
+  const prefix = `alert:${rule.id}|`;
+  if (kind === 'resolved') {
+    // "alert:<rule id>" is the fingerprint of incidents opened before they were kept per entity
+    const resolved = [incidents.resolve(`alert:${rule.id}`, status.description), ...incidents.resolveMissing(prefix, [])].filter(Boolean);
+    return resolved.length === 0 || resolved.some((r) => r.notify);
+  }
+  cleared.forEach((e) => incidents.resolve(prefix + e.key, `${e.label} is no longer affected`));
+  return entities.map((e) => incidents.observe({
+    fingerprint: prefix + e.key,
+    source: 'alert',
+    sourceId: rule.id,
+    sourceName: rule.name,
+    entity: e.label,
+    title: `${rule.name}: ${e.label}`,
+    severity: rule.severity,
+    description: status.description,
+  })).some((r) => r.notify);
+}
+
+/**
+ * Evaluate all enabled rules against a fresh monitoring snapshot, updating each rule's
+ * state (ok → pending → firing → ok) and notifying on firing/resolved transitions, and when more entities
+ * (devices, sites) are affected by a rule that is already firing.
+ */
+function processSnapshot(data) {
+  const cfg = getAlertsConfig();
+  if (!cfg.enabled) return [];
+  ensureLoaded();
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  const transitions = [];
+
+  state.rules.filter((r) => r.enabled).forEach((rule) => {
+    const prev = state.status[rule.id] || { state: 'ok' };
+    const value = extractValue(data, rule);
+    const where = scopeLabel(rule, data);
+    if (value == null) {
+      // Keep a firing alert firing while the data is missing; it resolves once a value is back below threshold
+      state.status[rule.id] = { ...prev, value: null, lastEvaluatedAt: nowIso, noData: true };
+      return;
+    }
+
+    const history = samples[rule.id] || [];
+    const result = checkCondition(rule, value, history, where);
+    if (rule.condition !== 'threshold') {
+      history.push({ t: now, v: value });
+      const keepFrom = now - rule.windowMinutes * 60 * 1000;
+      samples[rule.id] = history.filter((s) => s.t >= keepFrom);
+    }
+
+    const next = { ...prev, value, description: result.description, lastEvaluatedAt: nowIso, noData: false };
+    if (result.matched) {
+      if (prev.state === 'firing') {
+        next.state = 'firing';
+        // Entities that start or stop being affected while the rule keeps firing
+        next.entities = affectedEntities(rule, data);
+        const before = new Set((prev.entities || []).map((e) => e.key));
+        const after = new Set(next.entities.map((e) => e.key));
+        const added = next.entities.filter((e) => !before.has(e.key));
+        const cleared = (prev.entities || []).filter((e) => !after.has(e.key));
+        if (added.length > 0) transitions.push({ rule, status: next, kind: 'firing', update: true, entities: added, cleared });
+        else if (cleared.length > 0) transitions.push({ rule, status: next, kind: 'changed', cleared });
+      } else {
+        next.pendingSince = prev.pendingSince || nowIso;
+        if (now - new Date(next.pendingSince).getTime() >= rule.forMinutes * 60 * 1000) {
+          next.state = 'firing';
+          next.firedAt = nowIso;
+          next.resolvedAt = null;
+          next.explanation = null;
+          next.pendingSince = null;
+          next.entities = affectedEntities(rule, data);
+          transitions.push({ rule, status: next, kind: 'firing', entities: next.entities });
+        } else {
+          next.state = 'pending';
+        }
+      }
+    } else {
+      next.state = 'ok';
+      next.pendingSince = null;
+      next.entities = [];
+      if (prev.state === 'firing') {
+        next.resolvedAt = nowIso;
+        transitions.push({ rule, status: next, kind: 'resolved', entities: prev.entities || [] });
+      }
+    }
+    state.status[rule.id] = next;
+  });
+  saveState();
+
+  transitions.forEach((transition) => {
+    const { rule, status, kind } = transition;
+    if (kind === 'firing') {
+      const level = rule.severity === 'critical' ? 'error' : (rule.severity === 'warning' ? 'warning' : 'info');
+      addDashboardLog(level, 'alerts', `Alert: ${rule.name}`, transition.update ? `Newly affected: ${listEntities(transition.entities)}` : status.description);
+    } else if (kind === 'resolved') {
+      addDashboardLog('info', 'alerts', `Resolved: ${rule.name}`, status.description);
+    }
+    if (!trackIncident(rule, status, transition) || kind === 'changed') return;
+    notifyTransition(rule, status, transition).catch((err) => console.error('[Alerts] Notification failed:', err.message));
+  });
+  return transitions;
+}
+
+/**
+ * Currently firing alerts: [{ rule, status }].
+ */
+function getFiringAlerts() {
+  ensureLoaded();
+  return state.rules
+    .filter((r) => r.enabled && state.status[r.id]?.state === 'firing')
+    .map((r) => ({ rule: r, status: state.status[r.id] }));
+}
+
+/**
+ * Fetch monitoring data (evaluating rules if it was refreshed) and return the firing alerts.
+ */
+async function evaluateNow() {
+  try {
+    await getMonitoringData();
+  } catch (err) {
+    console.error('[Alerts] Evaluation fetch failed:', err.message);
+  }
+  return getFiringAlerts();
+}
+
+/**
+ * Issues for a scheduled check that notifies on issues: the rules it watches (ruleIds), or, when it watches none,
+ * the built-in checks (DEFAULT_JOB_CHECKS), evaluated on the current data. Watched rules are tested directly, so
+ * they count whether or not the alert engine is enabled and whether or not the rule itself is.
+ * Returns [{ rule, status (with entities, see affectedEntities), notifiedByAlerts }]; notifiedByAlerts is true for
+ * a rule the engine is firing with its own notifications, so the job does not send them again.
+ */
+async function evaluateForJob(ruleIds = []) {
+  let data = null;
+  try {
+    data = await getMonitoringData();
+  } catch (err) {
+    console.error('[Alerts] Evaluation fetch failed:', err.message);
+  }
+  ensureLoaded();
+  const alertsNotify = getAlertsConfig().enabled;
+  const rules = ruleIds.length === 0
+    ? DEFAULT_JOB_CHECKS.map((check) => normalizeRule(check, { id: check.id }))
+    : state.rules.filter((r) => ruleIds.includes(r.id));
+  return rules
+    .map((rule) => ({ rule, result: testRule(rule, data) }))
+    .filter(({ result }) => result.matched)
+    .map(({ rule, result }) => ({
+      rule,
+      status: { value: result.value, description: result.description, entities: affectedEntities(rule, data) },
+      notifiedByAlerts: alertsNotify && rule.enabled && rule.notify === true && state.status[rule.id]?.state === 'firing',
+    }));
+}
+
+/**
+ * Firing alerts as text for the AI, so explanations are grounded in what the rules detected.
+ */
+function getAlertsContext() {
+  const firing = getFiringAlerts();
+  if (firing.length === 0) return '';
+  let context = '\n\nAlert rules currently firing (decided by deterministic rules on the monitoring data; explain them, do not dispute them):\n';
+  firing.forEach(({ rule, status }) => {
+    context += `- [${rule.severity}] ${rule.name}: ${status.description} (since ${status.firedAt})\n`;
+  });
+  return context;
+}
+
+/**
+ * Metrics and scopes the UI can offer when building a rule.
+ */
+function getAvailableMetrics() {
+  const monitoring = getConfig().monitoring || {};
+  return {
+    metrics: Object.entries(METRICS).map(([id, label]) => ({ id, label })).concat(
+      (monitoring.prometheus?.queries || [])
+        .filter((q) => q && (q.name || q.query))
+        .map((q) => ({ id: `prometheus:${q.name || q.query}`, label: `Prometheus: ${q.name || q.query}` }))
+    ),
+    scopes: [{ id: '', label: 'All UniFi controllers' }].concat(
+      (monitoring.unifi?.controllers || []).map((c) => ({ id: c.id, label: c.name || c.baseUrl || c.id })),
+      monitoring.siteManager?.enabled ? [{ id: 'siteManager', label: 'UniFi Site Manager' }] : []
+    ),
+    operators: OPERATORS,
+    conditions: CONDITIONS,
+    aggregates: AGGREGATES,
+    severities: SEVERITIES,
+  };
+}
+
+async function evaluateTick() {
+  try {
+    await getMonitoringData();
+  } catch (err) {
+    console.error('[Alerts] Evaluation failed:', err.message);
+  }
+}
+
+/**
+ * Start the alert engine. Options: addDashboardLog(level, source, message, detail),
+ * explain(prompt) → Promise<string> for the LLM explanation of fired alerts.
+ */
+function startAlerts(options = {}) {
+  if (options.addDashboardLog) addDashboardLog = options.addDashboardLog;
+  if (options.explain) explainFn = options.explain;
+  stopAlerts();
+  if (!listenerRegistered) {
+    onMonitoringData(processSnapshot);
+    listenerRegistered = true;
+  }
+  loadState();
+  const cfg = getAlertsConfig();
+  if (!cfg.enabled) {
+    console.log('[Alerts] Disabled in config');
+    return;
+  }
+  evalTimer = setInterval(evaluateTick, cfg.evaluateSeconds * 1000);
+  console.log(`[Alerts] Started (${state.rules.length} rule(s), evaluate every ${cfg.evaluateSeconds}s)`);
+}
+
+function stopAlerts() {
+  if (evalTimer) {
+    clearInterval(evalTimer);
+    evalTimer = null;
+  }
+}
+
+module.exports = {
+  ALERTS_FILE,
+  METRICS,
+  DEFAULT_JOB_CHECKS,
+  loadState,
+  validateRule,
+  getRules,
+  getRule,
+  addRule,
+  updateRule,
+  deleteRule,
+  extractValue,
+  affectedEntities,
+  routeEntities,
+  testRule,
+  processSnapshot,
+  getFiringAlerts,
+  evaluateNow,
+  evaluateForJob,
+  getAlertsContext,
+  getAvailableMetrics,
+  startAlerts,
+  stopAlerts,
+};
@@ -0,0 +1,199 @@
+// utils/apiTokens.js – Named API tokens for scripts and other tools (tokens.json). Sent as
+// "Authorization: Bearer nbt_…"; each token is limited to scopes and has an expiry. Only a SHA-256 of the
+// token is stored, so the full value is shown once, when it is created.
+// Tokens never reach configuration, users or token management: routes not listed in ROUTE_SCOPES are refused.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TOKENS_FILE = path.join(__dirname, '..', 'tokens.json');
+const TOKEN_PREFIX = 'nbt_';
+const MAX_EXPIRY_DAYS = 365;
+const DEFAULT_EXPIRY_DAYS = 90;
+const LAST_USED_SAVE_MS = 60 * 1000; // lastUsedAt is written at most once a minute per token
+
+const SCOPES = {
+  chat: 'Chat, log analysis and conversations (answers from monitoring data)',
+  diagnostics: 'Let chat run ping, traceroute, port tests and DNS lookups',
+  'monitoring:read': 'Monitoring data, dashboard, history, events, syslog, alert status, incidents, IP lookup and /metrics',
+  'schedules:read': 'List schedules and their run history, preview run times and the scheduler heartbeat',
+  'schedules:write': 'Add, edit, delete and run schedules (includes schedules:read)',
+  'alerts:write': 'Add, edit, delete and test alert rules',
+  'incidents:write': 'Acknowledge, snooze and close incidents',
+  actions: 'Prepare, confirm and cancel UniFi actions, and read their audit trail',
+};
+
+/** Scopes that include others */
+const IMPLIED_SCOPES = {
+  'schedules:write': ['schedules:read'],
+};
+
+/** [method, path pattern, scope]; scope '*' = any valid token. First match wins. */
+const ROUTE_SCOPES = [
+  ['GET', /^\/api\/me$/, '*'],
+  ['POST', /^\/api\/(chat|analyze-logs)$/, 'chat'],
+  ['*', /^\/api\/conversations(\/[^/]+)?$/, 'chat'],
+  ['GET', /^\/api\/(dashboard|monitoring\/data|monitoring\/cloud|lookup\/ip)$/, 'monitoring:read'],
+  ['GET', /^\/api\/history(\/(at|series|stats))?$/, 'monitoring:read'],
+  ['GET', /^\/api\/events(\/types)?$/, 'monitoring:read'],
+  ['GET', /^\/api\/syslog(\/hosts)?$/, 'monitoring:read'],
+  ['GET', /^\/api\/alerts\/(rules(\/[^/]+)?|active|metrics)$/, 'monitoring:read'],
+  ['*', /^\/api\/alerts\/(rules(\/[^/]+)?|test)$/, 'alerts:write'],
+  ['GET', /^\/api\/incidents(\/[^/]+)?$/, 'monitoring:read'],
+  ['POST', /^\/api\/incidents\/[^/]+\/(acknowledge|snooze|close)$/, 'incidents:write'],
+  ['GET', /^\/api\/(schedules|scheduler\/heartbeat)$/, 'schedules:read'],
+  ['POST', /^\/api\/schedules\/preview$/, 'schedules:read'],
+  ['GET', /^\/api\/schedules\/[^/]+\/runs(\/[^/]+)?$/, 'schedules:read'],
+  ['GET', /^\/api\/notifications\/channels$/, 'schedules:read'],
+  ['*', /^\/api\/schedules(\/[^/]+(\/run)?)?$/, 'schedules:write'],
+  ['*', /^\/api\/unifi\/actions(\/.*)?$/, 'actions'],
+];
+
+let state = { tokens: [], meta: { version: 1 } };
+let loaded = false;
+const lastSaved = new Map(); // token id → time lastUsedAt was last written
+
+function loadState() {
+  try {
+    if (fs.existsSync(TOKENS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+      state.tokens = Array.isArray(data.tokens) ? data.tokens : [];
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Tokens] Error loading API tokens:', err.message);
+    state.tokens = [];
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(TOKENS_FILE, JSON.stringify({ tokens: state.tokens, meta: state.meta }, null, 2), { encoding: 'utf8', mode: 0o600 });
+  } catch (err) {
+    console.error('[Tokens] Error saving API tokens:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function tokenStatus(t, now = Date.now()) {
+  if (t.revokedAt) return 'revoked';
+  if (new Date(t.expiresAt).getTime() <= now) return 'expired';
+  return 'active';
+}
+
+const publicToken = (t) => ({
+  id: t.id,
+  name: t.name,
+  scopes: t.scopes,
+  hint: t.hint,
+  createdBy: t.createdBy,
+  createdAt: t.createdAt,
+  expiresAt: t.expiresAt,
+  lastUsedAt: t.lastUsedAt || null,
+  revokedAt: t.revokedAt || null,
+  status: tokenStatus(t),
+});
+
+/** All tokens, newest first (never the token values) */
+function listTokens() {
+  ensureLoaded();
+  return [...state.tokens].sort((a, b) => (b.createdAt > a.createdAt ? 1 : -1)).map(publicToken);
+}
+
+/**
+ * Create a token. Returns { token (the only time the full value is available), apiToken (public fields) }.
+ * @param {Object} input - { name, scopes: string[], expiresInDays (1–365, default 90) }
+ * @param {Object} options - { createdBy }
+ */
+function createToken(input = {}, { createdBy } = {}) {
+  ensureLoaded();
+  const name = String(input.name || '').trim();
+  if (!name || name.length > 64) throw new Error('Name is required (max 64 characters)');
+  if (state.tokens.some((t) => t.name.toLowerCase() === name.toLowerCase() && tokenStatus(t) === 'active')) {
+    throw new Error(`An active token named ${name} already exists`);
+  }
+  const scopes = [...new Set(Array.isArray(input.scopes) ? input.scopes : [])];
+  if (scopes.length === 0) throw new Error('Select at least one scope');
+  const unknown = scopes.filter((s) => !SCOPES[s]);
+  if (unknown.length) throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+  const days = input.expiresInDays === undefined || input.expiresInDays === '' ? DEFAULT_EXPIRY_DAYS : parseInt(input.expiresInDays, 10);
+  if (!Number.isFinite(days) || days < 1 || days > MAX_EXPIRY_DAYS) throw new Error(`Expiry must be 1-${MAX_EXPIRY_DAYS} days`);
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const now = new Date();
+  const record = {
+    id: `tok_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    name,
+    scopes,
+    tokenHash: hashToken(token),
+    hint: `${token.slice(0, TOKEN_PREFIX.length + 4)}…${token.slice(-4)}`,
+    createdBy: createdBy || null,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+    lastUsedAt: null,
+  };
+  state.tokens.push(record);
+  saveState();
+  return { token, apiToken: publicToken(record) };
+}
+
+/** Revoke a token (kept in the list as revoked). Returns the token or null. */
+function revokeToken(id) {
+  ensureLoaded();
+  const t = state.tokens.find((x) => x.id === id);
+  if (!t) return null;
+  if (!t.revokedAt) {
+    t.revokedAt = new Date().toISOString();
+    saveState();
+  }
+  return publicToken(t);
+}
+
+/**
+ * Look up a bearer token and record its use. Returns { id, name, scopes } or null if unknown, revoked or expired.
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+  ensureLoaded();
+  const hash = Buffer.from(hashToken(token), 'hex');
+  const t = state.tokens.find((x) => crypto.timingSafeEqual(Buffer.from(x.tokenHash, 'hex'), hash));
+  if (!t || tokenStatus(t) !== 'active') return null;
+  const now = Date.now();
+  t.lastUsedAt = new Date(now).toISOString();
+  if (now - (lastSaved.get(t.id) || 0) >= LAST_USED_SAVE_MS) {
+    lastSaved.set(t.id, now);
+    saveState();
+  }
+  return { id: t.id, name: t.name, scopes: t.scopes };
+}
+
+/** Scope a request needs, '*' for any token, or null when tokens may not call it */
+function scopeForRequest(method, urlPath) {
+  const match = ROUTE_SCOPES.find(([m, re]) => (m === '*' || m === method) && re.test(urlPath));
+  return match ? match[2] : null;
+}
+
+function hasScope(scopes, scope) {
+  if (scope === '*') return true;
+  return (scopes || []).some((s) => s === scope || (IMPLIED_SCOPES[s] || []).includes(scope));
+}
+
+module.exports = {
+  SCOPES,
+  TOKENS_FILE,
+  loadState,
+  listTokens,
+  createToken,
+  revokeToken,
+  verifyToken,
+  scopeForRequest,
+  hasScope,
+};
@@ -0,0 +1,225 @@
+// utils/audit.js – Persistent activity log (audit.json): who did what, where and with what result.
+// Entries are { id, time, actor, source, action, target, result, detail, changes } and cover sign-ins,
+// denied requests, config edits (field-level diffs, secrets masked), schedules, chat, diagnostics and more.
+// Writes are batched (at most one per SAVE_DELAY_MS); entries beyond audit.maxEntries or older than
+// audit.retentionDays are dropped. Failed sign-ins and rejected tokens are counted per actor and window
+// (recordAuthFailure) and kept to MAX_AUTH_FAILURES entries, so guessing passwords cannot flush the log.
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { maskSecrets } = require('./secrets');
+
+const AUDIT_FILE = path.join(__dirname, '..', 'audit.json');
+const SAVE_DELAY_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESULTS = ['success', 'failure', 'denied'];
+const MAX_DETAIL_CHARS = 500;
+const MAX_CHANGES = 200;
+const AUTH_FAILURE_WINDOW_MS = 10 * 60 * 1000;
+const MAX_AUTH_FAILURES = 500;
+
+let state = { entries: [], meta: { version: 1 } };
+let loaded = false;
+let saveTimer = null;
+const openFailures = new Map(); // action|source|actor|detail → the auth-failure entry still counting repeats
+
+function getAuditConfig() {
+  const a = getConfig().audit || {};
+  return {
+    enabled: a.enabled !== false,
+    maxEntries: Math.max(100, parseInt(a.maxEntries, 10) || 10000),
+    retentionDays: Math.max(1, parseInt(a.retentionDays, 10) || 90),
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(AUDIT_FILE)) {
+      const data = JSON.parse(fs.readFileSync(AUDIT_FILE, 'utf8'));
+      state.entries = Array.isArray(data.entries) ? data.entries : [];
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Audit] Error loading audit log:', err.message);
+    state.entries = [];
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  try {
+    fs.writeFileSync(AUDIT_FILE, JSON.stringify({ entries: state.entries, meta: state.meta }), { encoding: 'utf8', mode: 0o600 });
+  } catch (err) {
+    console.error('[Audit] Error saving audit log:', err.message);
+  }
+}
+
+function scheduleSave() {
+  if (!saveTimer) saveTimer = setTimeout(saveState, SAVE_DELAY_MS);
+}
+
+// Entries still waiting for the batched write are flushed when the process exits normally
+process.on('exit', () => {
+  if (saveTimer) saveState();
+});
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+const isAuthFailure = (e) => e.result === 'failure' && (e.action === 'auth.login' || e.action === 'auth.token');
+
+function prune(now = Date.now()) {
+  const cfg = getAuditConfig();
+  const cutoff = now - cfg.retentionDays * DAY_MS;
+  state.entries = state.entries.filter((e) => new Date(e.time).getTime() >= cutoff);
+  // Auth failures (one per actor and window, but actors are whatever an attacker sends) have their own cap
+  let failures = state.entries.filter(isAuthFailure).length;
+  if (failures > MAX_AUTH_FAILURES) {
+    state.entries = state.entries.filter((e) => !(isAuthFailure(e) && failures-- > MAX_AUTH_FAILURES));
+  }
+  if (state.entries.length > cfg.maxEntries) state.entries = state.entries.slice(-cfg.maxEntries);
+}
+
+const clip = (s) => (s == null ? undefined : String(s).slice(0, MAX_DETAIL_CHARS));
+
+/**
+ * Record one entry. Returns it, or null when the audit log is disabled.
+ * @param {Object} entry - { actor, source ('web'|'api-token'|'scheduler'|'system'), action (e.g. 'config.update'),
+ *   target?, result? ('success'|'failure'|'denied', default success), detail?, changes? ([{ path, from, to }]) }
+ */
+function recordAudit(entry = {}) {
+  if (!getAuditConfig().enabled) return null;
+  ensureLoaded();
+  const record = {
+    id: `aud_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    time: new Date().toISOString(),
+    actor: entry.actor || 'system',
+    source: entry.source || 'system',
+    action: String(entry.action || 'unknown'),
+    target: clip(entry.target),
+    result: RESULTS.includes(entry.result) ? entry.result : 'success',
+    detail: clip(entry.detail),
+  };
+  if (Array.isArray(entry.changes) && entry.changes.length > 0) record.changes = entry.changes.slice(0, MAX_CHANGES);
+  state.entries.push(record);
+  prune();
+  scheduleSave();
+  return record;
+}
+
+/**
+ * Record a failed sign-in or rejected API token (action 'auth.login' or 'auth.token', result failure).
+ * Repeats with the same actor, source and detail within AUTH_FAILURE_WINDOW_MS of the first one only
+ * raise that entry's count and lastTime. Returns the entry, or null when the audit log is disabled.
+ */
+function recordAuthFailure(entry = {}) {
+  if (!getAuditConfig().enabled) return null;
+  ensureLoaded();
+  const key = [entry.action, entry.source, entry.actor, entry.detail].join('|');
+  const open = openFailures.get(key);
+  const now = Date.now();
+  if (open && now - new Date(open.time).getTime() < AUTH_FAILURE_WINDOW_MS && state.entries.includes(open)) {
+    open.count += 1;
+    open.lastTime = new Date(now).toISOString();
+    scheduleSave();
+    return open;
+  }
+  if (openFailures.size >= MAX_AUTH_FAILURES) openFailures.clear();
+  const record = recordAudit({ ...entry, result: 'failure' });
+  record.count = 1;
+  record.lastTime = record.time;
+  openFailures.set(key, record);
+  return record;
+}
+
+/**
+ * Query the audit log, newest first.
+ * options: { actor, source, action (prefix, e.g. "schedule." or comma-separated), result, target, since, until, q, limit, offset }
+ * Returns { total, offset, limit, entries }.
+ */
+function listAudit(options = {}) {
+  ensureLoaded();
+  const since = options.since ? new Date(options.since).getTime() : null;
+  const until = options.until ? new Date(options.until).getTime() : null;
+  if ((options.since && isNaN(since)) || (options.until && isNaN(until))) {
+    throw new Error('Invalid since/until (use ISO 8601)');
+  }
+  if (options.result && !RESULTS.includes(options.result)) throw new Error(`result must be one of: ${RESULTS.join(', ')}`);
+  const actions = options.action ? String(options.action).split(',').map((a) => a.trim()).filter(Boolean) : null;
+  const q = options.q ? String(options.q).toLowerCase() : null;
+  const limit = Math.min(500, Math.max(1, parseInt(options.limit, 10) || 100));
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+
+  const filtered = state.entries.filter((e) => {
+    if (options.actor && e.actor !== options.actor) return false;
+    if (options.source && e.source !== options.source) return false;
+    if (actions && !actions.some((a) => e.action === a || (a.endsWith('.') && e.action.startsWith(a)))) return false;
+    if (options.result && e.result !== options.result) return false;
+    if (options.target && e.target !== options.target) return false;
+    const t = new Date(e.time).getTime();
+    if (since != null && t < since) return false;
+    if (until != null && t > until) return false;
+    if (q && !`${e.actor} ${e.action} ${e.target || ''} ${e.detail || ''}`.toLowerCase().includes(q)) return false;
+    return true;
+  }).reverse();
+
+  return {
+    total: filtered.length,
+    offset,
+    limit,
+    entries: filtered.slice(offset, offset + limit),
+  };
+}
+
+/** Actors, sources and actions seen in the log (for filter dropdowns) */
+function getAuditFacets() {
+  ensureLoaded();
+  const unique = (key) => [...new Set(state.entries.map((e) => e[key]))].sort();
+  return { actors: unique('actor'), sources: unique('source'), actions: unique('action'), results: RESULTS };
+}
+
+/**
+ * Field-level differences between two configs: [{ path, from, to }]. Secrets are compared on their real
+ * values but reported as ***hidden***. Arrays of objects with ids are compared item by item.
+ */
+function diffConfig(before, after) {
+  const changes = [];
+  const walk = (a, b, ma, mb, prefix) => {
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    const byId = (v) => Array.isArray(v) && v.every((x) => isObj(x) && x.id != null);
+    if (isObj(a) && isObj(b)) {
+      [...new Set([...Object.keys(a), ...Object.keys(b)])].forEach((k) => walk(a[k], b[k], ma?.[k], mb?.[k], prefix ? `${prefix}.${k}` : k));
+      return;
+    }
+    if (byId(a) && byId(b)) {
+      const ids = [...new Set([...a.map((x) => x.id), ...b.map((x) => x.id)])];
+      ids.forEach((id) => {
+        const find = (list) => list?.find((x) => x?.id === id);
+        walk(find(a), find(b), find(ma), find(mb), `${prefix}[${id}]`);
+      });
+      return;
+    }
+    changes.push({ path: prefix, from: ma === undefined ? null : ma, to: mb === undefined ? null : mb });
+  };
+  walk(before || {}, after || {}, maskSecrets(before || {}), maskSecrets(after || {}), '');
+  return changes;
+}
+
+module.exports = {
+  AUDIT_FILE,
+  RESULTS,
+  loadState,
+  recordAudit,
+  recordAuthFailure,
+  listAudit,
+  getAuditFacets,
+  diffConfig,
+};
@@ -0,0 +1,392 @@
+// utils/backup.js – Backup and restore of all NetworkBot state as one gzipped JSON archive: config.json,
+// Personality.MD and the JSON stores (schedules, history, events, alerts, actions, conversations, users, tokens,
+// audit log).
+// Secrets in config.json are left out of the archive or encrypted with a passphrase so it can be restored on
+// another host. Scheduled backups are written to backup.directory and pruned to backup.retention archives.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { getConfig, saveConfig, reloadConfig, CONFIG_VERSION } = require('./config');
+const { CONFIG_SCHEMA, validate, migrateConfig } = require('./configSchema');
+const secrets = require('./secrets');
+const scheduler = require('./scheduler');
+const jobRuns = require('./jobRuns');
+const incidents = require('./incidents');
+const history = require('./history');
+const events = require('./events');
+const alerts = require('./alerts');
+const actions = require('./actions');
+const conversations = require('./conversations');
+const users = require('./users');
+const apiTokens = require('./apiTokens');
+const audit = require('./audit');
+
+const BASE_DIR = path.join(__dirname, '..');
+const PERSONALITY_FILE = path.join(BASE_DIR, 'Personality.MD');
+const FORMAT = 'networkbot-backup';
+const FORMAT_VERSION = 1;
+const SECRET_MODES = ['exclude', 'encrypt'];
+const ARCHIVE_RE = /^networkbot-(backup|pre-restore)-\d{8}-\d{6}\.json\.gz$/;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024; // an archive as uploaded and once unpacked
+
+/** JSON stores in the archive: file name, label, owning module (for loadState) and what to count in a preview */
+const STORES = [
+  { name: 'schedules.json', label: 'Schedules', file: scheduler.SCHEDULES_FILE, module: scheduler, count: (d) => d.jobs?.length },
+  { name: 'job-runs.json', label: 'Scheduled job runs', file: jobRuns.RUNS_FILE, module: jobRuns, count: (d) => d.runs?.length },
+  { name: 'incidents.json', label: 'Incidents', file: incidents.INCIDENTS_FILE, module: incidents, count: (d) => d.incidents?.length },
+  { name: 'alerts.json', label: 'Alert rules', file: alerts.ALERTS_FILE, module: alerts, count: (d) => d.rules?.length },
+  { name: 'history.json', label: 'Monitoring history samples', file: history.HISTORY_FILE, module: history, count: (d) => ['raw', 'hourly', 'daily'].reduce((n, r) => n + (d.samples?.[r]?.length || 0), 0) },
+  { name: 'events.json', label: 'Events', file: events.EVENTS_FILE, module: events, count: (d) => d.events?.length },
+  { name: 'actions.json', label: 'UniFi action audit entries', file: actions.ACTIONS_FILE, module: actions, count: (d) => d.audit?.length },
+  { name: 'conversations.json', label: 'Conversations', file: conversations.CONVERSATIONS_FILE, module: conversations, count: (d) => d.conversations?.length },
+  { name: 'users.json', label: 'Users', file: users.USERS_FILE, module: users, count: (d) => d.users?.length, mode: 0o600 },
+  { name: 'tokens.json', label: 'API tokens', file: apiTokens.TOKENS_FILE, module: apiTokens, count: (d) => d.tokens?.length, mode: 0o600 },
+  { name: 'audit.json', label: 'Audit log entries', file: audit.AUDIT_FILE, module: audit, count: (d) => d.entries?.length, mode: 0o600 },
+];
+const ENTRY_NAMES = ['config.json', 'Personality.MD', ...STORES.map((s) => s.name)];
+
+let backupTimer = null;
+
+function getBackupConfig() {
+  const b = getConfig().backup || {};
+  const directory = String(b.directory || './backups');
+  return {
+    enabled: b.enabled === true,
+    directory: path.resolve(BASE_DIR, directory),
+    intervalHours: Math.max(1, parseInt(b.intervalHours, 10) || 24),
+    retention: Math.min(365, Math.max(1, parseInt(b.retention, 10) || 7)),
+    secrets: SECRET_MODES.includes(b.secrets) ? b.secrets : 'exclude',
+    passphrase: b.passphrase || '',
+  };
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const stamp = (date = new Date()) => date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+const stampOf = (name) => name.match(/\d{8}-\d{6}/)[0];
+
+/**
+ * Build an archive of the current state. Returns { buffer (gzipped JSON), fileName, summary }.
+ * options.secrets: 'exclude' (default; secrets are emptied), 'encrypt' (with options.passphrase) or
+ * 'instance' (config.json as stored, encrypted with this instance's key – used for pre-restore copies).
+ */
+function createBackup(options = {}) {
+  const mode = options.secrets || 'exclude';
+  const archive = {
+    format: FORMAT,
+    formatVersion: FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    configVersion: CONFIG_VERSION,
+    secrets: mode === 'encrypt' ? 'encrypted' : mode === 'instance' ? 'instance' : 'excluded',
+    files: {},
+  };
+  const config = getConfig();
+  if (mode === 'encrypt') {
+    const encrypted = secrets.encryptSecretsWithPassphrase(config, options.passphrase);
+    archive.files['config.json'] = encrypted.config;
+    archive.secretsSalt = encrypted.salt;
+  } else if (mode === 'instance') {
+    archive.files['config.json'] = secrets.encryptSecrets(config);
+    archive.secretsKeyId = secrets.getKeyInfo({ create: true }).id;
+  } else if (mode === 'exclude') {
+    archive.files['config.json'] = secrets.stripSecrets(config);
+  } else {
+    throw new Error(`Secrets must be one of: ${SECRET_MODES.join(', ')}`);
+  }
+  if (fs.existsSync(PERSONALITY_FILE)) archive.files['Personality.MD'] = fs.readFileSync(PERSONALITY_FILE, 'utf8');
+  STORES.forEach((store) => {
+    try {
+      const data = readJson(store.file);
+      if (data) archive.files[store.name] = data;
+    } catch (err) {
+      console.error(`[Backup] Skipping unreadable ${store.name}:`, err.message);
+    }
+  });
+  return {
+    buffer: zlib.gzipSync(JSON.stringify(archive)),
+    fileName: `networkbot-backup-${stamp()}.json.gz`,
+    summary: summarize(archive),
+  };
+}
+
+/**
+ * Decode an uploaded archive (gzipped or plain JSON, at most MAX_ARCHIVE_BYTES unpacked) and check its envelope.
+ * Throws on anything else.
+ */
+function parseBackup(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw new Error('Empty upload: send a NetworkBot backup file');
+  const tooLarge = () => new Error(`Backup is larger than ${MAX_ARCHIVE_BYTES / 1024 / 1024} MB unpacked`);
+  if (buffer.length > MAX_ARCHIVE_BYTES) throw tooLarge();
+  let archive;
+  try {
+    const text = buffer[0] === 0x1f && buffer[1] === 0x8b
+      ? zlib.gunzipSync(buffer, { maxOutputLength: MAX_ARCHIVE_BYTES }).toString('utf8')
+      : buffer.toString('utf8');
+    archive = JSON.parse(text);
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw new Error('Not a NetworkBot backup (expected a .json.gz archive)');
+  }
+  if (!archive || archive.format !== FORMAT || !archive.files || typeof archive.files !== 'object') {
+    throw new Error('Not a NetworkBot backup (expected a .json.gz archive)');
+  }
+  if (archive.formatVersion > FORMAT_VERSION) {
+    throw new Error(`Backup format ${archive.formatVersion} is newer than this NetworkBot supports (${FORMAT_VERSION})`);
+  }
+  return archive;
+}
+
+function summarize(archive) {
+  return {
+    createdAt: archive.createdAt,
+    configVersion: archive.configVersion,
+    secrets: archive.secrets,
+    files: Object.keys(archive.files).filter((name) => ENTRY_NAMES.includes(name)),
+  };
+}
+
+/**
+ * Turn the archive's config into the config to save: secrets decrypted (passphrase) or kept from the current
+ * config (excluded), then migrated to CONFIG_VERSION. Returns { config, errors: [{ path, message }], warnings }.
+ */
+function prepareConfig(archive, passphrase) {
+  const warnings = [];
+  let raw = archive.files['config.json'];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: null, errors: [{ path: '', message: 'must be an object' }], warnings };
+  }
+  if (archive.secrets === 'encrypted') {
+    raw = secrets.decryptSecretsWithPassphrase(raw, passphrase, archive.secretsSalt);
+  } else if (archive.secrets === 'instance') {
+    const { config, errors } = secrets.decryptSecrets(raw);
+    if (errors.length) throw new Error(`This backup's secrets were encrypted with another key (${archive.secretsKeyId}); restore it with that secret key`);
+    raw = config;
+  } else {
+    raw = secrets.restoreMaskedSecrets(JSON.parse(JSON.stringify(raw)), getConfig());
+    warnings.push('The backup has no secrets: API keys and passwords already configured here are kept, others stay empty');
+  }
+  const migration = migrateConfig(raw);
+  if (migration.from > CONFIG_VERSION) {
+    warnings.push(`The backup's config is version ${migration.from}, newer than this NetworkBot (${CONFIG_VERSION})`);
+  }
+  migration.applied.forEach((m) => warnings.push(`Config will be migrated: ${m}`));
+  const config = { ...migration.config, configVersion: Math.max(CONFIG_VERSION, migration.from) };
+  return { config, errors: validate(config, CONFIG_SCHEMA), warnings };
+}
+
+/**
+ * Check an archive without changing anything. Returns
+ * { valid, backup: summary, entries: [{ name, label, inBackup, restore, backupCount, currentCount, errors }], warnings }.
+ * options: { passphrase, only: [entry names], username (the restoring admin, to warn about lock-outs) }
+ */
+function previewRestore(archive, options = {}) {
+  const only = options.only && options.only.length ? options.only : null;
+  const unknown = (only || []).filter((name) => !ENTRY_NAMES.includes(name));
+  if (unknown.length) throw new Error(`Unknown backup entries: ${unknown.join(', ')}`);
+  const warnings = [];
+  const entries = [];
+  const selected = (name) => archive.files[name] !== undefined && (!only || only.includes(name));
+
+  const configEntry = { name: 'config.json', label: 'Configuration', inBackup: archive.files['config.json'] !== undefined, restore: selected('config.json'), errors: [] };
+  let config = null;
+  if (configEntry.restore) {
+    const prepared = prepareConfig(archive, options.passphrase);
+    config = prepared.config;
+    configEntry.errors = prepared.errors;
+    warnings.push(...prepared.warnings);
+  }
+  entries.push(configEntry);
+  entries.push({
+    name: 'Personality.MD',
+    label: 'Personality',
+    inBackup: archive.files['Personality.MD'] !== undefined,
+    restore: selected('Personality.MD'),
+    errors: selected('Personality.MD') && typeof archive.files['Personality.MD'] !== 'string' ? [{ path: '', message: 'must be text' }] : [],
+  });
+  STORES.forEach((store) => {
+    const data = archive.files[store.name];
+    const entry = { name: store.name, label: store.label, inBackup: data !== undefined, restore: selected(store.name), errors: [] };
+    if (entry.inBackup) {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) entry.errors.push({ path: '', message: 'must be an object' });
+      else entry.backupCount = store.count(data) ?? 0;
+    }
+    try {
+      const current = readJson(store.file);
+      entry.currentCount = current ? store.count(current) ?? 0 : 0;
+    } catch (_) {
+      entry.currentCount = null;
+    }
+    entries.push(entry);
+  });
+
+  const usersData = archive.files['users.json'];
+  if (selected('users.json') && options.username && Array.isArray(usersData?.users) && usersData.users.length > 0) {
+    const self = usersData.users.find((u) => String(u.username).toLowerCase() === String(options.username).toLowerCase());
+    if (!self || self.disabled || self.role !== 'admin') {
+      warnings.push(`After restoring users.json, ${options.username} is no longer an enabled admin; sign in with an account from the backup`);
+    }
+  }
+  if (!entries.some((e) => e.restore)) warnings.push('Nothing selected to restore');
+
+  return {
+    valid: entries.every((e) => !e.restore || e.errors.length === 0),
+    backup: summarize(archive),
+    entries,
+    warnings,
+    config,
+  };
+}
+
+function writeFileAtomic(file, content, mode) {
+  fs.writeFileSync(`${file}.tmp`, content, { encoding: 'utf8', ...(mode ? { mode } : {}) });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Restore an archive. With dryRun only the preview is returned. Otherwise a pre-restore copy of the current
+ * state is written to the backup directory first, the selected entries are written and every store is reloaded.
+ * Throws an error with code BACKUP_INVALID (and preview) when a selected entry does not validate.
+ * Returns { ...preview, restored: [entry names], safetyBackup }.
+ */
+function restoreBackup(archive, options = {}) {
+  const preview = previewRestore(archive, options);
+  const { config, ...result } = preview;
+  if (options.dryRun) return { ...result, dryRun: true };
+  if (!preview.valid) {
+    const error = new Error('The backup does not validate; nothing was restored');
+    error.code = 'BACKUP_INVALID';
+    error.preview = result;
+    throw error;
+  }
+
+  const safety = writeArchive(createBackup({ secrets: 'instance' }), 'pre-restore');
+  const restored = [];
+  preview.entries.filter((e) => e.restore).forEach((entry) => {
+    if (entry.name === 'config.json') {
+      saveConfig(config);
+      reloadConfig();
+    } else if (entry.name === 'Personality.MD') {
+      writeFileAtomic(PERSONALITY_FILE, archive.files['Personality.MD']);
+    } else {
+      const store = STORES.find((s) => s.name === entry.name);
+      writeFileAtomic(store.file, JSON.stringify(archive.files[store.name], null, 2), store.mode);
+      store.module.loadState();
+    }
+    restored.push(entry.name);
+  });
+  return { ...result, restored, safetyBackup: safety.name };
+}
+
+// ---- Backup directory ----
+
+/** Write an archive to the backup directory and prune old ones of the same kind. Returns { name, size }. */
+function writeArchive(backup, kind = 'backup') {
+  const cfg = getBackupConfig();
+  fs.mkdirSync(cfg.directory, { recursive: true, mode: 0o700 });
+  const name = backup.fileName.replace(/^networkbot-backup-/, `networkbot-${kind}-`);
+  fs.writeFileSync(path.join(cfg.directory, name), backup.buffer, { mode: 0o600 });
+  pruneBackups(kind, cfg);
+  return { name, size: backup.buffer.length };
+}
+
+function pruneBackups(kind, cfg = getBackupConfig()) {
+  listBackups()
+    .filter((b) => b.kind === kind)
+    .slice(cfg.retention)
+    .forEach((b) => {
+      try {
+        fs.unlinkSync(path.join(cfg.directory, b.name));
+      } catch (err) {
+        console.error(`[Backup] Could not delete ${b.name}:`, err.message);
+      }
+    });
+}
+
+/** Archives in the backup directory, newest first: [{ name, kind: 'backup'|'pre-restore', size, createdAt }] */
+function listBackups() {
+  const { directory } = getBackupConfig();
+  if (!fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory)
+    .filter((name) => ARCHIVE_RE.test(name))
+    .map((name) => {
+      const stat = fs.statSync(path.join(directory, name));
+      return { name, kind: name.match(ARCHIVE_RE)[1], size: stat.size, createdAt: stat.mtime.toISOString() };
+    })
+    .sort((a, b) => (stampOf(b.name) > stampOf(a.name) ? 1 : -1));
+}
+
+/** Full path of a stored archive, or null (names are checked so no other file can be read) */
+function getBackupPath(name) {
+  if (!ARCHIVE_RE.test(String(name))) return null;
+  const file = path.join(getBackupConfig().directory, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+/** Write a backup now with the configured secrets mode. Returns { name, size }. */
+function runBackup(addDashboardLog = () => {}) {
+  const cfg = getBackupConfig();
+  try {
+    const result = writeArchive(createBackup({ secrets: cfg.secrets, passphrase: cfg.passphrase }));
+    console.log(`[Backup] Wrote ${result.name}`);
+    addDashboardLog('info', 'backup', 'Backup written', `${result.name} (${Math.round(result.size / 1024)} KB)`);
+    return result;
+  } catch (err) {
+    console.error('[Backup] Failed:', err.message);
+    addDashboardLog('error', 'backup', 'Scheduled backup failed', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Start scheduled backups. A backup is written at once when the newest one is older than the interval,
+ * so restarts do not skip backups. addDashboardLog(level, source, message, detail) is optional.
+ */
+function startBackups(options = {}) {
+  const addDashboardLog = options.addDashboardLog || (() => {});
+  stopBackups();
+  const cfg = getBackupConfig();
+  if (!cfg.enabled) {
+    console.log('[Backup] Scheduled backups disabled in config');
+    return;
+  }
+  const run = () => {
+    try {
+      const result = runBackup(addDashboardLog);
+      audit.recordAudit({ actor: 'scheduler', source: 'scheduler', action: 'backup.run', target: result.name });
+    } catch (err) {
+      audit.recordAudit({ actor: 'scheduler', source: 'scheduler', action: 'backup.run', result: 'failure', detail: err.message });
+    }
+  };
+  const latest = listBackups().find((b) => b.kind === 'backup');
+  if (!latest || Date.now() - new Date(latest.createdAt).getTime() >= cfg.intervalHours * HOUR_MS) run();
+  backupTimer = setInterval(run, cfg.intervalHours * HOUR_MS);
+  console.log(`[Backup] Started (every ${cfg.intervalHours}h to ${cfg.directory}, keep ${cfg.retention})`);
+}
+
+function stopBackups() {
+  if (backupTimer) {
+    clearInterval(backupTimer);
+    backupTimer = null;
+  }
+}
+
+module.exports = {
+  ENTRY_NAMES,
+  SECRET_MODES,
+  getBackupConfig,
+  createBackup,
+  MAX_ARCHIVE_BYTES,
+  parseBackup,
+  previewRestore,
+  restoreBackup,
+  listBackups,
+  getBackupPath,
+  runBackup,
+  startBackups,
+  stopBackups,
+};
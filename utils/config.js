@@ -3,9 +3,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const secrets = require('./secrets');
+const { CONFIG_SCHEMA, CONFIG_VERSION, validate, migrateConfig } = require('./configSchema');
 
 const CONFIG_FILE = path.join(__dirname, '..', 'config.json');
 const DEFAULT_CONFIG = {
+  configVersion: CONFIG_VERSION, // bumped by the migrations in configSchema.js
   llm: {
     provider: 'openai', // 'openai' or 'ollama'
     openai: {
@@ -17,10 +20,19 @@ const DEFAULT_CONFIG = {
       model: 'llama2',
     },
     debugShowThoughtStream: false, // when true, stream AI response in chat (SSE)
+    toolCalling: {
+      enabled: true, // let the model call ping/traceroute/port test/DNS/IP lookup (OpenAI function calling, Ollama tools)
+      maxSteps: 5,   // rounds of tool calls before the model must answer
+    },
   },
   monitoring: {
     unifi: {
-      controllers: [], // Array of UniFi Network controllers with API keys
+      controllers: [], // Array of UniFi Network controllers with API keys ({ site } or { allSites: true })
+      actions: {
+        enabled: true,             // restart/locate devices, power-cycle PoE ports, block/unblock/reconnect clients
+        confirmTimeoutSeconds: 120, // a prepared action must be confirmed within this time
+        maxAudit: 1000,            // audit entries kept in actions.json
+      },
     },
     siteManager: {
       // UniFi Site Manager API (cloud): https://developer.ui.com/site-manager/v1.0.0/gettingstarted
@@ -30,9 +42,78 @@ const DEFAULT_CONFIG = {
     },
     prometheus: {
       enabled: false,
-      baseUrl: '',
-      basicAuth: null,
+      baseUrl: '', // e.g. http://prometheus:9090
+      basicAuth: null, // { username, password } when behind a proxy with basic auth
+      verifySSL: true,
+      queries: [], // [{ name, query, type: 'instant'|'range', rangeMinutes, step }]
     },
+    snmp: {
+      enabled: false,
+      timeoutMs: 5000,
+      retries: 1,
+      // [{ id, name, host, port: 161, version: '2c'|'3', community, enabled,
+      //    v3: { user, authProtocol: 'sha'|'md5'|..., authKey, privProtocol: 'aes'|'des'|..., privKey },
+      //    mibs: ['system', 'interfaces', 'storage', 'ups'] }]
+      targets: [],
+    },
+    cache: {
+      // Per-resource TTLs in seconds; expired data is served while it refreshes in the background
+      ttlSeconds: {
+        devices: 30, events: 30, alarms: 60, health: 60, intrusion: 120,
+        networks: 600, wlans: 600, portProfiles: 900, portForwards: 600, routes: 600,
+        siteManager: 300, prometheus: 30, snmp: 60, sites: 600,
+      },
+      maxStaleSeconds: 900,     // older than this, requests wait for fresh data instead
+      backgroundRefresh: true,  // refresh expired resources even when nobody is asking
+      refreshSeconds: 30,
+    },
+  },
+  history: {
+    enabled: true,
+    intervalMinutes: 5,       // how often to record a snapshot
+    rawRetentionHours: 48,    // keep every sample this long, then average into hourly points
+    hourlyRetentionDays: 30,  // keep hourly points this long, then average into daily points
+    dailyRetentionDays: 365,  // drop daily points older than this
+    contextHours: 48,         // hours of history summarized for the AI (hourly values for questions about the past)
+  },
+  events: {
+    enabled: true,
+    pollSeconds: 60,          // how often to fetch monitoring data and diff it against the last snapshot
+    trackClients: true,       // emit client_joined / client_left
+    maxEvents: 2000,          // oldest events are dropped beyond this
+    notifyTypes: ['device_offline', 'device_online', 'controller_unreachable', 'controller_recovered', 'new_alarm'],
+    notifyWebhook: true,      // send detected events to the configured webhook
+    notifyEmail: false,       // also email them to email.to
+  },
+  conversations: {
+    maxConversations: 200,    // least recently used conversations are dropped beyond this (stored in conversations.json)
+    maxMessages: 500,         // per conversation; oldest messages are dropped
+    historyMessages: 20,      // recent messages sent to the AI with each question
+  },
+  scheduler: {
+    maxRunsPerJob: 200,       // run history kept per scheduled job (stored in job-runs.json); oldest runs are dropped
+    runRetentionDays: 30,     // runs older than this are dropped
+    maxConcurrentJobs: 2,     // jobs running at once; further due jobs wait in a queue
+    jobTimeoutSeconds: 600,   // per try, unless the job sets timeoutSeconds
+    retries: 2,               // retries after a timeout or transient LLM/controller error, unless the job sets retries
+    retryBackoffSeconds: 30,  // wait before the first retry; doubled for each further one
+  },
+  syslog: {
+    enabled: false,
+    port: 5514,               // 514 needs root; point devices at this port (UDP and/or TCP)
+    bindAddress: '0.0.0.0',
+    udp: true,
+    tcp: true,
+    maxMessages: 5000,        // in-memory buffer; oldest messages are dropped beyond this
+    allowedHosts: [],         // source IPs to accept (empty = any)
+    contextMinutes: 60,       // window of recent error/warning lines given to the AI
+    contextLinesPerHost: 5,
+  },
+  alerts: {
+    enabled: true,
+    evaluateSeconds: 60,      // how often rules are evaluated (rules themselves are stored in alerts.json)
+    notifyWebhook: true,      // send firing/resolved alerts to the configured webhook
+    notifyEmail: false,       // also email them to email.to
   },
   server: {
     port: 3000,
@@ -49,7 +130,12 @@ const DEFAULT_CONFIG = {
   webhook: {
     enabled: false,
     url: '',
-    type: 'slack', // 'slack', 'discord', 'teams', 'ntfy', 'generic'
+    type: 'slack', // 'slack', 'discord', 'teams', 'ntfy', 'mattermost', 'googlechat', 'gotify', 'telegram', 'pushover', 'pagerduty', 'opsgenie', 'generic'
+    telegram: { botToken: '', chatId: '' },   // the credentials below are only used by their type
+    gotify: { appToken: '' },                 // url = the Gotify server
+    pushover: { appToken: '', userKey: '' },
+    pagerduty: { routingKey: '' },            // Events API v2 integration key
+    opsgenie: { apiKey: '' },                 // url = https://api.eu.opsgenie.com for EU accounts
   },
   email: {
     enabled: false,
@@ -65,18 +151,65 @@ const DEFAULT_CONFIG = {
     from: '', // e.g. "NetworkBot <noreply@example.com>"
     to: '',   // default recipient for notifications
   },
+  notifications: {
+    channels: [],             // more webhooks and email lists besides webhook and email.to (see utils/notifications.js)
+    routes: [],               // alerts and events of a controller or site go to these channels instead of the defaults
+  },
+  incidents: {
+    enabled: true,            // group repeated scheduler/alert notifications into incidents (incidents.json); false = notify every time
+    retentionDays: 30,        // resolved and closed incidents are kept this long
+    maxIncidents: 1000,       // oldest resolved/closed incidents are dropped beyond this
+  },
+  audit: {
+    enabled: true,            // activity log in audit.json (sign-ins, config edits, schedules, chat, diagnostics, …)
+    maxEntries: 10000,        // oldest entries are dropped beyond this
+    retentionDays: 90,        // entries older than this are dropped
+  },
+  metrics: {
+    enabled: true,            // Prometheus exporter at GET /metrics (signed-in users, API tokens with monitoring:read)
+    token: '',                // optional scrape token, sent as "Authorization: Bearer <token>"
+  },
+  backup: {
+    enabled: false,           // write a backup archive to directory on a fixed interval
+    directory: './backups',   // relative to the NetworkBot folder
+    intervalHours: 24,
+    retention: 7,             // newest archives kept; older ones are deleted
+    secrets: 'exclude',       // 'exclude' or 'encrypt' (with passphrase, restorable on another host)
+    passphrase: '',
+  },
 };
 
 /**
- * Load configuration from file or return defaults
+ * Load configuration from file or return defaults. An older config.json is migrated to CONFIG_VERSION
+ * (the original is kept as config.json.v<version>.bak). Secrets are decrypted in memory only; secrets still
+ * in plain text are encrypted by writing the file back. Schema problems are logged, not fatal.
  */
 function loadConfig() {
   try {
     if (fs.existsSync(CONFIG_FILE)) {
       const fileContent = fs.readFileSync(CONFIG_FILE, 'utf8');
-      const config = JSON.parse(fileContent);
+      const migration = migrateConfig(JSON.parse(fileContent));
+      if (migration.from > CONFIG_VERSION) {
+        console.error(`⚠️  config.json is version ${migration.from}, newer than this NetworkBot (${CONFIG_VERSION}); loading it as-is`);
+      }
+      const { config, errors, plaintext } = secrets.decryptSecrets(migration.config);
+      errors.forEach((e) => console.error(`⚠️  Could not decrypt ${e}`));
+      if (migration.applied.length > 0 || plaintext > 0) {
+        try {
+          if (migration.applied.length > 0) {
+            fs.writeFileSync(`${CONFIG_FILE}.v${migration.from}.bak`, fileContent, { encoding: 'utf8', mode: 0o600 });
+            migration.applied.forEach((m) => console.log(`🔧 Migrated config.json ${m}`));
+          }
+          fs.writeFileSync(CONFIG_FILE, JSON.stringify(secrets.encryptSecrets(config), null, 2), 'utf8');
+          if (plaintext > 0) console.log(`🔒 Encrypted ${plaintext} secret(s) in config.json`);
+        } catch (err) {
+          console.error('⚠️  Could not write the upgraded config.json:', err.message);
+        }
+      }
       // Merge with defaults to ensure all keys exist
-      return mergeConfig(DEFAULT_CONFIG, config);
+      const merged = mergeConfig(DEFAULT_CONFIG, config);
+      validate(merged, CONFIG_SCHEMA).forEach((e) => console.error(`⚠️  config.json ${e.path}: ${e.message}`));
+      return merged;
     }
   } catch (error) {
     console.error('⚠️  Error loading config file:', error.message);
@@ -170,7 +303,7 @@ function mergeConfig(defaultConfig, userConfig) {
 }
 
 /**
- * Save configuration to file
+ * Save configuration to file (secret fields encrypted, see utils/secrets.js)
  */
 function saveConfig(config) {
   try {
@@ -181,7 +314,7 @@ function saveConfig(config) {
     }
     
     // Write config file
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(secrets.encryptSecrets(config), null, 2), 'utf8');
     console.log('✅ Configuration saved successfully');
     return true;
   } catch (error) {
@@ -200,14 +333,40 @@ function getConfig() {
 }
 
 /**
- * Update configuration
+ * Check an update before it is applied: the update itself (types, unknown keys) and the merged result
+ * (required fields, cross-field rules). Returns [{ path, message }].
+ */
+function validateUpdate(updates) {
+  const errors = validate(updates, CONFIG_SCHEMA, { partial: true });
+  const merged = { ...mergeConfig(currentConfig, updates), configVersion: CONFIG_VERSION };
+  validate(merged, CONFIG_SCHEMA, { allowUnknown: true }).forEach((e) => {
+    if (!errors.some((x) => x.path === e.path)) errors.push(e);
+  });
+  return errors;
+}
+
+/**
+ * Update configuration. Throws an error with code CONFIG_INVALID and errors [{ path, message }]
+ * when the update does not match the schema; nothing is saved then.
  */
 function updateConfig(updates) {
-  currentConfig = mergeConfig(currentConfig, updates);
+  const errors = validateUpdate(updates);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration: ${errors.map((e) => `${e.path} ${e.message}`).join('; ')}`);
+    error.code = 'CONFIG_INVALID';
+    error.errors = errors;
+    throw error;
+  }
+  currentConfig = { ...mergeConfig(currentConfig, updates), configVersion: CONFIG_VERSION };
   saveConfig(currentConfig);
   return currentConfig;
 }
 
+/** Schema problems in the current configuration (e.g. a hand-edited config.json) */
+function getConfigProblems() {
+  return validate(currentConfig, CONFIG_SCHEMA);
+}
+
 /**
  * Reload configuration from file
  */
@@ -216,10 +375,25 @@ function reloadConfig() {
   return currentConfig;
 }
 
+/**
+ * Re-encrypt the secrets in config.json with a new key (random unless newKey is given) and reload.
+ * Returns what utils/secrets.js rotateKey returns.
+ */
+function rotateSecretKey({ newKey } = {}) {
+  if (!fs.existsSync(CONFIG_FILE)) saveConfig(currentConfig);
+  const result = secrets.rotateKey(CONFIG_FILE, { newKey });
+  reloadConfig();
+  return result;
+}
+
 module.exports = {
   getConfig,
   updateConfig,
+  validateUpdate,
+  getConfigProblems,
   reloadConfig,
   saveConfig,
+  rotateSecretKey,
+  CONFIG_VERSION,
   CONFIG_FILE,
 };
@@ -0,0 +1,408 @@
+// utils/configSchema.js – Declared shape of config.json, validation with field-level errors, and the
+// configVersion migrations that upgrade older files. Used by utils/config.js on load and on every update.
+
+// ---- Schema builders ----
+// Each schema is { type, ...constraints }. Objects list their keys; unknown keys are errors (typos).
+
+const str = (opts = {}) => ({ type: 'string', ...opts });
+const int = (opts = {}) => ({ type: 'integer', ...opts });
+const bool = () => ({ type: 'boolean' });
+const arr = (items, opts = {}) => ({ type: 'array', items, ...opts });
+const obj = (keys, opts = {}) => ({ type: 'object', keys, ...opts });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const oneOf = (values) => str({ enum: values });
+const url = (opts = {}) => str({ pattern: /^(https?:\/\/\S+)?$/i, patternMessage: 'must be an http(s):// URL', ...opts });
+const port = () => int({ min: 1, max: 65535 });
+
+const WEBHOOK_TYPES = ['slack', 'discord', 'teams', 'ntfy', 'mattermost', 'googlechat', 'gotify', 'telegram', 'pushover', 'pagerduty', 'opsgenie', 'generic'];
+const CHANNEL_KINDS = ['webhook', 'email'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const BUILT_IN_CHANNELS = ['webhook', 'email'];
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+const BACKUP_SECRET_MODES = ['exclude', 'encrypt'];
+const SNMP_AUTH_PROTOCOLS = ['md5', 'sha', 'sha224', 'sha256', 'sha384', 'sha512'];
+const SNMP_PRIV_PROTOCOLS = ['des', 'aes', 'aes256b', 'aes256r'];
+const SNMP_MIBS = ['system', 'interfaces', 'storage', 'ups'];
+const CACHE_RESOURCES = [
+  'devices', 'events', 'alarms', 'health', 'intrusion', 'networks', 'wlans', 'portProfiles',
+  'portForwards', 'routes', 'siteManager', 'prometheus', 'snmp', 'sites',
+];
+
+/** Cross-field rule: when enabled, these fields must not be empty */
+const requiredWhenEnabled = (...fields) => (value) => (value.enabled === true
+  ? fields.filter((f) => !String(f.split('.').reduce((o, k) => o?.[k], value) ?? '').trim())
+    .map((f) => ({ path: f, message: 'is required when enabled' }))
+  : []);
+
+/** Fields each webhook type needs (Telegram, Pushover, PagerDuty and Opsgenie have a public API, so no url) */
+const WEBHOOK_REQUIRED = {
+  telegram: ['telegram.botToken', 'telegram.chatId'],
+  gotify: ['url', 'gotify.appToken'],
+  pushover: ['pushover.appToken', 'pushover.userKey'],
+  pagerduty: ['pagerduty.routingKey'],
+  opsgenie: ['opsgenie.apiKey'],
+};
+
+/** Credentials of the webhook types that need more than a URL */
+const webhookServiceFields = () => ({
+  telegram: obj({ botToken: str(), chatId: str() }),
+  gotify: obj({ appToken: str() }),
+  pushover: obj({ appToken: str(), userKey: str() }),
+  pagerduty: obj({ routingKey: str() }),
+  opsgenie: obj({ apiKey: str() }),
+});
+
+const webhookRequired = (w) => (WEBHOOK_REQUIRED[w.type] || ['url'])
+  .filter((f) => !String(f.split('.').reduce((o, k) => o?.[k], w) ?? '').trim())
+  .map((f) => ({ path: f, message: `is required for ${w.type || 'generic'}` }));
+
+/** A notification channel needs what its webhook type needs (webhook) or recipients (email); the built-in ids are taken */
+const channelTarget = (c) => {
+  const errors = [];
+  if (BUILT_IN_CHANNELS.includes(c.id)) errors.push({ path: 'id', message: `"${c.id}" is the built-in channel; choose another id` });
+  if (c.kind === 'webhook') errors.push(...webhookRequired(c));
+  if (c.kind === 'email' && !String(c.to || '').trim()) errors.push({ path: 'to', message: 'is required for an email channel' });
+  return errors;
+};
+
+/** A route matches a controller and/or site and sends to at least one channel */
+const routeTarget = (r) => {
+  const errors = [];
+  if (!String(r.controllerId || '').trim() && !String(r.site || '').trim()) errors.push({ path: 'controllerId', message: 'or site is required' });
+  if (!Array.isArray(r.channels) || r.channels.length === 0) errors.push({ path: 'channels', message: 'must list at least one channel' });
+  return errors;
+};
+
+/** Routes may only use channels that exist */
+const knownChannels = (n) => {
+  const ids = new Set([...BUILT_IN_CHANNELS, ...(n.channels || []).map((c) => c?.id)]);
+  const errors = [];
+  (n.routes || []).forEach((r, i) => (Array.isArray(r?.channels) ? r.channels : []).forEach((id) => {
+    if (!ids.has(id)) errors.push({ path: `routes[${i}].channels`, message: `unknown channel "${id}"` });
+  }));
+  return errors;
+};
+
+const CONFIG_SCHEMA = obj({
+  configVersion: int({ min: 0 }),
+  llm: obj({
+    provider: oneOf(['openai', 'ollama']),
+    openai: obj({ apiKey: str(), model: str({ minLength: 1 }) }),
+    ollama: obj({ baseUrl: url({ minLength: 1 }), model: str({ minLength: 1 }) }),
+    debugShowThoughtStream: bool(),
+    toolCalling: obj({ enabled: bool(), maxSteps: int({ min: 1, max: 10 }) }),
+  }),
+  monitoring: obj({
+    unifi: obj({
+      controllers: arr(obj({
+        id: str({ minLength: 1, required: true }),
+        name: str(),
+        enabled: bool(),
+        baseUrl: url({ minLength: 1, required: true }),
+        apiKey: str(),
+        site: str(),
+        allSites: bool(),
+        verifySSL: bool(),
+      }), { uniqueBy: 'id' }),
+      actions: obj({
+        enabled: bool(),
+        confirmTimeoutSeconds: int({ min: 30, max: 900 }),
+        maxAudit: int({ min: 100 }),
+      }),
+    }),
+    siteManager: obj({ enabled: bool(), apiKey: str(), baseUrl: url() }, { check: requiredWhenEnabled('apiKey') }),
+    prometheus: obj({
+      enabled: bool(),
+      baseUrl: url(),
+      basicAuth: nullable(obj({ username: str(), password: str() })),
+      verifySSL: bool(),
+      queries: arr(obj({
+        name: str(),
+        query: str({ minLength: 1, required: true }),
+        type: oneOf(['instant', 'range']),
+        rangeMinutes: int({ min: 1, max: 10080 }),
+        step: str({ pattern: /^\d+[smhd]$/, patternMessage: 'must be a duration like 60s or 5m' }),
+      })),
+    }, { check: requiredWhenEnabled('baseUrl') }),
+    snmp: obj({
+      enabled: bool(),
+      timeoutMs: int({ min: 100, max: 60000 }),
+      retries: int({ min: 0, max: 10 }),
+      targets: arr(obj({
+        id: str(),
+        name: str(),
+        host: str({ minLength: 1, required: true }),
+        port: port(),
+        version: oneOf(['2c', '3']),
+        community: str(),
+        enabled: bool(),
+        v3: obj({
+          user: str(),
+          authProtocol: oneOf(SNMP_AUTH_PROTOCOLS),
+          authKey: str(),
+          privProtocol: oneOf(SNMP_PRIV_PROTOCOLS),
+          privKey: str(),
+        }),
+        mibs: arr(oneOf(SNMP_MIBS)),
+      }), { uniqueBy: 'id' }),
+    }),
+    cache: obj({
+      ttlSeconds: obj(Object.fromEntries(CACHE_RESOURCES.map((r) => [r, int({ min: 5 })]))),
+      maxStaleSeconds: int({ min: 60 }),
+      backgroundRefresh: bool(),
+      refreshSeconds: int({ min: 5 }),
+    }),
+  }),
+  history: obj({
+    enabled: bool(),
+    intervalMinutes: int({ min: 1 }),
+    rawRetentionHours: int({ min: 1 }),
+    hourlyRetentionDays: int({ min: 1 }),
+    dailyRetentionDays: int({ min: 1 }),
+    contextHours: int({ min: 0 }),
+  }),
+  events: obj({
+    enabled: bool(),
+    pollSeconds: int({ min: 15 }),
+    trackClients: bool(),
+    maxEvents: int({ min: 100 }),
+    notifyTypes: arr(str({ pattern: /^[a-z_]+$/, patternMessage: 'must be an event type such as device_offline' })),
+    notifyWebhook: bool(),
+    notifyEmail: bool(),
+  }),
+  conversations: obj({
+    maxConversations: int({ min: 10 }),
+    maxMessages: int({ min: 20 }),
+    historyMessages: int({ min: 2, max: 100 }),
+  }),
+  scheduler: obj({
+    maxRunsPerJob: int({ min: 10, max: 10000 }),
+    runRetentionDays: int({ min: 1, max: 3650 }),
+    maxConcurrentJobs: int({ min: 1, max: 20 }),
+    jobTimeoutSeconds: int({ min: 10, max: 86400 }),
+    retries: int({ min: 0, max: 5 }),
+    retryBackoffSeconds: int({ min: 1, max: 3600 }),
+  }),
+  syslog: obj({
+    enabled: bool(),
+    port: port(),
+    bindAddress: str({ minLength: 1 }),
+    udp: bool(),
+    tcp: bool(),
+    maxMessages: int({ min: 100 }),
+    allowedHosts: arr(str({ minLength: 1 })),
+    contextMinutes: int({ min: 5 }),
+    contextLinesPerHost: int({ min: 1 }),
+  }),
+  alerts: obj({
+    enabled: bool(),
+    evaluateSeconds: int({ min: 15 }),
+    notifyWebhook: bool(),
+    notifyEmail: bool(),
+  }),
+  server: obj({ port: port(), logLevel: oneOf(LOG_LEVELS) }),
+  web: obj({
+    enabled: bool(),
+    port: port(),
+    auth: obj({ username: str(), password: str() }),
+  }),
+  webhook: obj({
+    enabled: bool(),
+    url: url(),
+    type: oneOf(WEBHOOK_TYPES),
+    ...webhookServiceFields(),
+  }, { check: (w) => (w.enabled === true ? webhookRequired(w) : []) }),
+  email: obj({
+    enabled: bool(),
+    smtp: obj({
+      host: str(),
+      port: port(),
+      secure: bool(),
+      auth: obj({ user: str(), pass: str() }),
+    }),
+    from: str(),
+    to: str(),
+  }, { check: requiredWhenEnabled('smtp.host') }),
+  notifications: obj({
+    channels: arr(obj({
+      id: str({ minLength: 1, required: true }),
+      name: str(),
+      kind: str({ enum: CHANNEL_KINDS, required: true }),
+      enabled: bool(),
+      type: oneOf(WEBHOOK_TYPES),
+      url: url(),
+      ...webhookServiceFields(),
+      to: str(),
+      minSeverity: oneOf(SEVERITIES),
+      isDefault: bool(),
+    }, { check: channelTarget }), { uniqueBy: 'id' }),
+    routes: arr(obj({
+      id: str({ minLength: 1, required: true }),
+      name: str(),
+      enabled: bool(),
+      controllerId: str(),
+      site: str(),
+      channels: arr(str({ minLength: 1 })),
+      alsoDefault: bool(),
+    }, { check: routeTarget }), { uniqueBy: 'id' }),
+  }, { check: knownChannels }),
+  incidents: obj({
+    enabled: bool(),
+    retentionDays: int({ min: 1, max: 3650 }),
+    maxIncidents: int({ min: 100, max: 100000 }),
+  }),
+  audit: obj({
+    enabled: bool(),
+    maxEntries: int({ min: 100 }),
+    retentionDays: int({ min: 1 }),
+  }),
+  metrics: obj({
+    enabled: bool(),
+    token: str(),
+  }, {
+    check: (value) => (value.token && String(value.token).length < 16
+      ? [{ path: 'token', message: 'must be at least 16 characters' }]
+      : []),
+  }),
+  backup: obj({
+    enabled: bool(),
+    directory: str({ minLength: 1 }),
+    intervalHours: int({ min: 1 }),
+    retention: int({ min: 1, max: 365 }),
+    secrets: oneOf(BACKUP_SECRET_MODES),
+    passphrase: str(),
+  }, {
+    check: (value) => (value.secrets === 'encrypt' && String(value.passphrase || '').length < 8
+      ? [{ path: 'passphrase', message: 'must be at least 8 characters when secrets are encrypted' }]
+      : []),
+  }),
+});
+
+// ---- Validation ----
+
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+/**
+ * Validate a value against a schema. Returns [{ path, message }] (empty when valid).
+ * options.partial: required fields and cross-field checks are skipped (for an update body).
+ * options.allowUnknown: unknown keys are not reported (for a stored config that may have old keys).
+ */
+function validate(value, schema = CONFIG_SCHEMA, options = {}, path = '') {
+  const errors = [];
+  const at = (p) => p || '(root)';
+  const err = (message, p = path) => errors.push({ path: at(p), message });
+
+  if (value === null && schema.nullable) return errors;
+  const actual = typeOf(value);
+  switch (schema.type) {
+    case 'string':
+      if (actual !== 'string') return [{ path: at(path), message: `must be text, got ${actual}` }];
+      if (schema.enum && !schema.enum.includes(value)) err(`must be one of ${schema.enum.join(', ')} (got "${value}")`);
+      else if (schema.minLength && value.trim().length < schema.minLength) err('must not be empty');
+      else if (schema.pattern && value !== '' && !schema.pattern.test(value)) err(schema.patternMessage || `must match ${schema.pattern}`);
+      break;
+    case 'integer':
+      if (actual !== 'number' || !Number.isInteger(value)) return [{ path: at(path), message: `must be a whole number, got ${actual === 'string' ? `"${value}"` : actual}` }];
+      if (schema.min !== undefined && value < schema.min) err(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) err(`must be at most ${schema.max}`);
+      break;
+    case 'boolean':
+      if (actual !== 'boolean') return [{ path: at(path), message: `must be true or false, got ${actual}` }];
+      break;
+    case 'array':
+      if (actual !== 'array') return [{ path: at(path), message: `must be a list, got ${actual}` }];
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, options, `${path}[${i}]`)));
+      if (schema.uniqueBy) {
+        const seen = new Set();
+        value.forEach((item, i) => {
+          const k = item?.[schema.uniqueBy];
+          if (k === undefined || k === '') return;
+          if (seen.has(k)) err(`duplicate ${schema.uniqueBy} "${k}"`, `${path}[${i}].${schema.uniqueBy}`);
+          seen.add(k);
+        });
+      }
+      break;
+    case 'object':
+      if (actual !== 'object') return [{ path: at(path), message: `must be an object, got ${actual}` }];
+      Object.keys(value).forEach((k) => {
+        const child = path ? `${path}.${k}` : k;
+        if (!schema.keys[k]) {
+          if (!options.allowUnknown) err('unknown setting', child);
+          return;
+        }
+        if (value[k] !== undefined) errors.push(...validate(value[k], schema.keys[k], options, child));
+      });
+      if (!options.partial) {
+        Object.entries(schema.keys).forEach(([k, s]) => {
+          if (s.required && (value[k] === undefined || value[k] === '')) err('is required', path ? `${path}.${k}` : k);
+        });
+        if (schema.check) schema.check(value).forEach((e) => err(e.message, path ? `${path}.${e.path}` : e.path));
+      }
+      break;
+    default:
+      break;
+  }
+  return errors;
+}
+
+// ---- Migrations ----
+// Each migration upgrades a raw config.json object from version - 1 to version, in place.
+// Files without configVersion are version 0. Add new migrations at the end; never edit old ones.
+
+const toInt = (v) => (typeof v === 'string' && /^\s*\d+\s*$/.test(v) ? parseInt(v, 10) : v);
+const toBool = (v) => (v === 'true' ? true : v === 'false' ? false : v);
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Ports and numbers saved as text become numbers; "true"/"false" become booleans; webhook type and log level are normalized',
+    up(cfg) {
+      if (cfg.server) cfg.server.port = toInt(cfg.server.port);
+      if (cfg.web) cfg.web.port = toInt(cfg.web.port);
+      if (cfg.syslog) cfg.syslog.port = toInt(cfg.syslog.port);
+      if (cfg.email?.smtp) {
+        cfg.email.smtp.port = toInt(cfg.email.smtp.port);
+        cfg.email.smtp.secure = toBool(cfg.email.smtp.secure);
+      }
+      (cfg.monitoring?.unifi?.controllers || []).forEach((c) => {
+        c.enabled = toBool(c.enabled);
+        c.verifySSL = toBool(c.verifySSL);
+      });
+      (cfg.monitoring?.snmp?.targets || []).forEach((t) => {
+        t.port = toInt(t.port);
+        if (typeof t.version === 'number') t.version = t.version === 3 ? '3' : '2c';
+      });
+      if (cfg.monitoring?.prometheus) cfg.monitoring.prometheus.verifySSL = toBool(cfg.monitoring.prometheus.verifySSL);
+      if (typeof cfg.webhook?.type === 'string') cfg.webhook.type = cfg.webhook.type.trim().toLowerCase();
+      if (typeof cfg.server?.logLevel === 'string') cfg.server.logLevel = cfg.server.logLevel.trim().toUpperCase();
+      // Drop keys the loop above may have created as undefined
+      return JSON.parse(JSON.stringify(cfg));
+    },
+  },
+];
+
+const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade a raw config object to CONFIG_VERSION. Returns { config, from, applied: [descriptions] }.
+ * A config from a newer version is returned unchanged (from > CONFIG_VERSION).
+ */
+function migrateConfig(raw) {
+  let config = JSON.parse(JSON.stringify(raw || {}));
+  const from = Number.isInteger(config.configVersion) ? config.configVersion : 0;
+  const applied = [];
+  MIGRATIONS.filter((m) => m.version > from).forEach((m) => {
+    config = m.up(config) || config;
+    config.configVersion = m.version;
+    applied.push(`v${m.version}: ${m.description}`);
+  });
+  return { config, from, applied };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CONFIG_VERSION,
+  MIGRATIONS,
+  validate,
+  migrateConfig,
+};
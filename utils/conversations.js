@@ -0,0 +1,199 @@
+// utils/conversations.js – Chat conversations stored on the server (conversations.json), so a thread
+// survives a refresh or a switch to another machine. Each conversation has an id, an owner (the username
+// or token:<name> that started it), a title, timestamps and its messages in the chat format
+// [{ role: 'user'|'bot', message, toolCalls?, timestamp }].
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const CONVERSATIONS_FILE = path.join(__dirname, '..', 'conversations.json');
+const MAX_TITLE_LENGTH = 80;
+
+let state = { conversations: [], meta: { version: 1 } };
+let loaded = false;
+
+function getConversationsConfig() {
+  const c = getConfig().conversations || {};
+  return {
+    maxConversations: Math.max(10, parseInt(c.maxConversations, 10) || 200),
+    maxMessages: Math.max(20, parseInt(c.maxMessages, 10) || 500),
+    historyMessages: Math.min(100, Math.max(2, parseInt(c.historyMessages, 10) || 20)),
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(CONVERSATIONS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(CONVERSATIONS_FILE, 'utf8'));
+      state.conversations = Array.isArray(data.conversations) ? data.conversations : [];
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Conversations] Error loading conversations:', err.message);
+    state.conversations = [];
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(CONVERSATIONS_FILE, JSON.stringify({ conversations: state.conversations, meta: state.meta }), 'utf8');
+  } catch (err) {
+    console.error('[Conversations] Error saving conversations:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+function generateId() {
+  return `conv_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+function cleanTitle(title) {
+  const t = String(title || '').replace(/\s+/g, ' ').trim();
+  return t.length > MAX_TITLE_LENGTH ? `${t.slice(0, MAX_TITLE_LENGTH - 1)}…` : t;
+}
+
+function normalizeMessage(m) {
+  const msg = {
+    role: m.role === 'user' ? 'user' : 'bot',
+    message: String(m.message ?? ''),
+    timestamp: m.timestamp || new Date().toISOString(),
+  };
+  if (Array.isArray(m.toolCalls) && m.toolCalls.length > 0) msg.toolCalls = m.toolCalls;
+  return msg;
+}
+
+/** Conversation without its messages, for lists */
+function summarize(c) {
+  const lastUser = [...c.messages].reverse().find((m) => m.role === 'user');
+  return {
+    id: c.id,
+    owner: c.owner || null,
+    title: c.title,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+    messageCount: c.messages.length,
+    preview: lastUser ? cleanTitle(lastUser.message) : '',
+  };
+}
+
+/**
+ * List conversations, most recently updated first (no messages).
+ * @param {Object} options - { owner, includeUnowned (also those stored before owners were recorded),
+ *   q (title/message search), limit, offset }
+ */
+function listConversations(options = {}) {
+  ensureLoaded();
+  const q = options.q ? String(options.q).toLowerCase() : null;
+  const limit = Math.min(200, Math.max(1, parseInt(options.limit, 10) || 50));
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+  const filtered = state.conversations
+    .filter((c) => options.owner === undefined || c.owner === options.owner || (options.includeUnowned && !c.owner))
+    .filter((c) => !q || c.title.toLowerCase().includes(q) || c.messages.some((m) => m.message.toLowerCase().includes(q)))
+    .sort((a, b) => (b.updatedAt > a.updatedAt ? 1 : b.updatedAt < a.updatedAt ? -1 : 0));
+  return {
+    total: filtered.length,
+    offset,
+    limit,
+    conversations: filtered.slice(offset, offset + limit).map(summarize),
+  };
+}
+
+function getConversation(id) {
+  ensureLoaded();
+  return state.conversations.find((c) => c.id === id) || null;
+}
+
+/**
+ * Create a conversation for owner. messages (optional) imports an existing thread, e.g. the history a browser kept locally.
+ */
+function createConversation({ owner, title, messages } = {}) {
+  ensureLoaded();
+  const { maxConversations, maxMessages } = getConversationsConfig();
+  const now = new Date().toISOString();
+  const imported = Array.isArray(messages) ? messages.filter((m) => m && m.message != null).map(normalizeMessage).slice(-maxMessages) : [];
+  const firstUser = imported.find((m) => m.role === 'user');
+  const conversation = {
+    id: generateId(),
+    owner: owner || null,
+    title: cleanTitle(title) || (firstUser ? cleanTitle(firstUser.message) : 'New conversation'),
+    createdAt: imported[0]?.timestamp || now,
+    updatedAt: imported.length ? imported[imported.length - 1].timestamp : now,
+    messages: imported,
+  };
+  // Drop the least recently used conversations beyond the limit, never the new one (an imported thread keeps
+  // its old updatedAt)
+  if (state.conversations.length >= maxConversations) {
+    state.conversations.sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0));
+    state.conversations = state.conversations.slice(0, maxConversations - 1);
+  }
+  state.conversations.push(conversation);
+  saveState();
+  return conversation;
+}
+
+/**
+ * Append messages to a conversation. The first user message becomes the title of an untitled conversation.
+ * Returns the updated conversation, or null if it does not exist.
+ */
+function appendMessages(id, messages) {
+  const conversation = getConversation(id);
+  if (!conversation) return null;
+  const { maxMessages } = getConversationsConfig();
+  const added = (Array.isArray(messages) ? messages : [messages]).filter(Boolean).map(normalizeMessage);
+  conversation.messages.push(...added);
+  if (conversation.messages.length > maxMessages) conversation.messages = conversation.messages.slice(-maxMessages);
+  if (conversation.title === 'New conversation' && !conversation.renamed) {
+    const firstUser = conversation.messages.find((m) => m.role === 'user');
+    if (firstUser) conversation.title = cleanTitle(firstUser.message);
+  }
+  conversation.updatedAt = new Date().toISOString();
+  saveState();
+  return conversation;
+}
+
+function renameConversation(id, title) {
+  const conversation = getConversation(id);
+  if (!conversation) return null;
+  const t = cleanTitle(title);
+  if (!t) throw new Error('Title is required');
+  conversation.title = t;
+  conversation.renamed = true;
+  conversation.updatedAt = new Date().toISOString();
+  saveState();
+  return conversation;
+}
+
+function deleteConversation(id) {
+  ensureLoaded();
+  const before = state.conversations.length;
+  state.conversations = state.conversations.filter((c) => c.id !== id);
+  if (state.conversations.length === before) return false;
+  saveState();
+  return true;
+}
+
+/** The last messages of a conversation in the history format the LLM helpers take */
+function getConversationHistory(id) {
+  const conversation = getConversation(id);
+  if (!conversation) return [];
+  const { historyMessages } = getConversationsConfig();
+  return conversation.messages.slice(-historyMessages).map((m) => ({ role: m.role, message: m.message }));
+}
+
+module.exports = {
+  CONVERSATIONS_FILE,
+  loadState,
+  listConversations,
+  getConversation,
+  createConversation,
+  appendMessages,
+  renameConversation,
+  deleteConversation,
+  getConversationHistory,
+};
@@ -0,0 +1,315 @@
+// utils/cron.js – Time rules for scheduled jobs: 5-field cron expressions, IANA time zones and daily time
+// windows ("weekdays 08:00-18:00", "22:00-06:00"). Everything is evaluated on the wall clock of the job's
+// time zone, so "0 8 * * 1-5" stays at 08:00 across daylight-saving changes. No dependencies: Intl does the
+// time zone maths.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_SEARCH_DAYS = 4 * 366; // "0 0 29 2 *" can take years to match; give up after this
+const MAX_CANDIDATES = 20000;     // matching times rejected by accept() before giving up
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+  '@weekdays': '0 0 * * 1-5',
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function scheduleError(message) {
+  const err = new Error(message);
+  err.code = 'SCHEDULE_INVALID';
+  return err;
+}
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + (field.min === 1 ? 1 : 0);
+  if (!/^\d+$/.test(token)) throw scheduleError(`Invalid ${field.name} value "${token}"`);
+  const n = parseInt(token, 10);
+  if (n < field.min || n > field.max) throw scheduleError(`${field.name} must be ${field.min}-${field.max} (got ${n})`);
+  return n;
+}
+
+/** One field ("*", "1,15", "9-17", "*\/5", "mon-fri") → sorted list of allowed values */
+function parseField(text, field) {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) throw scheduleError(`Invalid step in ${field.name} "${part}"`);
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseValue(a, field);
+      to = parseValue(b, field);
+      if (from > to) throw scheduleError(`Invalid range in ${field.name} "${range}"`);
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  });
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression: "minute hour day-of-month month day-of-week" or a macro (@hourly, @daily,
+ * @weekly, @monthly, @yearly, @weekdays). Day of week 0 and 7 are Sunday; names (mon, jan) are accepted.
+ * Throws an error with code SCHEDULE_INVALID.
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) throw scheduleError('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  return {
+    expression: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays: [...new Set(weekdays.map((d) => d % 7))],
+    // Standard cron: when both day fields are restricted, a day matching either one counts
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*',
+  };
+}
+
+// ---- Time zones ----
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/** Time zone of the server (used when a job has none) */
+function defaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/** Check an IANA time zone name (e.g. "Europe/Berlin"); throws SCHEDULE_INVALID when unknown */
+function validateTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return timeZone;
+  } catch (_) {
+    throw scheduleError(`Unknown time zone "${timeZone}"`);
+  }
+}
+
+/** Wall clock of an instant in a time zone: { year, month (1-12), day, hour, minute, weekday (0 = Sunday) } */
+function wallClock(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach((p) => {
+    parts[p.type] = p.value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+  };
+}
+
+// Wall clock times are handled as "fake UTC" millisecond values, so calendar steps are plain arithmetic
+const wallToMs = (w) => Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute);
+
+/** UTC offset of a time zone at an instant, in ms */
+const offsetAt = (t, timeZone) => wallToMs(wallClock(t, timeZone)) - t;
+
+/**
+ * Instants for a wall clock time in a time zone, earliest first: none when that time does not exist there
+ * (the hour skipped when clocks go forward), two in the hour repeated when clocks go back. The offsets half
+ * a day before and after cover both sides of a change.
+ */
+function wallToInstants(wallMs, timeZone) {
+  const offsets = new Set([-DAY_MS / 2, 0, DAY_MS / 2].map((d) => offsetAt(wallMs + d, timeZone)));
+  return [...offsets]
+    .map((offset) => wallMs - offset)
+    .filter((t) => wallToMs(wallClock(t, timeZone)) === wallMs)
+    .sort((a, b) => a - b);
+}
+
+/** The first instant for a wall clock time (see wallToInstants), or null when it does not exist */
+const wallToInstant = (wallMs, timeZone) => wallToInstants(wallMs, timeZone)[0] ?? null;
+
+// ---- Next run ----
+
+function dayMatches(cron, d) {
+  const dom = cron.days.includes(d.getUTCDate());
+  const dow = cron.weekdays.includes(d.getUTCDay());
+  if (cron.anyDay) return dom || dow;
+  return (!cron.daysRestricted || dom) && (!cron.weekdaysRestricted || dow);
+}
+
+/**
+ * First time after `after` (Date or ms) that matches the cron expression in the time zone, as a Date;
+ * null if there is none within a few years. accept(date) can reject candidates (e.g. outside active windows).
+ * In the hour repeated when clocks go back, a time runs at its first occurrence; expressions for every hour
+ * ("*\/20 * * * *") run through the repeated hour again, like cron does.
+ */
+function nextCronTime(expression, after, timeZone, accept = null) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const startMs = new Date(after).getTime();
+  const offsets = new Set([offsetAt(startMs, timeZone)]);
+  // Every-hour expressions also search from the wall clock of the repeated hour, when clocks go back soon
+  if (cron.hours.length === 24) offsets.add(offsetAt(startMs + 2 * 60 * MINUTE_MS, timeZone));
+  const found = [...offsets]
+    .map((offset) => searchCron(cron, Math.floor((startMs + offset) / MINUTE_MS) * MINUTE_MS + MINUTE_MS, startMs, timeZone, accept))
+    .filter((t) => t !== null);
+  return found.length > 0 ? new Date(Math.min(...found)) : null;
+}
+
+/** Walk the wall clock from start (ms, see wallToMs) to the first matching instant after startMs; null if none */
+function searchCron(cron, start, startMs, timeZone, accept) {
+  const limit = start + MAX_SEARCH_DAYS * DAY_MS;
+  let w = start;
+  let candidates = 0;
+  while (w < limit && candidates < MAX_CANDIDATES) {
+    const d = new Date(w);
+    if (!cron.months.includes(d.getUTCMonth() + 1)) {
+      w = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+      continue;
+    }
+    if (!dayMatches(cron, d)) {
+      w = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+      continue;
+    }
+    const hour = cron.hours.find((h) => h >= d.getUTCHours());
+    if (hour === undefined) {
+      w = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+      continue;
+    }
+    if (hour !== d.getUTCHours()) {
+      w = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), hour);
+      continue;
+    }
+    const minute = cron.minutes.find((m) => m >= d.getUTCMinutes());
+    if (minute === undefined) {
+      w = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours() + 1);
+      continue;
+    }
+    w = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), minute);
+    // A time skipped when clocks go forward runs once the clocks have jumped, like cron does
+    const instants = wallToInstants(w, timeZone);
+    const instant = (instants.length > 0 ? instants : wallToInstants(w + 60 * MINUTE_MS, timeZone)).find((t) => t > startMs) ?? null;
+    candidates++;
+    if (instant !== null && (!accept || accept(new Date(instant)))) return instant;
+    w += MINUTE_MS;
+  }
+  return null;
+}
+
+// ---- Time windows ----
+
+const toMinutes = (hhmm) => {
+  const [, h, m] = TIME_RE.exec(hhmm);
+  return Number(h) * 60 + Number(m);
+};
+
+/**
+ * Normalize a daily window { start: 'HH:MM', end: 'HH:MM', days: [0-6] (empty = every day) }.
+ * A window may cross midnight (22:00-06:00); its days are the days it starts on. Throws SCHEDULE_INVALID.
+ */
+function parseWindow(input, label = 'Window') {
+  if (!input || typeof input !== 'object') throw scheduleError(`${label} must be an object with start and end`);
+  const start = String(input.start || '').trim();
+  const end = String(input.end || '').trim();
+  if (!TIME_RE.test(start) || !TIME_RE.test(end)) throw scheduleError(`${label} start and end must be HH:MM`);
+  if (start === end) throw scheduleError(`${label} start and end must differ`);
+  const days = Array.isArray(input.days) ? input.days : [];
+  const parsed = days.map((d) => {
+    const n = typeof d === 'string' && !/^\d+$/.test(d) ? DAY_NAMES.indexOf(d.toLowerCase().slice(0, 3)) : Number(d);
+    if (!Number.isInteger(n) || n < 0 || n > 7) throw scheduleError(`${label} days must be 0-6 (Sunday = 0) or day names`);
+    return n % 7;
+  });
+  const pad = (t) => t.padStart(5, '0');
+  return { start: pad(start), end: pad(end), days: [...new Set(parsed)].sort((a, b) => a - b) };
+}
+
+/** Whether an instant falls inside a window, on the wall clock of the time zone */
+function inWindow(window, date, timeZone) {
+  const w = wallClock(date, timeZone);
+  const now = w.hour * 60 + w.minute;
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const onDay = (day) => window.days.length === 0 || window.days.includes(day);
+  if (start < end) return onDay(w.weekday) && now >= start && now < end;
+  // Crosses midnight: the evening part belongs to today, the morning part to yesterday's window
+  return (now >= start && onDay(w.weekday)) || (now < end && onDay((w.weekday + 6) % 7));
+}
+
+/** Whether an instant is inside any of the windows (no windows = always) */
+function inAnyWindow(windows, date, timeZone) {
+  return !windows || windows.length === 0 || windows.some((win) => inWindow(win, date, timeZone));
+}
+
+/** Earliest instant at or after `from` that is inside one of the windows (null if none within a week) */
+function nextWindowStart(windows, from, timeZone) {
+  const fromMs = new Date(from).getTime();
+  if (inAnyWindow(windows, fromMs, timeZone)) return new Date(fromMs);
+  const today = wallClock(fromMs, timeZone);
+  let best = null;
+  windows.forEach((win) => {
+    const [h, m] = win.start.split(':').map(Number);
+    for (let i = 0; i <= 7; i++) {
+      const wall = Date.UTC(today.year, today.month - 1, today.day + i, h, m);
+      const instant = wallToInstant(wall, timeZone) ?? wallToInstant(wall + 60 * MINUTE_MS, timeZone);
+      if (instant === null || instant < fromMs || !inWindow(win, instant, timeZone)) continue;
+      if (best === null || instant < best) best = instant;
+      break;
+    }
+  });
+  return best === null ? null : new Date(best);
+}
+
+module.exports = {
+  MACROS,
+  scheduleError,
+  parseCron,
+  nextCronTime,
+  defaultTimeZone,
+  validateTimeZone,
+  wallClock,
+  parseWindow,
+  inWindow,
+  inAnyWindow,
+  nextWindowStart,
+};
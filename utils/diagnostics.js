@@ -2,9 +2,9 @@
 
 const net = require('net');
 const dns = require('dns').promises;
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const PING_TIMEOUT_MS = 15000;
 const TRACEROUTE_TIMEOUT_MS = 30000;
@@ -12,15 +12,29 @@ const PORT_CHECK_TIMEOUT_MS = 5000;
 const MAX_PING_COUNT = 5;
 const MAX_TRACEROUTE_HOPS = 20;
 
-/** Allow hostnames and IPs only (no shell metacharacters) */
+/** Allow hostnames and IPs only (no shell metacharacters, and no leading "-" that a command would take as an option) */
 function sanitizeHost(input) {
   if (typeof input !== 'string') return null;
   const s = input.trim();
   if (s.length === 0 || s.length > 253) return null;
-  if (!/^[a-zA-Z0-9.\-_:\[\]]+$/.test(s)) return null;
+  if (!/^[a-zA-Z0-9.\-_:\[\]]+$/.test(s) || s.startsWith('-')) return null;
   return s;
 }
 
+/**
+ * Run a command without a shell; the host goes last, after "--" where the command takes it.
+ * Returns { success, output, error } with stdout and stderr as output.
+ */
+async function runCommand(file, args, options, failure) {
+  try {
+    const { stdout, stderr } = await execFileAsync(file, args, options);
+    return { success: true, output: (stdout || '') + (stderr || ''), error: null };
+  } catch (err) {
+    const out = (err.stdout || '') + (err.stderr || '');
+    return { success: false, output: out, error: err.message || failure };
+  }
+}
+
 /**
  * Run ping toward host. Returns { success, output, error }.
  * Runs from the server (Node process), so reachability is from the server's network.
@@ -29,19 +43,10 @@ async function runPing(host, count = 4) {
   const target = sanitizeHost(host);
   if (!target) return { success: false, output: '', error: 'Invalid or missing host' };
   const c = Math.min(Math.max(1, parseInt(count, 10) || 4), MAX_PING_COUNT);
-  const cmd = process.platform === 'win32'
-    ? `ping -n ${c} ${target}`
-    : `ping -c ${c} -W 3 ${target}`;
-  try {
-    const { stdout, stderr } = await execAsync(cmd, {
-      timeout: PING_TIMEOUT_MS,
-      maxBuffer: 4096,
-    });
-    return { success: true, output: (stdout || '') + (stderr || ''), error: null };
-  } catch (err) {
-    const out = (err.stdout || '') + (err.stderr || '');
-    return { success: false, output: out, error: err.message || 'Ping failed' };
-  }
+  const args = process.platform === 'win32'
+    ? ['-n', String(c), target]
+    : ['-c', String(c), '-W', '3', '--', target];
+  return runCommand('ping', args, { timeout: PING_TIMEOUT_MS, maxBuffer: 4096 }, 'Ping failed');
 }
 
 /**
@@ -52,22 +57,14 @@ async function runTraceroute(host, maxHops = 15) {
   const target = sanitizeHost(host);
   if (!target) return { success: false, output: '', error: 'Invalid or missing host' };
   const hops = Math.min(Math.max(1, parseInt(maxHops, 10) || 15), MAX_TRACEROUTE_HOPS);
-  let cmd;
+  const options = { timeout: TRACEROUTE_TIMEOUT_MS, maxBuffer: 8192 };
   if (process.platform === 'win32') {
-    cmd = `tracert -h ${hops} ${target}`;
-  } else {
-    cmd = `traceroute -m ${hops} ${target} 2>/dev/null || tracepath -m ${hops} ${target}`;
-  }
-  try {
-    const { stdout, stderr } = await execAsync(cmd, {
-      timeout: TRACEROUTE_TIMEOUT_MS,
-      maxBuffer: 8192,
-    });
-    return { success: true, output: (stdout || '') + (stderr || ''), error: null };
-  } catch (err) {
-    const out = (err.stdout || '') + (err.stderr || '');
-    return { success: false, output: out, error: err.message || 'Traceroute failed' };
+    return runCommand('tracert', ['-h', String(hops), target], options, 'Traceroute failed');
   }
+  const result = await runCommand('traceroute', ['-m', String(hops), '--', target], options, 'Traceroute failed');
+  // No output at all: traceroute is not installed (or could not start), try tracepath
+  if (result.success || result.output) return result;
+  return runCommand('tracepath', ['-m', String(hops), '--', target], options, 'Traceroute failed');
 }
 
 /**
@@ -0,0 +1,410 @@
+// utils/events.js – State-change events detected by diffing consecutive monitoring snapshots.
+// Keeps a persistent event feed in events.json (device offline/online, client joined/left,
+// controller unreachable/recovered, new alarm) and sends notifications to the default or routed channels.
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { getMonitoringData, onMonitoringData } = require('./monitoring');
+const { notify, resolveChannels, maxSeverity } = require('./notifications');
+
+const EVENTS_FILE = path.join(__dirname, '..', 'events.json');
+
+const EVENT_TYPES = {
+  device_offline: { severity: 'critical', label: 'Device offline' },
+  device_online: { severity: 'info', label: 'Device back online' },
+  client_joined: { severity: 'info', label: 'Client joined' },
+  client_left: { severity: 'info', label: 'Client left' },
+  controller_unreachable: { severity: 'critical', label: 'Controller unreachable' },
+  controller_recovered: { severity: 'info', label: 'Controller recovered' },
+  new_alarm: { severity: 'warning', label: 'New alarm' },
+};
+const DEFAULT_NOTIFY_TYPES = ['device_offline', 'device_online', 'controller_unreachable', 'controller_recovered', 'new_alarm'];
+
+let state = {
+  events: [],
+  baseline: null,
+  meta: { version: 1 },
+};
+let loaded = false;
+let pollTimer = null;
+let listenerRegistered = false;
+let addDashboardLog = () => {};
+
+function getEventsConfig() {
+  const e = getConfig().events || {};
+  return {
+    enabled: e.enabled !== false,
+    pollSeconds: Math.max(15, parseInt(e.pollSeconds, 10) || 60),
+    trackClients: e.trackClients !== false,
+    maxEvents: Math.max(100, parseInt(e.maxEvents, 10) || 2000),
+    notifyTypes: Array.isArray(e.notifyTypes) ? e.notifyTypes : DEFAULT_NOTIFY_TYPES,
+    notifyWebhook: e.notifyWebhook !== false,
+    notifyEmail: e.notifyEmail === true,
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(EVENTS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(EVENTS_FILE, 'utf8'));
+      state.events = Array.isArray(data.events) ? data.events : [];
+      state.baseline = data.baseline && typeof data.baseline === 'object' ? data.baseline : null;
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Events] Error loading events:', err.message);
+    state.events = [];
+    state.baseline = null;
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(EVENTS_FILE, JSON.stringify({ events: state.events, baseline: state.baseline, meta: state.meta }), 'utf8');
+  } catch (err) {
+    console.error('[Events] Error saving events:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+const normMac = (mac) => String(mac || '').trim().toLowerCase();
+const hasDevices = (entry) => !!entry?.devices && Object.keys(entry.devices).length > 0;
+
+/**
+ * An empty device list right after a poll that had devices is a controller answering without data
+ * (e.g. mid-restart), not every device being removed, so it is not diffed or kept as the baseline.
+ */
+const lostDeviceList = (old, cur) => hasDevices(old) && !!cur.devices && !hasDevices(cur);
+const alarmId = (a) => String(a._id ?? a.id ?? `${a.key ?? a.msg ?? 'alarm'}:${a.time ?? a.datetime ?? a.timestamp ?? ''}`);
+
+/**
+ * Reduce one getMonitoringData() result to the state we diff: per-controller reachability,
+ * device online flags, connected clients and alarm ids.
+ */
+function buildBaseline(data) {
+  const controllers = {};
+  (data?.unifi?.controllers || []).forEach((c) => {
+    const key = `${c.id}:${c.site || 'default'}`;
+    const entry = {
+      id: c.id,
+      name: c.name,
+      site: c.site || 'default',
+      success: !!c.success,
+      error: c.success ? null : (c.error || null),
+      devices: null,
+      devicesComplete: false,
+      clients: null,
+      alarms: null,
+    };
+    if (c.success) {
+      const m = c.metrics || {};
+      entry.devices = {};
+      (m.devicesList || []).forEach((d) => {
+        const mac = normMac(d.mac ?? d.mac_address);
+        if (!mac) return;
+        entry.devices[mac] = {
+          name: d.name || d.hostname || d.model || mac,
+          online: d.state === 1,
+          ip: d.ip || null,
+          model: d.model || null,
+        };
+      });
+      entry.devicesComplete = (m.devicesList || []).length >= (m.devices?.total ?? 0);
+      // The client list is capped; only diff it when it is complete, otherwise clients beyond the cap
+      // would look like they come and go.
+      const clientsList = m.clientsList || [];
+      if (clientsList.length >= (m.clients?.total ?? 0)) {
+        entry.clients = {};
+        clientsList.forEach((cl) => {
+          const mac = normMac(cl.mac ?? cl.mac_address);
+          if (!mac) return;
+          entry.clients[mac] = {
+            name: cl.hostname || cl.name || cl.mac,
+            ip: cl.ip || cl.fixed_ip || null,
+            wired: cl.is_wired === true,
+          };
+        });
+      }
+      entry.alarms = (c.alarms || []).filter((a) => !a.archived).map(alarmId);
+    }
+    controllers[key] = entry;
+  });
+  return { controllers, timestamp: data?.timestamp || new Date().toISOString() };
+}
+
+function makeEvent(type, ctrl, entity, message, detail) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    time: new Date().toISOString(),
+    type,
+    severity: EVENT_TYPES[type]?.severity || 'info',
+    source: 'unifi',
+    controllerId: ctrl.id,
+    controllerName: ctrl.name,
+    site: ctrl.site,
+    entity,
+    message,
+    detail: detail || null,
+  };
+}
+
+/**
+ * Compare two baselines and return the typed events for what changed.
+ * Sections missing on either side (first poll, failed controller, truncated client list, a device list that
+ * came back empty) are skipped.
+ */
+function diffBaselines(prev, next, options = {}) {
+  const events = [];
+  if (!prev || !next) return events;
+  const alarmsById = options.alarmsById || {};
+  Object.entries(next.controllers).forEach(([key, cur]) => {
+    const old = prev.controllers[key];
+    if (!old) return;
+    const where = `${cur.name}${cur.site !== 'default' ? ` (site: ${cur.site})` : ''}`;
+
+    if (old.success && !cur.success) {
+      events.push(makeEvent('controller_unreachable', cur, { kind: 'controller', id: cur.id, name: cur.name },
+        `Controller ${where} is unreachable`, cur.error));
+      return;
+    }
+    if (!old.success && cur.success) {
+      events.push(makeEvent('controller_recovered', cur, { kind: 'controller', id: cur.id, name: cur.name },
+        `Controller ${where} is reachable again`));
+    }
+
+    if (old.devices && cur.devices && !lostDeviceList(old, cur)) {
+      Object.entries(cur.devices).forEach(([mac, d]) => {
+        const before = old.devices[mac];
+        if (!before || before.online === d.online) return;
+        const entity = { kind: 'device', id: mac, name: d.name, ip: d.ip, model: d.model };
+        events.push(d.online
+          ? makeEvent('device_online', cur, entity, `${d.name} came back online on ${where}`)
+          : makeEvent('device_offline', cur, entity, `${d.name} went offline on ${where}`));
+      });
+      // A device missing from a capped list may simply be past the cap, so only report removals from complete lists
+      Object.entries(old.devices).forEach(([mac, d]) => {
+        if (!cur.devicesComplete || cur.devices[mac] || !d.online) return;
+        events.push(makeEvent('device_offline', cur, { kind: 'device', id: mac, name: d.name, ip: d.ip, model: d.model },
+          `${d.name} disappeared from ${where}`));
+      });
+    }
+
+    if (options.trackClients && old.clients && cur.clients) {
+      Object.entries(cur.clients).forEach(([mac, cl]) => {
+        if (old.clients[mac]) return;
+        events.push(makeEvent('client_joined', cur, { kind: 'client', id: mac, name: cl.name, ip: cl.ip },
+          `${cl.name}${cl.ip ? ` (${cl.ip})` : ''} joined ${where} (${cl.wired ? 'wired' : 'wireless'})`));
+      });
+      Object.entries(old.clients).forEach(([mac, cl]) => {
+        if (cur.clients[mac]) return;
+        events.push(makeEvent('client_left', cur, { kind: 'client', id: mac, name: cl.name, ip: cl.ip },
+          `${cl.name}${cl.ip ? ` (${cl.ip})` : ''} left ${where}`));
+      });
+    }
+
+    if (old.alarms && cur.alarms) {
+      const seen = new Set(old.alarms);
+      cur.alarms.filter((id) => !seen.has(id)).forEach((id) => {
+        const a = alarmsById[`${key}|${id}`] || {};
+        const text = (a.msg ?? a.message ?? a.key ?? 'Alarm').toString();
+        events.push(makeEvent('new_alarm', cur, { kind: 'alarm', id, name: a.key || null },
+          `New alarm on ${where}: ${text}`, a.key && a.key !== text ? a.key : null));
+      });
+    }
+  });
+  return events;
+}
+
+function appendEvents(events) {
+  if (events.length === 0) return;
+  const cfg = getEventsConfig();
+  state.events.push(...events);
+  if (state.events.length > cfg.maxEvents) state.events = state.events.slice(-cfg.maxEvents);
+}
+
+/**
+ * Notify the event types configured in events.notifyTypes: one message per detection cycle and set of channels
+ * (events of controllers or sites with a notification route go to that route's channels).
+ */
+async function notifyEvents(events) {
+  const cfg = getEventsConfig();
+  const defaults = { webhook: cfg.notifyWebhook, email: cfg.notifyEmail };
+  const groups = new Map();
+  events.filter((e) => cfg.notifyTypes.includes(e.type)).forEach((e) => {
+    const channels = resolveChannels({ context: { controllerId: e.controllerId, site: e.site }, defaults }).map((c) => c.id);
+    if (channels.length === 0) return;
+    const key = channels.join(',');
+    if (!groups.has(key)) groups.set(key, { channels, events: [] });
+    groups.get(key).events.push(e);
+  });
+  for (const group of groups.values()) {
+    await notifyGroup(group.events, group.channels);
+  }
+}
+
+async function notifyGroup(notifiable, channels) {
+  const critical = notifiable.some((e) => e.severity === 'critical');
+  const title = notifiable.length === 1
+    ? `${critical ? '🔴' : 'ℹ️'} ${EVENT_TYPES[notifiable[0].type]?.label || notifiable[0].type}: ${notifiable[0].entity?.name || notifiable[0].controllerName}`
+    : `${critical ? '🔴' : 'ℹ️'} ${notifiable.length} network changes detected`;
+  const lines = notifiable.slice(0, 30).map((e) => `- [${e.severity}] ${e.message}${e.detail ? ` — ${e.detail}` : ''}`);
+  if (notifiable.length > 30) lines.push(`…and ${notifiable.length - 30} more`);
+  const text = `Detected at ${new Date().toISOString()}\n\n${lines.join('\n')}`;
+
+  const outcomes = await notify({
+    title,
+    text,
+    severity: notifiable.reduce((s, e) => maxSeverity(s, e.severity), 'info'),
+    email: { subject: `NetworkBot – ${title.replace(/^\S+\s/, '')}`, text },
+    channels,
+  });
+  outcomes.filter((o) => o.status === 'failed').forEach((o) => console.error(`[Events] Notification to ${o.name} failed:`, o.error));
+}
+
+/**
+ * Diff a fresh monitoring snapshot against the previous one, record and notify any events.
+ * Registered as a monitoring data listener, so every fresh fetch (chat, dashboard, poller) is checked.
+ */
+function processSnapshot(data) {
+  const cfg = getEventsConfig();
+  if (!cfg.enabled) return [];
+  ensureLoaded();
+  const next = buildBaseline(data);
+  const alarmsById = {};
+  (data?.unifi?.controllers || []).forEach((c) => {
+    (c.alarms || []).forEach((a) => { alarmsById[`${c.id}:${c.site || 'default'}|${alarmId(a)}`] = a; });
+  });
+  const events = diffBaselines(state.baseline, next, { trackClients: cfg.trackClients, alarmsById });
+
+  // Keep the last known device/client/alarm state for controllers that just failed (and the device list
+  // when the new one came back empty), so the recovery poll is diffed against what we saw before the outage.
+  if (state.baseline) {
+    Object.entries(next.controllers).forEach(([key, cur]) => {
+      const old = state.baseline.controllers[key];
+      if (!old) return;
+      if (!cur.success) {
+        cur.devices = old.devices;
+        cur.devicesComplete = old.devicesComplete;
+        cur.clients = old.clients;
+        cur.alarms = old.alarms;
+      } else if (lostDeviceList(old, cur)) {
+        cur.devices = old.devices;
+        cur.devicesComplete = old.devicesComplete;
+      }
+    });
+  }
+  state.baseline = next;
+  appendEvents(events);
+  saveState();
+
+  events.filter((e) => e.severity !== 'info').forEach((e) => {
+    addDashboardLog(e.severity === 'critical' ? 'error' : 'warning', 'events', e.message, e.detail || undefined);
+  });
+  if (events.length > 0) {
+    console.log(`[Events] ${events.length} event(s) detected`);
+    notifyEvents(events).catch((err) => console.error('[Events] Notification failed:', err.message));
+  }
+  return events;
+}
+
+/**
+ * Query the event feed (newest first).
+ * @param {Object} options - { type (comma-separated), severity, controller, site, since, until, q, limit, offset }
+ */
+function listEvents(options = {}) {
+  ensureLoaded();
+  const types = options.type ? String(options.type).split(',').map((t) => t.trim()).filter(Boolean) : null;
+  const since = options.since ? new Date(options.since).getTime() : null;
+  const until = options.until ? new Date(options.until).getTime() : null;
+  if ((options.since && isNaN(since)) || (options.until && isNaN(until))) {
+    throw new Error('Invalid since/until (use ISO 8601)');
+  }
+  const q = options.q ? String(options.q).toLowerCase() : null;
+  const limit = Math.min(500, Math.max(1, parseInt(options.limit, 10) || 100));
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+
+  const filtered = state.events.filter((e) => {
+    if (types && !types.includes(e.type)) return false;
+    if (options.severity && e.severity !== options.severity) return false;
+    if (options.controller && e.controllerId !== options.controller) return false;
+    if (options.site && e.site !== options.site) return false;
+    const t = new Date(e.time).getTime();
+    if (since != null && t < since) return false;
+    if (until != null && t > until) return false;
+    if (q && !`${e.message} ${e.entity?.name || ''} ${e.entity?.id || ''} ${e.entity?.ip || ''}`.toLowerCase().includes(q)) return false;
+    return true;
+  }).reverse();
+
+  return {
+    total: filtered.length,
+    offset,
+    limit,
+    events: filtered.slice(offset, offset + limit),
+  };
+}
+
+function getRecentEvents(limit = 10) {
+  return listEvents({ limit }).events;
+}
+
+function clearEvents() {
+  ensureLoaded();
+  state.events = [];
+  saveState();
+}
+
+async function poll() {
+  try {
+    await getMonitoringData();
+  } catch (err) {
+    console.error('[Events] Poll failed:', err.message);
+  }
+}
+
+/**
+ * Start change detection. addDashboardLog(level, source, message, detail) is optional.
+ */
+function startEvents(options = {}) {
+  if (options.addDashboardLog) addDashboardLog = options.addDashboardLog;
+  stopEvents();
+  if (!listenerRegistered) {
+    onMonitoringData(processSnapshot);
+    listenerRegistered = true;
+  }
+  const cfg = getEventsConfig();
+  loadState();
+  if (!cfg.enabled) {
+    console.log('[Events] Disabled in config');
+    return;
+  }
+  pollTimer = setInterval(poll, cfg.pollSeconds * 1000);
+  poll();
+  console.log(`[Events] Started (poll every ${cfg.pollSeconds}s)`);
+}
+
+function stopEvents() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EVENTS_FILE,
+  loadState,
+  buildBaseline,
+  diffBaselines,
+  processSnapshot,
+  listEvents,
+  getRecentEvents,
+  clearEvents,
+  startEvents,
+  stopEvents,
+};
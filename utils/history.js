@@ -0,0 +1,446 @@
+// utils/history.js – Persistent time-series history of monitoring snapshots.
+// Samples device/client/controller counts on a fixed interval and keeps them in history.json,
+// downsampling raw samples to hourly and daily averages as they age out of retention.
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+const { getMonitoringData } = require('./monitoring');
+
+const HISTORY_FILE = path.join(__dirname, '..', 'history.json');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RESOLUTIONS = ['raw', 'hourly', 'daily'];
+const METRIC_KEYS = [
+  'devicesTotal', 'devicesOnline', 'devicesOffline',
+  'clientsTotal', 'clientsWireless', 'clientsWired',
+  'controllersTotal', 'controllersOnline',
+];
+
+let state = {
+  samples: { raw: [], hourly: [], daily: [] },
+  meta: { version: 1 },
+};
+let loaded = false;
+let sampleTimer = null;
+
+function getHistoryConfig() {
+  const h = getConfig().history || {};
+  return {
+    enabled: h.enabled !== false,
+    intervalMinutes: Math.max(1, parseInt(h.intervalMinutes, 10) || 5),
+    rawRetentionHours: Math.max(1, parseInt(h.rawRetentionHours, 10) || 48),
+    hourlyRetentionDays: Math.max(1, parseInt(h.hourlyRetentionDays, 10) || 30),
+    dailyRetentionDays: Math.max(1, parseInt(h.dailyRetentionDays, 10) || 365),
+    contextHours: Math.max(0, parseInt(h.contextHours, 10) || 48),
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(HISTORY_FILE)) {
+      const data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+      const samples = data.samples || {};
+      state.samples = {
+        raw: Array.isArray(samples.raw) ? samples.raw : [],
+        hourly: Array.isArray(samples.hourly) ? samples.hourly : [],
+        daily: Array.isArray(samples.daily) ? samples.daily : [],
+      };
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[History] Error loading history:', err.message);
+    state.samples = { raw: [], hourly: [], daily: [] };
+  }
+  loaded = true;
+  return state;
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify({ samples: state.samples, meta: state.meta }), 'utf8');
+  } catch (err) {
+    console.error('[History] Error saving history:', err.message);
+  }
+}
+
+/** Series key: "total" for the aggregate, "unifi:<controllerId>:<site>" per controller/site, "siteManager" for cloud. */
+function seriesKey(entry) {
+  if (entry.scope === 'unifi') return `unifi:${entry.controllerId}:${entry.site || 'default'}`;
+  return entry.scope;
+}
+
+/**
+ * Turn one getMonitoringData() result into flat series entries (one per controller/site plus totals).
+ */
+function snapshotFromMonitoringData(data) {
+  const entries = [];
+  const controllers = data?.unifi?.controllers || [];
+  controllers.forEach((c) => {
+    const m = c.metrics || {};
+    entries.push({
+      scope: 'unifi',
+      controllerId: c.id,
+      controllerName: c.name,
+      site: c.site || 'default',
+      success: c.success === true,
+      devicesTotal: m.devices?.total ?? 0,
+      devicesOnline: m.devices?.online ?? 0,
+      devicesOffline: m.devices?.offline ?? 0,
+      clientsTotal: m.clients?.total ?? 0,
+      clientsWireless: m.clients?.wireless ?? 0,
+      clientsWired: m.clients?.wired ?? 0,
+    });
+  });
+  const summary = data?.unifi?.summary;
+  if (summary || controllers.length > 0) {
+    entries.push({
+      scope: 'total',
+      devicesTotal: summary?.devices?.total ?? 0,
+      devicesOnline: summary?.devices?.online ?? 0,
+      devicesOffline: summary?.devices?.offline ?? 0,
+      clientsTotal: summary?.clients?.total ?? 0,
+      clientsWireless: summary?.clients?.wireless ?? 0,
+      clientsWired: summary?.clients?.wired ?? 0,
+      controllersTotal: summary?.controllers?.total ?? controllers.length,
+      controllersOnline: summary?.controllers?.online ?? 0,
+    });
+  }
+  if (data?.siteManager?.success && data.siteManager.metrics) {
+    const m = data.siteManager.metrics;
+    entries.push({
+      scope: 'siteManager',
+      sitesTotal: m.sites?.total ?? 0,
+      devicesTotal: m.devices?.total ?? 0,
+      devicesOnline: m.devices?.online ?? 0,
+      devicesOffline: m.devices?.offline ?? 0,
+      clientsTotal: m.clients?.total ?? 0,
+      clientsWireless: m.clients?.wireless ?? 0,
+      clientsWired: m.clients?.wired ?? 0,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Average a list of samples into one sample per bucket (bucketMs wide). Labels come from the latest sample.
+ */
+function bucketSamples(samples, bucketMs) {
+  const buckets = new Map();
+  samples.forEach((sample) => {
+    const start = Math.floor(new Date(sample.t).getTime() / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(sample);
+  });
+  const out = [];
+  [...buckets.keys()].sort((a, b) => a - b).forEach((start) => {
+    const group = buckets.get(start);
+    const bySeries = new Map();
+    group.forEach((sample) => {
+      sample.entries.forEach((e) => {
+        const key = seriesKey(e);
+        if (!bySeries.has(key)) bySeries.set(key, []);
+        bySeries.get(key).push(e);
+      });
+    });
+    const entries = [];
+    bySeries.forEach((list) => {
+      const merged = { ...list[list.length - 1] };
+      [...METRIC_KEYS, 'sitesTotal'].forEach((k) => {
+        const nums = list.map((e) => e[k]).filter((v) => typeof v === 'number');
+        if (nums.length > 0) merged[k] = Math.round((nums.reduce((a, b) => a + b, 0) / nums.length) * 10) / 10;
+      });
+      merged.samples = list.reduce((n, e) => n + (e.samples || 1), 0);
+      entries.push(merged);
+    });
+    out.push({ t: new Date(start).toISOString(), entries });
+  });
+  return out;
+}
+
+/**
+ * Move samples past retention down a resolution (raw → hourly → daily) and drop expired daily samples.
+ */
+function compact(now = Date.now()) {
+  const cfg = getHistoryConfig();
+  const rawCutoff = now - cfg.rawRetentionHours * HOUR_MS;
+  const hourlyCutoff = now - cfg.hourlyRetentionDays * DAY_MS;
+  const dailyCutoff = now - cfg.dailyRetentionDays * DAY_MS;
+  const older = (cutoff) => (s) => new Date(s.t).getTime() < cutoff;
+  const newer = (cutoff) => (s) => new Date(s.t).getTime() >= cutoff;
+
+  // Only roll complete hours/days so a bucket is never split across two compactions
+  const rawExpired = state.samples.raw.filter(older(Math.floor(rawCutoff / HOUR_MS) * HOUR_MS));
+  if (rawExpired.length > 0) {
+    state.samples.raw = state.samples.raw.filter((s) => !rawExpired.includes(s));
+    state.samples.hourly.push(...bucketSamples(rawExpired, HOUR_MS));
+  }
+  const hourlyExpired = state.samples.hourly.filter(older(Math.floor(hourlyCutoff / DAY_MS) * DAY_MS));
+  if (hourlyExpired.length > 0) {
+    state.samples.hourly = state.samples.hourly.filter((s) => !hourlyExpired.includes(s));
+    state.samples.daily.push(...bucketSamples(hourlyExpired, DAY_MS));
+  }
+  state.samples.daily = state.samples.daily.filter(newer(dailyCutoff));
+}
+
+/**
+ * Take one sample from current monitoring data and persist it.
+ */
+async function recordSample(addDashboardLog) {
+  try {
+    const data = await getMonitoringData();
+    const entries = snapshotFromMonitoringData(data);
+    if (entries.length === 0) return null;
+    ensureLoaded();
+    const sample = { t: new Date().toISOString(), entries };
+    state.samples.raw.push(sample);
+    compact();
+    saveState();
+    return sample;
+  } catch (err) {
+    console.error('[History] Sample failed:', err.message);
+    if (addDashboardLog) addDashboardLog('warning', 'history', 'History sample failed', err.message);
+    return null;
+  }
+}
+
+/** Parse a duration like "15m", "2h", "1d" or plain seconds into milliseconds. */
+function parseStep(step) {
+  if (step == null || step === '') return null;
+  const m = String(step).trim().match(/^(\d+)\s*([smhd]?)$/i);
+  if (!m) return null;
+  const n = parseInt(m[1], 10);
+  const unit = { s: 1000, m: 60 * 1000, h: HOUR_MS, d: DAY_MS }[(m[2] || 's').toLowerCase()];
+  return n > 0 ? n * unit : null;
+}
+
+/** Default resolution for a range: raw up to 6 hours, hourly up to 7 days, daily beyond. */
+function autoResolution(rangeMs) {
+  if (rangeMs <= 6 * HOUR_MS) return 'raw';
+  if (rangeMs <= 7 * DAY_MS) return 'hourly';
+  return 'daily';
+}
+
+/**
+ * Query stored history.
+ * options: { from, to, resolution: 'auto'|'raw'|'hourly'|'daily', step, series, controllerId, site }
+ * resolution picks the bucket size (raw = every sample); step ("15m", "1h") overrides it with a custom bucket.
+ * Returns { from, to, resolution, step, series: [{ key, scope, controllerId, controllerName, site, points: [{ t, ...metrics }] }] }.
+ */
+function queryHistory(options = {}) {
+  ensureLoaded();
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - 24 * HOUR_MS);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) throw new Error('Invalid from/to time');
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const requested = options.resolution || 'auto';
+  if (requested !== 'auto' && !RESOLUTIONS.includes(requested)) {
+    throw new Error(`Invalid resolution (use auto, ${RESOLUTIONS.join(', ')})`);
+  }
+  const resolution = requested === 'auto' ? autoResolution(toMs - fromMs) : requested;
+  const stepMs = parseStep(options.step);
+  if (options.step != null && options.step !== '' && !stepMs) throw new Error('Invalid step (use e.g. 15m, 1h, 1d)');
+
+  // Use the finest data stored for each period: coarser stores only fill the time before the finer ones begin
+  let samples = [];
+  RESOLUTIONS.forEach((res, i) => {
+    const finerStarts = RESOLUTIONS.slice(0, i)
+      .map((r) => state.samples[r][0])
+      .filter(Boolean)
+      .map((first) => new Date(first.t).getTime());
+    const finerStart = finerStarts.length > 0 ? Math.min(...finerStarts) : Infinity;
+    samples.push(...state.samples[res].filter((sample) => {
+      const t = new Date(sample.t).getTime();
+      return t >= fromMs && t <= toMs && t < finerStart;
+    }));
+  });
+  samples.sort((a, b) => new Date(a.t).getTime() - new Date(b.t).getTime());
+
+  const bucketMs = stepMs || (resolution === 'hourly' ? HOUR_MS : resolution === 'daily' ? DAY_MS : null);
+  if (bucketMs) samples = bucketSamples(samples, bucketMs);
+
+  const seriesMap = new Map();
+  samples.forEach((sample) => {
+    sample.entries.forEach((e) => {
+      if (options.series && seriesKey(e) !== options.series) return;
+      if (options.controllerId && e.controllerId !== options.controllerId) return;
+      if (options.site && e.site !== options.site) return;
+      const key = seriesKey(e);
+      if (!seriesMap.has(key)) {
+        seriesMap.set(key, {
+          key,
+          scope: e.scope,
+          controllerId: e.controllerId,
+          controllerName: e.controllerName,
+          site: e.site,
+          points: [],
+        });
+      }
+      const point = { t: sample.t };
+      [...METRIC_KEYS, 'sitesTotal', 'samples'].forEach((k) => {
+        if (e[k] !== undefined) point[k] = e[k];
+      });
+      seriesMap.get(key).points.push(point);
+    });
+  });
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    resolution: stepMs ? 'step' : resolution,
+    step: bucketMs ? bucketMs / 1000 : null,
+    series: [...seriesMap.values()],
+  };
+}
+
+/**
+ * Find the stored sample closest to a point in time (any resolution).
+ * Returns { t, resolution, entries } or null.
+ */
+function getSampleAt(time) {
+  ensureLoaded();
+  const target = new Date(time).getTime();
+  if (isNaN(target)) throw new Error('Invalid time');
+  let best = null;
+  RESOLUTIONS.forEach((resolution) => {
+    state.samples[resolution].forEach((s) => {
+      const diff = Math.abs(new Date(s.t).getTime() - target);
+      if (!best || diff < best.diff) best = { diff, t: s.t, resolution, entries: s.entries };
+    });
+  });
+  if (!best) return null;
+  return { t: best.t, resolution: best.resolution, offsetSeconds: Math.round(best.diff / 1000), entries: best.entries };
+}
+
+/** List known series (latest labels) with their first and last sample times. */
+function listSeries() {
+  ensureLoaded();
+  const map = new Map();
+  RESOLUTIONS.forEach((resolution) => {
+    state.samples[resolution].forEach((s) => {
+      s.entries.forEach((e) => {
+        const key = seriesKey(e);
+        const cur = map.get(key);
+        if (!cur) {
+          map.set(key, { key, scope: e.scope, controllerId: e.controllerId, controllerName: e.controllerName, site: e.site, firstAt: s.t, lastAt: s.t });
+        } else {
+          if (s.t < cur.firstAt) cur.firstAt = s.t;
+          if (s.t > cur.lastAt) {
+            cur.lastAt = s.t;
+            cur.controllerName = e.controllerName;
+          }
+        }
+      });
+    });
+  });
+  return [...map.values()];
+}
+
+function getHistoryStats() {
+  ensureLoaded();
+  const cfg = getHistoryConfig();
+  return {
+    ...cfg,
+    samples: {
+      raw: state.samples.raw.length,
+      hourly: state.samples.hourly.length,
+      daily: state.samples.daily.length,
+    },
+    oldest: state.samples.daily[0]?.t || state.samples.hourly[0]?.t || state.samples.raw[0]?.t || null,
+    newest: state.samples.raw[state.samples.raw.length - 1]?.t || null,
+  };
+}
+
+// Questions about the past get the hourly values; others only the summary per series
+const HISTORY_QUESTION_RE = /\b(yesterday|earlier|ago|history|historical|trends?|peak|usually|normally|compared?|since|was|were|last (night|week|hours?|days?)|this (morning|afternoon|evening)|at \d{1,2}(:\d{2})?\s*(am|pm)?|\d{1,2}:\d{2})\b/i;
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/** "<last hour> last hour, <min>–<max>, rising|falling|steady" for one field of hourly points */
+function summarizePoints(points, key) {
+  const values = points.map((p) => p[key]).filter((v) => typeof v === 'number');
+  if (values.length === 0) return '—';
+  const first = values[0];
+  const last = values[values.length - 1];
+  const change = first === 0 ? (last === 0 ? 0 : 1) : (last - first) / first;
+  const trend = change > 0.1 ? 'rising' : (change < -0.1 ? 'falling' : 'steady');
+  return `${round1(last)} last hour, ${round1(Math.min(...values))}–${round1(Math.max(...values))}, ${trend}`;
+}
+
+/**
+ * Compact history for the AI over the last N hours: per series the last hour, range and trend of devices
+ * online and clients. When the question is about the past (see HISTORY_QUESTION_RE), the hourly values too,
+ * so questions like "how many clients did we have yesterday at 9am?" can be answered.
+ */
+function getHistoryContext(message = '', hours = getHistoryConfig().contextHours) {
+  if (!hours) return '';
+  let result;
+  try {
+    result = queryHistory({ from: new Date(Date.now() - hours * HOUR_MS).toISOString(), step: '1h' });
+  } catch (_) {
+    return '';
+  }
+  if (result.series.length === 0) return '';
+  const label = (s) => (s.scope === 'unifi'
+    ? `${s.controllerName || s.controllerId} (site: ${s.site})`
+    : (s.scope === 'total' ? 'All UniFi controllers' : 'UniFi Site Manager (cloud)'));
+  let context = `\n\nMonitoring history for the last ${hours}h (from hourly averages; trend = first hour against the last):\n`;
+  result.series.forEach((s) => {
+    context += `- ${label(s)}: devices online ${summarizePoints(s.points, 'devicesOnline')}; clients ${summarizePoints(s.points, 'clientsTotal')}\n`;
+  });
+  if (!HISTORY_QUESTION_RE.test(String(message))) return context;
+
+  context += `\nHourly averages (times in UTC; use for "how many clients yesterday at 9am?", "was X down earlier?"):\n`;
+  result.series.forEach((s) => {
+    context += `- ${label(s)}:\n`;
+    s.points.forEach((p) => {
+      const ts = p.t.slice(0, 13).replace('T', ' ') + ':00';
+      context += `  · ${ts} — devices ${p.devicesOnline ?? '—'}/${p.devicesTotal ?? '—'} online, clients ${p.clientsTotal ?? '—'} (${p.clientsWireless ?? 0} wireless, ${p.clientsWired ?? 0} wired)\n`;
+    });
+  });
+  return context;
+}
+
+/**
+ * Start periodic sampling. addDashboardLog(level, source, message, detail) is optional.
+ */
+function startHistory(options = {}) {
+  const addDashboardLog = options.addDashboardLog || (() => {});
+  stopHistory();
+  const cfg = getHistoryConfig();
+  if (!cfg.enabled) {
+    console.log('[History] Disabled in config');
+    return;
+  }
+  loadState();
+  recordSample(addDashboardLog);
+  sampleTimer = setInterval(() => recordSample(addDashboardLog), cfg.intervalMinutes * 60 * 1000);
+  console.log(`[History] Started (sample every ${cfg.intervalMinutes}m)`);
+}
+
+function stopHistory() {
+  if (sampleTimer) {
+    clearInterval(sampleTimer);
+    sampleTimer = null;
+  }
+}
+
+module.exports = {
+  loadState,
+  saveState,
+  recordSample,
+  queryHistory,
+  getSampleAt,
+  listSeries,
+  getHistoryStats,
+  getHistoryContext,
+  startHistory,
+  stopHistory,
+  snapshotFromMonitoringData,
+  HISTORY_FILE,
+};
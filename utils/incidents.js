@@ -0,0 +1,279 @@
+// utils/incidents.js – Incidents group repeated notifications about the same problem (incidents.json).
+// A problem is identified by a fingerprint, e.g. "job:<job id>|rule:<rule id>" (a scheduled check finding a
+// firing rule), "job:<job id>|failure" or "alert:<rule id>". The first sighting opens an incident and notifies;
+// repeats only update it, and a resolved notification goes out once the problem clears. Incident:
+// { id, fingerprint, source ('scheduler'|'alert'), sourceId, sourceName, entity, title, severity,
+//   status ('open'|'acknowledged'|'resolved'|'closed'), description, openedAt, lastSeenAt, occurrences,
+//   acknowledgedAt, acknowledgedBy, snoozedUntil, snoozedBy, resolvedAt, closedAt, closedBy,
+//   history ([{ at, action, by?, detail? }]) }.
+// Snoozing holds back the notifications of an incident until snoozedUntil; if it is still there after that,
+// it notifies again. Closed and resolved incidents are kept for incidents.retentionDays.
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const INCIDENTS_FILE = path.join(__dirname, '..', 'incidents.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUSES = ['open', 'acknowledged', 'resolved', 'closed'];
+const ACTIVE = ['open', 'acknowledged'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const MAX_HISTORY = 50;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+let state = { incidents: [], meta: { version: 1 } };
+let loaded = false;
+
+function getIncidentsConfig() {
+  const i = getConfig().incidents || {};
+  return {
+    enabled: i.enabled !== false,
+    retentionDays: Math.max(1, parseInt(i.retentionDays, 10) || 30),
+    maxIncidents: Math.max(100, parseInt(i.maxIncidents, 10) || 1000),
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(INCIDENTS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(INCIDENTS_FILE, 'utf8'));
+      state.incidents = Array.isArray(data.incidents) ? data.incidents : [];
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Incidents] Error loading incidents:', err.message);
+    state.incidents = [];
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(INCIDENTS_FILE, JSON.stringify({ incidents: state.incidents, meta: state.meta }, null, 2), 'utf8');
+  } catch (err) {
+    console.error('[Incidents] Error saving incidents:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+/** Drop finished incidents past retention, then the oldest finished ones beyond maxIncidents */
+function prune(now = Date.now()) {
+  const cfg = getIncidentsConfig();
+  const cutoff = now - cfg.retentionDays * DAY_MS;
+  state.incidents = state.incidents.filter((i) => ACTIVE.includes(i.status)
+    || new Date(i.resolvedAt || i.closedAt || i.lastSeenAt).getTime() >= cutoff);
+  let excess = state.incidents.length - cfg.maxIncidents;
+  if (excess > 0) state.incidents = state.incidents.filter((i) => ACTIVE.includes(i.status) || excess-- <= 0);
+}
+
+function addHistory(incident, action, fields = {}) {
+  incident.history.push({ at: new Date().toISOString(), action, ...fields });
+  if (incident.history.length > MAX_HISTORY) incident.history = incident.history.slice(-MAX_HISTORY);
+}
+
+const isSnoozed = (incident, now = Date.now()) => !!incident.snoozedUntil && new Date(incident.snoozedUntil).getTime() > now;
+
+function findActive(fingerprint) {
+  return state.incidents.find((i) => i.fingerprint === fingerprint && ACTIVE.includes(i.status)) || null;
+}
+
+/**
+ * Report that a problem is present. Opens an incident for a new fingerprint, else updates the active one.
+ * problem: { fingerprint, source, sourceId, sourceName, entity, title, severity, description }
+ * Returns { incident, action: 'opened'|'repeated', notify } – notify is true for a new incident and for the
+ * first repeat after a snooze ran out.
+ */
+function observe(problem) {
+  ensureLoaded();
+  const nowIso = new Date().toISOString();
+  const existing = findActive(problem.fingerprint);
+  if (existing) {
+    existing.lastSeenAt = nowIso;
+    existing.occurrences += 1;
+    existing.severity = SEVERITIES.includes(problem.severity) ? problem.severity : existing.severity;
+    existing.description = problem.description || existing.description;
+    let notify = false;
+    if (existing.snoozedUntil && !isSnoozed(existing)) {
+      existing.snoozedUntil = null;
+      addHistory(existing, 'snooze_ended');
+      notify = true;
+    }
+    saveState();
+    return { incident: existing, action: 'repeated', notify };
+  }
+  const incident = {
+    id: `inc_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    fingerprint: problem.fingerprint,
+    source: problem.source,
+    sourceId: problem.sourceId,
+    sourceName: problem.sourceName || '',
+    entity: problem.entity || '',
+    title: problem.title || problem.fingerprint,
+    severity: SEVERITIES.includes(problem.severity) ? problem.severity : 'warning',
+    status: 'open',
+    description: problem.description || '',
+    openedAt: nowIso,
+    lastSeenAt: nowIso,
+    occurrences: 1,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    snoozedUntil: null,
+    snoozedBy: null,
+    resolvedAt: null,
+    closedAt: null,
+    closedBy: null,
+    history: [],
+  };
+  addHistory(incident, 'opened', { detail: incident.description.slice(0, 500) });
+  state.incidents.push(incident);
+  prune();
+  saveState();
+  return { incident, action: 'opened', notify: true };
+}
+
+/**
+ * The problem behind a fingerprint cleared: resolve its active incident.
+ * Returns { incident, notify } (notify is false while it is snoozed), or null when none was active.
+ */
+function resolve(fingerprint, detail) {
+  ensureLoaded();
+  const incident = findActive(fingerprint);
+  if (!incident) return null;
+  const notify = !isSnoozed(incident);
+  incident.status = 'resolved';
+  incident.resolvedAt = new Date().toISOString();
+  incident.snoozedUntil = null;
+  addHistory(incident, 'resolved', detail ? { detail: String(detail).slice(0, 500) } : {});
+  saveState();
+  return { incident, notify };
+}
+
+/**
+ * Resolve the active incidents whose fingerprint starts with prefix and is not in present
+ * (e.g. the rules a scheduled check no longer finds). Returns [{ incident, notify }].
+ */
+function resolveMissing(prefix, present = []) {
+  ensureLoaded();
+  const keep = new Set(present);
+  return state.incidents
+    .filter((i) => ACTIVE.includes(i.status) && i.fingerprint.startsWith(prefix) && !keep.has(i.fingerprint))
+    .map((i) => resolve(i.fingerprint));
+}
+
+function getIncident(id) {
+  ensureLoaded();
+  return state.incidents.find((i) => i.id === id) || null;
+}
+
+function incidentError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** Run change on an active incident; throws INCIDENT_NOT_FOUND or INCIDENT_FINISHED */
+function updateActive(id, change) {
+  const incident = getIncident(id);
+  if (!incident) throw incidentError('Incident not found', 'INCIDENT_NOT_FOUND');
+  if (!ACTIVE.includes(incident.status)) throw incidentError(`Incident is already ${incident.status}`, 'INCIDENT_FINISHED');
+  change(incident);
+  saveState();
+  return incident;
+}
+
+/** Someone is on it: repeats keep being recorded; the resolved notification still goes out */
+function acknowledge(id, by) {
+  return updateActive(id, (incident) => {
+    incident.status = 'acknowledged';
+    incident.acknowledgedAt = new Date().toISOString();
+    incident.acknowledgedBy = by || null;
+    addHistory(incident, 'acknowledged', { by });
+  });
+}
+
+/** Hold back notifications for minutes (1 to 7 days); 0 ends the snooze */
+function snooze(id, minutes, by) {
+  const m = Number(minutes);
+  if (!Number.isInteger(m) || m < 0 || m > MAX_SNOOZE_MINUTES) {
+    throw incidentError(`minutes must be a whole number from 0 to ${MAX_SNOOZE_MINUTES}`, 'INCIDENT_INVALID');
+  }
+  return updateActive(id, (incident) => {
+    incident.snoozedUntil = m > 0 ? new Date(Date.now() + m * 60 * 1000).toISOString() : null;
+    incident.snoozedBy = m > 0 ? by || null : null;
+    addHistory(incident, m > 0 ? 'snoozed' : 'unsnoozed', { by, ...(m > 0 ? { detail: `until ${incident.snoozedUntil}` } : {}) });
+  });
+}
+
+/** Close by hand. If the problem is still there, the next sighting opens a new incident. */
+function close(id, by, detail) {
+  return updateActive(id, (incident) => {
+    incident.status = 'closed';
+    incident.closedAt = new Date().toISOString();
+    incident.closedBy = by || null;
+    incident.snoozedUntil = null;
+    addHistory(incident, 'closed', { by, ...(detail ? { detail } : {}) });
+  });
+}
+
+/** Close the active incidents of a job or alert rule that was deleted */
+function closeForSource(source, sourceId, detail) {
+  ensureLoaded();
+  state.incidents
+    .filter((i) => i.source === source && i.sourceId === sourceId && ACTIVE.includes(i.status))
+    .forEach((i) => close(i.id, null, detail));
+}
+
+/**
+ * Incidents, newest first. options: { status (comma-separated; 'active' = open and acknowledged),
+ * source ('scheduler'|'alert'), sourceId, severity, q, limit (1-500, default 100), offset }
+ * Returns { total, active, offset, limit, incidents }; active counts all open and acknowledged incidents.
+ */
+function listIncidents(options = {}) {
+  ensureLoaded();
+  const statuses = options.status
+    ? String(options.status).split(',').map((s) => s.trim()).filter(Boolean).flatMap((s) => (s === 'active' ? ACTIVE : [s]))
+    : null;
+  const unknown = (statuses || []).filter((s) => !STATUSES.includes(s));
+  if (unknown.length) throw incidentError(`status must be active or one of: ${STATUSES.join(', ')}`, 'INCIDENT_INVALID');
+  const q = options.q ? String(options.q).toLowerCase() : null;
+  const limit = Math.min(500, Math.max(1, parseInt(options.limit, 10) || 100));
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+
+  const filtered = state.incidents.filter((i) => {
+    if (statuses && !statuses.includes(i.status)) return false;
+    if (options.source && i.source !== options.source) return false;
+    if (options.sourceId && i.sourceId !== options.sourceId) return false;
+    if (options.severity && i.severity !== options.severity) return false;
+    if (q && !`${i.title} ${i.sourceName} ${i.entity} ${i.description}`.toLowerCase().includes(q)) return false;
+    return true;
+  }).reverse();
+
+  return {
+    total: filtered.length,
+    active: state.incidents.filter((i) => ACTIVE.includes(i.status)).length,
+    offset,
+    limit,
+    incidents: filtered.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  INCIDENTS_FILE,
+  STATUSES,
+  getIncidentsConfig,
+  loadState,
+  observe,
+  resolve,
+  resolveMissing,
+  isSnoozed,
+  getIncident,
+  acknowledge,
+  snooze,
+  close,
+  closeForSource,
+  listIncidents,
+};
@@ -0,0 +1,195 @@
+// utils/jobRuns.js – Run history of scheduled jobs (job-runs.json). One entry per run:
+// { id, jobId, jobName, trigger ('schedule'|'manual'), startedAt, finishedAt, durationMs, attempts (1 + retries),
+//   status ('success'|'failure'|'skipped': the previous run was still going, error says why),
+//   result (the full AI answer), error, issues ([{ rule, severity, description }] firing when it ran; null when the
+//   job does not check for issues, i.e. notify is not on_issues),
+//   notifications ([{ channel (id), name, kind, status: 'sent'|'failed'|'suppressed'|'below_severity'|'not_configured',
+//   to?, error? }]), incidents ([{ id, fingerprint, action: 'opened'|'repeated'|'resolved' }], see incidents.js) }.
+// Each job keeps its newest scheduler.maxRunsPerJob runs; runs older than scheduler.runRetentionDays are dropped.
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const RUNS_FILE = path.join(__dirname, '..', 'job-runs.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUSES = ['success', 'failure', 'skipped'];
+const MAX_RESULT_CHARS = 100000;
+const MAX_DIFF_LINES = 2000; // longer results are compared on their first lines only
+
+let state = { runs: [], meta: { version: 1 } };
+let loaded = false;
+
+function getRunHistoryConfig() {
+  const s = getConfig().scheduler || {};
+  return {
+    maxRunsPerJob: Math.max(10, parseInt(s.maxRunsPerJob, 10) || 200),
+    retentionDays: Math.max(1, parseInt(s.runRetentionDays, 10) || 30),
+  };
+}
+
+function loadState() {
+  try {
+    if (fs.existsSync(RUNS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8'));
+      state.runs = Array.isArray(data.runs) ? data.runs : [];
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Runs] Error loading job run history:', err.message);
+    state.runs = [];
+  }
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(RUNS_FILE, JSON.stringify({ runs: state.runs, meta: state.meta }), 'utf8');
+  } catch (err) {
+    console.error('[Runs] Error saving job run history:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+function prune(now = Date.now()) {
+  const cfg = getRunHistoryConfig();
+  const cutoff = now - cfg.retentionDays * DAY_MS;
+  const perJob = new Map();
+  // Newest first, so the count keeps the newest runs of each job
+  const kept = [];
+  for (let i = state.runs.length - 1; i >= 0; i--) {
+    const r = state.runs[i];
+    if (new Date(r.startedAt).getTime() < cutoff) continue;
+    const n = (perJob.get(r.jobId) || 0) + 1;
+    perJob.set(r.jobId, n);
+    if (n <= cfg.maxRunsPerJob) kept.push(r);
+  }
+  state.runs = kept.reverse();
+}
+
+/**
+ * Store a finished run (fields as described at the top). Returns it with its id.
+ */
+function recordRun(run) {
+  ensureLoaded();
+  const record = {
+    id: `run_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    jobId: run.jobId,
+    jobName: run.jobName || '',
+    trigger: run.trigger === 'manual' ? 'manual' : 'schedule',
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    attempts: run.attempts || (run.status === 'skipped' ? 0 : 1),
+    status: STATUSES.includes(run.status) ? run.status : 'failure',
+    result: run.result != null ? String(run.result).slice(0, MAX_RESULT_CHARS) : null,
+    error: run.error || null,
+    issues: Array.isArray(run.issues) ? run.issues : null,
+    notifications: Array.isArray(run.notifications) ? run.notifications : [],
+    incidents: Array.isArray(run.incidents) ? run.incidents : [],
+  };
+  state.runs.push(record);
+  prune();
+  saveState();
+  return record;
+}
+
+/**
+ * Runs of a job, newest first.
+ * options: { status ('success'|'failure'|'skipped'), since, until, limit (1-200, default 50), offset }
+ * Returns { total, failures, offset, limit, runs } (failures counts the filtered runs that failed).
+ */
+function listRuns(jobId, options = {}) {
+  ensureLoaded();
+  const since = options.since ? new Date(options.since).getTime() : null;
+  const until = options.until ? new Date(options.until).getTime() : null;
+  if ((options.since && isNaN(since)) || (options.until && isNaN(until))) {
+    throw new Error('Invalid since/until (use ISO 8601)');
+  }
+  if (options.status && !STATUSES.includes(options.status)) throw new Error(`status must be one of: ${STATUSES.join(', ')}`);
+  const limit = Math.min(200, Math.max(1, parseInt(options.limit, 10) || 50));
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+
+  const filtered = state.runs.filter((r) => {
+    if (r.jobId !== jobId) return false;
+    if (options.status && r.status !== options.status) return false;
+    const t = new Date(r.startedAt).getTime();
+    if (since != null && t < since) return false;
+    if (until != null && t > until) return false;
+    return true;
+  }).reverse();
+
+  return {
+    total: filtered.length,
+    failures: filtered.filter((r) => r.status === 'failure').length,
+    offset,
+    limit,
+    runs: filtered.slice(offset, offset + limit),
+  };
+}
+
+/** One run of a job with the last run before it that ran (null when there is none kept) */
+function getRun(jobId, runId) {
+  ensureLoaded();
+  const runs = state.runs.filter((r) => r.jobId === jobId);
+  const i = runs.findIndex((r) => r.id === runId);
+  if (i === -1) return null;
+  const previous = runs.slice(0, i).reverse().find((r) => r.status !== 'skipped') || null;
+  return { run: runs[i], previous };
+}
+
+/** Drop the history of a deleted job */
+function deleteRuns(jobId) {
+  ensureLoaded();
+  const before = state.runs.length;
+  state.runs = state.runs.filter((r) => r.jobId !== jobId);
+  if (state.runs.length !== before) saveState();
+}
+
+/**
+ * Line diff of two results: [{ type: 'same'|'added'|'removed', text }] (longest common subsequence).
+ * Only the first MAX_DIFF_LINES lines of each are compared.
+ */
+function diffResults(before, after) {
+  const a = String(before || '').split('\n').slice(0, MAX_DIFF_LINES);
+  const b = String(after || '').split('\n').slice(0, MAX_DIFF_LINES);
+  // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: 'removed', text: a[i++] });
+    } else {
+      out.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) out.push({ type: 'added', text: b[j++] });
+  return out;
+}
+
+module.exports = {
+  RUNS_FILE,
+  STATUSES,
+  loadState,
+  recordRun,
+  listRuns,
+  getRun,
+  deleteRuns,
+  diffResults,
+};
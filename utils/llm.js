@@ -2,6 +2,7 @@
 const OpenAI = require('openai');
 const axios = require('axios');
 const { getConfig } = require('./config');
+const { recordLlmRequest } = require('./metrics');
 
 // Get configuration
 function getLLMConfig() {
@@ -56,9 +57,9 @@ function formatHistoryForApi(history) {
 }
 
 /**
- * Query OpenAI API (supports conversation history for context)
+ * Query OpenAI API (supports conversation history for context). An aborted signal cancels the request.
  */
-async function queryOpenAI(prompt, systemPrompt = null, conversationHistory = null) {
+async function queryOpenAI(prompt, systemPrompt = null, conversationHistory = null, signal = undefined) {
   const config = getLLMConfig();
   
   // Reinitialize if needed
@@ -83,15 +84,15 @@ async function queryOpenAI(prompt, systemPrompt = null, conversationHistory = nu
     messages: messages,
     temperature: 0.2,
     max_tokens: 4096,
-  });
+  }, { signal });
 
   return response.choices[0].message.content.trim();
 }
 
 /**
- * Query Ollama API (supports conversation history via /api/chat)
+ * Query Ollama API (supports conversation history via /api/chat). An aborted signal cancels the request.
  */
-async function queryOllama(prompt, systemPrompt = null, conversationHistory = null) {
+async function queryOllama(prompt, systemPrompt = null, conversationHistory = null, signal = undefined) {
   const config = getLLMConfig();
   
   const history = formatHistoryForApi(conversationHistory);
@@ -118,6 +119,7 @@ async function queryOllama(prompt, systemPrompt = null, conversationHistory = nu
       }, {
         timeout: AI_REQUEST_TIMEOUT_MS,
         headers: { 'Content-Type': 'application/json' },
+        signal,
       });
 
       const msg = response.data?.message;
@@ -141,6 +143,7 @@ async function queryOllama(prompt, systemPrompt = null, conversationHistory = nu
     const response = await axios.post(`${config.ollama.baseUrl}/api/generate`, requestBody, {
       timeout: AI_REQUEST_TIMEOUT_MS,
       headers: { 'Content-Type': 'application/json' },
+      signal,
     });
 
     if (response.data && response.data.response) {
@@ -148,14 +151,20 @@ async function queryOllama(prompt, systemPrompt = null, conversationHistory = nu
     }
     throw new Error('Invalid response from Ollama API');
   } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error(`Cannot connect to Ollama server at ${config.ollama.baseUrl}. Make sure Ollama is running.`);
-    }
-    if (error.response) {
-      throw new Error(`Ollama API error: ${error.response.status} - ${error.response.statusText}`);
-    }
-    throw error;
+    throw ollamaError(error, config.ollama.baseUrl);
+  }
+}
+
+/** Map axios errors from Ollama to readable messages */
+function ollamaError(error, baseUrl) {
+  if (error.code === 'ECONNREFUSED') {
+    return new Error(`Cannot connect to Ollama server at ${baseUrl}. Make sure Ollama is running.`);
+  }
+  if (error.response) {
+    const detail = typeof error.response.data?.error === 'string' ? ` (${error.response.data.error})` : '';
+    return new Error(`Ollama API error: ${error.response.status} - ${error.response.statusText}${detail}`);
   }
+  return error;
 }
 
 /**
@@ -239,31 +248,165 @@ async function* streamOpenAIChat(prompt, systemPrompt = null, conversationHistor
  */
 async function* streamQuery(prompt, systemPrompt = null, conversationHistory = null) {
   const config = getLLMConfig();
-  if (config.provider === 'ollama') {
-    yield* streamOllamaChat(prompt, systemPrompt, conversationHistory);
-  } else {
-    yield* streamOpenAIChat(prompt, systemPrompt, conversationHistory);
+  const started = Date.now();
+  let ok = false;
+  try {
+    if (config.provider === 'ollama') {
+      yield* streamOllamaChat(prompt, systemPrompt, conversationHistory);
+    } else {
+      yield* streamOpenAIChat(prompt, systemPrompt, conversationHistory);
+    }
+    ok = true;
+  } finally {
+    recordLlmRequest(config.provider, 'stream', Date.now() - started, ok);
   }
 }
 
 /**
  * Main AI query function that routes to the appropriate provider.
  * conversationHistory: optional array of { role: 'user'|'bot', message } from frontend (for context).
+ * options: { signal } (AbortSignal) to cancel the request, e.g. when the caller stops waiting for it.
  */
-async function aiQuery(prompt, systemPrompt = null, conversationHistory = null) {
+async function aiQuery(prompt, systemPrompt = null, conversationHistory = null, { signal } = {}) {
   const config = getLLMConfig();
+  const started = Date.now();
   try {
-    if (config.provider === 'ollama') {
-      return await queryOllama(prompt, systemPrompt, conversationHistory);
-    } else {
-      return await queryOpenAI(prompt, systemPrompt, conversationHistory);
-    }
+    const response = config.provider === 'ollama'
+      ? await queryOllama(prompt, systemPrompt, conversationHistory, signal)
+      : await queryOpenAI(prompt, systemPrompt, conversationHistory, signal);
+    recordLlmRequest(config.provider, 'query', Date.now() - started, true);
+    return response;
   } catch (error) {
+    recordLlmRequest(config.provider, 'query', Date.now() - started, false);
     console.error(`[LLM Error] ${config.provider} query failed:`, error.message);
     throw error;
   }
 }
 
+const DEFAULT_MAX_TOOL_STEPS = 5;
+const MAX_TOOL_CALLS_PER_STEP = 5;
+
+/**
+ * One chat turn with tools for the configured provider. Returns the assistant message
+ * ({ role, content, tool_calls? }) in the provider's own format so it can be sent back as-is.
+ * Throws an error with code TOOLS_UNSUPPORTED when the Ollama model has no tool support.
+ * Each turn is counted in the LLM request metrics (kind "tools").
+ */
+async function chatWithTools(messages, tools, signal) {
+  const config = getLLMConfig();
+  const started = Date.now();
+  try {
+    const msg = await providerChatWithTools(config, messages, tools, signal);
+    recordLlmRequest(config.provider, 'tools', Date.now() - started, true);
+    return msg;
+  } catch (error) {
+    recordLlmRequest(config.provider, 'tools', Date.now() - started, false);
+    throw error;
+  }
+}
+
+/** The request behind chatWithTools, per provider */
+async function providerChatWithTools(config, messages, tools, signal) {
+  if (config.provider === 'ollama') {
+    try {
+      const response = await axios.post(`${config.ollama.baseUrl}/api/chat`, {
+        model: config.ollama.model,
+        messages,
+        ...(tools ? { tools } : {}),
+        stream: false,
+        options: { temperature: 0.2, num_predict: 4096 },
+      }, {
+        timeout: AI_REQUEST_TIMEOUT_MS,
+        headers: { 'Content-Type': 'application/json' },
+        signal,
+      });
+      const msg = response.data?.message;
+      if (!msg) throw new Error('Invalid response from Ollama /api/chat');
+      return { role: 'assistant', content: msg.content || '', ...(msg.tool_calls?.length ? { tool_calls: msg.tool_calls } : {}) };
+    } catch (error) {
+      if (error.response?.status === 400 && /does not support tools/i.test(error.response.data?.error || '')) {
+        const err = new Error(`Ollama model ${config.ollama.model} does not support tools`);
+        err.code = 'TOOLS_UNSUPPORTED';
+        throw err;
+      }
+      throw ollamaError(error, config.ollama.baseUrl);
+    }
+  }
+
+  if (!openai && config.provider === 'openai') initializeOpenAI();
+  if (!openai) {
+    throw new Error('OpenAI API key not configured. Please configure it in the web interface or set OPENAI_API_KEY environment variable.');
+  }
+  const response = await openai.chat.completions.create({
+    model: config.openai.model,
+    messages,
+    ...(tools ? { tools, tool_choice: 'auto' } : {}),
+    temperature: 0.2,
+    max_tokens: 4096,
+  }, { signal });
+  const msg = response.choices[0].message;
+  return { role: 'assistant', content: msg.content || '', ...(msg.tool_calls?.length ? { tool_calls: msg.tool_calls } : {}) };
+}
+
+/**
+ * Query the LLM with tools it may call before answering (OpenAI function calling / Ollama tools).
+ * options: { tools, executeTool(name, args) → { ok, output, summary }, maxSteps, onToolCall(call), signal }.
+ * An aborted signal cancels the pending LLM request and stops before the next tool call.
+ * The loop is bounded: after maxSteps rounds of tool calls the model must answer without tools.
+ * Returns { response, toolCalls: [{ name, arguments, ok, summary, durationMs }] }.
+ */
+async function aiQueryWithTools(prompt, systemPrompt = null, conversationHistory = null, options = {}) {
+  const config = getLLMConfig();
+  const { tools, executeTool, onToolCall, signal } = options;
+  const maxSteps = Math.max(1, parseInt(options.maxSteps, 10) || DEFAULT_MAX_TOOL_STEPS);
+
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  messages.push(...formatHistoryForApi(conversationHistory));
+  messages.push({ role: 'user', content: prompt });
+
+  const toolCalls = [];
+  try {
+    for (let step = 0; step <= maxSteps; step++) {
+      const msg = await chatWithTools(messages, step < maxSteps ? tools : null, signal);
+      if (!msg.tool_calls) return { response: msg.content.trim(), toolCalls };
+
+      // Every tool call sent back needs a tool result, so drop the extra calls from the message itself
+      msg.tool_calls = msg.tool_calls.slice(0, MAX_TOOL_CALLS_PER_STEP);
+      messages.push(msg);
+      for (const call of msg.tool_calls) {
+        signal?.throwIfAborted();
+        const name = call.function?.name;
+        let args = call.function?.arguments;
+        if (typeof args === 'string') {
+          try {
+            args = JSON.parse(args || '{}');
+          } catch (_) {
+            args = {};
+          }
+        }
+        const started = Date.now();
+        let result;
+        try {
+          result = await executeTool(name, args || {});
+        } catch (err) {
+          result = { ok: false, output: `Tool failed: ${err.message}`, summary: `failed: ${err.message}` };
+        }
+        const record = { name, arguments: args || {}, ok: result.ok, summary: result.summary, durationMs: Date.now() - started };
+        toolCalls.push(record);
+        if (onToolCall) onToolCall(record);
+        messages.push(config.provider === 'ollama'
+          ? { role: 'tool', tool_name: name, content: result.output }
+          : { role: 'tool', tool_call_id: call.id, content: result.output });
+      }
+    }
+    throw new Error('The model kept calling tools without answering');
+  } catch (error) {
+    if (error.code !== 'TOOLS_UNSUPPORTED') console.error(`[LLM Error] ${config.provider} tool query failed:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Test Ollama connection
  */
@@ -288,4 +431,4 @@ async function testOllamaConnection(baseUrl, model) {
   }
 }
 
-module.exports = { aiQuery, streamQuery, LLM_PROVIDER, getLLMConfig, initializeOpenAI, testOllamaConnection };
+module.exports = { aiQuery, aiQueryWithTools, streamQuery, LLM_PROVIDER, getLLMConfig, initializeOpenAI, testOllamaConnection };
@@ -79,4 +79,27 @@ async function analyzeLogSnippet(snippet) {
   };
 }
 
-module.exports = { analyzeLogSnippet, extractLogPatterns };
+/**
+ * Format the result of analyzeLogSnippet as a short plain-text summary for the LLM prompt
+ */
+function formatLogSummary(analysis) {
+  if (!analysis?.patterns) return analysis?.summary || 'No patterns found.';
+  const { summary, patterns } = analysis;
+  const lines = [
+    `Lines: ${summary.totalLines}, errors: ${summary.errorCount}, warnings: ${summary.warningCount}, unique IPs: ${summary.uniqueIPs}`,
+  ];
+  if (patterns.timestamps.length > 0) lines.push(`Timestamps seen: ${patterns.timestamps.join(', ')}`);
+  if (patterns.ipAddresses.length > 0) lines.push(`IP addresses: ${patterns.ipAddresses.join(', ')}`);
+  if (patterns.urls.length > 0) lines.push(`URLs: ${patterns.urls.join(', ')}`);
+  if (patterns.errors.length > 0) {
+    lines.push('First error lines:');
+    patterns.errors.forEach((e) => lines.push(`  line ${e.line}: ${e.content.slice(0, 300)}`));
+  }
+  if (patterns.warnings.length > 0) {
+    lines.push('First warning lines:');
+    patterns.warnings.forEach((w) => lines.push(`  line ${w.line}: ${w.content.slice(0, 300)}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { analyzeLogSnippet, extractLogPatterns, formatLogSummary };
@@ -0,0 +1,208 @@
+// utils/metrics.js – Prometheus exporter (GET /metrics, text exposition format 0.0.4).
+// NetworkBot's own counters and histograms (LLM requests, scheduler job runs, monitoring fetches) are kept in
+// memory since start; UniFi and Site Manager gauges are built from the monitoring snapshot on each scrape,
+// which comes from the monitoring cache, so scraping does not add load on the controllers.
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { version } = require('../package.json');
+
+const LLM_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const FETCH_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const JOB_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600];
+
+/** Metrics recorded by the app; gauges computed at scrape time are described in renderMetrics */
+const METRICS = {
+  networkbot_llm_requests_total: { type: 'counter', help: 'LLM requests by provider, kind (query, tools, stream) and result' },
+  networkbot_llm_request_duration_seconds: { type: 'histogram', help: 'LLM request duration', buckets: LLM_BUCKETS },
+  networkbot_scheduler_job_runs_total: { type: 'counter', help: 'Scheduled job runs by schedule and result (success, failure, skipped)' },
+  networkbot_scheduler_job_retries_total: { type: 'counter', help: 'Scheduled job retries after a timeout or transient error' },
+  networkbot_scheduler_job_duration_seconds: { type: 'histogram', help: 'Scheduled job run duration', buckets: JOB_BUCKETS },
+  networkbot_monitoring_fetches_total: { type: 'counter', help: 'Monitoring source fetches by source, target, resource and result' },
+  networkbot_monitoring_fetch_duration_seconds: { type: 'histogram', help: 'Monitoring source fetch duration', buckets: FETCH_BUCKETS },
+};
+
+const series = new Map(); // metric name → Map(label key → { labels, value } or { labels, counts, sum, count })
+const startedAt = Date.now();
+
+function getMetricsConfig() {
+  const m = getConfig().metrics || {};
+  return {
+    enabled: m.enabled !== false,
+    token: m.token || '',
+  };
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+/** Whether token is the configured metrics.token (false when none is set) */
+function checkScrapeToken(token) {
+  const { token: expected } = getMetricsConfig();
+  return !!expected && typeof token === 'string' && crypto.timingSafeEqual(sha256(token), sha256(expected));
+}
+
+function getSeries(name, labels) {
+  if (!series.has(name)) series.set(name, new Map());
+  const byLabels = series.get(name);
+  const key = JSON.stringify(labels);
+  if (!byLabels.has(key)) {
+    const { type, buckets } = METRICS[name];
+    byLabels.set(key, type === 'histogram' ? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 } : { labels, value: 0 });
+  }
+  return byLabels.get(key);
+}
+
+function inc(name, labels, by = 1) {
+  getSeries(name, labels).value += by;
+}
+
+function observe(name, labels, value) {
+  const s = getSeries(name, labels);
+  METRICS[name].buckets.forEach((le, i) => {
+    if (value <= le) s.counts[i]++;
+  });
+  s.sum += value;
+  s.count++;
+}
+
+/** One finished LLM request (kind: 'query', 'tools' or 'stream') */
+function recordLlmRequest(provider, kind, durationMs, ok) {
+  inc('networkbot_llm_requests_total', { provider, kind, result: ok ? 'success' : 'error' });
+  observe('networkbot_llm_request_duration_seconds', { provider, kind }, durationMs / 1000);
+}
+
+/** One finished scheduled job run (scheduled or "run now") */
+function recordJobRun(schedule, durationMs, ok) {
+  inc('networkbot_scheduler_job_runs_total', { schedule, result: ok ? 'success' : 'failure' });
+  observe('networkbot_scheduler_job_duration_seconds', {}, durationMs / 1000);
+}
+
+/** A scheduled run skipped because the job's previous run was still going */
+function recordJobSkipped(schedule) {
+  inc('networkbot_scheduler_job_runs_total', { schedule, result: 'skipped' });
+}
+
+/** One retry of a scheduled job */
+function recordJobRetry(schedule) {
+  inc('networkbot_scheduler_job_retries_total', { schedule });
+}
+
+/** One fetch of a cached monitoring resource (e.g. UniFi devices of one controller site) */
+function recordMonitoringFetch({ source, target, resource }, durationMs, ok) {
+  const labels = { source, target: target || '', resource };
+  inc('networkbot_monitoring_fetches_total', { ...labels, result: ok ? 'success' : 'error' });
+  observe('networkbot_monitoring_fetch_duration_seconds', labels, durationMs / 1000);
+}
+
+// ---- Exposition ----
+
+const escapeLabel = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+const formatValue = (v) => (Number.isFinite(v) ? String(v) : v > 0 ? '+Inf' : v < 0 ? '-Inf' : 'NaN');
+
+/** Lines of one metric family: # HELP, # TYPE and its samples ([labels, value]) */
+function family(name, type, help, samples) {
+  if (samples.length === 0) return [];
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(([labels, value]) => `${name}${formatLabels(labels)} ${formatValue(value)}`),
+  ];
+}
+
+function recordedFamilies() {
+  const lines = [];
+  Object.entries(METRICS).forEach(([name, { type, help, buckets }]) => {
+    const all = [...(series.get(name)?.values() || [])];
+    if (all.length === 0) return;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    all.forEach((s) => {
+      if (type !== 'histogram') {
+        lines.push(`${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+        return;
+      }
+      // observe() counts a value in every bucket it fits, so the counts are already cumulative
+      buckets.forEach((le, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`);
+      lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+    });
+  });
+  return lines;
+}
+
+const isDeviceOnline = (d) => Number(d.state) === 1;
+
+/** Gauges for the UniFi controllers (one series per controller site) and Site Manager */
+function monitoringFamilies(data) {
+  const sites = data?.unifi?.controllers || [];
+  const site = (c) => ({ controller_id: c.id || '', controller: c.controllerName || c.name || '', site: c.site || '' });
+  const ok = sites.filter((c) => c.success);
+  const lines = [
+    ...family('networkbot_unifi_up', 'gauge', 'Whether the last fetch from the UniFi controller site succeeded',
+      sites.map((c) => [site(c), c.success ? 1 : 0])),
+    ...family('networkbot_unifi_devices', 'gauge', 'UniFi devices by state',
+      ok.flatMap((c) => [[{ ...site(c), state: 'online' }, c.metrics?.devices?.online || 0], [{ ...site(c), state: 'offline' }, c.metrics?.devices?.offline || 0]])),
+    ...family('networkbot_unifi_clients', 'gauge', 'UniFi clients by connection type',
+      ok.flatMap((c) => [[{ ...site(c), type: 'wireless' }, c.metrics?.clients?.wireless || 0], [{ ...site(c), type: 'wired' }, c.metrics?.clients?.wired || 0]])),
+    ...family('networkbot_unifi_device_up', 'gauge', 'Whether the UniFi device is online (1) or not (0)',
+      ok.flatMap((c) => (c.metrics?.devicesList || []).map((d) => [{
+        ...site(c),
+        mac: String(d.mac || '').toLowerCase(),
+        name: d.name || d.hostname || '',
+        model: d.model || '',
+        type: d.type || '',
+      }, isDeviceOnline(d) ? 1 : 0]))),
+  ];
+
+  const sm = data?.siteManager;
+  if (sm) {
+    const m = sm.success ? sm.metrics || {} : null;
+    lines.push(
+      ...family('networkbot_site_manager_up', 'gauge', 'Whether the last UniFi Site Manager fetch succeeded', [[{}, sm.success ? 1 : 0]]),
+      ...family('networkbot_site_manager_sites', 'gauge', 'Sites visible to the Site Manager API key', m ? [[{}, m.sites?.total || 0]] : []),
+      ...family('networkbot_site_manager_devices', 'gauge', 'Site Manager devices by state',
+        m ? [[{ state: 'online' }, m.devices?.online || 0], [{ state: 'offline' }, m.devices?.offline || 0]] : []),
+      ...family('networkbot_site_manager_clients', 'gauge', 'Site Manager clients by connection type',
+        m ? [[{ type: 'wireless' }, m.clients?.wireless || 0], [{ type: 'wired' }, m.clients?.wired || 0]] : [])
+    );
+  }
+  return lines;
+}
+
+/**
+ * The full scrape body.
+ * @param {Object} inputs - { monitoring (getMonitoringData() result, or null when it failed), heartbeat (scheduler.getHeartbeat()) }
+ */
+function renderMetrics({ monitoring, heartbeat } = {}) {
+  const heartbeatAt = heartbeat?.lastHeartbeatAt ? new Date(heartbeat.lastHeartbeatAt).getTime() : null;
+  const lines = [
+    ...family('networkbot_info', 'gauge', 'NetworkBot version', [[{ version }, 1]]),
+    ...family('process_start_time_seconds', 'gauge', 'Start time of the process since the Unix epoch in seconds', [[{}, Math.floor(startedAt / 1000)]]),
+    ...family('networkbot_scheduler_heartbeat_age_seconds', 'gauge', 'Seconds since the scheduler last ticked',
+      heartbeatAt ? [[{}, Math.max(0, Math.round((Date.now() - heartbeatAt) / 1000))]] : []),
+    ...family('networkbot_monitoring_scrape_success', 'gauge', 'Whether monitoring data could be collected for this scrape', [[{}, monitoring ? 1 : 0]]),
+    ...recordedFamilies(),
+    ...monitoringFamilies(monitoring),
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  getMetricsConfig,
+  checkScrapeToken,
+  recordLlmRequest,
+  recordJobRun,
+  recordJobSkipped,
+  recordJobRetry,
+  recordMonitoringFetch,
+  renderMetrics,
+};
@@ -7,6 +7,8 @@
 
 const axios = require('axios');
 const { getConfig } = require('./config');
+const { MASK, isSavedAddress } = require('./secrets');
+const { recordMonitoringFetch } = require('./metrics');
 const {
   runPing,
   runTraceroute,
@@ -25,6 +27,7 @@ const {
 } = require('./diagnostics');
 
 const https = require('https');
+const snmp = require('net-snmp');
 
 /**
  * Get monitoring configuration
@@ -45,6 +48,7 @@ class UniFiMonitor {
     this.baseUrl = (config.baseUrl || '').replace(/\/$/, '');
     this.apiKey = config.apiKey || '';
     this.site = config.site || 'default';
+    this.allSites = config.allSites === true; // monitor every site on the controller instead of this.site
     this.verifySSL = config.verifySSL !== false;
     this.cookie = null;
     this.csrfToken = null;
@@ -158,8 +162,9 @@ class UniFiMonitor {
   /**
    * Make authenticated API request.
    * Tries X-API-Key first (official API); on 401/403 falls back to session login for local controllers.
+   * Commands (method other than GET) throw when the controller rejects them (HTTP 4xx or meta.rc "error").
    */
-  async apiRequest(endpoint) {
+  async apiRequest(endpoint, { method = 'GET', body } = {}) {
     if (!endpoint.startsWith('/api/')) {
       endpoint = endpoint.startsWith('/') ? `/api${endpoint}` : `/api/${endpoint}`;
     }
@@ -173,7 +178,7 @@ class UniFiMonitor {
         headers['Cookie'] = this.cookie;
         if (this.csrfToken) headers['X-CSRF-Token'] = this.csrfToken;
       }
-      return axios.get(url, this.getRequestOptions(headers));
+      return axios.request({ ...this.getRequestOptions(headers), method, url, data: body });
     };
 
     try {
@@ -197,10 +202,13 @@ class UniFiMonitor {
         this.apiPrefix = null;
         this.useSessionAuth = null;
         await this.authenticate();
-        return this.apiRequest(endpoint);
+        return this.apiRequest(endpoint, { method, body });
       }
 
       const data = response.data;
+      if (method !== 'GET' && (response.status >= 400 || data?.meta?.rc === 'error')) {
+        throw new Error(`UniFi rejected the command: ${data?.meta?.msg || `HTTP ${response.status}`}`);
+      }
       if (data?.data !== undefined) return data.data;
       if (Array.isArray(data)) return data;
       if (data && typeof data === 'object') return [data];
@@ -215,7 +223,7 @@ class UniFiMonitor {
       if (err.response?.status === 404 && this.apiPrefix) {
         const other = this.apiPrefix === '/proxy/network' ? '/unifi-api/network' : '/proxy/network';
         this.apiPrefix = other;
-        return this.apiRequest(endpoint);
+        return this.apiRequest(endpoint, { method, body });
       }
       throw err;
     }
@@ -447,12 +455,13 @@ class UniFiMonitor {
   }
 
   /**
-   * Get network health metrics
+   * Get network health metrics. The device list is the reachability check: when it cannot be fetched
+   * this throws, so the site is reported as failed instead of as a site without devices.
    */
   async getHealthMetrics() {
     try {
       const [devices, clients, systemInfo] = await Promise.all([
-        this.getDevices().catch(() => []),
+        this.getDevices(),
         this.getClients().catch(() => []),
         this.getSystemInfo().catch(() => ({})),
       ]);
@@ -497,11 +506,68 @@ class UniFiMonitor {
     }
   }
 
+  /**
+   * Send a command to the site's device manager (cmd/devmgr) or client manager (cmd/stamgr).
+   */
+  async sendCommand(manager, cmd, params = {}) {
+    return this.apiRequest(`/api/s/${this.site}/cmd/${manager}`, { method: 'POST', body: { cmd, ...params } });
+  }
+
+  restartDevice(mac) {
+    return this.sendCommand('devmgr', 'restart', { mac: mac.toLowerCase() });
+  }
+
+  /** Blink the device LED (on = false stops it) */
+  locateDevice(mac, on = true) {
+    return this.sendCommand('devmgr', on ? 'set-locate' : 'unset-locate', { mac: mac.toLowerCase() });
+  }
+
+  powerCyclePort(mac, portIdx) {
+    return this.sendCommand('devmgr', 'power-cycle', { mac: mac.toLowerCase(), port_idx: Number(portIdx) });
+  }
+
+  blockClient(mac) {
+    return this.sendCommand('stamgr', 'block-sta', { mac: mac.toLowerCase() });
+  }
+
+  unblockClient(mac) {
+    return this.sendCommand('stamgr', 'unblock-sta', { mac: mac.toLowerCase() });
+  }
+
+  /** Disconnect a wireless client so it reconnects */
+  reconnectClient(mac) {
+    return this.sendCommand('stamgr', 'kick-sta', { mac: mac.toLowerCase() });
+  }
+
+  /**
+   * List the sites on this controller as [{ name, desc }] (name is the short id used in /api/s/{site}/).
+   * Uses /api/self/sites (sites this account can access), falling back to /api/stat/sites.
+   */
+  async getSites() {
+    const toList = (raw) => (Array.isArray(raw) ? raw : [])
+      .filter((s) => s && s.name)
+      .map((s) => ({ name: s.name, desc: s.desc || s.name }));
+    let sites = toList(await this.apiRequest('/api/self/sites').catch(() => []));
+    if (sites.length === 0) {
+      sites = toList(await this.apiRequest('/api/stat/sites'));
+    }
+    if (sites.length === 0) throw new Error('Controller returned no sites');
+    return sites;
+  }
+
   /**
    * Test connection
    */
   async testConnection() {
     try {
+      if (this.allSites) {
+        const sites = await this.getSites();
+        const names = sites.map((s) => s.desc).slice(0, 10).join(', ');
+        return {
+          success: true,
+          message: `Connected to UniFi controller. Monitoring all ${sites.length} site(s): ${names}${sites.length > 10 ? ', …' : ''}.`,
+        };
+      }
       const systemInfo = await this.getSystemInfo();
       return {
         success: true,
@@ -518,17 +584,422 @@ class UniFiMonitor {
 }
 
 /**
- * Prometheus API Integration (placeholder for future)
+ * Prometheus HTTP API Integration
+ * https://prometheus.io/docs/prometheus/latest/querying/api/
+ * - Instant queries (/api/v1/query) and range queries (/api/v1/query_range)
+ * - Optional basic auth ({ username, password }) for reverse-proxied servers
+ * - Named queries from config are run on every fetch so the AI sees their results
  */
 class PrometheusMonitor {
   constructor(config) {
-    this.baseUrl = config.baseUrl || '';
+    this.baseUrl = (config.baseUrl || '').replace(/\/$/, '');
     this.basicAuth = config.basicAuth || null;
+    this.verifySSL = config.verifySSL !== false;
+    this.queries = Array.isArray(config.queries) ? config.queries : [];
+  }
+
+  getRequestOptions(params = {}) {
+    const opts = {
+      timeout: 15000,
+      validateStatus: (s) => s < 500 || s === 503,
+      headers: { 'Accept': 'application/json' },
+      params,
+    };
+    if (this.basicAuth?.username) {
+      opts.auth = { username: this.basicAuth.username, password: this.basicAuth.password || '' };
+    }
+    if (!this.verifySSL) opts.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    return opts;
+  }
+
+  /**
+   * GET an API path and return the "data" member of the Prometheus response envelope.
+   */
+  async request(path, params = {}) {
+    if (!this.baseUrl) throw new Error('Prometheus base URL not configured');
+    try {
+      const res = await axios.get(`${this.baseUrl}${path}`, this.getRequestOptions(params));
+      if (res.status === 401 || res.status === 403) {
+        throw new Error('Prometheus authentication failed. Check basic auth username and password.');
+      }
+      const body = res.data;
+      if (body?.status === 'error') {
+        throw new Error(`Prometheus ${body.errorType || 'error'}: ${body.error || 'query failed'}`);
+      }
+      if (res.status < 200 || res.status >= 300) {
+        throw new Error(`Prometheus API returned ${res.status}`);
+      }
+      if (body?.status !== 'success') throw new Error('Invalid response from Prometheus API');
+      return body.data;
+    } catch (err) {
+      if (err.code === 'ECONNREFUSED') {
+        throw new Error(`Cannot connect to Prometheus at ${this.baseUrl}`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Instant query. Returns { resultType, result } as documented for /api/v1/query.
+   */
+  async query(query, time = null) {
+    const params = { query };
+    if (time != null) params.time = time instanceof Date ? time.toISOString() : time;
+    return this.request('/api/v1/query', params);
+  }
+
+  /**
+   * Range query. start/end accept Date, RFC 3339 or unix seconds; step is a duration ("60s") or seconds.
+   */
+  async queryRange(query, start, end, step = '60s') {
+    const toParam = (t) => (t instanceof Date ? t.toISOString() : t);
+    return this.request('/api/v1/query_range', { query, start: toParam(start), end: toParam(end), step });
+  }
+
+  /**
+   * Run every configured named query. Each entry: { name, query, type: 'instant'|'range', rangeMinutes?, step? }.
+   * Failures are reported per query so one bad expression does not hide the others.
+   */
+  async getNamedQueryResults() {
+    const valid = this.queries.filter((q) => q && typeof q.query === 'string' && q.query.trim());
+    return Promise.all(valid.map(async (q) => {
+      const type = q.type === 'range' ? 'range' : 'instant';
+      const name = q.name || q.query;
+      try {
+        let data;
+        if (type === 'range') {
+          const minutes = Math.max(1, parseInt(q.rangeMinutes, 10) || 60);
+          const end = new Date();
+          const start = new Date(end.getTime() - minutes * 60 * 1000);
+          data = await this.queryRange(q.query.trim(), start, end, q.step || '60s');
+        } else {
+          data = await this.query(q.query.trim());
+        }
+        const result = Array.isArray(data?.result) ? data.result : (data?.result != null ? [data.result] : []);
+        return { name, query: q.query, type, success: true, resultType: data?.resultType, result: result.slice(0, 100) };
+      } catch (err) {
+        return { name, query: q.query, type, success: false, error: err.message, result: [] };
+      }
+    }));
+  }
+
+  async getBuildInfo() {
+    return this.request('/api/v1/status/buildinfo').catch(() => ({}));
+  }
+
+  async testConnection() {
+    try {
+      const [buildInfo, up] = await Promise.all([
+        this.getBuildInfo(),
+        this.query('up'),
+      ]);
+      const targets = Array.isArray(up?.result) ? up.result : [];
+      const upCount = targets.filter((r) => Array.isArray(r.value) && r.value[1] === '1').length;
+      return {
+        success: true,
+        message: `Connected to Prometheus${buildInfo?.version ? ` ${buildInfo.version}` : ''}. ${upCount}/${targets.length} target(s) up.`,
+        system: 'Prometheus',
+      };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+// Last interface counter readings per SNMP target, so each poll can report rates and error deltas
+const _snmpCounterCache = {};
+
+const SNMP_OIDS = {
+  sysDescr: '1.3.6.1.2.1.1.1.0',
+  sysObjectID: '1.3.6.1.2.1.1.2.0',
+  sysUpTime: '1.3.6.1.2.1.1.3.0',
+  sysContact: '1.3.6.1.2.1.1.4.0',
+  sysName: '1.3.6.1.2.1.1.5.0',
+  sysLocation: '1.3.6.1.2.1.1.6.0',
+  ifTable: '1.3.6.1.2.1.2.2',
+  ifXTable: '1.3.6.1.2.1.31.1.1',
+  hrStorageTable: '1.3.6.1.2.1.25.2.3',
+  upsIdentManufacturer: '1.3.6.1.2.1.33.1.1.1.0',
+  upsIdentModel: '1.3.6.1.2.1.33.1.1.2.0',
+  upsBatteryStatus: '1.3.6.1.2.1.33.1.2.1.0',
+  upsSecondsOnBattery: '1.3.6.1.2.1.33.1.2.2.0',
+  upsEstimatedMinutesRemaining: '1.3.6.1.2.1.33.1.2.3.0',
+  upsEstimatedChargeRemaining: '1.3.6.1.2.1.33.1.2.4.0',
+  upsBatteryTemperature: '1.3.6.1.2.1.33.1.2.7.0',
+  upsInputLineBads: '1.3.6.1.2.1.33.1.3.1.0',
+  upsOutputSource: '1.3.6.1.2.1.33.1.4.1.0',
+  upsOutputTable: '1.3.6.1.2.1.33.1.4.4',
+};
+const IF_OPER_STATUS = { 1: 'up', 2: 'down', 3: 'testing', 4: 'unknown', 5: 'dormant', 6: 'notPresent', 7: 'lowerLayerDown' };
+const UPS_BATTERY_STATUS = { 1: 'unknown', 2: 'normal', 3: 'low', 4: 'depleted' };
+const UPS_OUTPUT_SOURCE = { 1: 'other', 2: 'none', 3: 'normal', 4: 'bypass', 5: 'battery', 6: 'booster', 7: 'reducer' };
+const HR_STORAGE_TYPES = {
+  '1.3.6.1.2.1.25.2.1.2': 'ram',
+  '1.3.6.1.2.1.25.2.1.3': 'virtualMemory',
+  '1.3.6.1.2.1.25.2.1.4': 'fixedDisk',
+  '1.3.6.1.2.1.25.2.1.5': 'removableDisk',
+  '1.3.6.1.2.1.25.2.1.7': 'compactDisc',
+  '1.3.6.1.2.1.25.2.1.9': 'flashMemory',
+  '1.3.6.1.2.1.25.2.1.10': 'networkDisk',
+};
+
+/** OctetString → string (SNMP strings arrive as Buffers). */
+function snmpString(v) {
+  if (v == null) return null;
+  return Buffer.isBuffer(v) ? v.toString('utf8').replace(/\0+$/, '') : String(v);
+}
+
+/** Integer/Counter/Gauge/TimeTicks/Counter64 → number (Counter64 arrives as a big-endian Buffer). */
+function snmpNumber(v) {
+  if (v == null) return null;
+  if (Buffer.isBuffer(v)) {
+    let n = 0;
+    for (const b of v) n = n * 256 + b;
+    return n;
+  }
+  const n = Number(v);
+  return isNaN(n) ? null : n;
+}
+
+function snmpMac(v) {
+  if (!Buffer.isBuffer(v) || v.length !== 6) return null;
+  return [...v].map((b) => b.toString(16).padStart(2, '0')).join(':');
+}
+
+/**
+ * SNMP polling for non-UniFi gear (switches, UPSes, printers, servers)
+ * - v2c (community) and v3 (user with noAuthNoPriv / authNoPriv / authPriv)
+ * - Standard MIBs: SNMPv2-MIB system group, IF-MIB ifTable/ifXTable, HOST-RESOURCES-MIB hrStorage, UPS-MIB
+ */
+class SnmpMonitor {
+  constructor(config, options = {}) {
+    this.id = config.id || config.host;
+    this.name = config.name || config.host;
+    this.host = (config.host || '').trim();
+    this.port = parseInt(config.port, 10) || 161;
+    this.version = config.version === '3' || config.version === 3 ? '3' : '2c';
+    this.community = config.community || 'public';
+    this.v3 = config.v3 || {};
+    this.timeoutMs = parseInt(options.timeoutMs ?? config.timeoutMs, 10) || 5000;
+    this.retries = parseInt(options.retries ?? config.retries, 10);
+    if (isNaN(this.retries)) this.retries = 1;
+    this.mibs = Array.isArray(config.mibs) && config.mibs.length > 0 ? config.mibs : ['system', 'interfaces', 'storage', 'ups'];
+  }
+
+  createSession() {
+    if (!this.host) throw new Error('SNMP host not configured');
+    const opts = { port: this.port, timeout: this.timeoutMs, retries: this.retries };
+    if (this.version === '3') {
+      const v3 = this.v3;
+      if (!v3.user) throw new Error('SNMPv3 user not configured');
+      const user = { name: v3.user, level: snmp.SecurityLevel.noAuthNoPriv };
+      if (v3.authKey) {
+        user.level = snmp.SecurityLevel.authNoPriv;
+        user.authProtocol = snmp.AuthProtocols[(v3.authProtocol || 'sha').toLowerCase()] || snmp.AuthProtocols.sha;
+        user.authKey = v3.authKey;
+        if (v3.privKey) {
+          user.level = snmp.SecurityLevel.authPriv;
+          user.privProtocol = snmp.PrivProtocols[(v3.privProtocol || 'aes').toLowerCase()] || snmp.PrivProtocols.aes;
+          user.privKey = v3.privKey;
+        }
+      }
+      return snmp.createV3Session(this.host, user, { ...opts, version: snmp.Version3 });
+    }
+    return snmp.createSession(this.host, this.community, { ...opts, version: snmp.Version2c });
+  }
+
+  async withSession(fn) {
+    const session = this.createSession();
+    session.on('error', () => {});
+    try {
+      return await fn(session);
+    } finally {
+      try {
+        session.close();
+      } catch (_) {}
+    }
+  }
+
+  /**
+   * GET scalar OIDs; returns { oid: value } with null for noSuchObject/noSuchInstance.
+   */
+  get(session, oids) {
+    return new Promise((resolve, reject) => {
+      session.get(oids, (error, varbinds) => {
+        if (error) return reject(this.wrapError(error));
+        const out = {};
+        varbinds.forEach((vb) => {
+          out[vb.oid] = snmp.isVarbindError(vb) ? null : vb.value;
+        });
+        resolve(out);
+      });
+    });
+  }
+
+  /**
+   * Walk a conceptual table; returns { index: { column: value } }.
+   */
+  table(session, oid) {
+    return new Promise((resolve, reject) => {
+      session.table(oid, 20, (error, table) => {
+        if (error) return reject(this.wrapError(error));
+        resolve(table || {});
+      });
+    });
+  }
+
+  wrapError(error) {
+    if (error instanceof snmp.RequestTimedOutError) {
+      return new Error(`SNMP request to ${this.host}:${this.port} timed out. Check host, port, ${this.version === '3' ? 'v3 credentials' : 'community'} and firewall.`);
+    }
+    return new Error(error.message || String(error));
+  }
+
+  async getSystem(session) {
+    const v = await this.get(session, [
+      SNMP_OIDS.sysDescr, SNMP_OIDS.sysObjectID, SNMP_OIDS.sysUpTime,
+      SNMP_OIDS.sysContact, SNMP_OIDS.sysName, SNMP_OIDS.sysLocation,
+    ]);
+    const ticks = snmpNumber(v[SNMP_OIDS.sysUpTime]);
+    return {
+      descr: snmpString(v[SNMP_OIDS.sysDescr]),
+      objectId: v[SNMP_OIDS.sysObjectID] != null ? String(v[SNMP_OIDS.sysObjectID]) : null,
+      uptimeSeconds: ticks != null ? Math.floor(ticks / 100) : null,
+      contact: snmpString(v[SNMP_OIDS.sysContact]),
+      name: snmpString(v[SNMP_OIDS.sysName]),
+      location: snmpString(v[SNMP_OIDS.sysLocation]),
+    };
+  }
+
+  /**
+   * ifTable + ifXTable: status, speed, octet counters (64-bit when available), errors and discards.
+   * Rates and error deltas are computed against the previous poll of the same target.
+   */
+  async getInterfaces(session) {
+    const [ifTable, ifXTable] = await Promise.all([
+      this.table(session, SNMP_OIDS.ifTable),
+      this.table(session, SNMP_OIDS.ifXTable).catch(() => ({})),
+    ]);
+    const now = Date.now();
+    const prevCache = _snmpCounterCache[this.id] || {};
+    const nextCache = { t: now, ifaces: {} };
+    const interfaces = Object.entries(ifTable).map(([index, row]) => {
+      const x = ifXTable[index] || {};
+      const hcIn = snmpNumber(x[6]);
+      const hcOut = snmpNumber(x[10]);
+      const highSpeed = snmpNumber(x[15]);
+      const iface = {
+        index: parseInt(index, 10),
+        name: snmpString(x[1]) || snmpString(row[2]) || `if${index}`,
+        descr: snmpString(row[2]),
+        alias: snmpString(x[18]) || null,
+        type: snmpNumber(row[3]),
+        mac: snmpMac(row[6]),
+        speedMbps: highSpeed ? highSpeed : (snmpNumber(row[5]) != null ? Math.round(snmpNumber(row[5]) / 1e6) : null),
+        adminStatus: snmpNumber(row[7]) === 1 ? 'up' : (snmpNumber(row[7]) === 2 ? 'down' : 'testing'),
+        operStatus: IF_OPER_STATUS[snmpNumber(row[8])] || 'unknown',
+        inOctets: hcIn ?? snmpNumber(row[10]),
+        outOctets: hcOut ?? snmpNumber(row[16]),
+        inDiscards: snmpNumber(row[13]),
+        inErrors: snmpNumber(row[14]),
+        outDiscards: snmpNumber(row[19]),
+        outErrors: snmpNumber(row[20]),
+      };
+      const prev = prevCache.ifaces?.[index];
+      const dt = prevCache.t ? (now - prevCache.t) / 1000 : 0;
+      if (prev && dt > 0) {
+        const delta = (a, b) => (a != null && b != null && a >= b ? a - b : null);
+        const inDelta = delta(iface.inOctets, prev.inOctets);
+        const outDelta = delta(iface.outOctets, prev.outOctets);
+        iface.inBps = inDelta != null ? Math.round((inDelta * 8) / dt) : null;
+        iface.outBps = outDelta != null ? Math.round((outDelta * 8) / dt) : null;
+        iface.newInErrors = delta(iface.inErrors, prev.inErrors);
+        iface.newOutErrors = delta(iface.outErrors, prev.outErrors);
+        iface.sampleSeconds = Math.round(dt);
+      }
+      nextCache.ifaces[index] = {
+        inOctets: iface.inOctets, outOctets: iface.outOctets, inErrors: iface.inErrors, outErrors: iface.outErrors,
+      };
+      return iface;
+    }).sort((a, b) => a.index - b.index);
+    _snmpCounterCache[this.id] = nextCache;
+    return interfaces;
+  }
+
+  /**
+   * HOST-RESOURCES-MIB hrStorageTable: RAM, swap and filesystems with size/used in bytes.
+   */
+  async getStorage(session) {
+    const table = await this.table(session, SNMP_OIDS.hrStorageTable);
+    return Object.entries(table).map(([index, row]) => {
+      const unit = snmpNumber(row[4]) || 1;
+      const size = snmpNumber(row[5]);
+      const used = snmpNumber(row[6]);
+      return {
+        index: parseInt(index, 10),
+        type: HR_STORAGE_TYPES[String(row[2])] || 'other',
+        descr: snmpString(row[3]),
+        sizeBytes: size != null ? size * unit : null,
+        usedBytes: used != null ? used * unit : null,
+        usedPercent: size ? Math.round((used / size) * 1000) / 10 : null,
+      };
+    }).filter((s) => s.sizeBytes);
+  }
+
+  /**
+   * UPS-MIB (RFC 1628): battery status/charge/runtime, output source and load. Null when not a UPS.
+   */
+  async getUps(session) {
+    const v = await this.get(session, [
+      SNMP_OIDS.upsIdentManufacturer, SNMP_OIDS.upsIdentModel, SNMP_OIDS.upsBatteryStatus,
+      SNMP_OIDS.upsSecondsOnBattery, SNMP_OIDS.upsEstimatedMinutesRemaining, SNMP_OIDS.upsEstimatedChargeRemaining,
+      SNMP_OIDS.upsBatteryTemperature, SNMP_OIDS.upsInputLineBads, SNMP_OIDS.upsOutputSource,
+    ]);
+    if (v[SNMP_OIDS.upsBatteryStatus] == null && v[SNMP_OIDS.upsOutputSource] == null) return null;
+    const outputTable = await this.table(session, SNMP_OIDS.upsOutputTable).catch(() => ({}));
+    const loads = Object.values(outputTable).map((row) => snmpNumber(row[5])).filter((n) => n != null);
+    return {
+      manufacturer: snmpString(v[SNMP_OIDS.upsIdentManufacturer]),
+      model: snmpString(v[SNMP_OIDS.upsIdentModel]),
+      batteryStatus: UPS_BATTERY_STATUS[snmpNumber(v[SNMP_OIDS.upsBatteryStatus])] || 'unknown',
+      secondsOnBattery: snmpNumber(v[SNMP_OIDS.upsSecondsOnBattery]),
+      minutesRemaining: snmpNumber(v[SNMP_OIDS.upsEstimatedMinutesRemaining]),
+      chargePercent: snmpNumber(v[SNMP_OIDS.upsEstimatedChargeRemaining]),
+      batteryTemperatureC: snmpNumber(v[SNMP_OIDS.upsBatteryTemperature]),
+      inputLineBads: snmpNumber(v[SNMP_OIDS.upsInputLineBads]),
+      outputSource: UPS_OUTPUT_SOURCE[snmpNumber(v[SNMP_OIDS.upsOutputSource])] || 'unknown',
+      outputLoadPercent: loads.length > 0 ? Math.max(...loads) : null,
+    };
   }
 
-  async query(query) {
-    // Placeholder for Prometheus integration
-    throw new Error('Prometheus integration not yet implemented');
+  /**
+   * Poll the configured MIBs. The system group must answer (it is the reachability check);
+   * the other MIBs are optional and come back empty/null when the agent does not implement them.
+   */
+  async getAllData() {
+    return this.withSession(async (session) => {
+      const system = await this.getSystem(session);
+      const [interfaces, storage, ups] = await Promise.all([
+        this.mibs.includes('interfaces') ? this.getInterfaces(session).catch(() => []) : [],
+        this.mibs.includes('storage') ? this.getStorage(session).catch(() => []) : [],
+        this.mibs.includes('ups') ? this.getUps(session).catch(() => null) : null,
+      ]);
+      return { system, interfaces: interfaces.slice(0, 200), storage, ups, timestamp: new Date().toISOString() };
+    });
+  }
+
+  async testConnection() {
+    try {
+      const system = await this.withSession((session) => this.getSystem(session));
+      const uptime = system.uptimeSeconds != null ? `, up ${Math.floor(system.uptimeSeconds / 86400)}d ${Math.floor((system.uptimeSeconds % 86400) / 3600)}h` : '';
+      return {
+        success: true,
+        message: `Connected to ${system.name || this.host} (SNMP v${this.version})${uptime}.${system.descr ? ` ${system.descr.slice(0, 80)}` : ''}`,
+        system: 'SNMP',
+      };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
   }
 }
 
@@ -924,32 +1395,254 @@ class UniFiSiteManagerMonitor {
   }
 }
 
-// Simple in-memory cache for monitoring data (45-second TTL)
-// Prevents hammering UniFi/Site Manager APIs on every chat message
-let _monitoringCache = null;
-let _monitoringCacheAt = 0;
-const MONITORING_CACHE_TTL_MS = 45 * 1000;
+// Per-resource monitoring cache with stale-while-revalidate.
+// Each source/resource (e.g. one controller's device list, its WLANs, the Site Manager crawl) has its
+// own TTL: slow-changing config is fetched rarely, device/client lists often. Expired entries are
+// served immediately while a background refresh runs; only missing (or very old) entries block.
+const CACHE_TTL_DEFAULTS = {
+  devices: 30, // UniFi device + client lists (health metrics)
+  events: 30, // UniFi event log and recent connections
+  alarms: 60,
+  health: 60, // UniFi site health subsystems
+  intrusion: 120,
+  networks: 600,
+  wlans: 600,
+  portProfiles: 900,
+  portForwards: 600,
+  routes: 600,
+  siteManager: 300, // full Site Manager crawl
+  prometheus: 30,
+  snmp: 60,
+  sites: 600, // site list of "all sites" UniFi controllers
+};
+
+// Sites of an "all sites" controller fetched at the same time (each site is ~10 requests)
+const UNIFI_SITE_CONCURRENCY = 4;
+
+const _resourceCache = new Map(); // key → { source, id, name, resource, ttlMs, value, hasValue, fetchedAt, attemptAt, error, pending }
+const _unifiMonitors = new Map(); // controller key → UniFiMonitor (keeps the login session between refreshes)
+let _cacheGeneration = 0; // bumped when a background refresh finishes (or the cache is invalidated)
+let _snapshot = null;
+let _snapshotGeneration = -1;
+let _notifiedGeneration = -1;
+let _building = null;
+let _snapshotTimer = null;
+let _refresherTimer = null;
+
+// Listeners notified with each new snapshot (after any source changed, not on cache hits), e.g. state-change detection
+const _dataListeners = [];
+
+function getCacheConfig() {
+  const c = getMonitoringConfig().cache || {};
+  const ttlMs = {};
+  Object.entries(CACHE_TTL_DEFAULTS).forEach(([resource, seconds]) => {
+    ttlMs[resource] = Math.max(5, parseInt(c.ttlSeconds?.[resource], 10) || seconds) * 1000;
+  });
+  return {
+    ttlMs,
+    maxStaleMs: Math.max(60, parseInt(c.maxStaleSeconds, 10) || 900) * 1000,
+    refreshSeconds: Math.max(5, parseInt(c.refreshSeconds, 10) || 30),
+    backgroundRefresh: c.backgroundRefresh !== false,
+  };
+}
+
+function isDue(entry, now = Date.now()) {
+  return now - Math.max(entry.fetchedAt, entry.attemptAt) >= entry.ttlMs;
+}
+
+function refreshEntry(entry, fetchFn) {
+  if (entry.pending) return entry.pending;
+  entry.attemptAt = Date.now();
+  entry.pending = (async () => {
+    try {
+      const value = await fetchFn();
+      entry.value = value;
+      entry.hasValue = true;
+      entry.fetchedAt = Date.now();
+      entry.error = null;
+    } catch (err) {
+      entry.error = err.message || String(err);
+      entry.errorAt = new Date().toISOString();
+    } finally {
+      entry.pending = null;
+      recordMonitoringFetch({ source: entry.source, target: entry.id ?? entry.name, resource: entry.resource }, Date.now() - entry.attemptAt, !entry.error);
+    }
+  })();
+  return entry.pending;
+}
+
+/** Rebuild the snapshot shortly after background refreshes finish, so listeners see the new data. */
+function scheduleSnapshot() {
+  _cacheGeneration++;
+  if (_snapshotTimer) return;
+  _snapshotTimer = setTimeout(() => {
+    _snapshotTimer = null;
+    buildSnapshot().catch((err) => console.error('[Monitoring] Snapshot rebuild failed:', err.message));
+  }, 250);
+  _snapshotTimer.unref?.();
+}
+
+/**
+ * Get one cached resource. Fresh → cached value. Expired → cached value now, refresh in the background.
+ * Missing or older than maxStale → wait for the fetch. When the latest refresh failed, staleOnError
+ * keeps serving the last good value; otherwise the error is thrown (e.g. controller unreachable).
+ */
+async function cachedResource(meta, fetchFn, { staleOnError = true } = {}) {
+  const cacheCfg = getCacheConfig();
+  let entry = _resourceCache.get(meta.key);
+  if (!entry) {
+    entry = { value: undefined, hasValue: false, fetchedAt: 0, attemptAt: 0, error: null, errorAt: null, pending: null };
+    _resourceCache.set(meta.key, entry);
+  }
+  Object.assign(entry, { source: meta.source, id: meta.id, name: meta.name, resource: meta.resource });
+  entry.ttlMs = cacheCfg.ttlMs[meta.resource] || 60000;
+
+  const now = Date.now();
+  const tooOld = !entry.hasValue || now - entry.fetchedAt > Math.max(cacheCfg.maxStaleMs, entry.ttlMs);
+  if (isDue(entry, now) || entry.pending) {
+    const refresh = refreshEntry(entry, fetchFn);
+    if (tooOld) {
+      await refresh;
+    } else {
+      refresh.then(scheduleSnapshot);
+    }
+  }
+  if (entry.error && (!staleOnError || !entry.hasValue)) throw new Error(entry.error);
+  return entry.value;
+}
+
+function getUniFiMonitor(cfg) {
+  const key = `${cfg.id || cfg.baseUrl}:${cfg.site || 'default'}`;
+  const signature = JSON.stringify([cfg.baseUrl, cfg.apiKey, cfg.site, cfg.verifySSL]);
+  const existing = _unifiMonitors.get(key);
+  if (existing && existing.signature === signature) return existing.mon;
+  const mon = new UniFiMonitor(cfg);
+  _unifiMonitors.set(key, { signature, mon });
+  return mon;
+}
+
+/** Site list of an "all sites" controller (cached; keeps the last good list if the controller blips). */
+function getUniFiSites(cfg) {
+  return cachedResource(
+    { key: `unifi:${cfg.id || cfg.baseUrl}:sites`, source: 'unifi', id: cfg.id, name: cfg.name || cfg.baseUrl, resource: 'sites' },
+    () => getUniFiMonitor({ ...cfg, site: 'default' }).getSites()
+  );
+}
+
+/** Promise.all over items with at most `limit` calls of fn in flight; results keep the input order. */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
 /**
  * Invalidate the monitoring cache (call after config changes)
  */
 function invalidateMonitoringCache() {
-  _monitoringCache = null;
-  _monitoringCacheAt = 0;
+  _resourceCache.clear();
+  _unifiMonitors.clear();
+  _snapshot = null;
+  _cacheGeneration++;
 }
 
 /**
- * Get monitoring data from all configured sources
+ * Register fn(data) to be called with every new snapshot of monitoring data.
+ */
+function onMonitoringData(fn) {
+  if (typeof fn === 'function') _dataListeners.push(fn);
+}
+
+function notifyDataListeners(data) {
+  _dataListeners.forEach((fn) => {
+    try {
+      fn(data);
+    } catch (err) {
+      console.error('[Monitoring] Data listener failed:', err.message);
+    }
+  });
+}
+
+async function buildSnapshot() {
+  if (_building) return _building;
+  _building = (async () => {
+    // Background refreshes finishing while we build bump the generation again, so the next call rebuilds with them
+    const generation = _cacheGeneration;
+    const data = await _fetchMonitoringData();
+    _snapshot = data;
+    _snapshotGeneration = generation;
+    if (_snapshotGeneration !== _notifiedGeneration) {
+      _notifiedGeneration = _snapshotGeneration;
+      notifyDataListeners(data);
+    }
+    return data;
+  })().finally(() => {
+    _building = null;
+  });
+  return _building;
+}
+
+/**
+ * Get monitoring data from all configured sources (served from the per-resource cache)
  */
 async function getMonitoringData() {
   const now = Date.now();
-  if (_monitoringCache && (now - _monitoringCacheAt) < MONITORING_CACHE_TTL_MS) {
-    return _monitoringCache;
+  const anyDue = [..._resourceCache.values()].some((e) => !e.pending && isDue(e, now));
+  if (_snapshot && _snapshotGeneration === _cacheGeneration && !anyDue) {
+    return _snapshot;
+  }
+  return buildSnapshot();
+}
+
+/**
+ * Freshness of every cached resource, grouped by source:
+ * [{ source, id, name, resources: { devices: { fetchedAt, ageSeconds, ttlSeconds, stale, refreshing, error } } }]
+ */
+function getMonitoringFreshness() {
+  const now = Date.now();
+  const bySource = new Map();
+  _resourceCache.forEach((e) => {
+    const key = `${e.source}:${e.id ?? ''}`;
+    if (!bySource.has(key)) bySource.set(key, { source: e.source, id: e.id ?? null, name: e.name ?? null, resources: {} });
+    bySource.get(key).resources[e.resource] = {
+      fetchedAt: e.hasValue ? new Date(e.fetchedAt).toISOString() : null,
+      ageSeconds: e.hasValue ? Math.round((now - e.fetchedAt) / 1000) : null,
+      ttlSeconds: Math.round(e.ttlMs / 1000),
+      stale: !e.hasValue || now - e.fetchedAt >= e.ttlMs,
+      refreshing: !!e.pending,
+      error: e.error,
+      errorAt: e.error ? e.errorAt : null,
+    };
+  });
+  return [...bySource.values()];
+}
+
+/**
+ * Keep the cache warm: rebuild the snapshot every refreshSeconds so expired resources refresh
+ * in the background even when nobody is asking.
+ */
+function startMonitoringRefresher() {
+  stopMonitoringRefresher();
+  const cacheCfg = getCacheConfig();
+  if (!cacheCfg.backgroundRefresh) return;
+  _refresherTimer = setInterval(() => {
+    getMonitoringData().catch((err) => console.error('[Monitoring] Background refresh failed:', err.message));
+  }, cacheCfg.refreshSeconds * 1000);
+  _refresherTimer.unref?.();
+}
+
+function stopMonitoringRefresher() {
+  if (_refresherTimer) {
+    clearInterval(_refresherTimer);
+    _refresherTimer = null;
   }
-  const data = await _fetchMonitoringData();
-  _monitoringCache = data;
-  _monitoringCacheAt = Date.now();
-  return data;
 }
 
 async function _fetchMonitoringData() {
@@ -958,78 +1651,95 @@ async function _fetchMonitoringData() {
     unifi: { controllers: [], summary: null },
     siteManager: null,
     prometheus: null,
+    snmp: null,
     timestamp: new Date().toISOString(),
   };
 
-  // UniFi Network - multiple controllers
+  // UniFi Network - multiple controllers; "all sites" controllers expand into one entry per site
   const unifiControllers = monitoringConfig.unifi?.controllers || [];
   const enabledUnifi = unifiControllers.filter((c) => c.enabled);
   if (enabledUnifi.length > 0) {
-    const results = await Promise.all(
+    const emptySite = () => ({
+      recentConnectionEvents: [],
+      eventLog: [],
+      networks: [],
+      wlans: [],
+      alarms: [],
+      portProfiles: [],
+      siteHealth: {},
+      portForwards: [],
+      routes: [],
+      intrusionEvents: [],
+    });
+    const fetchSite = async (cfg, site) => {
+      const controllerName = cfg.name || cfg.baseUrl;
+      const name = cfg.allSites ? `${controllerName} / ${site.desc || site.name}` : controllerName;
+      const mon = getUniFiMonitor({ ...cfg, site: site.name });
+      const labels = { id: cfg.id, name, controllerName, site: site.name, siteName: site.desc || site.name };
+      const meta = (resource) => ({ key: `unifi:${cfg.id || cfg.baseUrl}:${site.name}:${resource}`, source: 'unifi', id: cfg.id, name, resource });
+      // Secondary resources fall back to their last good value (or empty) when a refresh fails
+      const optional = (resource, fetchFn, empty) => cachedResource(meta(resource), fetchFn).then((v) => v ?? empty).catch(() => empty);
+      try {
+        const [metrics, siteEvents, networks, wlans, alarms, portProfiles, siteHealth, portForwards, routes, intrusionEvents] = await Promise.all([
+          cachedResource(meta('devices'), () => mon.getHealthMetrics(), { staleOnError: false }),
+          optional('events', () => mon.getSiteEvents(80, 5), { eventLog: [], connectionEvents: [] }),
+          optional('networks', () => mon.getNetworks(), []),
+          optional('wlans', () => mon.getWlans(), []),
+          optional('alarms', () => mon.getAlarms(30), []),
+          optional('portProfiles', () => mon.getPortProfiles(), []),
+          optional('health', () => mon.getSiteHealth(), {}),
+          optional('portForwards', () => mon.getPortForwards(), []),
+          optional('routes', () => mon.getRouting(), []),
+          optional('intrusion', () => mon.getIntrusionEvents(50), []),
+        ]);
+        return {
+          ...labels,
+          success: true,
+          metrics,
+          recentConnectionEvents: Array.isArray(siteEvents?.connectionEvents) ? siteEvents.connectionEvents : [],
+          eventLog: Array.isArray(siteEvents?.eventLog) ? siteEvents.eventLog : [],
+          networks: Array.isArray(networks) ? networks : [],
+          wlans: Array.isArray(wlans) ? wlans : [],
+          alarms: Array.isArray(alarms) ? alarms : [],
+          portProfiles: Array.isArray(portProfiles) ? portProfiles : [],
+          siteHealth: siteHealth && typeof siteHealth === 'object' ? siteHealth : {},
+          portForwards: Array.isArray(portForwards) ? portForwards : [],
+          routes: Array.isArray(routes) ? routes : [],
+          intrusionEvents: (() => {
+            if (Array.isArray(intrusionEvents) && intrusionEvents.length > 0) return intrusionEvents;
+            // Fallback: filter the already-fetched event log for IPS/threat events.
+            // UniFi surfaces IPS alerts in stat/event with keys like EVT_IPS_IpsAlert/IpsBlock.
+            const log = Array.isArray(siteEvents?.eventLog) ? siteEvents.eventLog : [];
+            return log
+              .filter((e) => /EVT_IPS_|EVT_IDS_|EVT_TRA_Threat/i.test(e.key || e.event_type || ''))
+              .slice(0, 50);
+          })(),
+        };
+      } catch (err) {
+        return { ...labels, success: false, error: err.message, ...emptySite() };
+      }
+    };
+    const perController = await Promise.all(
       enabledUnifi.map(async (cfg) => {
+        if (!cfg.allSites) return [await fetchSite(cfg, { name: cfg.site || 'default' })];
+        let sites;
         try {
-          const mon = new UniFiMonitor(cfg);
-          const [metrics, siteEvents, networks, wlans, alarms, portProfiles, siteHealth, portForwards, routes, intrusionEvents] = await Promise.all([
-            mon.getHealthMetrics(),
-            mon.getSiteEvents(80, 5).catch(() => ({ eventLog: [], connectionEvents: [] })),
-            mon.getNetworks().catch(() => []),
-            mon.getWlans().catch(() => []),
-            mon.getAlarms(30).catch(() => []),
-            mon.getPortProfiles().catch(() => []),
-            mon.getSiteHealth().catch(() => ({})),
-            mon.getPortForwards().catch(() => []),
-            mon.getRouting().catch(() => []),
-            mon.getIntrusionEvents(50).catch(() => []),
-          ]);
-          return {
-            id: cfg.id,
-            name: cfg.name || cfg.baseUrl,
-            success: true,
-            metrics,
-            recentConnectionEvents: Array.isArray(siteEvents?.connectionEvents) ? siteEvents.connectionEvents : [],
-            eventLog: Array.isArray(siteEvents?.eventLog) ? siteEvents.eventLog : [],
-            networks: Array.isArray(networks) ? networks : [],
-            wlans: Array.isArray(wlans) ? wlans : [],
-            alarms: Array.isArray(alarms) ? alarms : [],
-            portProfiles: Array.isArray(portProfiles) ? portProfiles : [],
-            siteHealth: siteHealth && typeof siteHealth === 'object' ? siteHealth : {},
-            portForwards: Array.isArray(portForwards) ? portForwards : [],
-            routes: Array.isArray(routes) ? routes : [],
-            intrusionEvents: (() => {
-              if (Array.isArray(intrusionEvents) && intrusionEvents.length > 0) return intrusionEvents;
-              // Fallback: filter the already-fetched event log for IPS/threat events.
-              // UniFi surfaces IPS alerts in stat/event with keys like EVT_IPS_IpsAlert/IpsBlock.
-              const log = Array.isArray(siteEvents?.eventLog) ? siteEvents.eventLog : [];
-              return log
-                .filter((e) => /EVT_IPS_|EVT_IDS_|EVT_TRA_Threat/i.test(e.key || e.event_type || ''))
-                .slice(0, 50);
-            })(),
-          };
+          sites = await getUniFiSites(cfg);
         } catch (err) {
-          return {
-            id: cfg.id,
-            name: cfg.name || cfg.baseUrl,
-            success: false,
-            error: err.message,
-            recentConnectionEvents: [],
-            eventLog: [],
-            networks: [],
-            wlans: [],
-            alarms: [],
-            portProfiles: [],
-            siteHealth: {},
-            portForwards: [],
-            routes: [],
-            intrusionEvents: [],
-          };
+          const controllerName = cfg.name || cfg.baseUrl;
+          return [{ id: cfg.id, name: controllerName, controllerName, site: '*', siteName: 'all sites', success: false, error: `Could not list sites: ${err.message}`, ...emptySite() }];
         }
+        return mapWithConcurrency(sites, UNIFI_SITE_CONCURRENCY, (site) => fetchSite(cfg, site));
       })
     );
+    const results = perController.flat();
     data.unifi.controllers = results;
     const ok = results.filter((c) => c.success);
     if (ok.length > 0) {
+      const controllersOnline = perController.filter((sites) => sites.some((c) => c.success)).length;
       data.unifi.summary = {
-        controllers: { total: enabledUnifi.length, online: ok.length, offline: enabledUnifi.length - ok.length },
+        controllers: { total: enabledUnifi.length, online: controllersOnline, offline: enabledUnifi.length - controllersOnline },
+        sites: { total: results.length, online: ok.length, offline: results.length - ok.length },
         devices: {
           total: ok.reduce((s, c) => s + (c.metrics?.devices?.total || 0), 0),
           online: ok.reduce((s, c) => s + (c.metrics?.devices?.online || 0), 0),
@@ -1053,15 +1763,55 @@ async function _fetchMonitoringData() {
         baseUrl: sm.baseUrl || 'https://api.ui.com',
         verifySSL: sm.verifySSL !== false,
       });
-      const metrics = await mon.getAllCloudData();
+      const metrics = await cachedResource(
+        { key: 'siteManager', source: 'siteManager', name: 'UniFi Site Manager', resource: 'siteManager' },
+        () => mon.getAllCloudData(),
+        { staleOnError: false }
+      );
       data.siteManager = { success: true, metrics };
     } catch (err) {
       data.siteManager = { success: false, error: err.message };
     }
   }
 
-  if (monitoringConfig.prometheus?.enabled) {
-    // Placeholder
+  // Prometheus – configured named queries (instant and range)
+  const prom = monitoringConfig.prometheus;
+  if (prom?.enabled && prom?.baseUrl) {
+    try {
+      const mon = new PrometheusMonitor(prom);
+      const queries = await cachedResource(
+        { key: 'prometheus', source: 'prometheus', name: mon.baseUrl, resource: 'prometheus' },
+        () => mon.getNamedQueryResults(),
+        { staleOnError: false }
+      );
+      data.prometheus = { success: true, baseUrl: mon.baseUrl, queries };
+    } catch (err) {
+      data.prometheus = { success: false, error: err.message, queries: [] };
+    }
+  }
+
+  // SNMP – switches, UPSes, printers and servers not managed by UniFi
+  const snmpCfg = monitoringConfig.snmp;
+  const snmpTargets = (snmpCfg?.targets || []).filter((t) => t.enabled !== false && t.host);
+  if (snmpCfg?.enabled && snmpTargets.length > 0) {
+    const targets = await Promise.all(snmpTargets.map(async (t) => {
+      const base = { id: t.id || t.host, name: t.name || t.host, host: t.host, version: t.version === '3' ? '3' : '2c' };
+      try {
+        const mon = new SnmpMonitor(t, { timeoutMs: snmpCfg.timeoutMs, retries: snmpCfg.retries });
+        const result = await cachedResource(
+          { key: `snmp:${base.id}`, source: 'snmp', id: base.id, name: base.name, resource: 'snmp' },
+          () => mon.getAllData(),
+          { staleOnError: false }
+        );
+        return { ...base, success: true, ...result };
+      } catch (err) {
+        return { ...base, success: false, error: err.message };
+      }
+    }));
+    data.snmp = {
+      targets,
+      summary: { total: targets.length, reachable: targets.filter((t) => t.success).length },
+    };
   }
 
   return data;
@@ -1191,17 +1941,132 @@ function formatRawDeviceForContext(d) {
   return parts.join(' ').trim() || null;
 }
 
+/** Format Prometheus series labels as {job="x", instance="y"} (metric name first when present). */
+function formatPrometheusLabels(metric) {
+  if (!metric || typeof metric !== 'object') return '{}';
+  const { __name__: name, ...labels } = metric;
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${v}"`);
+  return `${name || ''}{${pairs.join(', ')}}`;
+}
+
+/** Format one Prometheus query result for context: instant value per series, or last/min/max/avg for ranges. */
+function formatPrometheusResult(q, maxSeries = 50) {
+  if (!q.success) return `  Error: ${q.error}\n`;
+  if (!Array.isArray(q.result) || q.result.length === 0) return '  (no data)\n';
+  if (q.resultType === 'scalar' || q.resultType === 'string') {
+    const v = Array.isArray(q.result[0]) ? q.result[0][1] : q.result[1];
+    return `  value: ${v}\n`;
+  }
+  let out = '';
+  q.result.slice(0, maxSeries).forEach((r) => {
+    const labels = formatPrometheusLabels(r.metric);
+    if (Array.isArray(r.values)) {
+      const nums = r.values.map((v) => Number(v[1])).filter((n) => Number.isFinite(n));
+      if (nums.length === 0) {
+        out += `  · ${labels}: no samples\n`;
+        return;
+      }
+      const round = (n) => Math.round(n * 1000) / 1000;
+      const avg = nums.reduce((a, b) => a + b, 0) / nums.length;
+      out += `  · ${labels}: last ${round(nums[nums.length - 1])} | min ${round(Math.min(...nums))} | max ${round(Math.max(...nums))} | avg ${round(avg)} (${nums.length} samples)\n`;
+    } else if (Array.isArray(r.value)) {
+      out += `  · ${labels}: ${r.value[1]}\n`;
+    }
+  });
+  if (q.result.length > maxSeries) out += `  … and ${q.result.length - maxSeries} more series\n`;
+  return out;
+}
+
+function formatBitsPerSecond(bps) {
+  if (bps == null) return '—';
+  if (bps >= 1e9) return `${(bps / 1e9).toFixed(2)} Gbps`;
+  if (bps >= 1e6) return `${(bps / 1e6).toFixed(1)} Mbps`;
+  if (bps >= 1e3) return `${(bps / 1e3).toFixed(0)} kbps`;
+  return `${bps} bps`;
+}
+
+function formatSnmpBytes(bytes) {
+  if (bytes == null) return '—';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  let n = bytes;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return `${n.toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+/** Format one SNMP target for context: system, interface problems/utilization, storage and UPS state. */
+function formatSnmpTarget(t) {
+  if (!t.success) return `- ${t.name} (${t.host}): unreachable — ${t.error}\n`;
+  const sys = t.system || {};
+  const uptime = sys.uptimeSeconds != null ? `${Math.floor(sys.uptimeSeconds / 86400)}d ${Math.floor((sys.uptimeSeconds % 86400) / 3600)}h` : '—';
+  let out = `- ${t.name} (${t.host}, sysName: ${sys.name || '—'}): uptime ${uptime}${sys.location ? `, location: ${sys.location}` : ''}\n`;
+  if (sys.descr) out += `  Description: ${sys.descr.slice(0, 160)}\n`;
+
+  const ifaces = t.interfaces || [];
+  if (ifaces.length > 0) {
+    const up = ifaces.filter((i) => i.operStatus === 'up').length;
+    out += `  Interfaces: ${ifaces.length} (${up} up)\n`;
+    const down = ifaces.filter((i) => i.adminStatus === 'up' && i.operStatus !== 'up');
+    if (down.length > 0) {
+      out += `  Enabled but not up: ${down.slice(0, 20).map((i) => `${i.name}${i.alias ? ` "${i.alias}"` : ''} (${i.operStatus})`).join(', ')}${down.length > 20 ? ` … +${down.length - 20}` : ''}\n`;
+    }
+    const withErrors = ifaces.filter((i) => (i.inErrors || 0) + (i.outErrors || 0) > 0);
+    if (withErrors.length > 0) {
+      out += '  Interface errors (total counters; "new" = since previous poll):\n';
+      withErrors.slice(0, 20).forEach((i) => {
+        const fresh = i.newInErrors != null ? ` | new in ${i.newInErrors}, out ${i.newOutErrors} in ${i.sampleSeconds}s` : '';
+        out += `    · ${i.name}: in ${i.inErrors ?? 0}, out ${i.outErrors ?? 0}, discards in ${i.inDiscards ?? 0}/out ${i.outDiscards ?? 0}${fresh}\n`;
+      });
+    }
+    const busy = ifaces
+      .filter((i) => i.operStatus === 'up' && (i.inBps != null || i.outBps != null))
+      .sort((a, b) => Math.max(b.inBps || 0, b.outBps || 0) - Math.max(a.inBps || 0, a.outBps || 0))
+      .slice(0, 10);
+    if (busy.length > 0) {
+      out += '  Busiest up interfaces:\n';
+      busy.forEach((i) => {
+        const pct = i.speedMbps ? ` (${Math.round((Math.max(i.inBps || 0, i.outBps || 0) / (i.speedMbps * 1e6)) * 100)}% of ${i.speedMbps} Mbps)` : '';
+        out += `    · ${i.name}${i.alias ? ` "${i.alias}"` : ''}: in ${formatBitsPerSecond(i.inBps)}, out ${formatBitsPerSecond(i.outBps)}${pct}\n`;
+      });
+    } else if (ifaces.some((i) => i.operStatus === 'up')) {
+      out += '  Interface rates: available from the next poll (counters need two readings).\n';
+    }
+  }
+
+  const storage = t.storage || [];
+  if (storage.length > 0) {
+    out += '  Storage:\n';
+    storage.slice(0, 15).forEach((st) => {
+      out += `    · ${st.descr} [${st.type}]: ${formatSnmpBytes(st.usedBytes)} / ${formatSnmpBytes(st.sizeBytes)} (${st.usedPercent ?? '—'}%)\n`;
+    });
+  }
+
+  if (t.ups) {
+    const u = t.ups;
+    out += `  UPS${u.model ? ` ${u.manufacturer || ''} ${u.model}`.trimEnd() : ''}: battery ${u.batteryStatus}, charge ${u.chargePercent ?? '—'}%, runtime ${u.minutesRemaining ?? '—'} min, output source ${u.outputSource}, load ${u.outputLoadPercent ?? '—'}%`;
+    if (u.secondsOnBattery) out += `, on battery for ${u.secondsOnBattery}s`;
+    if (u.batteryTemperatureC != null) out += `, battery ${u.batteryTemperatureC}°C`;
+    out += '\n';
+  }
+  return out;
+}
+
 /**
  * Get context for AI queries based on monitoring data.
  * If query contains an IPv4 address, appends IP lookup result (where that IP is connected).
  * If query asks for ping or traceroute, runs the command and appends output for the AI to interpret.
  * conversationHistory: optional array of { role: 'user'|'bot', message: string } to resolve "ping it" to a host from recent messages.
+ * options.diagnostics: false skips the regex-detected diagnostics and IP lookup (the LLM calls them as tools instead).
  */
-async function getMonitoringContext(query, conversationHistory = []) {
+async function getMonitoringContext(query, conversationHistory = [], options = {}) {
   const monitoringData = await getMonitoringData();
   let context = '';
+  const runDiagnostics = options.diagnostics !== false;
 
-  const msg = typeof query === 'string' ? query.trim() : '';
+  const msg = runDiagnostics && typeof query === 'string' ? query.trim() : '';
   const recentText = Array.isArray(conversationHistory)
     ? conversationHistory.slice(-6).map((m) => (m && m.message ? String(m.message) : '')).join(' ')
     : '';
@@ -1269,7 +2134,7 @@ async function getMonitoringContext(query, conversationHistory = []) {
     }
   }
 
-  const ipMatch = typeof query === 'string' && query.match(IPV4_REGEX);
+  const ipMatch = runDiagnostics && typeof query === 'string' && query.match(IPV4_REGEX);
   if (ipMatch) {
     const ip = ipMatch[0];
     try {
@@ -1278,7 +2143,7 @@ async function getMonitoringContext(query, conversationHistory = []) {
         const c = lookup.client;
         const to = lookup.connectedTo;
         context += `\n\nIP lookup for ${ip}:\n`;
-        context += `- Controller: ${lookup.controllerName} (site: ${lookup.site})\n`;
+        context += `- Controller: ${lookup.controllerName} (site: ${lookup.siteName || lookup.site})\n`;
         context += `- Client: ${c.hostname || '—'} | MAC ${c.mac || '—'} | ${c.is_wired ? 'Wired' : 'Wireless'}\n`;
         context += `- Connected to: ${to?.name || to?.mac || '—'}${to?.port != null ? ` (port ${to.port})` : ''}\n`;
       } else {
@@ -1292,7 +2157,10 @@ async function getMonitoringContext(query, conversationHistory = []) {
   // Add UniFi context if available
   if (monitoringData.unifi?.summary) {
     const summary = monitoringData.unifi.summary;
-    context += `\n\nUniFi Network Status (${summary.controllers.online}/${summary.controllers.total} controllers online):\n`;
+    const siteCount = summary.sites && summary.sites.total !== summary.controllers.total
+      ? `, ${summary.sites.online}/${summary.sites.total} sites`
+      : '';
+    context += `\n\nUniFi Network Status (${summary.controllers.online}/${summary.controllers.total} controllers online${siteCount}):\n`;
     context += `- Devices: ${summary.devices.online}/${summary.devices.total} online across all controllers\n`;
     context += `- Clients: ${summary.clients.total} total (${summary.clients.wireless} wireless, ${summary.clients.wired} wired)\n`;
     
@@ -1721,6 +2589,30 @@ async function getMonitoringContext(query, conversationHistory = []) {
     }
   }
 
+  if (monitoringData.prometheus?.success) {
+    const queries = monitoringData.prometheus.queries || [];
+    if (queries.length > 0) {
+      context += `\n\nPrometheus metrics (server metrics; use for CPU, memory, disk, uptime, target health and other questions these queries cover):\n`;
+      queries.forEach((q) => {
+        const window = q.type === 'range' ? ' [range]' : '';
+        context += `- ${q.name}${window} — \`${q.query}\`:\n`;
+        context += formatPrometheusResult(q);
+      });
+    } else {
+      context += `\n\nPrometheus configured; no named queries defined.\n`;
+    }
+  } else if (monitoringData.prometheus && !monitoringData.prometheus.success) {
+    context += `\n\nPrometheus: Error - ${monitoringData.prometheus.error}\n`;
+  }
+
+  if (monitoringData.snmp) {
+    const { targets, summary } = monitoringData.snmp;
+    context += `\n\nSNMP devices (non-UniFi switches, UPSes, printers, servers; ${summary.reachable}/${summary.total} reachable — use for interface status/errors/traffic, disk and memory use, UPS battery):\n`;
+    targets.forEach((t) => {
+      context += formatSnmpTarget(t);
+    });
+  }
+
   return context;
 }
 
@@ -1735,9 +2627,20 @@ async function lookupClientByIp(ip) {
   const controllers = (monitoringConfig.unifi?.controllers || []).filter((c) => c.enabled);
   if (controllers.length === 0) return { found: false, error: 'No UniFi Network controllers configured' };
 
+  // "All sites" controllers are searched site by site
+  const targets = [];
   for (const cfg of controllers) {
+    if (!cfg.allSites) {
+      targets.push({ cfg, site: { name: cfg.site || 'default', desc: cfg.site || 'default' } });
+      continue;
+    }
+    const sites = await getUniFiSites(cfg).catch(() => []);
+    sites.forEach((site) => targets.push({ cfg, site }));
+  }
+
+  for (const { cfg, site } of targets) {
     try {
-      const mon = new UniFiMonitor(cfg);
+      const mon = new UniFiMonitor({ ...cfg, site: site.name });
       const [clients, devices] = await Promise.all([
         mon.getClients().catch(() => []),
         mon.getDevices().catch(() => []),
@@ -1761,7 +2664,8 @@ async function lookupClientByIp(ip) {
         return {
           found: true,
           controllerName: cfg.name || cfg.baseUrl,
-          site: cfg.site || 'default',
+          site: site.name,
+          siteName: site.desc,
           client: {
             ip: client.ip || client.fixed_ip,
             mac: client.mac,
@@ -1809,6 +2713,53 @@ async function testUniFiSiteManagerConnection(config) {
   }
 }
 
+/**
+ * Test Prometheus connection
+ */
+async function testPrometheusConnection(config) {
+  try {
+    const prom = new PrometheusMonitor(config);
+    return await prom.testConnection();
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * An SNMP target from a test form with the community and v3 keys left '' or masked filled in from the saved target.
+ * Saved secrets only go to the saved host, port and version: null when the form would need them elsewhere.
+ */
+function withSavedSnmpSecrets(target, saved) {
+  if (!saved) return target;
+  const restored = { ...target, v3: { ...(target.v3 || {}) } };
+  let usesSaved = false;
+  if (!restored.community || restored.community === MASK) {
+    restored.community = saved.community || '';
+    usesSaved = usesSaved || !!saved.community;
+  }
+  ['authKey', 'privKey'].forEach((k) => {
+    if (!restored.v3[k] || restored.v3[k] === MASK) {
+      restored.v3[k] = saved.v3?.[k] || '';
+      usesSaved = usesSaved || !!saved.v3?.[k];
+    }
+  });
+  if (!usesSaved) return restored;
+  const endpoint = (t) => [parseInt(t.port, 10) || 161, String(t.version) === '3' ? '3' : '2c'].join('/');
+  return isSavedAddress(target.host, saved.host) && endpoint(target) === endpoint(saved) ? restored : null;
+}
+
+/**
+ * Test an SNMP target (reads the system group)
+ */
+async function testSnmpConnection(config) {
+  try {
+    const mon = new SnmpMonitor(config);
+    return await mon.testConnection();
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+}
+
 /**
  * Request an arbitrary path from the UniFi Site Manager (cloud) API.
  * Path should start with / (e.g. /api/list-alerts, /api/list-devices).
@@ -1843,9 +2794,18 @@ module.exports = {
   lookupClientByIp,
   testUniFiConnection,
   testUniFiSiteManagerConnection,
+  testPrometheusConnection,
+  testSnmpConnection,
+  withSavedSnmpSecrets,
   requestSiteManagerPath,
   invalidateMonitoringCache,
+  onMonitoringData,
+  getMonitoringFreshness,
+  startMonitoringRefresher,
+  stopMonitoringRefresher,
+  getUniFiMonitor,
   UniFiMonitor,
   UniFiSiteManagerMonitor,
   PrometheusMonitor,
+  SnmpMonitor,
 };
@@ -0,0 +1,180 @@
+// utils/notifications.js – Named notification channels and routing.
+// The configured webhook (config.webhook) and email recipient (email.to) are the built-in channels "webhook"
+// and "email"; notifications.channels adds more: { id, name, kind ('webhook'|'email'), enabled, type, url,
+// the type's credentials (see utils/webhook.js), to, minSeverity, isDefault }. Scheduled jobs pick their channels. Alerts and events go to the default channels,
+// unless a route in notifications.routes ({ id, name, enabled, controllerId, site, channels, alsoDefault })
+// matches their controller and site.
+
+const { getConfig } = require('./config');
+const { sendWebhook, testWebhook, webhookTargetProblems } = require('./webhook');
+const { sendEmail } = require('./email');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const CHANNEL_KINDS = ['webhook', 'email'];
+const BUILT_IN_IDS = ['webhook', 'email'];
+const OUTCOMES = ['sent', 'failed', 'suppressed', 'below_severity', 'not_configured'];
+
+const severityRank = (s) => Math.max(0, SEVERITIES.indexOf(s));
+
+/** The higher of two severities */
+const maxSeverity = (a, b) => (severityRank(b) > severityRank(a) ? b : a);
+
+/** All channels, built-in first: { id, name, kind, enabled, type?, url?, to?, minSeverity, isDefault, builtIn } */
+function getChannels() {
+  const config = getConfig();
+  const builtIn = [
+    {
+      ...config.webhook,
+      id: 'webhook',
+      name: 'Webhook',
+      kind: 'webhook',
+      enabled: config.webhook?.enabled === true,
+      type: config.webhook?.type || 'generic',
+      url: config.webhook?.url || '',
+      minSeverity: 'info',
+      isDefault: true,
+      builtIn: true,
+    },
+    {
+      id: 'email',
+      name: 'Email',
+      kind: 'email',
+      enabled: config.email?.enabled === true,
+      to: config.email?.to || '',
+      minSeverity: 'info',
+      isDefault: true,
+      builtIn: true,
+    },
+  ];
+  const extra = (config.notifications?.channels || []).map((c) => ({
+    ...c,
+    name: c.name || c.id,
+    enabled: c.enabled !== false,
+    minSeverity: SEVERITIES.includes(c.minSeverity) ? c.minSeverity : 'info',
+    isDefault: c.isDefault === true,
+    builtIn: false,
+  }));
+  return [...builtIn, ...extra];
+}
+
+/** Whether a channel can send: enabled, with what its webhook type needs (webhook) or SMTP and a recipient (email) */
+function isConfigured(channel, to) {
+  if (channel.enabled === false) return false;
+  if (channel.kind === 'email') {
+    const email = getConfig().email;
+    return !!(email?.enabled && email.smtp?.host?.trim() && to);
+  }
+  return webhookTargetProblems(channel).length === 0;
+}
+
+/** Enabled routes whose controller and site match the context ({ controllerId, site }) */
+function matchRoutes(context = {}) {
+  return (getConfig().notifications?.routes || []).filter((r) => r.enabled !== false
+    && (r.controllerId || r.site)
+    && (!r.controllerId || r.controllerId === context.controllerId)
+    && (!r.site || r.site === context.site));
+}
+
+/**
+ * Channels a notification goes to:
+ * - channelIds (a job's selection), when not empty;
+ * - else the channels of the routes matching context, plus the defaults when a route has alsoDefault;
+ * - else the default channels. defaults ({ webhook, email }) can leave out the built-in ones.
+ */
+function resolveChannels({ channelIds, context, defaults = {} } = {}) {
+  const all = getChannels();
+  const byId = new Map(all.map((c) => [c.id, c]));
+  const find = (id) => byId.get(id) || { id, name: id, kind: null, missing: true };
+  const defaultChannels = all.filter((c) => (c.builtIn ? defaults[c.id] !== false : c.isDefault));
+  if (Array.isArray(channelIds) && channelIds.length > 0) return [...new Set(channelIds)].map(find);
+
+  const routes = context ? matchRoutes(context) : [];
+  if (routes.length === 0) return defaultChannels;
+  const ids = new Set(routes.flatMap((r) => r.channels || []));
+  if (routes.some((r) => r.alsoDefault)) defaultChannels.forEach((c) => ids.add(c.id));
+  return [...ids].map(find);
+}
+
+async function deliver(channel, message, severity) {
+  const outcome = { channel: channel.id, name: channel.name, kind: channel.kind };
+  if (channel.missing) return { ...outcome, status: 'not_configured', error: 'Unknown channel' };
+  const to = channel.kind === 'email' ? ((channel.id === 'email' && message.emailTo) || channel.to || '').trim() : '';
+  if (to) outcome.to = to;
+  if (!isConfigured(channel, to)) return { ...outcome, status: 'not_configured' };
+  if (severityRank(severity) < Math.max(severityRank(channel.minSeverity), severityRank(message.minSeverity))) {
+    return { ...outcome, status: 'below_severity' };
+  }
+  if (message.quiet) return { ...outcome, status: 'suppressed' };
+  try {
+    const res = channel.kind === 'email'
+      ? await sendEmail({
+        to,
+        subject: message.email?.subject || `NetworkBot – ${message.title}`,
+        text: message.email?.text || message.text,
+        html: message.email?.html,
+      })
+      : await sendWebhook({
+        title: message.title,
+        text: message.text,
+        severity,
+        dedupKey: message.dedupKey,
+        action: message.action,
+      }, { ...channel, enabled: true });
+    return res?.success ? { ...outcome, status: 'sent' } : { ...outcome, status: 'failed', error: res?.error || 'Send failed.' };
+  } catch (err) {
+    return { ...outcome, status: 'failed', error: err.message };
+  }
+}
+
+/**
+ * Send a notification and return one outcome per channel:
+ * { channel (id), name, kind, status (see OUTCOMES), to?, error? }.
+ * @param {Object} message - { title, text, severity ('info'|'warning'|'critical', default info),
+ *   email? ({ subject, text, html } for email channels), channels? (ids; empty = routed or default channels),
+ *   context? ({ controllerId, site } for routing), defaults? ({ webhook, email }), minSeverity?, quiet?
+ *   (held back by quiet hours), emailTo? (recipient for the built-in email channel instead of email.to),
+ *   dedupKey? and action? ('trigger'|'resolve'; PagerDuty and Opsgenie resolve the alert with that key) }
+ */
+async function notify(message) {
+  const severity = SEVERITIES.includes(message.severity) ? message.severity : 'info';
+  const channels = resolveChannels({ channelIds: message.channels, context: message.context, defaults: message.defaults });
+  return Promise.all(channels.map((c) => deliver(c, message, severity)));
+}
+
+/** Send a test message to a channel as entered in the form ({ kind, type, url, the type's credentials, to }) */
+async function testChannel(channel = {}) {
+  if (!CHANNEL_KINDS.includes(channel.kind)) return { success: false, error: `kind must be one of: ${CHANNEL_KINDS.join(', ')}` };
+  const title = 'NetworkBot – Test notification';
+  const text = `This is a test notification for the channel "${channel.name || channel.kind}".\nTime: ${new Date().toISOString()}`;
+  if (channel.kind === 'email') {
+    if (!String(channel.to || '').trim()) return { success: false, error: 'No recipient (to) address.' };
+    return sendEmail({ to: channel.to, subject: title, text });
+  }
+  return testWebhook(channel, text);
+}
+
+/** Channels without their URLs and recipients, for pickers: { id, name, kind, minSeverity, isDefault, builtIn, configured } */
+function listChannels() {
+  return getChannels().map((c) => ({
+    id: c.id,
+    name: c.name,
+    kind: c.kind,
+    minSeverity: c.minSeverity,
+    isDefault: c.isDefault,
+    builtIn: c.builtIn,
+    configured: isConfigured(c, c.to),
+  }));
+}
+
+module.exports = {
+  SEVERITIES,
+  CHANNEL_KINDS,
+  BUILT_IN_IDS,
+  OUTCOMES,
+  maxSeverity,
+  getChannels,
+  listChannels,
+  resolveChannels,
+  notify,
+  testChannel,
+};
@@ -1,24 +1,58 @@
-// utils/scheduler.js – In-process scheduler with heartbeat (no cron).
-// Runs user-defined checks at intervals or once at a set time; sends notifications on request.
+// utils/scheduler.js – In-process scheduler with heartbeat.
+// Runs user-defined checks at intervals, on a cron expression or once at a set time; sends notifications on
+// request. Jobs can be limited to active windows (runs outside them are skipped) and have quiet hours
+// (the check runs, notifications are held back), both on the wall clock of the job's time zone.
+// Every run is kept in the run history (utils/jobRuns.js) with its full result and notification outcomes.
+// Each job runs at most once at a time (an overlapping run is skipped or queued, per job), at most
+// scheduler.maxConcurrentJobs jobs run together, and a run that times out or hits a transient LLM or
+// controller error is retried with exponential backoff.
+// Issues and failures that keep coming back are grouped into incidents (utils/incidents.js) and notified once.
 
 const fs = require('fs');
 const path = require('path');
 const { getConfig } = require('./config');
-const { sendEmail } = require('./email');
-const { sendWebhook } = require('./webhook');
+const notifications = require('./notifications');
+const incidents = require('./incidents');
+const alerts = require('./alerts');
+const { recordAudit } = require('./audit');
+const { recordJobRun, recordJobSkipped, recordJobRetry } = require('./metrics');
+const { recordRun, deleteRuns } = require('./jobRuns');
+const { scheduleError, parseCron, nextCronTime, defaultTimeZone, validateTimeZone, parseWindow, inWindow, inAnyWindow, nextWindowStart } = require('./cron');
 
 const SCHEDULES_FILE = path.join(__dirname, '..', 'schedules.json');
 const HEARTBEAT_INTERVAL_MS = 30 * 1000;   // 30 seconds
 const HEARTBEAT_STALE_MS = 2 * 60 * 1000;  // 2 minutes without tick = stale
 const DEFAULT_TICK_MS = 30 * 1000;         // check for due jobs every 30s
+const JOB_TYPES = ['recurring', 'cron', 'once'];
+const TIMING_FIELDS = ['type', 'intervalMinutes', 'runAt', 'cron', 'timezone', 'activeWindows'];
+const MAX_PREVIEW_RUNS = 20;
+const OVERLAP_MODES = ['skip', 'queue'];
+const MAX_RETRIES = 5;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+// Errors worth another try: timeouts, connection problems, rate limits and 5xx answers (matched on the
+// message too, as llm.js and monitoring.js rewrap axios errors)
+const TRANSIENT_ERROR_RE = /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH|socket hang up|timed? ?out|Cannot connect to|rate limit|overloaded|\b(429|50[0234])\b/i;
 
 let state = {
   jobs: [],
   lastHeartbeatAt: null,
   meta: { version: 1 },
 };
+let loaded = false;
 let tickTimer = null;
-let runRequestFn = null; // set by app: async (message) => responseText
+let runRequestFn = null; // set by app: async (message, { signal }) => responseText
+const running = new Map(); // job id → { startedAt, trigger, attempt } while a run is in progress
+const queue = []; // [{ jobId, queuedAt }] scheduled runs waiting for their job's lock or a free slot
+
+function getSchedulerConfig() {
+  const s = getConfig().scheduler || {};
+  return {
+    maxConcurrentJobs: Math.max(1, parseInt(s.maxConcurrentJobs, 10) || 2),
+    jobTimeoutSeconds: Math.max(10, parseInt(s.jobTimeoutSeconds, 10) || 600),
+    retries: Math.min(MAX_RETRIES, Math.max(0, parseInt(s.retries ?? 2, 10) || 0)),
+    retryBackoffSeconds: Math.max(1, parseInt(s.retryBackoffSeconds, 10) || 30),
+  };
+}
 
 function loadState() {
   try {
@@ -33,9 +67,18 @@ function loadState() {
     console.error('[Scheduler] Error loading schedules:', err.message);
     state.jobs = [];
   }
+  loaded = true;
   return state;
 }
 
+/**
+ * Load the jobs from disk once. Runs in progress write their results to the job objects in state.jobs,
+ * so reading the file again while they run would drop those results.
+ */
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
 function saveState() {
   try {
     const data = {
@@ -53,113 +96,385 @@ function generateId() {
   return `job_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
 }
 
+const jobTimeZone = (job) => job.timezone || defaultTimeZone();
+
+/**
+ * Validate the timing fields of a job and return them normalized:
+ * { type, intervalMinutes, runAt, cron, timezone, activeWindows, quietHours }.
+ * Throws an error with code SCHEDULE_INVALID.
+ */
+function normalizeTiming(job) {
+  const type = job.type || 'recurring';
+  if (!JOB_TYPES.includes(type)) throw scheduleError(`Type must be one of: ${JOB_TYPES.join(', ')}`);
+  if (type === 'once' && job.runAt && isNaN(Date.parse(job.runAt))) throw scheduleError('runAt must be an ISO 8601 date-time');
+  if (job.activeWindows != null && !Array.isArray(job.activeWindows)) throw scheduleError('activeWindows must be a list');
+  const timing = {
+    type,
+    intervalMinutes: type === 'recurring' ? Math.max(1, parseInt(job.intervalMinutes, 10) || 5) : null,
+    runAt: type === 'once' && job.runAt ? job.runAt : null,
+    cron: type === 'cron' ? parseCron(job.cron).expression : null,
+    timezone: validateTimeZone(job.timezone || defaultTimeZone()),
+    activeWindows: (job.activeWindows || []).map((w, i) => parseWindow(w, `Active window ${i + 1}`)),
+    quietHours: job.quietHours ? parseWindow(job.quietHours, 'Quiet hours') : null,
+  };
+  if (type !== 'once' && !computeNextRun(timing)) throw scheduleError('This schedule never runs inside its active windows');
+  return timing;
+}
+
+/**
+ * Validate how a job runs and return it normalized: { overlap ('skip'|'queue'), timeoutSeconds, retries }.
+ * timeoutSeconds and retries are null to use the scheduler defaults. Throws an error with code SCHEDULE_INVALID.
+ */
+function normalizeExecution(job) {
+  const overlap = job.overlap || 'skip';
+  if (!OVERLAP_MODES.includes(overlap)) throw scheduleError(`overlap must be one of: ${OVERLAP_MODES.join(', ')}`);
+  const optionalInt = (value, name, min, max) => {
+    if (value == null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) throw scheduleError(`${name} must be a whole number from ${min} to ${max}`);
+    return n;
+  };
+  return {
+    overlap,
+    timeoutSeconds: optionalInt(job.timeoutSeconds, 'timeoutSeconds', 10, 86400),
+    retries: optionalInt(job.retries, 'retries', 0, MAX_RETRIES),
+  };
+}
+
+/**
+ * Validate where a job notifies and return it normalized: { channels (channel ids; empty = the default channels),
+ * minSeverity ('info'|'warning'|'critical') }. Unknown ids are refused unless checkChannels is false (a channel
+ * removed from the config later is reported as not_configured in the run instead). Throws an error with code SCHEDULE_INVALID.
+ */
+function normalizeNotifications(job, checkChannels = true) {
+  if (job.channels != null && !Array.isArray(job.channels)) throw scheduleError('channels must be a list of channel ids');
+  const channels = [...new Set((job.channels || []).map((c) => String(c).trim()).filter(Boolean))];
+  if (checkChannels) {
+    const known = new Set(notifications.getChannels().map((c) => c.id));
+    const unknown = channels.filter((c) => !known.has(c));
+    if (unknown.length) throw scheduleError(`Unknown notification channel: ${unknown.join(', ')}`);
+  }
+  const minSeverity = job.minSeverity || 'info';
+  if (!notifications.SEVERITIES.includes(minSeverity)) {
+    throw scheduleError(`minSeverity must be one of: ${notifications.SEVERITIES.join(', ')}`);
+  }
+  return { channels, minSeverity };
+}
+
+/**
+ * Validate the alert rules a job watches and return { ruleIds } (empty = the built-in checks, see
+ * alerts.evaluateForJob). Unknown ids are refused unless checkRules is false. Throws an error with code SCHEDULE_INVALID.
+ */
+function normalizeRuleIds(job, checkRules = true) {
+  if (job.ruleIds != null && !Array.isArray(job.ruleIds)) throw scheduleError('ruleIds must be a list of alert rule ids');
+  const ruleIds = [...new Set((job.ruleIds || []).map((r) => String(r).trim()).filter(Boolean))];
+  if (checkRules) {
+    const known = new Set(alerts.getRules().map((r) => r.id));
+    const unknown = ruleIds.filter((r) => !known.has(r));
+    if (unknown.length) throw scheduleError(`Unknown alert rule: ${unknown.join(', ')}`);
+  }
+  return { ruleIds };
+}
+
+/**
+ * Next run after `from` as an ISO string (null when there is none). Recurring jobs run intervalMinutes
+ * later, moved to the start of the next active window when that falls outside them.
+ */
+function computeNextRun(job, from = Date.now()) {
+  const fromMs = new Date(from).getTime();
+  const windows = job.activeWindows || [];
+  const tz = jobTimeZone(job);
+  let next = null;
+  if (job.type === 'once') return job.runAt || null;
+  if (job.type === 'cron' && job.cron) {
+    next = nextCronTime(job.cron, fromMs, tz, windows.length ? (d) => inAnyWindow(windows, d, tz) : null);
+  } else if (job.type === 'recurring' && job.intervalMinutes) {
+    next = new Date(fromMs + job.intervalMinutes * 60 * 1000);
+    if (windows.length) next = nextWindowStart(windows, next, tz);
+  }
+  return next ? next.toISOString() : null;
+}
+
+/** The next `count` run times of a job (ISO strings) */
+function getUpcomingRuns(job, count = 5, from = Date.now()) {
+  if (job.type === 'once') return job.runAt ? [new Date(job.runAt).toISOString()] : [];
+  const runs = [];
+  let t = new Date(from).getTime();
+  while (runs.length < Math.min(count, MAX_PREVIEW_RUNS)) {
+    const next = computeNextRun(job, t);
+    if (!next) break;
+    runs.push(next);
+    t = new Date(next).getTime();
+  }
+  return runs;
+}
+
+/**
+ * Preview the timing of a job that is being added or edited: { type, timezone, nextRuns }.
+ * Throws an error with code SCHEDULE_INVALID.
+ */
+function previewJob(input = {}, count = 5) {
+  const timing = normalizeTiming(input);
+  return { type: timing.type, timezone: timing.timezone, nextRuns: getUpcomingRuns(timing, parseInt(count, 10) || 5) };
+}
+
+/** Whether notifications of the job are held back right now */
+function inQuietHours(job, date = new Date()) {
+  return !!job.quietHours && inWindow(job.quietHours, date, jobTimeZone(job));
+}
+
+/** Whether an error is worth retrying (see TRANSIENT_ERROR_RE) */
+function isTransientError(err) {
+  if (err?.code === 'JOB_TIMEOUT') return true;
+  const status = err?.status || err?.response?.status;
+  if (status === 429 || status >= 500) return true;
+  return TRANSIENT_ERROR_RE.test(`${err?.code || ''} ${err?.message || ''}`);
+}
+
+/**
+ * Run fn(signal) and reject with code JOB_TIMEOUT after ms. The signal is aborted then, so the LLM request is
+ * cancelled instead of left running next to the retry.
+ */
+function withTimeout(fn, ms) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${Math.round(ms / 1000)}s`);
+      err.code = 'JOB_TIMEOUT';
+      controller.abort(err);
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([fn(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
- * Check if AI response suggests issues are present (errors, warnings, down, etc.).
- * Only matches positive indications of problems, not phrases like "no errors" or "no issues found".
+ * Check for issues (jobs that notify on issues, see alerts.evaluateForJob) and run the request, each try within the job's
+ * timeout. Transient errors are retried after retryBackoffSeconds, doubling per try; run.attempts counts them.
  */
-function responseIndicatesIssues(text) {
-  if (!text || typeof text !== 'string') return false;
-  const lower = text.toLowerCase();
-
-  // Phrases that strongly indicate issues are present (not "no errors" / "all clear")
-  const positiveIssuePhrases = [
-    'errors found', 'error found', 'error in ', 'error:', 'errors in ', 'errors:',
-    'warnings found', 'warning found', 'warning in ', 'warning:', 'warnings in ', 'warnings:',
-    'issues found', 'issue found', 'issues detected', 'issue detected', 'issues:',
-    'problems found', 'problem found', 'problems detected', 'problem detected',
-    'is down', 'are down', 'went down', 'device down', 'devices down',
-    'offline', 'are offline', 'is offline', 'went offline',
-    'unreachable', 'not reachable',
-    'failure', 'failed to', 'failed:', 'failures',
-    'not responding', 'not responding.',
-    'critical error', 'critical warning', 'critical issue',
-    'alert triggered', 'alerts triggered', 'alert:', 'alerts:',
-  ];
-
-  for (const phrase of positiveIssuePhrases) {
-    if (lower.includes(phrase)) return true;
+async function attemptJob(job, run, addDashboardLog) {
+  const cfg = getSchedulerConfig();
+  const retries = job.retries ?? cfg.retries;
+  const timeoutMs = (job.timeoutSeconds || cfg.jobTimeoutSeconds) * 1000;
+  for (let attempt = 1; ; attempt++) {
+    run.attempts = attempt;
+    if (running.has(job.id)) running.get(job.id).attempt = attempt;
+    try {
+      return await withTimeout(async (signal) => {
+        // "Issues" are decided by the job's alert rules (or the built-in checks) on the monitoring data, not by
+        // reading the AI's answer; evaluate first so the firing alerts are also in the AI's context for its explanation.
+        const firing = job.notify === 'on_issues' ? await alerts.evaluateForJob(job.ruleIds || []) : [];
+        const responseText = await runRequestFn(job.request, { signal });
+        return { firing, responseText };
+      }, timeoutMs);
+    } catch (err) {
+      if (attempt > retries || !isTransientError(err)) throw err;
+      const delayMs = Math.min(MAX_BACKOFF_MS, cfg.retryBackoffSeconds * 1000 * 2 ** (attempt - 1));
+      job.lastRetryAt = new Date().toISOString();
+      recordJobRetry(job.name || job.id);
+      console.warn(`[Scheduler] Job ${job.id} try ${attempt} failed (${err.message}); retrying in ${delayMs / 1000}s`);
+      if (addDashboardLog) {
+        addDashboardLog('warning', 'scheduler', `Retrying ${job.name || job.id} in ${Math.round(delayMs / 1000)}s (try ${attempt + 1} of ${retries + 1})`, err.message);
+      }
+      await sleep(delayMs);
+    }
   }
+}
+
+/**
+ * Record what a run found as incidents (jobs that notify; issues only for on_issues jobs): a firing rule is
+ * "job:<id>|rule:<rule id>|<entity key>" per affected entity, a failed run "job:<id>|failure". Adds { id, fingerprint, action } to run.incidents.
+ * Returns { notify (a new incident or one whose snooze ran out), resolved ([incident] to send a resolved note for) }.
+ * Without incidents (incidents.enabled false) every run notifies as before.
+ */
+function trackIncidents(job, run, { firing = [], error = null } = {}) {
+  const notify = job.notify || 'never';
+  if (notify === 'never' || !incidents.getIncidentsConfig().enabled) return { notify: true, resolved: [] };
+  const prefix = `job:${job.id}|`;
+  const label = (job.name || job.request || 'Scheduled check').slice(0, 80);
+  const note = ({ incident }, action) => run.incidents.push({ id: incident.id, fingerprint: incident.fingerprint, action });
+  const seen = [];
+  const resolved = [];
 
-  return false;
+  if (error) {
+    seen.push(incidents.observe({
+      fingerprint: `${prefix}failure`,
+      source: 'scheduler',
+      sourceId: job.id,
+      sourceName: label,
+      entity: 'failure',
+      title: `Scheduled check failing: ${label}`,
+      severity: 'warning',
+      description: error,
+    }));
+  } else {
+    const failure = incidents.resolve(`${prefix}failure`, 'The check ran again');
+    if (failure) resolved.push(failure);
+    if (notify === 'on_issues') {
+      // One incident per affected entity, so e.g. a second access point going offline is reported
+      firing.forEach(({ rule, status }) => (status.entities?.length ? status.entities : [{ key: 'all', label: rule.name }])
+        .forEach((entity) => seen.push(incidents.observe({
+          fingerprint: `${prefix}rule:${rule.id}|${entity.key}`,
+          source: 'scheduler',
+          sourceId: job.id,
+          sourceName: label,
+          entity: `${rule.name}: ${entity.label}`,
+          title: `${rule.name}: ${entity.label} (${label})`,
+          severity: rule.severity,
+          description: status.description,
+        }))));
+      resolved.push(...incidents.resolveMissing(`${prefix}rule:`, seen.map((s) => s.incident.fingerprint)));
+    }
+  }
+  seen.forEach((s) => note(s, s.action));
+  resolved.forEach((r) => note(r, 'resolved'));
+  return {
+    notify: seen.some((s) => s.notify),
+    // Jobs that notify every run already report the recovery in that run's message
+    resolved: notify === 'on_issues' ? resolved.filter((r) => r.notify).map((r) => r.incident) : [],
+  };
 }
 
 /**
  * Run a single job: get context, run AI request, optionally send notification.
+ * trigger is 'schedule' or 'manual' (run now); every run is added to the job's run history.
  */
-async function runJob(job, addDashboardLog) {
+async function runJob(job, addDashboardLog, trigger = 'schedule') {
   if (!runRequestFn) {
     console.error('[Scheduler] runRequest not configured; cannot run job:', job.id);
     if (addDashboardLog) addDashboardLog('error', 'scheduler', 'Scheduler runRequest not configured', job.name);
     return;
   }
   const now = new Date().toISOString();
+  const started = Date.now();
+  const notify = job.notify || 'never';
+  const quiet = inQuietHours(job);
+  const run = { jobId: job.id, jobName: job.name || '', trigger, startedAt: now, attempts: 1, result: null, error: null, issues: null, notifications: [], incidents: [] };
+  // Sent to the job's channels (none chosen: the default ones); notifyEmail replaces email.to on the built-in email channel
+  const send = async (message) => {
+    const outcomes = await notifications.notify({
+      ...message,
+      channels: job.channels,
+      minSeverity: job.minSeverity,
+      quiet,
+      emailTo: job.notifyEmail?.trim(),
+    });
+    run.notifications.push(...outcomes);
+    outcomes.filter((o) => o.status === 'failed').forEach((o) => console.error(`[Scheduler] Notification to ${o.name} failed:`, o.error));
+  };
+  const finish = (status) => {
+    recordRun({ ...run, status, finishedAt: new Date().toISOString(), durationMs: Date.now() - started });
+  };
   try {
-    const responseText = await runRequestFn(job.request);
+    const { firing: allFiring, responseText } = await attemptJob(job, run, addDashboardLog);
+    if (notify === 'on_issues') {
+      run.issues = allFiring.map(({ rule, status, notifiedByAlerts }) => ({
+        rule: rule.name,
+        severity: rule.severity,
+        description: status.description,
+        ...(notifiedByAlerts ? { notifiedByAlerts: true } : {}),
+      }));
+    }
+    // Rules that notify on their own are listed but neither notified again nor tracked as the job's incidents
+    const firing = allFiring.filter((f) => !f.notifiedByAlerts);
+
+    run.result = responseText || '';
     job.lastRunAt = now;
+    job.lastAttempts = run.attempts;
     job.lastResult = responseText ? responseText.slice(0, 2000) : '';
     job.lastError = null;
 
-    const notify = job.notify || 'never';
-    const shouldNotifyAlways = notify === 'always';
-    const shouldNotifyOnIssues = notify === 'on_issues' && responseIndicatesIssues(responseText);
-    const to = job.notifyEmail?.trim() || getConfig().email?.to?.trim();
+    // Issues already reported by an open incident are not sent again
+    const tracked = trackIncidents(job, run, { firing });
+    const wantsNotification = notify === 'always' || (notify === 'on_issues' && firing.length > 0 && tracked.notify);
+    if (quiet && wantsNotification && addDashboardLog) {
+      addDashboardLog('info', 'scheduler', `Quiet hours: no notification for ${job.name || job.id}`);
+    }
+    const alertSummary = allFiring.length > 0
+      ? `Firing alerts:\n${allFiring.map(({ rule, status, notifiedByAlerts }) => `- [${rule.severity}] ${rule.name}: ${status.description}${notifiedByAlerts ? ' (notified by its alert rule)' : ''}`).join('\n')}\n\n`
+      : '';
 
-    if ((shouldNotifyAlways || shouldNotifyOnIssues) && to) {
-      const subject = shouldNotifyOnIssues
-        ? `NetworkBot – Issues detected: ${(job.name || job.request || 'Scheduled check').slice(0, 50)}`
-        : `NetworkBot – Scheduled check: ${(job.name || job.request || 'Check').slice(0, 50)}`;
+    if (wantsNotification) {
+      const issues = firing.length > 0;
       const preview = responseText ? responseText.slice(0, 1500) : 'No response.';
-      await sendEmail({
-        to,
-        subject,
-        text: `Scheduled check ran at ${now}\n\nRequest: ${job.request}\n\nResult:\n${preview}`,
-        html: `<p>Scheduled check ran at <code>${now}</code></p><p><b>Request:</b> ${escapeHtml(job.request)}</p><pre>${escapeHtml(preview)}</pre>`,
+      await send({
+        // A plain run is info; with issues, the most severe firing rule decides
+        severity: firing.reduce((s, { rule }) => notifications.maxSeverity(s, rule.severity), 'info'),
+        ...(issues ? { dedupKey: `job:${job.id}|issues` } : {}),
+        title: issues
+          ? `Issues detected: ${(job.name || job.request || 'Scheduled check').slice(0, 80)}`
+          : `Scheduled check: ${(job.name || job.request || 'Check').slice(0, 80)}`,
+        text: `Ran at: ${now}\nRequest: ${job.request}\n\n${alertSummary}${(responseText || 'No response.').slice(0, 3000)}`,
+        email: {
+          subject: issues
+            ? `NetworkBot – Issues detected: ${(job.name || job.request || 'Scheduled check').slice(0, 50)}`
+            : `NetworkBot – Scheduled check: ${(job.name || job.request || 'Check').slice(0, 50)}`,
+          text: `Scheduled check ran at ${now}\n\nRequest: ${job.request}\n\n${alertSummary}Result:\n${preview}`,
+          html: `<p>Scheduled check ran at <code>${now}</code></p><p><b>Request:</b> ${escapeHtml(job.request)}</p>${alertSummary ? `<pre>${escapeHtml(alertSummary)}</pre>` : ''}<pre>${escapeHtml(preview)}</pre>`,
+        },
       });
     }
-
-    // Webhook notification (uses same notify conditions as email)
-    if (shouldNotifyAlways || shouldNotifyOnIssues) {
-      const whTitle = shouldNotifyOnIssues
-        ? `Issues detected: ${(job.name || job.request || 'Scheduled check').slice(0, 80)}`
-        : `Scheduled check: ${(job.name || job.request || 'Check').slice(0, 80)}`;
-      const whText = `Ran at: ${now}\nRequest: ${job.request}\n\n${(responseText || 'No response.').slice(0, 3000)}`;
-      sendWebhook({ title: whTitle, text: whText }).catch((e) =>
-        console.error('[Scheduler] Webhook notification failed:', e.message)
-      );
+    // The failure and the issues were sent with different dedup keys, so each is resolved on its own.
+    // Issues that still fire keep the alert open and only update it.
+    const resolvedGroups = [
+      { incidents: tracked.resolved.filter((i) => i.entity === 'failure'), dedupKey: `job:${job.id}|failure`, action: 'resolve' },
+      { incidents: tracked.resolved.filter((i) => i.entity !== 'failure'), dedupKey: `job:${job.id}|issues`, action: firing.length > 0 ? 'trigger' : 'resolve' },
+    ].filter((g) => g.incidents.length > 0);
+    for (const group of resolvedGroups) {
+      const lines = group.incidents.map((i) => `- ${i.entity === 'failure' ? 'The check runs again' : i.entity} (open since ${i.openedAt}, seen ${i.occurrences}×)`);
+      await send({
+        // Sent at the incidents' severity, so it reaches the channels that got the problem
+        severity: group.incidents.reduce((s, i) => notifications.maxSeverity(s, i.severity), 'info'),
+        dedupKey: group.dedupKey,
+        action: group.action,
+        title: `Resolved: ${(job.name || job.request || 'Scheduled check').slice(0, 80)}`,
+        text: `Resolved at: ${now}\nRequest: ${job.request}\n\n${lines.join('\n')}`,
+        email: {
+          subject: `NetworkBot – Resolved: ${(job.name || job.request || 'Scheduled check').slice(0, 50)}`,
+          text: `Scheduled check ran at ${now}\n\nRequest: ${job.request}\n\nResolved:\n${lines.join('\n')}`,
+        },
+      });
     }
 
-    if (job.type === 'recurring' && job.intervalMinutes > 0) {
-      const next = new Date(Date.now() + job.intervalMinutes * 60 * 1000);
-      job.nextRunAt = next.toISOString();
+    if (job.type === 'recurring' || job.type === 'cron') {
+      job.nextRunAt = computeNextRun(job);
     } else if (job.type === 'once') {
       job.enabled = false;
       job.nextRunAt = null;
     }
     saveState();
+    recordJobRun(job.name || job.id, Date.now() - started, true);
+    finish('success');
     if (addDashboardLog) addDashboardLog('info', 'scheduler', `Job ran: ${job.name || job.id}`, job.request?.slice(0, 80));
   } catch (err) {
     job.lastRunAt = now;
     job.lastError = err.message || String(err);
     job.lastResult = null;
+    job.lastAttempts = run.attempts;
+    run.error = job.lastError;
     saveState();
+    recordJobRun(job.name || job.id, Date.now() - started, false);
     console.error('[Scheduler] Job failed:', job.id, err.message);
     if (addDashboardLog) addDashboardLog('error', 'scheduler', `Job failed: ${job.name || job.id}`, err.message);
 
-    const notify = job.notify || 'never';
-    const to = job.notifyEmail?.trim() || getConfig().email?.to?.trim();
-    if ((notify === 'on_issues' || notify === 'always') && to) {
-      await sendEmail({
-        to,
-        subject: `NetworkBot – Scheduled check failed: ${(job.name || job.request || 'Check').slice(0, 50)}`,
-        text: `Scheduled check failed at ${now}\n\nRequest: ${job.request}\n\nError: ${job.lastError}`,
-      }).catch((e) => console.error('[Scheduler] Failed to send error email:', e.message));
-    }
-    if (notify === 'on_issues' || notify === 'always') {
-      sendWebhook({
+    // A failure that keeps repeating is one incident and is sent once
+    const tracked = trackIncidents(job, run, { error: job.lastError });
+    if ((notify === 'on_issues' || notify === 'always') && tracked.notify) {
+      await send({
+        severity: 'warning',
+        dedupKey: `job:${job.id}|failure`,
         title: `Scheduled check FAILED: ${(job.name || job.request || 'Check').slice(0, 80)}`,
         text: `Failed at: ${now}\nRequest: ${job.request}\n\nError: ${job.lastError}`,
-      }).catch((e) => console.error('[Scheduler] Webhook error notification failed:', e.message));
+        email: {
+          subject: `NetworkBot – Scheduled check failed: ${(job.name || job.request || 'Check').slice(0, 50)}`,
+          text: `Scheduled check failed at ${now}\n\nRequest: ${job.request}\n\nError: ${job.lastError}`,
+        },
+      });
     }
+    finish('failure');
   }
 }
 
@@ -172,22 +487,108 @@ function escapeHtml(s) {
     .replace(/"/g, '&quot;');
 }
 
+const isQueued = (id) => queue.some((e) => e.jobId === id);
+
+/** Run state of a job for the list: { runState: 'running'|'queued'|'idle', runningSince?, attempt?, queuedAt? } */
+function getRunState(id) {
+  const r = running.get(id);
+  if (r) return { runState: 'running', runningSince: r.startedAt, attempt: r.attempt };
+  const q = queue.find((e) => e.jobId === id);
+  if (q) return { runState: 'queued', queuedAt: q.queuedAt };
+  return { runState: 'idle' };
+}
+
+/** Take the job's lock and run it; the lock is released and the queue drained when it finishes */
+function startRun(job, trigger, addDashboardLog) {
+  running.set(job.id, { startedAt: new Date().toISOString(), trigger, attempt: 1 });
+  return runJob(job, addDashboardLog, trigger).finally(() => {
+    running.delete(job.id);
+    drainQueue(addDashboardLog);
+  });
+}
+
+function runScheduled(job, addDashboardLog) {
+  startRun(job, 'schedule', addDashboardLog)
+    .then(() => recordAudit({
+      actor: 'scheduler',
+      source: 'scheduler',
+      action: 'schedule.run',
+      target: job.name || job.id,
+      result: job.lastError ? 'failure' : 'success',
+      detail: job.lastError || undefined,
+    }))
+    .catch((err) => {
+      console.error('[Scheduler] runJob error:', err);
+    });
+}
+
+/** Start queued runs, oldest first, whose job is free while there are slots */
+function drainQueue(addDashboardLog) {
+  const { maxConcurrentJobs } = getSchedulerConfig();
+  for (let i = 0; i < queue.length && running.size < maxConcurrentJobs;) {
+    const job = getJob(queue[i].jobId);
+    if (job && running.has(job.id)) {
+      i++;
+      continue;
+    }
+    queue.splice(i, 1);
+    if (job && job.enabled) runScheduled(job, addDashboardLog);
+  }
+}
+
+/** Record a scheduled run that did not start because the job's previous run was still going */
+function skipRun(job, reason, addDashboardLog) {
+  const now = new Date().toISOString();
+  job.lastSkippedAt = now;
+  job.skippedRuns = (job.skippedRuns || 0) + 1;
+  saveState();
+  recordRun({ jobId: job.id, jobName: job.name || '', trigger: 'schedule', startedAt: now, finishedAt: now, durationMs: 0, status: 'skipped', error: reason });
+  recordJobSkipped(job.name || job.id);
+  if (addDashboardLog) addDashboardLog('warning', 'scheduler', `Run skipped: ${job.name || job.id}`, reason);
+}
+
 function tick(addDashboardLog) {
   const now = Date.now();
   state.lastHeartbeatAt = new Date(now).toISOString();
   saveState();
 
   const due = state.jobs.filter((j) => {
-    if (!j.enabled) return false;
+    if (!j.enabled || isQueued(j.id)) return false;
+    if (j.type === 'once' && running.has(j.id)) return false;
     if (j.type === 'once') return j.runAt && new Date(j.runAt).getTime() <= now;
     if (j.type === 'recurring') return !j.nextRunAt || new Date(j.nextRunAt).getTime() <= now;
+    if (j.type === 'cron') return !!j.nextRunAt && new Date(j.nextRunAt).getTime() <= now;
     return false;
   });
 
   due.forEach((job) => {
-    runJob(job, addDashboardLog).catch((err) => {
-      console.error('[Scheduler] runJob error:', err);
-    });
+    // Came due outside its active windows (windows edited, or NetworkBot was down): skip to the next one
+    if (job.type !== 'once' && !inAnyWindow(job.activeWindows, now, jobTimeZone(job))) {
+      job.nextRunAt = job.type === 'recurring'
+        ? nextWindowStart(job.activeWindows, now, jobTimeZone(job))?.toISOString() || null
+        : computeNextRun(job, now);
+      saveState();
+      return;
+    }
+    // The next run counts from now, whether this one starts, waits or is skipped (runJob moves it again when done)
+    if (job.type !== 'once') {
+      job.nextRunAt = computeNextRun(job, now);
+      saveState();
+    }
+    if (running.has(job.id)) {
+      if (job.overlap === 'queue') {
+        queue.push({ jobId: job.id, queuedAt: new Date(now).toISOString() });
+        if (addDashboardLog) addDashboardLog('info', 'scheduler', `Run queued: ${job.name || job.id}`, 'The previous run is still going');
+      } else {
+        skipRun(job, 'The previous run was still going', addDashboardLog);
+      }
+      return;
+    }
+    if (running.size >= getSchedulerConfig().maxConcurrentJobs) {
+      queue.push({ jobId: job.id, queuedAt: new Date(now).toISOString() });
+      return;
+    }
+    runScheduled(job, addDashboardLog);
   });
 }
 
@@ -198,40 +599,52 @@ function getHeartbeat() {
     lastHeartbeatAt: state.lastHeartbeatAt,
     status: stale ? 'stale' : 'ok',
     tickIntervalMs: HEARTBEAT_INTERVAL_MS,
+    running: running.size,
+    queued: queue.length,
+    maxConcurrentJobs: getSchedulerConfig().maxConcurrentJobs,
   };
 }
 
 function getSchedules() {
-  loadState();
+  ensureLoaded();
   return state.jobs;
 }
 
 function getJob(id) {
+  ensureLoaded();
   return state.jobs.find((j) => j.id === id) || null;
 }
 
+/**
+ * Add a job. Timing fields: type ('recurring', 'cron' or 'once'), intervalMinutes, cron, runAt, timezone
+ * (IANA name, default the server's), activeWindows and quietHours ([{ start: 'HH:MM', end: 'HH:MM', days }]).
+ * overlap ('skip' or 'queue'), timeoutSeconds and retries decide how it runs (see normalizeExecution);
+ * channels and minSeverity where its notifications go (see normalizeNotifications); ruleIds the alert rules
+ * that count as its issues (see normalizeRuleIds).
+ * Throws an error with code SCHEDULE_INVALID when they are invalid.
+ */
 function addJob(job) {
-  loadState();
+  ensureLoaded();
   const id = job.id || generateId();
-  const nextRunAt = job.type === 'once' && job.runAt
-    ? job.runAt
-    : job.type === 'recurring' && job.intervalMinutes
-      ? new Date(Date.now() + job.intervalMinutes * 60 * 1000).toISOString()
-      : null;
+  const timing = normalizeTiming(job);
   const newJob = {
     id,
     name: job.name || '',
     request: job.request || '',
-    type: job.type || 'recurring',
-    intervalMinutes: job.type === 'recurring' ? Math.max(1, parseInt(job.intervalMinutes, 10) || 5) : null,
-    runAt: job.type === 'once' && job.runAt ? job.runAt : null,
+    ...timing,
+    ...normalizeExecution(job),
     notify: job.notify || 'never',
     notifyEmail: job.notifyEmail || '',
+    ...normalizeNotifications(job),
+    ...normalizeRuleIds(job),
     enabled: job.enabled !== false,
     lastRunAt: null,
     lastError: null,
     lastResult: null,
-    nextRunAt,
+    lastAttempts: null,
+    lastSkippedAt: null,
+    skippedRuns: 0,
+    nextRunAt: computeNextRun(timing),
     createdAt: new Date().toISOString(),
   };
   state.jobs.push(newJob);
@@ -240,40 +653,52 @@ function addJob(job) {
 }
 
 function updateJob(id, updates) {
-  loadState();
+  ensureLoaded();
   const idx = state.jobs.findIndex((j) => j.id === id);
   if (idx === -1) return null;
   const current = state.jobs[idx];
   const next = { ...current, ...updates };
-  if (next.type === 'recurring' && next.intervalMinutes != null) {
-    next.intervalMinutes = Math.max(1, parseInt(next.intervalMinutes, 10) || 5);
-  }
+  Object.assign(
+    next,
+    normalizeTiming(next),
+    normalizeExecution(next),
+    normalizeNotifications(next, 'channels' in updates),
+    normalizeRuleIds(next, 'ruleIds' in updates),
+  );
+  const timingChanged = TIMING_FIELDS.some((k) => k in updates && JSON.stringify(next[k] ?? null) !== JSON.stringify(current[k] ?? null));
   if (next.type === 'once' && next.runAt) {
     next.nextRunAt = next.runAt;
-  } else if (next.type === 'recurring' && next.intervalMinutes && !next.nextRunAt) {
-    next.nextRunAt = new Date(Date.now() + next.intervalMinutes * 60 * 1000).toISOString();
+  } else if (timingChanged || !next.nextRunAt) {
+    next.nextRunAt = computeNextRun(next);
   }
-  state.jobs[idx] = next;
+  // Updated in place: a run in progress keeps writing its result to this object
+  Object.assign(current, next);
   saveState();
-  return next;
+  return current;
 }
 
 function deleteJob(id) {
-  loadState();
+  ensureLoaded();
   const idx = state.jobs.findIndex((j) => j.id === id);
   if (idx === -1) return false;
   state.jobs.splice(idx, 1);
   saveState();
+  deleteRuns(id);
+  incidents.closeForSource('scheduler', id, 'Job deleted');
+  const queued = queue.findIndex((e) => e.jobId === id);
+  if (queued !== -1) queue.splice(queued, 1);
   return true;
 }
 
 /**
- * Run a job once immediately (does not change nextRunAt for recurring jobs).
+ * Run a job once immediately (does not change nextRunAt for recurring jobs). It starts even when
+ * maxConcurrentJobs are running, but not while the job itself is (code JOB_RUNNING).
  */
 async function runJobNow(id, addDashboardLog) {
   const job = getJob(id);
   if (!job) return { success: false, error: 'Job not found' };
-  await runJob(job, addDashboardLog);
+  if (running.has(id)) return { success: false, code: 'JOB_RUNNING', error: 'The job is already running' };
+  await startRun(job, 'manual', addDashboardLog);
   return { success: true, lastRunAt: job.lastRunAt, lastError: job.lastError };
 }
 
@@ -290,7 +715,7 @@ function startScheduler(options = {}) {
   tick(addDashboardLog);
   tickTimer = setInterval(() => tick(addDashboardLog), options.tickIntervalMs || DEFAULT_TICK_MS);
   console.log('[Scheduler] Started (heartbeat every ' + (options.tickIntervalMs || DEFAULT_TICK_MS) / 1000 + 's)');
-  return { getHeartbeat, getSchedules, getJob, addJob, updateJob, deleteJob, runJobNow };
+  return { getHeartbeat, getSchedules, getJob, getRunState, addJob, updateJob, deleteJob, runJobNow, previewJob };
 }
 
 function stopScheduler() {
@@ -298,6 +723,7 @@ function stopScheduler() {
     clearInterval(tickTimer);
     tickTimer = null;
   }
+  queue.length = 0;
   runRequestFn = null;
 }
 
@@ -307,12 +733,14 @@ module.exports = {
   getHeartbeat,
   getSchedules,
   getJob,
+  getRunState,
   addJob,
   updateJob,
   deleteJob,
   runJobNow,
+  previewJob,
+  getUpcomingRuns,
   startScheduler,
   stopScheduler,
   SCHEDULES_FILE,
-  responseIndicatesIssues,
 };
@@ -0,0 +1,288 @@
+// utils/secrets.js – Secret config fields (API keys, passwords, SNMP communities): AES-256-GCM encryption
+// for config.json, masking for API responses, and restoring masked values sent back by the browser.
+// The key comes from NETWORKBOT_SECRET_KEY, or the file at NETWORKBOT_SECRET_KEY_FILE (default secret.key,
+// created on first use). Encrypted values look like enc:v1:<key id>:<iv>:<tag>:<ciphertext>.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_KEY_FILE = path.join(__dirname, '..', 'secret.key');
+const ENC_PREFIX = 'enc:v1:';
+const MASK = '***hidden***';
+
+/** Secret fields; "[]" walks an array (items are matched by id when restoring masked values) */
+const SECRET_PATHS = [
+  'llm.openai.apiKey',
+  'monitoring.unifi.controllers[].apiKey',
+  'monitoring.siteManager.apiKey',
+  'monitoring.prometheus.basicAuth.password',
+  'monitoring.snmp.targets[].community',
+  'monitoring.snmp.targets[].v3.authKey',
+  'monitoring.snmp.targets[].v3.privKey',
+  'email.smtp.auth.pass',
+  'webhook.telegram.botToken',
+  'webhook.gotify.appToken',
+  'webhook.pushover.appToken',
+  'webhook.pushover.userKey',
+  'webhook.pagerduty.routingKey',
+  'webhook.opsgenie.apiKey',
+  'notifications.channels[].telegram.botToken',
+  'notifications.channels[].gotify.appToken',
+  'notifications.channels[].pushover.appToken',
+  'notifications.channels[].pushover.userKey',
+  'notifications.channels[].pagerduty.routingKey',
+  'notifications.channels[].opsgenie.apiKey',
+  'web.auth.password',
+  'backup.passphrase',
+  'metrics.token',
+];
+
+let keyOverride = null; // set after a rotation while the new key is not yet in the environment
+
+function getKeyFile() {
+  return process.env.NETWORKBOT_SECRET_KEY_FILE || DEFAULT_KEY_FILE;
+}
+
+/** 64 hex chars or base64 of 32 bytes are used as-is; anything else is treated as a passphrase */
+function parseKey(material) {
+  const s = String(material).trim();
+  if (/^[0-9a-f]{64}$/i.test(s)) return Buffer.from(s, 'hex');
+  const b64 = Buffer.from(s, 'base64');
+  if (b64.length === 32 && /^[A-Za-z0-9+/_-]{43}=?$/.test(s)) return b64;
+  return crypto.createHash('sha256').update(s).digest();
+}
+
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+
+function writeKeyFile(file, key) {
+  fs.writeFileSync(file, `${key.toString('base64')}\n`, { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Where the key comes from: { source: 'env'|'file', file?, key, id }.
+ * create: true writes a new key file when there is none (only needed to encrypt).
+ */
+function getKeyInfo({ create = false } = {}) {
+  if (keyOverride) return keyOverride;
+  if (process.env.NETWORKBOT_SECRET_KEY) {
+    const key = parseKey(process.env.NETWORKBOT_SECRET_KEY);
+    return { source: 'env', key, id: keyId(key) };
+  }
+  const file = getKeyFile();
+  if (fs.existsSync(file)) {
+    const key = parseKey(fs.readFileSync(file, 'utf8'));
+    return { source: 'file', file, key, id: keyId(key) };
+  }
+  if (!create) return null;
+  const key = crypto.randomBytes(32);
+  writeKeyFile(file, key);
+  console.log(`🔑 Created secret key file ${file} – keep it with config.json (and out of git)`);
+  return { source: 'file', file, key, id: keyId(key) };
+}
+
+const isEncrypted = (v) => typeof v === 'string' && v.startsWith(ENC_PREFIX);
+
+function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${ENC_PREFIX}${keyId(key)}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function decryptValue(value, key) {
+  const [kid, iv, tag, ciphertext] = value.slice(ENC_PREFIX.length).split(':');
+  if (kid !== keyId(key)) throw new Error(`encrypted with key ${kid}, current key is ${keyId(key)}`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Call fn(value, pathLabel) for every non-empty secret in obj and store what it returns.
+ * Works in place; callers pass a copy.
+ */
+function mapSecrets(obj, fn) {
+  const walk = (node, parts, label) => {
+    if (!node || typeof node !== 'object') return;
+    const [head, ...rest] = parts;
+    if (head.endsWith('[]')) {
+      const arr = node[head.slice(0, -2)];
+      if (Array.isArray(arr)) arr.forEach((item, i) => walk(item, rest, `${label}${head.slice(0, -2)}[${item?.id ?? i}].`));
+      return;
+    }
+    if (rest.length === 0) {
+      if (typeof node[head] === 'string' && node[head] !== '') node[head] = fn(node[head], `${label}${head}`);
+      return;
+    }
+    walk(node[head], rest, `${label}${head}.`);
+  };
+  SECRET_PATHS.forEach((p) => walk(obj, p.split('.'), ''));
+  return obj;
+}
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+/** Copy of config with secrets encrypted (already-encrypted values, e.g. ones we could not decrypt, are kept) */
+function encryptSecrets(config) {
+  let info = null;
+  return mapSecrets(clone(config), (v) => {
+    if (isEncrypted(v) || v === MASK) return v;
+    info = info || getKeyInfo({ create: true });
+    return encryptValue(v, info.key);
+  });
+}
+
+/**
+ * Copy of config with secrets decrypted. Values that cannot be decrypted (wrong or missing key) stay
+ * encrypted, so saving the config again does not lose them; they are listed in errors.
+ * Returns { config, errors, plaintext } (plaintext = secrets that were not encrypted yet).
+ */
+function decryptSecrets(config) {
+  const errors = [];
+  let plaintext = 0;
+  const info = getKeyInfo();
+  const result = mapSecrets(clone(config), (v, label) => {
+    if (!isEncrypted(v)) {
+      if (v !== MASK) plaintext++;
+      return v;
+    }
+    if (!info) {
+      errors.push(`${label}: no secret key (set NETWORKBOT_SECRET_KEY or restore ${getKeyFile()})`);
+      return v;
+    }
+    try {
+      return decryptValue(v, info.key);
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`);
+      return v;
+    }
+  });
+  return { config: result, errors, plaintext };
+}
+
+/** Copy of config for API responses: every secret replaced by ***hidden*** */
+function maskSecrets(config) {
+  return mapSecrets(clone(config), () => MASK);
+}
+
+/**
+ * In a config update from the browser, put back secrets it sent as '' or ***hidden*** (array items by id).
+ * Works in place on updates.
+ */
+function restoreMaskedSecrets(updates, current) {
+  const walk = (node, existing, parts) => {
+    if (!node || typeof node !== 'object' || !existing || typeof existing !== 'object') return;
+    const [head, ...rest] = parts;
+    if (head.endsWith('[]')) {
+      const key = head.slice(0, -2);
+      if (!Array.isArray(node[key]) || !Array.isArray(existing[key])) return;
+      node[key].forEach((item) => walk(item, existing[key].find((e) => e && item && e.id === item.id), rest));
+      return;
+    }
+    if (rest.length === 0) {
+      if ((node[head] === '' || node[head] === MASK) && existing[head]) node[head] = existing[head];
+      return;
+    }
+    walk(node[head], existing[head], rest);
+  };
+  SECRET_PATHS.forEach((p) => walk(updates, current, p.split('.')));
+  return updates;
+}
+
+/**
+ * Whether a connection test may fall back to the saved secret: only while the form still points at the
+ * saved address, so a saved secret is never sent to a url typed into the form.
+ */
+function isSavedAddress(url, savedUrl) {
+  const normalize = (u) => String(u || '').trim().replace(/\/+$/, '');
+  return normalize(url) === normalize(savedUrl);
+}
+
+/** Copy of config with every secret emptied (backups without secrets) */
+function stripSecrets(config) {
+  return mapSecrets(clone(config), () => '');
+}
+
+const passphraseKey = (passphrase, salt) => crypto.scryptSync(String(passphrase), Buffer.from(salt, 'base64'), 32);
+
+/**
+ * Copy of a decrypted config with secrets encrypted by a passphrase instead of the instance key, so it can
+ * be restored on another host. Returns { config, salt }.
+ */
+function encryptSecretsWithPassphrase(config, passphrase) {
+  if (!passphrase || String(passphrase).length < 8) throw new Error('Passphrase must be at least 8 characters');
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = passphraseKey(passphrase, salt);
+  return { config: mapSecrets(clone(config), (v) => encryptValue(v, key)), salt };
+}
+
+/** Reverse of encryptSecretsWithPassphrase; throws when the passphrase is wrong */
+function decryptSecretsWithPassphrase(config, passphrase, salt) {
+  if (!passphrase) throw new Error('This backup has encrypted secrets: a passphrase is required');
+  const key = passphraseKey(passphrase, salt);
+  return mapSecrets(clone(config), (v) => {
+    if (!isEncrypted(v)) return v;
+    try {
+      return decryptValue(v, key);
+    } catch (err) {
+      throw new Error('Wrong passphrase for this backup');
+    }
+  });
+}
+
+/**
+ * Re-encrypt a config file's secrets with a new key. newKey (optional) is key material; otherwise a
+ * random key is generated. With a key file, the new key replaces it; with NETWORKBOT_SECRET_KEY, the
+ * new key is returned and must be put in the environment before the next restart.
+ * Refuses when any secret cannot be decrypted with the current key. Returns { source, file?, id, newKey?, count }.
+ */
+function rotateKey(configFile, { newKey } = {}) {
+  const raw = fs.existsSync(configFile) ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : {};
+  const { config, errors } = decryptSecrets(raw);
+  if (errors.length) throw new Error(`Cannot rotate: ${errors.join('; ')}`);
+  const current = getKeyInfo({ create: true });
+  const key = newKey ? parseKey(newKey) : crypto.randomBytes(32);
+  if (keyId(key) === current.id) throw new Error('The new key is the same as the current key');
+
+  let count = 0;
+  const reencrypted = mapSecrets(clone(config), (v) => {
+    count++;
+    return encryptValue(v, key);
+  });
+  const next = { source: current.source, file: current.file, key, id: keyId(key) };
+  if (current.source === 'file') {
+    // New key next to the old one first, so a crash part-way leaves a key that matches the config
+    writeKeyFile(`${current.file}.new`, key);
+    fs.writeFileSync(`${configFile}.tmp`, JSON.stringify(reencrypted, null, 2), 'utf8');
+    fs.renameSync(`${configFile}.tmp`, configFile);
+    fs.renameSync(`${current.file}.new`, current.file);
+  } else {
+    fs.writeFileSync(`${configFile}.tmp`, JSON.stringify(reencrypted, null, 2), 'utf8');
+    fs.renameSync(`${configFile}.tmp`, configFile);
+    keyOverride = next;
+  }
+  return {
+    source: current.source,
+    file: current.file,
+    id: next.id,
+    previousId: current.id,
+    newKey: current.source === 'env' ? key.toString('base64') : undefined,
+    count,
+  };
+}
+
+module.exports = {
+  MASK,
+  SECRET_PATHS,
+  getKeyInfo,
+  encryptSecrets,
+  decryptSecrets,
+  maskSecrets,
+  restoreMaskedSecrets,
+  isSavedAddress,
+  rotateKey,
+  stripSecrets,
+  encryptSecretsWithPassphrase,
+  decryptSecretsWithPassphrase,
+};
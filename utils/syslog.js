@@ -0,0 +1,420 @@
+// utils/syslog.js – Built-in syslog receiver (RFC 3164 and RFC 5424 over UDP and TCP).
+// Keeps a bounded in-memory buffer of recent messages, tags each one with extractLogPatterns()
+// and gives recent error/warning lines per host to the AI.
+
+const dgram = require('dgram');
+const net = require('net');
+const { getConfig } = require('./config');
+const { extractLogPatterns } = require('./logAnalyzer');
+
+const MAX_MESSAGE_LENGTH = 4096;
+const MAX_TCP_BUFFER = 64 * 1024;
+const MAX_TCP_CONNECTIONS = 100;
+const MAX_HOSTS = 1000;
+
+const FACILITIES = [
+  'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news', 'uucp', 'cron', 'authpriv', 'ftp',
+  'ntp', 'security', 'console', 'solaris-cron', 'local0', 'local1', 'local2', 'local3', 'local4', 'local5', 'local6', 'local7',
+];
+const SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+let messages = [];
+// Keyed by the hostname the sender claims, so a Map (no prototype keys); least recently seen first
+let hosts = new Map();
+let udpServer = null;
+let tcpServer = null;
+let tcpSockets = new Set();
+let listening = { udp: false, tcp: false, port: null, error: null };
+let addDashboardLog = () => {};
+
+function getSyslogConfig() {
+  const s = getConfig().syslog || {};
+  const port = parseInt(s.port, 10);
+  return {
+    enabled: s.enabled === true,
+    port: port > 0 && port < 65536 ? port : 5514,
+    bindAddress: s.bindAddress || '0.0.0.0',
+    udp: s.udp !== false,
+    tcp: s.tcp !== false,
+    maxMessages: Math.max(100, parseInt(s.maxMessages, 10) || 5000),
+    allowedHosts: Array.isArray(s.allowedHosts) ? s.allowedHosts.filter(Boolean) : [],
+    contextMinutes: Math.max(5, parseInt(s.contextMinutes, 10) || 60),
+    contextLinesPerHost: Math.max(1, parseInt(s.contextLinesPerHost, 10) || 5),
+  };
+}
+
+const nil = (v) => (v === '-' || v === '' || v == null ? null : v);
+
+/** Split RFC 5424 STRUCTURED-DATA ("-" or one or more [id k="v" ...] elements) from the message. */
+function splitStructuredData(rest) {
+  if (rest.startsWith('-')) return { sd: null, msg: rest.slice(1).replace(/^ /, '') };
+  if (!rest.startsWith('[')) return { sd: null, msg: rest };
+  let i = 0;
+  while (rest[i] === '[') {
+    i++;
+    let inQuote = false;
+    while (i < rest.length) {
+      const ch = rest[i];
+      if (ch === '\\' && inQuote) { i += 2; continue; }
+      if (ch === '"') inQuote = !inQuote;
+      else if (ch === ']' && !inQuote) break;
+      i++;
+    }
+    i++;
+  }
+  return { sd: rest.slice(0, i), msg: rest.slice(i).replace(/^ /, '') };
+}
+
+/** RFC 3164 timestamps carry no year; pick the year that puts the time closest to now. */
+function parseBsdTimestamp(month, day, time) {
+  const now = new Date();
+  const m = MONTHS.indexOf(month);
+  const [hh, mm, ss] = time.split(':').map((n) => parseInt(n, 10));
+  let d = new Date(now.getFullYear(), m, parseInt(day, 10), hh, mm, ss);
+  if (d.getTime() - now.getTime() > 7 * 86400000) d = new Date(now.getFullYear() - 1, m, parseInt(day, 10), hh, mm, ss);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Parse one syslog line (RFC 5424 or RFC 3164, lenient about missing fields as many embedded
+ * devices send). remoteAddress is used when the message carries no hostname.
+ */
+function parseSyslogMessage(raw, remoteAddress = null) {
+  const line = String(raw).replace(/[\r\n\0]+$/, '').slice(0, MAX_MESSAGE_LENGTH);
+  const result = {
+    time: null,
+    receivedAt: new Date().toISOString(),
+    facility: null,
+    severity: null,
+    host: null,
+    app: null,
+    procId: null,
+    msgId: null,
+    structuredData: null,
+    message: line,
+    format: 'unknown',
+    source: remoteAddress,
+  };
+
+  let rest = line;
+  const priMatch = rest.match(/^<(\d{1,3})>/);
+  if (priMatch) {
+    const pri = parseInt(priMatch[1], 10);
+    if (pri <= 191) {
+      result.facility = FACILITIES[pri >> 3] || String(pri >> 3);
+      result.severity = pri & 7;
+    }
+    rest = rest.slice(priMatch[0].length);
+  }
+
+  const rfc5424 = rest.match(/^(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ?(.*)$/s);
+  if (priMatch && rfc5424) {
+    const { sd, msg } = splitStructuredData(rfc5424[7] || '');
+    const ts = nil(rfc5424[2]);
+    result.format = 'rfc5424';
+    result.time = ts && !isNaN(new Date(ts).getTime()) ? new Date(ts).toISOString() : null;
+    result.host = nil(rfc5424[3]);
+    result.app = nil(rfc5424[4]);
+    result.procId = nil(rfc5424[5]);
+    result.msgId = nil(rfc5424[6]);
+    result.structuredData = sd;
+    result.message = msg.replace(/^\uFEFF/, '');
+  } else {
+    // RFC 3164: "Mmm dd hh:mm:ss HOST TAG[pid]: MSG" (some devices send an ISO timestamp or no host)
+    const bsd = rest.match(/^([A-Z][a-z]{2}) +(\d{1,2}) (\d{2}:\d{2}:\d{2}) (.*)$/s);
+    const iso = !bsd && rest.match(/^(\d{4}-\d{2}-\d{2}T\S+) (.*)$/s);
+    if (bsd) {
+      result.time = parseBsdTimestamp(bsd[1], bsd[2], bsd[3]);
+      rest = bsd[4];
+    } else if (iso) {
+      result.time = isNaN(new Date(iso[1]).getTime()) ? null : new Date(iso[1]).toISOString();
+      rest = iso[2];
+    }
+    if (priMatch || bsd || iso) result.format = 'rfc3164';
+    if (bsd || iso) {
+      // The token after the timestamp is the host unless it already looks like a tag ("dnsmasq[12]:")
+      const hostMatch = rest.match(/^([^\s:[\]]+) (.*)$/s);
+      if (hostMatch && !/:$/.test(hostMatch[1])) {
+        result.host = hostMatch[1];
+        rest = hostMatch[2];
+      }
+    }
+    const tagMatch = rest.match(/^([\w.\-/]{1,48})(?:\[(\w+)\])?: ?(.*)$/s);
+    if (tagMatch) {
+      result.app = tagMatch[1];
+      result.procId = tagMatch[2] || null;
+      rest = tagMatch[3];
+    }
+    result.message = rest;
+  }
+
+  if (!result.host) result.host = remoteAddress;
+  if (!result.time) result.time = result.receivedAt;
+  return result;
+}
+
+/**
+ * Tag a parsed message with a level (error / warning / info) from its syslog severity and
+ * the error/warning patterns in its text, plus the IPs and URLs it mentions.
+ */
+function classifyMessage(entry) {
+  const patterns = extractLogPatterns(entry.message || '');
+  let level = 'info';
+  if ((entry.severity != null && entry.severity <= 3) || patterns.errors.length > 0) level = 'error';
+  else if ((entry.severity != null && entry.severity === 4) || patterns.warnings.length > 0) level = 'warning';
+  entry.level = level;
+  entry.ipAddresses = [...new Set(patterns.ipAddresses)];
+  entry.urls = patterns.urls;
+  return entry;
+}
+
+function isAllowed(remoteAddress, cfg) {
+  if (cfg.allowedHosts.length === 0) return true;
+  const addr = String(remoteAddress || '').replace(/^::ffff:/, '');
+  return cfg.allowedHosts.includes(addr);
+}
+
+/** Parse, classify and store one raw syslog line. Returns the stored entry (or null when dropped). */
+function ingest(raw, remoteAddress, transport = 'udp') {
+  const cfg = getSyslogConfig();
+  const addr = String(remoteAddress || '').replace(/^::ffff:/, '') || null;
+  if (!isAllowed(addr, cfg)) return null;
+  const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw);
+  if (!text.trim()) return null;
+  const entry = classifyMessage(parseSyslogMessage(text, addr));
+  entry.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  entry.transport = transport;
+  messages.push(entry);
+  if (messages.length > cfg.maxMessages) messages.splice(0, messages.length - cfg.maxMessages);
+
+  const h = hosts.get(entry.host) || { host: entry.host, source: addr, total: 0, errors: 0, warnings: 0, firstSeen: entry.receivedAt, lastSeen: null };
+  hosts.delete(entry.host);
+  hosts.set(entry.host, h);
+  if (hosts.size > MAX_HOSTS) hosts.delete(hosts.keys().next().value);
+  h.total++;
+  if (entry.level === 'error') h.errors++;
+  if (entry.level === 'warning') h.warnings++;
+  h.lastSeen = entry.receivedAt;
+  h.source = addr;
+  return entry;
+}
+
+/**
+ * Split a TCP stream into syslog frames (RFC 6587): octet counting ("LEN <PRI>...")
+ * or non-transparent framing (newline / NUL terminated). Returns the unconsumed remainder.
+ */
+function splitTcpFrames(buffer, onFrame) {
+  let buf = buffer;
+  for (;;) {
+    const octet = buf.match(/^(\d{1,5}) /);
+    if (octet) {
+      const len = parseInt(octet[1], 10);
+      const start = octet[0].length;
+      if (Buffer.byteLength(buf.slice(start)) < len) break;
+      const bytes = Buffer.from(buf.slice(start));
+      onFrame(bytes.subarray(0, len).toString('utf8'));
+      buf = bytes.subarray(len).toString('utf8');
+      continue;
+    }
+    const idx = buf.search(/[\n\0]/);
+    if (idx === -1) break;
+    const frame = buf.slice(0, idx);
+    buf = buf.slice(idx + 1);
+    if (frame.trim()) onFrame(frame);
+  }
+  return buf;
+}
+
+function startUdp(cfg) {
+  const server = dgram.createSocket(cfg.bindAddress.includes(':') ? 'udp6' : 'udp4');
+  server.on('message', (msg, rinfo) => ingest(msg, rinfo.address, 'udp'));
+  server.on('error', (err) => {
+    listening.udp = false;
+    listening.error = `UDP: ${err.message}`;
+    console.error('[Syslog] UDP error:', err.message);
+    addDashboardLog('error', 'syslog', `Syslog UDP listener failed on port ${cfg.port}`, err.message);
+    try { server.close(); } catch (_) { /* already closed */ }
+    if (udpServer === server) udpServer = null;
+  });
+  server.on('listening', () => { listening.udp = true; });
+  server.bind(cfg.port, cfg.bindAddress);
+  udpServer = server;
+}
+
+function startTcp(cfg) {
+  const server = net.createServer((socket) => {
+    const addr = socket.remoteAddress;
+    if (tcpSockets.size >= MAX_TCP_CONNECTIONS || !isAllowed(addr, cfg)) {
+      socket.destroy();
+      return;
+    }
+    tcpSockets.add(socket);
+    let pending = '';
+    socket.setEncoding('utf8');
+    socket.setTimeout(10 * 60 * 1000, () => socket.destroy());
+    socket.on('data', (chunk) => {
+      pending = splitTcpFrames(pending + chunk, (frame) => ingest(frame, addr, 'tcp'));
+      if (pending.length > MAX_TCP_BUFFER) {
+        ingest(pending.slice(0, MAX_MESSAGE_LENGTH), addr, 'tcp');
+        pending = '';
+      }
+    });
+    socket.on('end', () => {
+      if (pending.trim()) ingest(pending, addr, 'tcp');
+      pending = '';
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => tcpSockets.delete(socket));
+  });
+  server.on('error', (err) => {
+    listening.tcp = false;
+    listening.error = `TCP: ${err.message}`;
+    console.error('[Syslog] TCP error:', err.message);
+    addDashboardLog('error', 'syslog', `Syslog TCP listener failed on port ${cfg.port}`, err.message);
+    try { server.close(); } catch (_) { /* already closed */ }
+    if (tcpServer === server) tcpServer = null;
+  });
+  server.on('listening', () => { listening.tcp = true; });
+  server.listen(cfg.port, cfg.bindAddress);
+  tcpServer = server;
+}
+
+/**
+ * Start the syslog listeners. addDashboardLog(level, source, message, detail) is optional.
+ */
+function startSyslog(options = {}) {
+  if (options.addDashboardLog) addDashboardLog = options.addDashboardLog;
+  stopSyslog();
+  const cfg = getSyslogConfig();
+  if (!cfg.enabled) {
+    console.log('[Syslog] Disabled in config');
+    return;
+  }
+  listening = { udp: false, tcp: false, port: cfg.port, error: null };
+  if (cfg.udp) startUdp(cfg);
+  if (cfg.tcp) startTcp(cfg);
+  console.log(`[Syslog] Listening on ${cfg.bindAddress}:${cfg.port} (${[cfg.udp && 'UDP', cfg.tcp && 'TCP'].filter(Boolean).join(' + ')})`);
+}
+
+function stopSyslog() {
+  if (udpServer) {
+    try { udpServer.close(); } catch (_) { /* already closed */ }
+    udpServer = null;
+  }
+  if (tcpServer) {
+    tcpSockets.forEach((s) => s.destroy());
+    tcpSockets.clear();
+    tcpServer.close();
+    tcpServer = null;
+  }
+  listening = { udp: false, tcp: false, port: null, error: listening.error };
+}
+
+/**
+ * Search the buffer. Options: host, level (error|warning|info, comma-separated), severity (max syslog
+ * severity 0-7), app, q (text), since/until (ISO), limit (max 1000), offset. Newest first.
+ */
+function listMessages(options = {}) {
+  const levels = options.level ? String(options.level).split(',').map((l) => l.trim()).filter(Boolean) : null;
+  const since = options.since ? new Date(options.since).getTime() : null;
+  const until = options.until ? new Date(options.until).getTime() : null;
+  if ((options.since && isNaN(since)) || (options.until && isNaN(until))) {
+    throw new Error('Invalid since/until (use ISO 8601)');
+  }
+  const maxSeverity = options.severity != null && options.severity !== '' ? parseInt(options.severity, 10) : null;
+  const q = options.q ? String(options.q).toLowerCase() : null;
+  const limit = Math.min(1000, Math.max(1, parseInt(options.limit, 10) || 100));
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+
+  const filtered = messages.filter((m) => {
+    if (options.host && m.host !== options.host && m.source !== options.host) return false;
+    if (levels && !levels.includes(m.level)) return false;
+    if (maxSeverity != null && !isNaN(maxSeverity) && (m.severity == null || m.severity > maxSeverity)) return false;
+    if (options.app && m.app !== options.app) return false;
+    const t = new Date(m.receivedAt).getTime();
+    if (since != null && t < since) return false;
+    if (until != null && t > until) return false;
+    if (q && !`${m.host || ''} ${m.app || ''} ${m.message}`.toLowerCase().includes(q)) return false;
+    return true;
+  }).reverse();
+
+  return {
+    total: filtered.length,
+    offset,
+    limit,
+    messages: filtered.slice(offset, offset + limit),
+  };
+}
+
+/** Per-host counters (the last MAX_HOSTS hosts), most recently seen first. */
+function getHosts() {
+  return [...hosts.values()].reverse();
+}
+
+function clearMessages() {
+  messages = [];
+  hosts = new Map();
+}
+
+function getSyslogStatus() {
+  const cfg = getSyslogConfig();
+  return {
+    enabled: cfg.enabled,
+    port: listening.port,
+    udp: listening.udp,
+    tcp: listening.tcp,
+    error: listening.error,
+    messages: messages.length,
+    maxMessages: cfg.maxMessages,
+    hosts: hosts.size,
+  };
+}
+
+/**
+ * Recent error and warning lines per host (last contextMinutes) for the AI system prompt.
+ */
+function getSyslogContext() {
+  const cfg = getSyslogConfig();
+  if (!cfg.enabled || messages.length === 0) return '';
+  const cutoff = Date.now() - cfg.contextMinutes * 60000;
+  const byHost = new Map();
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (new Date(m.receivedAt).getTime() < cutoff) break;
+    if (!byHost.has(m.host)) byHost.set(m.host, { host: m.host, total: 0, errors: 0, warnings: 0, lines: [] });
+    const h = byHost.get(m.host);
+    h.total++;
+    if (m.level === 'error') h.errors++;
+    if (m.level === 'warning') h.warnings++;
+    if (m.level !== 'info' && h.lines.length < cfg.contextLinesPerHost) h.lines.push(m);
+  }
+  if (byHost.size === 0) return '';
+
+  let context = `\n\nSyslog (last ${cfg.contextMinutes} min, received from devices and servers):\n`;
+  [...byHost.values()]
+    .sort((a, b) => (b.errors - a.errors) || (b.warnings - a.warnings))
+    .slice(0, 20)
+    .forEach((h) => {
+      context += `- ${h.host}: ${h.total} message(s), ${h.errors} error(s), ${h.warnings} warning(s)\n`;
+      h.lines.forEach((m) => {
+        const sev = m.severity != null ? SEVERITIES[m.severity] : m.level;
+        context += `  [${m.receivedAt}] ${sev} ${m.app ? m.app + ': ' : ''}${m.message.slice(0, 300)}\n`;
+      });
+    });
+  return context;
+}
+
+module.exports = {
+  parseSyslogMessage,
+  classifyMessage,
+  splitTcpFrames,
+  ingest,
+  listMessages,
+  getHosts,
+  clearMessages,
+  getSyslogStatus,
+  getSyslogContext,
+  startSyslog,
+  stopSyslog,
+};
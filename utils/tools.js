@@ -0,0 +1,154 @@
+// utils/tools.js – Diagnostics exposed to the LLM as callable tools (OpenAI function calling / Ollama tools).
+// The model decides when to ping, traceroute, test a port, resolve a name or look up a client IP,
+// instead of regexes guessing the intent from the message.
+
+const { runPing, runTraceroute, testPort, runDnsLookup } = require('./diagnostics');
+const { lookupClientByIp } = require('./monitoring');
+
+const MAX_TOOL_OUTPUT = 4000;
+
+/** Tool definitions in OpenAI format (Ollama accepts the same shape). */
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'ping',
+      description: 'Ping a host from the NetworkBot server to check reachability and latency.',
+      parameters: {
+        type: 'object',
+        properties: {
+          host: { type: 'string', description: 'Hostname or IP address' },
+          count: { type: 'integer', description: 'Number of echo requests (1-5, default 4)' },
+        },
+        required: ['host'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'traceroute',
+      description: 'Trace the network path from the NetworkBot server to a host.',
+      parameters: {
+        type: 'object',
+        properties: {
+          host: { type: 'string', description: 'Hostname or IP address' },
+          maxHops: { type: 'integer', description: 'Maximum hops (1-20, default 15)' },
+        },
+        required: ['host'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'test_port',
+      description: 'Check whether a TCP port is open on a host (e.g. 445 for SMB, 443 for HTTPS), from the NetworkBot server.',
+      parameters: {
+        type: 'object',
+        properties: {
+          host: { type: 'string', description: 'Hostname or IP address' },
+          port: { type: 'integer', description: 'TCP port (1-65535)' },
+        },
+        required: ['host', 'port'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'dns_lookup',
+      description: 'Resolve a hostname to its IPv4/IPv6 addresses.',
+      parameters: {
+        type: 'object',
+        properties: {
+          host: { type: 'string', description: 'Hostname to resolve' },
+        },
+        required: ['host'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'lookup_client_by_ip',
+      description: 'Find which UniFi client has an IP address and where it is connected (switch/AP and port).',
+      parameters: {
+        type: 'object',
+        properties: {
+          ip: { type: 'string', description: 'IPv4 address' },
+        },
+        required: ['ip'],
+      },
+    },
+  },
+];
+
+const clip = (s) => {
+  const text = String(s || '');
+  return text.length > MAX_TOOL_OUTPUT ? `${text.slice(0, MAX_TOOL_OUTPUT)}\n[output truncated]` : text;
+};
+
+/**
+ * Run one tool. Returns { ok, output, summary }: output goes back to the model,
+ * summary is the one-line result shown in the chat transcript.
+ */
+async function executeTool(name, args = {}) {
+  switch (name) {
+    case 'ping': {
+      const result = await runPing(args.host, args.count);
+      const loss = (result.output || '').match(/(\d+(?:\.\d+)?)% packet loss/);
+      return {
+        ok: result.success,
+        output: clip(result.output || result.error || 'No output.') + (result.error ? `\n(Error: ${result.error})` : ''),
+        summary: result.success ? `reachable${loss ? ` (${loss[1]}% loss)` : ''}` : `failed: ${result.error}`,
+      };
+    }
+    case 'traceroute': {
+      const result = await runTraceroute(args.host, args.maxHops);
+      const hops = (result.output || '').split('\n').filter((l) => /^\s*\d+\s/.test(l)).length;
+      return {
+        ok: result.success,
+        output: clip(result.output || result.error || 'No output.') + (result.error ? `\n(Error: ${result.error})` : ''),
+        summary: result.success ? `${hops} hop(s)` : `failed: ${result.error}`,
+      };
+    }
+    case 'test_port': {
+      const result = await testPort(args.host, args.port);
+      return {
+        ok: true,
+        output: result.open ? `Port ${args.port} is OPEN on ${args.host}.` : `Port ${args.port} is closed or unreachable on ${args.host}: ${result.message}`,
+        summary: result.open ? 'open' : `closed (${result.message})`,
+      };
+    }
+    case 'dns_lookup': {
+      const result = await runDnsLookup(args.host);
+      return {
+        ok: result.success,
+        output: result.success ? result.output : `Failed: ${result.error}`,
+        summary: result.success ? result.output.split('\n').slice(1).join('; ') : `failed: ${result.error}`,
+      };
+    }
+    case 'lookup_client_by_ip': {
+      const lookup = await lookupClientByIp(args.ip);
+      if (!lookup.found) return { ok: false, output: lookup.error, summary: lookup.error };
+      const c = lookup.client;
+      const to = lookup.connectedTo;
+      const where = `${to?.name || to?.mac || '—'}${to?.port != null ? ` port ${to.port}` : ''}`;
+      return {
+        ok: true,
+        output: [
+          `IP lookup for ${args.ip}:`,
+          `- Controller: ${lookup.controllerName} (site: ${lookup.siteName || lookup.site})`,
+          `- Client: ${c.hostname || '—'} | MAC ${c.mac || '—'} | ${c.is_wired ? 'Wired' : 'Wireless'}`,
+          `- Connected to: ${where}`,
+        ].join('\n'),
+        summary: `${c.hostname || c.mac} on ${where}`,
+      };
+    }
+    default:
+      return { ok: false, output: `Unknown tool: ${name}`, summary: 'unknown tool' };
+  }
+}
+
+module.exports = { TOOL_DEFINITIONS, executeTool };
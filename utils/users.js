@@ -0,0 +1,241 @@
+// utils/users.js – Web UI / API accounts with scrypt-hashed passwords and roles (users.json).
+// viewer: chat and read; operator: also diagnostics, schedules, alert rules and UniFi actions;
+// admin: also configuration and user management.
+// While no users exist, the single web.auth account (or WEB_AUTH_USERNAME/PASSWORD, default admin/admin)
+// logs in as admin; creating the first user stores that account too, so whoever set things up keeps access.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const USERS_FILE = path.join(__dirname, '..', 'users.json');
+
+const ROLES = {
+  viewer: { level: 1, label: 'Viewer – chat and read' },
+  operator: { level: 2, label: 'Operator – also diagnostics, schedules, alert rules and UniFi actions' },
+  admin: { level: 3, label: 'Admin – also configuration and users' },
+};
+
+const USERNAME_RE = /^[\w.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const VERIFY_CACHE_MS = 5 * 60 * 1000; // scrypt is slow by design; remember good logins for a few minutes
+
+let state = { users: [], meta: { version: 1 } };
+let loaded = false;
+const verifyCache = new Map(); // sha256(username\0password) → { username, expiresAt }
+
+function loadState() {
+  try {
+    if (fs.existsSync(USERS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+      state.users = Array.isArray(data.users) ? data.users : [];
+      state.meta = data.meta || state.meta;
+    }
+  } catch (err) {
+    console.error('[Users] Error loading users:', err.message);
+    state.users = [];
+  }
+  verifyCache.clear();
+  loaded = true;
+  return state;
+}
+
+function saveState() {
+  try {
+    fs.writeFileSync(USERS_FILE, JSON.stringify({ users: state.users, meta: state.meta }, null, 2), { encoding: 'utf8', mode: 0o600 });
+  } catch (err) {
+    console.error('[Users] Error saving users:', err.message);
+  }
+}
+
+function ensureLoaded() {
+  if (!loaded) loadState();
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest();
+const safeEqual = (a, b) => crypto.timingSafeEqual(sha256(a), sha256(b));
+
+/** The single account from config/env, used while the user store is empty */
+function getLegacyAccount() {
+  const auth = getConfig().web?.auth || {};
+  return {
+    username: auth.username || process.env.WEB_AUTH_USERNAME || 'admin',
+    password: auth.password || process.env.WEB_AUTH_PASSWORD || 'admin',
+  };
+}
+
+const publicUser = (u) => ({
+  id: u.id,
+  username: u.username,
+  role: u.role,
+  disabled: u.disabled === true,
+  createdAt: u.createdAt,
+  updatedAt: u.updatedAt,
+});
+
+function hasUsers() {
+  ensureLoaded();
+  return state.users.length > 0;
+}
+
+function listUsers() {
+  ensureLoaded();
+  return state.users.map(publicUser);
+}
+
+function findUser(username) {
+  ensureLoaded();
+  return state.users.find((u) => u.username.toLowerCase() === String(username || '').toLowerCase()) || null;
+}
+
+function getUser(id) {
+  ensureLoaded();
+  const u = state.users.find((x) => x.id === id);
+  return u ? publicUser(u) : null;
+}
+
+/**
+ * Check a username/password. Returns { username, role } or null.
+ */
+function verifyCredentials(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+  if (!hasUsers()) {
+    const legacy = getLegacyAccount();
+    // Bitwise & so both parts are always compared
+    const ok = safeEqual(username, legacy.username) & safeEqual(password, legacy.password);
+    return ok ? { username: legacy.username, role: 'admin' } : null;
+  }
+  const key = crypto.createHash('sha256').update(`${username}\0${password}`).digest('hex');
+  const cached = verifyCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    const u = findUser(cached.username);
+    if (u && !u.disabled) return { username: u.username, role: u.role };
+  }
+  verifyCache.delete(key);
+  const user = findUser(username);
+  if (!user || user.disabled || !checkPassword(password, user.passwordHash)) return null;
+  verifyCache.set(key, { username: user.username, expiresAt: Date.now() + VERIFY_CACHE_MS });
+  return { username: user.username, role: user.role };
+}
+
+/** Role of an authenticated username (null if unknown or disabled) */
+function getRole(username) {
+  if (!hasUsers()) return username === getLegacyAccount().username ? 'admin' : null;
+  const u = findUser(username);
+  return u && !u.disabled ? u.role : null;
+}
+
+function hasRole(role, required) {
+  return (ROLES[role]?.level || 0) >= (ROLES[required]?.level || Infinity);
+}
+
+function validate(input, { isNew }) {
+  if (isNew || input.username !== undefined) {
+    if (!USERNAME_RE.test(String(input.username || ''))) throw new Error('Username must be 1-64 letters, digits, or . _ @ -');
+  }
+  if (isNew || input.password !== undefined) {
+    if (String(input.password || '').length < MIN_PASSWORD_LENGTH) throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if ((isNew || input.role !== undefined) && !ROLES[input.role]) {
+    throw new Error(`Role must be one of: ${Object.keys(ROLES).join(', ')}`);
+  }
+}
+
+const activeAdmins = () => state.users.filter((u) => u.role === 'admin' && !u.disabled);
+
+/**
+ * Create a user. The first user also stores the current single login as an admin (unless it is the same name).
+ */
+function createUser(input = {}) {
+  ensureLoaded();
+  validate(input, { isNew: true });
+  if (findUser(input.username)) throw new Error(`User ${input.username} already exists`);
+  const now = new Date().toISOString();
+  const make = (username, password, role) => ({
+    id: `user_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
+    username,
+    passwordHash: hashPassword(password),
+    role,
+    createdAt: now,
+    updatedAt: now,
+  });
+  if (state.users.length === 0) {
+    const legacy = getLegacyAccount();
+    if (legacy.username.toLowerCase() !== input.username.toLowerCase()) {
+      state.users.push(make(legacy.username, legacy.password, 'admin'));
+    } else if (input.role !== 'admin') {
+      throw new Error('The first user replaces the current login, so it must be an admin');
+    }
+  }
+  const user = make(input.username, input.password, input.role);
+  if (input.disabled === true) user.disabled = true;
+  state.users.push(user);
+  saveState();
+  return publicUser(user);
+}
+
+/**
+ * Update role, password or disabled flag. At least one enabled admin must remain.
+ */
+function updateUser(id, input = {}) {
+  ensureLoaded();
+  const user = state.users.find((u) => u.id === id);
+  if (!user) return null;
+  validate(input, { isNew: false });
+  const nextRole = input.role ?? user.role;
+  const nextDisabled = input.disabled !== undefined ? input.disabled === true : user.disabled === true;
+  if (user.role === 'admin' && !user.disabled && (nextRole !== 'admin' || nextDisabled) && activeAdmins().length <= 1) {
+    throw new Error('At least one enabled admin is required');
+  }
+  user.role = nextRole;
+  user.disabled = nextDisabled;
+  if (input.password !== undefined) user.passwordHash = hashPassword(input.password);
+  user.updatedAt = new Date().toISOString();
+  verifyCache.clear();
+  saveState();
+  return publicUser(user);
+}
+
+function deleteUser(id) {
+  ensureLoaded();
+  const user = state.users.find((u) => u.id === id);
+  if (!user) return false;
+  if (user.role === 'admin' && !user.disabled && activeAdmins().length <= 1) {
+    throw new Error('At least one enabled admin is required');
+  }
+  state.users = state.users.filter((u) => u.id !== id);
+  verifyCache.clear();
+  saveState();
+  return true;
+}
+
+module.exports = {
+  ROLES,
+  USERS_FILE,
+  loadState,
+  hasUsers,
+  listUsers,
+  getUser,
+  findUser,
+  verifyCredentials,
+  getRole,
+  hasRole,
+  createUser,
+  updateUser,
+  deleteUser,
+};
@@ -1,41 +1,98 @@
-// utils/webhook.js – send webhook notifications to Slack, Discord, Teams, ntfy, or generic endpoints
+// utils/webhook.js – send webhook notifications to Slack, Discord, Teams, ntfy, Mattermost, Google Chat, Gotify,
+// Telegram, Pushover, PagerDuty, Opsgenie or generic endpoints.
+// A target is config.webhook or a notification channel: { enabled, type, url, telegram: { botToken, chatId },
+// gotify: { appToken }, pushover: { appToken, userKey }, pagerduty: { routingKey }, opsgenie: { apiKey } }.
+// For Telegram, Pushover, PagerDuty and Opsgenie the url is optional and replaces the public API address
+// (e.g. https://api.eu.opsgenie.com). PagerDuty and Opsgenie alerts are triggered and resolved by dedup key.
 
 const axios = require('axios');
 const { getConfig } = require('./config');
 
 const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_TYPES = ['slack', 'discord', 'teams', 'ntfy', 'mattermost', 'googlechat', 'gotify', 'telegram', 'pushover', 'pagerduty', 'opsgenie', 'generic'];
+
+/** Default API address of the services that do not take a webhook URL */
+const API_URLS = {
+  telegram: 'https://api.telegram.org',
+  pushover: 'https://api.pushover.net',
+  pagerduty: 'https://events.pagerduty.com',
+  opsgenie: 'https://api.opsgenie.com',
+};
+
+/** Fields each type needs besides (or instead of) url: [path, label] */
+const REQUIRED_FIELDS = {
+  telegram: [['telegram.botToken', 'bot token'], ['telegram.chatId', 'chat id']],
+  gotify: [['gotify.appToken', 'app token']],
+  pushover: [['pushover.appToken', 'app token'], ['pushover.userKey', 'user key']],
+  pagerduty: [['pagerduty.routingKey', 'routing key']],
+  opsgenie: [['opsgenie.apiKey', 'API key']],
+};
+
+const SEVERITY_PRIORITY = {
+  gotify: { info: 2, warning: 5, critical: 8 },
+  pushover: { info: -1, warning: 0, critical: 1 },
+  opsgenie: { info: 'P5', warning: 'P3', critical: 'P1' },
+};
 
 function getWebhookConfig() {
   return getConfig().webhook || {};
 }
 
+const valueAt = (obj, p) => p.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+const trimmed = (v) => String(v ?? '').trim();
+const baseUrl = (target) => (trimmed(target.url) || API_URLS[target.type] || '').replace(/\/+$/, '');
+
 /**
- * Build the request body for each service type.
- * Returns { body, headers, isText } where isText = send as plain text (ntfy).
+ * What a target still needs, as [{ path, message }] (paths relative to the target); empty when it can send.
+ * Services with a public API need no url.
  */
-function buildRequest(type, title, text) {
-  switch ((type || 'generic').toLowerCase()) {
+function webhookTargetProblems(target = {}) {
+  const type = (target.type || 'generic').toLowerCase();
+  const problems = [];
+  if (!API_URLS[type] && !trimmed(target.url)) problems.push({ path: 'url', message: 'is required' });
+  (REQUIRED_FIELDS[type] || []).forEach(([p, label]) => {
+    if (!trimmed(valueAt(target, p))) problems.push({ path: p, message: `(${label}) is required for ${type}` });
+  });
+  return problems;
+}
+
+/**
+ * Build the request for each service type from a target and a message
+ * ({ title, text, severity ('info'|'warning'|'critical'), dedupKey, action ('trigger'|'resolve') }).
+ * Returns { url, body, headers } or { error } when the message cannot be sent to this type.
+ */
+function buildRequest(target, message) {
+  const type = (target.type || 'generic').toLowerCase();
+  const { title, text } = message;
+  const severity = ['info', 'warning', 'critical'].includes(message.severity) ? message.severity : 'info';
+  const resolve = message.action === 'resolve';
+  const url = trimmed(target.url);
+  const json = { 'Content-Type': 'application/json' };
+  switch (type) {
     case 'slack':
       return {
+        url,
         body: {
           text: `*${title}*\n${text.slice(0, 3000)}`,
           username: 'NetworkBot',
           icon_emoji: ':satellite:',
         },
-        headers: { 'Content-Type': 'application/json' },
+        headers: json,
       };
 
     case 'discord':
       return {
+        url,
         body: {
           content: `**${title}**\n${text.slice(0, 1990)}`,
           username: 'NetworkBot',
         },
-        headers: { 'Content-Type': 'application/json' },
+        headers: json,
       };
 
     case 'teams':
       return {
+        url,
         body: {
           '@type': 'MessageCard',
           '@context': 'https://schema.org/extensions',
@@ -44,69 +101,188 @@ function buildRequest(type, title, text) {
           title,
           text: text.slice(0, 4000),
         },
-        headers: { 'Content-Type': 'application/json' },
+        headers: json,
       };
 
     case 'ntfy':
       return {
+        url,
         body: text.slice(0, 4096),
         headers: {
           'Title': title.slice(0, 255),
           'Content-Type': 'text/plain',
         },
-        isText: true,
       };
 
+    case 'mattermost':
+      return {
+        url,
+        body: { text: `#### ${title}\n${text.slice(0, 4000)}`, username: 'NetworkBot' },
+        headers: json,
+      };
+
+    case 'googlechat':
+      return {
+        url,
+        body: { text: `*${title}*\n${text.slice(0, 4000)}` },
+        headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+      };
+
+    case 'gotify':
+      // url is the server address; the message endpoint is appended unless given
+      return {
+        url: /\/message$/.test(baseUrl(target)) ? baseUrl(target) : `${baseUrl(target)}/message`,
+        body: { title: title.slice(0, 250), message: text.slice(0, 4000), priority: SEVERITY_PRIORITY.gotify[severity] },
+        headers: { ...json, 'X-Gotify-Key': trimmed(target.gotify?.appToken) },
+      };
+
+    case 'telegram':
+      return {
+        url: `${baseUrl(target)}/bot${trimmed(target.telegram?.botToken)}/sendMessage`,
+        body: {
+          chat_id: trimmed(target.telegram?.chatId),
+          text: `${title}\n\n${text}`.slice(0, 4096),
+          disable_web_page_preview: true,
+        },
+        headers: json,
+      };
+
+    case 'pushover':
+      return {
+        url: `${baseUrl(target)}/1/messages.json`,
+        body: {
+          token: trimmed(target.pushover?.appToken),
+          user: trimmed(target.pushover?.userKey),
+          title: title.slice(0, 250),
+          message: text.slice(0, 1024),
+          priority: SEVERITY_PRIORITY.pushover[severity],
+        },
+        headers: json,
+      };
+
+    case 'pagerduty': {
+      // Events API v2: the dedup key ties a resolve to its trigger
+      const routingKey = trimmed(target.pagerduty?.routingKey);
+      if (resolve) {
+        if (!message.dedupKey) return { error: 'PagerDuty needs a dedup key to resolve an alert' };
+        return {
+          url: `${baseUrl(target)}/v2/enqueue`,
+          body: { routing_key: routingKey, event_action: 'resolve', dedup_key: message.dedupKey },
+          headers: json,
+        };
+      }
+      return {
+        url: `${baseUrl(target)}/v2/enqueue`,
+        body: {
+          routing_key: routingKey,
+          event_action: 'trigger',
+          ...(message.dedupKey ? { dedup_key: message.dedupKey } : {}),
+          payload: {
+            summary: title.slice(0, 1024),
+            source: 'NetworkBot',
+            severity,
+            custom_details: { text: text.slice(0, 10000) },
+          },
+        },
+        headers: json,
+      };
+    }
+
+    case 'opsgenie': {
+      // Alert API v2: the dedup key is the alert alias
+      const headers = { ...json, Authorization: `GenieKey ${trimmed(target.opsgenie?.apiKey)}` };
+      const alias = message.dedupKey ? String(message.dedupKey).slice(0, 512) : null;
+      if (resolve) {
+        if (!alias) return { error: 'Opsgenie needs a dedup key to close an alert' };
+        return {
+          url: `${baseUrl(target)}/v2/alerts/${encodeURIComponent(alias)}/close?identifierType=alias`,
+          body: { source: 'NetworkBot', note: `${title}\n${text}`.slice(0, 25000) },
+          headers,
+        };
+      }
+      return {
+        url: `${baseUrl(target)}/v2/alerts`,
+        body: {
+          message: title.slice(0, 130),
+          ...(alias ? { alias } : {}),
+          description: text.slice(0, 15000),
+          priority: SEVERITY_PRIORITY.opsgenie[severity],
+          source: 'NetworkBot',
+        },
+        headers,
+      };
+    }
+
     default: // generic
       return {
+        url,
         body: {
           title,
           text: text.slice(0, 4000),
+          severity,
+          ...(message.dedupKey ? { dedupKey: message.dedupKey, action: resolve ? 'resolve' : 'trigger' } : {}),
           timestamp: new Date().toISOString(),
           source: 'NetworkBot',
         },
-        headers: { 'Content-Type': 'application/json' },
+        headers: json,
       };
   }
 }
 
+/** The service's own error text when it sends one (Telegram description, Pushover errors, …) */
+function responseError(err) {
+  if (!err.response) return err.message || 'Request failed';
+  const data = err.response.data || {};
+  const detail = data.description || (Array.isArray(data.errors) ? data.errors.join('; ') : null) || data.message || data.error;
+  return `HTTP ${err.response.status}: ${typeof detail === 'string' && detail ? detail : err.response.statusText}`;
+}
+
 /**
- * Send a webhook notification using the current config.
- * @param {Object} options - { title, text }
+ * Send a webhook notification using the current config, or to another target (a notification channel).
+ * @param {Object} message - { title, text, severity?, dedupKey?, action? ('trigger'|'resolve') }
+ * @param {Object} [target] - see the top of this file; default config.webhook
  * @returns {Promise<{ success: boolean, error?: string }>}
  */
-async function sendWebhook({ title, text }) {
-  const wh = getWebhookConfig();
-  if (!wh.enabled || !wh.url?.trim()) {
-    return { success: false, error: 'Webhook not enabled or URL not configured.' };
+async function sendWebhook(message, target = getWebhookConfig()) {
+  const wh = { ...(target || {}), type: (target?.type || 'generic').toLowerCase() };
+  if (!wh.enabled) return { success: false, error: 'Webhook not enabled.' };
+  const problems = webhookTargetProblems(wh);
+  if (problems.length > 0) {
+    return { success: false, error: `Webhook not configured: ${problems.map((p) => `${p.path} ${p.message}`).join(', ')}.` };
   }
 
-  const url = wh.url.trim();
-  const type = wh.type || 'generic';
-
+  const request = buildRequest(wh, { ...message, title: message.title || 'NetworkBot', text: message.text || '' });
+  if (request.error) return { success: false, error: request.error };
   try {
-    const { body, headers } = buildRequest(type, title || 'NetworkBot', text || '');
-    await axios.post(url, body, {
+    await axios.post(request.url, request.body, {
       timeout: WEBHOOK_TIMEOUT_MS,
-      headers,
+      headers: request.headers,
     });
     return { success: true };
   } catch (err) {
-    const msg = err.response
-      ? `HTTP ${err.response.status}: ${err.response.statusText}`
-      : err.message || 'Request failed';
-    return { success: false, error: msg };
+    return { success: false, error: responseError(err) };
   }
 }
 
 /**
- * Send a test webhook message to verify the configuration.
+ * Send a test message to a target (default: the saved config.webhook). PagerDuty and Opsgenie get a test
+ * alert that is resolved right away, so no incident is left open; Pushover and Gotify send it at low priority.
+ * text replaces the default message text.
  */
-async function testWebhook() {
-  return sendWebhook({
+async function testWebhook(target = getWebhookConfig(), text) {
+  const wh = { ...(target || {}), enabled: true, type: (target?.type || 'generic').toLowerCase() };
+  const message = {
     title: 'NetworkBot – Test notification',
-    text: `This is a test webhook from NetworkBot.\nTime: ${new Date().toISOString()}\n\nIf you received this, webhook notifications are working.`,
-  });
+    text: text || `This is a test webhook from NetworkBot.\nTime: ${new Date().toISOString()}\n\nIf you received this, webhook notifications are working.`,
+    severity: 'info',
+  };
+  if (wh.type !== 'pagerduty' && wh.type !== 'opsgenie') return sendWebhook(message, wh);
+
+  const dedupKey = `networkbot-test-${Date.now()}`;
+  const triggered = await sendWebhook({ ...message, dedupKey }, wh);
+  if (!triggered.success) return triggered;
+  const resolved = await sendWebhook({ ...message, dedupKey, action: 'resolve', text: 'Test finished.' }, wh);
+  return resolved.success ? { success: true } : { success: false, error: `Test alert sent but not resolved: ${resolved.error}` };
 }
 
-module.exports = { sendWebhook, testWebhook, getWebhookConfig };
+module.exports = { WEBHOOK_TYPES, buildRequest, webhookTargetProblems, sendWebhook, testWebhook, getWebhookConfig };